@@ -11,9 +11,23 @@ public class WDKClient {
     private var isWorkletStarted = false
     private let bundleName: String
     
-    // Read buffer for framing (accessed sequentially via async/await)
+    // Set when the worklet agrees to tagged results in workletStart
+    // (older worklets ignore the request and keep sending plain results)
+    private var taggedResults = false
+    
+    // Read buffer for framing (only accessed by the reader task)
     private var readBuffer = Data()
     
+    // Requests awaiting a response, keyed by JSON-RPC id
+    private var pendingRequests: [Int: CheckedContinuation<[String: Any], Error>] = [:]
+    private let pendingLock = NSLock()
+    private var readerTask: Task<Void, Never>?
+    
+    /// Called for server-push notifications (JSON-RPC messages without an id),
+    /// e.g. `subscription` updates or `locked` when a wallet is locked.
+    /// Invoked from the reader task, not the main thread.
+    public var notificationHandler: ((_ method: String, _ params: [String: Any]) -> Void)?
+    
     /// Initialize WDKClient
     /// - Parameter bundleName: Name of the worklet bundle (default: "wdk-worklet.mobile")
     public init(bundleName: String = "wdk-worklet.mobile") {
@@ -23,6 +37,7 @@ public class WDKClient {
     
     deinit {
         // Cleanup worklet on deinitialization
+        readerTask?.cancel()
         worklet.terminate()
     }
     
@@ -40,6 +55,64 @@ public class WDKClient {
         self.ipc = IPC(worklet: worklet)
         
         isWorkletStarted = true
+        startReader()
+        
+        // Negotiate typed results (BigInt, bytes and dates)
+        try await workletStart()
+    }
+    
+    /// Start the background task that reads framed messages and routes them
+    /// to pending requests (by id) or to the notification handler
+    private func startReader() {
+        readerTask = Task { [weak self] in
+            while !Task.isCancelled {
+                guard let self = self else { return }
+                do {
+                    let data = try await self.readFramed()
+                    self.route(data: data)
+                } catch {
+                    self.failPendingRequests(with: error)
+                    return
+                }
+            }
+        }
+    }
+    
+    /// Route an incoming message to its pending request or the notification handler
+    private func route(data: Data) {
+        guard let message = (try? JSONSerialization.jsonObject(with: data, options: [])) as? [String: Any] else {
+            return
+        }
+        
+        guard let id = message["id"] as? Int else {
+            if let method = message["method"] as? String {
+                var params = message["params"] as? [String: Any] ?? [:]
+                // Subscription updates carry results, encoded like callMethod results
+                if method == "subscription", taggedResults,
+                   let decoded = (try? WDKResultDecoder.decode(params)) as? [String: Any] {
+                    params = decoded
+                }
+                notificationHandler?(method, params)
+            }
+            return
+        }
+        
+        pendingLock.lock()
+        let continuation = pendingRequests.removeValue(forKey: id)
+        pendingLock.unlock()
+        continuation?.resume(returning: message)
+    }
+    
+    /// Fail all pending requests (e.g. when the connection closes)
+    private func failPendingRequests(with error: Error) {
+        pendingLock.lock()
+        let continuations = pendingRequests
+        pendingRequests.removeAll()
+        pendingLock.unlock()
+        
+        for continuation in continuations.values {
+            continuation.resume(throwing: error)
+        }
     }
     
     // MARK: - Private Helper Methods
@@ -119,21 +192,42 @@ public class WDKClient {
         
         let requestData = try JSONSerialization.data(withJSONObject: request, options: [])
         
-        // Send framed request
-        try await writeFramed(data: requestData)
-        
-        // Read framed response
-        let responseData = try await readFramed()
-        
-        let obj = try JSONSerialization.jsonObject(with: responseData, options: [])
-        guard let response = obj as? [String: Any] else {
-            throw WDKError.invalidResponse("Invalid JSON response")
+        // Register before sending so the reader can't miss the response,
+        // then send the framed request and wait for the matching id.
+        // Cancelling the calling Task asks the worklet to abort the request;
+        // it answers with a CANCELLED error.
+        let response: [String: Any] = try await withTaskCancellationHandler {
+            try await withCheckedThrowingContinuation { continuation in
+                pendingLock.lock()
+                pendingRequests[id] = continuation
+                pendingLock.unlock()
+                
+                Task {
+                    do {
+                        try await self.writeFramed(data: requestData)
+                    } catch {
+                        self.pendingLock.lock()
+                        let pending = self.pendingRequests.removeValue(forKey: id)
+                        self.pendingLock.unlock()
+                        pending?.resume(throwing: error)
+                    }
+                }
+            }
+        } onCancel: {
+            Task {
+                try? await self.notify(method: "$/cancelRequest", params: ["id": id])
+            }
         }
         
         // Check for JSON-RPC error
         if let error = response["error"] as? [String: Any] {
             let errorMessage = error["message"] as? String ?? "Unknown error"
-            let errorCode = error["code"] as? String ?? "UNKNOWN"
+            // The domain code (e.g. BAD_REQUEST) is in data.code; code is the JSON-RPC integer
+            let errorData = error["data"] as? [String: Any]
+            let errorCode = errorData?["code"] as? String
+                ?? error["code"] as? String
+                ?? (error["code"] as? Int).map(String.init)
+                ?? "UNKNOWN"
             throw WDKError.rpcError(code: errorCode, message: errorMessage)
         }
         
@@ -145,22 +239,80 @@ public class WDKClient {
         return result
     }
     
+    /// Send a JSON-RPC notification (no id, no response)
+    private func notify(method: String, params: [String: Any]) async throws {
+        let notification: [String: Any] = [
+            "jsonrpc": "2.0",
+            "method": method,
+            "params": params
+        ]
+        
+        let data = try JSONSerialization.data(withJSONObject: notification, options: [])
+        try await writeFramed(data: data)
+    }
+    
     // MARK: - Public API Methods
     
     /// Start the worklet
     /// Note: This is called automatically on first use, but can be called explicitly
     /// to ensure the worklet is initialized before other operations.
+    /// Asks for tagged results, so `callMethod` returns `WDKBigInt` for BigInt values,
+    /// `Data` for bytes and `Date` for dates (see `WDKResultDecoder`)
     public func workletStart() async throws {
-        _ = try await call(method: "workletStart", params: [:])
+        let result = try await call(method: "workletStart", params: [
+            "resultEncoding": "tagged",
+            "bytesEncoding": "base64"
+        ])
+        
+        taggedResults = result["resultEncoding"] as? String == "tagged"
+    }
+    
+    /// Change the worklet's log level at runtime
+    /// With `forward` enabled, log records (secrets redacted) arrive through
+    /// `notificationHandler` as `log` notifications, e.g. for in-app diagnostics
+    /// - Parameters:
+    ///   - level: "debug", "info", "warn", "error" or "none"
+    ///   - forward: Optional, start (true) or stop (false) forwarding log records
+    public func setLogLevel(level: String, forward: Bool? = nil) async throws {
+        var params: [String: Any] = ["level": level]
+        
+        if let forward = forward {
+            params["forward"] = forward
+        }
+        
+        _ = try await call(method: "setLogLevel", params: params)
     }
     
     /// Generate entropy and encrypt it (for new wallet creation)
-    /// - Parameter wordCount: Number of words for mnemonic (12 or 24)
+    /// - Parameters:
+    ///   - wordCount: Number of words for mnemonic (12, 15, 18, 21 or 24)
+    ///   - bip39Passphrase: Optional BIP39 passphrase mixed into the seed
+    ///   - language: Optional mnemonic wordlist language (default: "english")
+    ///   - walletId: Optional wallet id to bind the secrets to; `initializeWDK` then refuses them for other wallets
     /// - Returns: Encrypted entropy result
-    public func generateEntropyAndEncrypt(wordCount: Int) async throws -> EntropyResult {
-        let result = try await call(method: "generateEntropyAndEncrypt", params: [
+    public func generateEntropyAndEncrypt(
+        wordCount: Int,
+        bip39Passphrase: String? = nil,
+        language: String? = nil,
+        walletId: String? = nil
+    ) async throws -> EntropyResult {
+        var params: [String: Any] = [
             "wordCount": wordCount
-        ])
+        ]
+        
+        if let bip39Passphrase = bip39Passphrase {
+            params["bip39Passphrase"] = bip39Passphrase
+        }
+        
+        if let language = language {
+            params["language"] = language
+        }
+        
+        if let walletId = walletId {
+            params["walletId"] = walletId
+        }
+        
+        let result = try await call(method: "generateEntropyAndEncrypt", params: params)
         
         guard let encryptionKey = result["encryptionKey"] as? String,
               let encryptedSeedBuffer = result["encryptedSeedBuffer"] as? String,
@@ -175,16 +327,93 @@ public class WDKClient {
         )
     }
     
+    /// Generate entropy and encrypt it under a passphrase or PIN (for new wallet creation)
+    /// - Parameters:
+    ///   - wordCount: Number of words for mnemonic (12, 15, 18, 21 or 24)
+    ///   - passphrase: Passphrase or PIN (at least 4 characters)
+    ///   - bip39Passphrase: Optional BIP39 passphrase mixed into the seed
+    ///   - language: Optional mnemonic wordlist language (default: "english")
+    ///   - walletId: Optional wallet id to bind the secrets to; `initializeWDK` then refuses them for other wallets
+    /// - Returns: Encrypted seed and entropy
+    public func generateEntropyAndEncrypt(
+        wordCount: Int,
+        passphrase: String,
+        bip39Passphrase: String? = nil,
+        language: String? = nil,
+        walletId: String? = nil
+    ) async throws -> PassphraseEncryptedSecrets {
+        var params: [String: Any] = [
+            "wordCount": wordCount,
+            "passphrase": passphrase
+        ]
+        
+        if let bip39Passphrase = bip39Passphrase {
+            params["bip39Passphrase"] = bip39Passphrase
+        }
+        
+        if let language = language {
+            params["language"] = language
+        }
+        
+        if let walletId = walletId {
+            params["walletId"] = walletId
+        }
+        
+        let result = try await call(method: "generateEntropyAndEncrypt", params: params)
+        
+        return try passphraseEncryptedSecrets(from: result, method: "generateEntropyAndEncrypt")
+    }
+    
     /// Get mnemonic from encrypted entropy
     /// - Parameters:
     ///   - encryptedEntropy: Base64-encoded encrypted entropy
     ///   - encryptionKey: Base64-encoded encryption key
+    ///   - language: Optional mnemonic wordlist language the wallet was created with (default: "english")
     /// - Returns: Mnemonic phrase
-    public func getMnemonicFromEntropy(encryptedEntropy: String, encryptionKey: String) async throws -> String {
-        let result = try await call(method: "getMnemonicFromEntropy", params: [
+    public func getMnemonicFromEntropy(
+        encryptedEntropy: String,
+        encryptionKey: String,
+        language: String? = nil
+    ) async throws -> String {
+        var params: [String: Any] = [
             "encryptedEntropy": encryptedEntropy,
             "encryptionKey": encryptionKey
-        ])
+        ]
+        
+        if let language = language {
+            params["language"] = language
+        }
+        
+        let result = try await call(method: "getMnemonicFromEntropy", params: params)
+        
+        guard let mnemonic = result["mnemonic"] as? String else {
+            throw WDKError.invalidResponse("Invalid getMnemonicFromEntropy response")
+        }
+        
+        return mnemonic
+    }
+    
+    /// Get mnemonic from entropy encrypted under a passphrase
+    /// - Parameters:
+    ///   - encryptedEntropy: Base64-encoded encrypted entropy
+    ///   - passphrase: Passphrase or PIN
+    ///   - language: Optional mnemonic wordlist language the wallet was created with (default: "english")
+    /// - Returns: Mnemonic phrase
+    public func getMnemonicFromEntropy(
+        encryptedEntropy: String,
+        passphrase: String,
+        language: String? = nil
+    ) async throws -> String {
+        var params: [String: Any] = [
+            "encryptedEntropy": encryptedEntropy,
+            "passphrase": passphrase
+        ]
+        
+        if let language = language {
+            params["language"] = language
+        }
+        
+        let result = try await call(method: "getMnemonicFromEntropy", params: params)
         
         guard let mnemonic = result["mnemonic"] as? String else {
             throw WDKError.invalidResponse("Invalid getMnemonicFromEntropy response")
@@ -194,12 +423,35 @@ public class WDKClient {
     }
     
     /// Convert mnemonic phrase to encrypted seed and entropy
-    /// - Parameter mnemonic: BIP39 mnemonic phrase
+    /// - Parameters:
+    ///   - mnemonic: BIP39 mnemonic phrase
+    ///   - bip39Passphrase: Optional BIP39 passphrase the wallet was created with
+    ///   - language: Optional mnemonic wordlist language (default: "english")
+    ///   - walletId: Optional wallet id to bind the secrets to; `initializeWDK` then refuses them for other wallets
     /// - Returns: Encrypted seed and entropy
-    public func getSeedAndEntropyFromMnemonic(mnemonic: String) async throws -> SeedAndEntropyResult {
-        let result = try await call(method: "getSeedAndEntropyFromMnemonic", params: [
+    public func getSeedAndEntropyFromMnemonic(
+        mnemonic: String,
+        bip39Passphrase: String? = nil,
+        language: String? = nil,
+        walletId: String? = nil
+    ) async throws -> SeedAndEntropyResult {
+        var params: [String: Any] = [
             "mnemonic": mnemonic
-        ])
+        ]
+        
+        if let bip39Passphrase = bip39Passphrase {
+            params["bip39Passphrase"] = bip39Passphrase
+        }
+        
+        if let language = language {
+            params["language"] = language
+        }
+        
+        if let walletId = walletId {
+            params["walletId"] = walletId
+        }
+        
+        let result = try await call(method: "getSeedAndEntropyFromMnemonic", params: params)
         
         guard let encryptionKey = result["encryptionKey"] as? String,
               let encryptedSeedBuffer = result["encryptedSeedBuffer"] as? String,
@@ -214,17 +466,760 @@ public class WDKClient {
         )
     }
     
-    /// Initialize WDK with encrypted seed
+    /// Convert mnemonic phrase to seed and entropy encrypted under a passphrase
+    /// - Parameters:
+    ///   - mnemonic: BIP39 mnemonic phrase
+    ///   - passphrase: Passphrase or PIN (at least 4 characters)
+    ///   - bip39Passphrase: Optional BIP39 passphrase the wallet was created with
+    ///   - language: Optional mnemonic wordlist language (default: "english")
+    ///   - walletId: Optional wallet id to bind the secrets to; `initializeWDK` then refuses them for other wallets
+    /// - Returns: Encrypted seed and entropy
+    public func getSeedAndEntropyFromMnemonic(
+        mnemonic: String,
+        passphrase: String,
+        bip39Passphrase: String? = nil,
+        language: String? = nil,
+        walletId: String? = nil
+    ) async throws -> PassphraseEncryptedSecrets {
+        var params: [String: Any] = [
+            "mnemonic": mnemonic,
+            "passphrase": passphrase
+        ]
+        
+        if let bip39Passphrase = bip39Passphrase {
+            params["bip39Passphrase"] = bip39Passphrase
+        }
+        
+        if let language = language {
+            params["language"] = language
+        }
+        
+        if let walletId = walletId {
+            params["walletId"] = walletId
+        }
+        
+        let result = try await call(method: "getSeedAndEntropyFromMnemonic", params: params)
+        
+        return try passphraseEncryptedSecrets(from: result, method: "getSeedAndEntropyFromMnemonic")
+    }
+    
+    /// Suggest mnemonic words starting with a prefix (for restore screens)
+    /// - Parameters:
+    ///   - prefix: Beginning of the word
+    ///   - language: Optional mnemonic wordlist language (default: "english")
+    ///   - limit: Optional maximum number of suggestions (default: 10)
+    /// - Returns: Matching words
+    public func suggestMnemonicWords(prefix: String, language: String? = nil, limit: Int? = nil) async throws -> [String] {
+        var params: [String: Any] = [
+            "prefix": prefix
+        ]
+        
+        if let language = language {
+            params["language"] = language
+        }
+        
+        if let limit = limit {
+            params["limit"] = limit
+        }
+        
+        let result = try await call(method: "suggestMnemonicWords", params: params)
+        
+        guard let words = result["words"] as? [String] else {
+            throw WDKError.invalidResponse("Invalid suggestMnemonicWords response")
+        }
+        
+        return words
+    }
+    
+    /// Pick random words of the mnemonic for the user to confirm
+    /// The mnemonic stays inside the worklet; only the word positions are returned
+    /// - Parameters:
+    ///   - encryptedEntropy: Base64-encoded encrypted entropy
+    ///   - encryptionKey: Base64-encoded encryption key
+    ///   - count: Optional number of words to ask for (default: 3)
+    ///   - language: Optional mnemonic wordlist language the wallet was created with (default: "english")
+    ///   - walletId: Optional wallet the challenge belongs to (default: "default"); disposing it discards the challenge
+    /// - Returns: Challenge to answer with `verifyBackupChallenge`
+    public func createBackupChallenge(
+        encryptedEntropy: String,
+        encryptionKey: String,
+        count: Int? = nil,
+        language: String? = nil,
+        walletId: String? = nil
+    ) async throws -> BackupChallenge {
+        return try await createBackupChallenge(params: [
+            "encryptedEntropy": encryptedEntropy,
+            "encryptionKey": encryptionKey
+        ], count: count, language: language, walletId: walletId)
+    }
+    
+    /// Pick random words of a passphrase-encrypted mnemonic for the user to confirm
+    /// - Parameters:
+    ///   - encryptedEntropy: Base64-encoded encrypted entropy
+    ///   - passphrase: Passphrase or PIN
+    ///   - count: Optional number of words to ask for (default: 3)
+    ///   - language: Optional mnemonic wordlist language the wallet was created with (default: "english")
+    ///   - walletId: Optional wallet the challenge belongs to (default: "default"); disposing it discards the challenge
+    /// - Returns: Challenge to answer with `verifyBackupChallenge`
+    public func createBackupChallenge(
+        encryptedEntropy: String,
+        passphrase: String,
+        count: Int? = nil,
+        language: String? = nil,
+        walletId: String? = nil
+    ) async throws -> BackupChallenge {
+        return try await createBackupChallenge(params: [
+            "encryptedEntropy": encryptedEntropy,
+            "passphrase": passphrase
+        ], count: count, language: language, walletId: walletId)
+    }
+    
+    private func createBackupChallenge(params: [String: Any], count: Int?, language: String?, walletId: String?) async throws -> BackupChallenge {
+        var params = params
+        
+        if let count = count {
+            params["count"] = count
+        }
+        
+        if let language = language {
+            params["language"] = language
+        }
+        
+        if let walletId = walletId {
+            params["walletId"] = walletId
+        }
+        
+        let result = try await call(method: "createBackupChallenge", params: params)
+        
+        guard let challengeId = result["challengeId"] as? String,
+              let wordIndexes = result["wordIndexes"] as? [Int],
+              let expiresAt = result["expiresAt"] as? Double else {
+            throw WDKError.invalidResponse("Invalid createBackupChallenge response")
+        }
+        
+        return BackupChallenge(
+            challengeId: challengeId,
+            wordIndexes: wordIndexes,
+            expiresAt: Date(timeIntervalSince1970: expiresAt / 1000)
+        )
+    }
+    
+    /// Check the words the user entered for a backup challenge
+    /// - Parameters:
+    ///   - challengeId: Id returned by `createBackupChallenge`
+    ///   - words: Words at the challenge's `wordIndexes`, in the same order
+    ///   - walletId: Optional wallet the challenge was created for (default: "default")
+    /// - Returns: Outcome; the challenge is discarded once verified or out of attempts
+    public func verifyBackupChallenge(challengeId: String, words: [String], walletId: String? = nil) async throws -> BackupChallengeResult {
+        var params: [String: Any] = [
+            "challengeId": challengeId,
+            "words": words
+        ]
+        
+        if let walletId = walletId {
+            params["walletId"] = walletId
+        }
+        
+        let result = try await call(method: "verifyBackupChallenge", params: params)
+        
+        guard let verified = result["verified"] as? Bool,
+              let incorrectWordIndexes = result["incorrectWordIndexes"] as? [Int],
+              let attemptsLeft = result["attemptsLeft"] as? Int else {
+            throw WDKError.invalidResponse("Invalid verifyBackupChallenge response")
+        }
+        
+        return BackupChallengeResult(
+            verified: verified,
+            incorrectWordIndexes: incorrectWordIndexes,
+            attemptsLeft: attemptsLeft
+        )
+    }
+    
+    /// Re-encrypt seed and entropy under a new passphrase
+    /// - Parameters:
+    ///   - encryptedSeed: Base64-encoded encrypted seed
+    ///   - encryptedEntropy: Base64-encoded encrypted entropy
+    ///   - passphrase: Current passphrase or PIN
+    ///   - newPassphrase: New passphrase or PIN (at least 4 characters)
+    ///   - walletId: Optional wallet the secrets must belong to (binds secrets that are not bound yet)
+    /// - Returns: Seed and entropy encrypted under the new passphrase
+    public func changePassphrase(
+        encryptedSeed: String,
+        encryptedEntropy: String,
+        passphrase: String,
+        newPassphrase: String,
+        walletId: String? = nil
+    ) async throws -> PassphraseEncryptedSecrets {
+        var params: [String: Any] = [
+            "encryptedSeed": encryptedSeed,
+            "encryptedEntropy": encryptedEntropy,
+            "passphrase": passphrase,
+            "newPassphrase": newPassphrase
+        ]
+        
+        if let walletId = walletId {
+            params["walletId"] = walletId
+        }
+        
+        let result = try await call(method: "changePassphrase", params: params)
+        
+        return try passphraseEncryptedSecrets(from: result, method: "changePassphrase")
+    }
+    
+    /// Move secrets encrypted with an encryption key to a passphrase
+    /// - Parameters:
+    ///   - encryptedSeed: Base64-encoded encrypted seed
+    ///   - encryptedEntropy: Base64-encoded encrypted entropy
+    ///   - encryptionKey: Current base64-encoded encryption key
+    ///   - newPassphrase: New passphrase or PIN (at least 4 characters)
+    ///   - walletId: Optional wallet the secrets must belong to (binds secrets that are not bound yet)
+    /// - Returns: Seed and entropy encrypted under the new passphrase
+    public func changePassphrase(
+        encryptedSeed: String,
+        encryptedEntropy: String,
+        encryptionKey: String,
+        newPassphrase: String,
+        walletId: String? = nil
+    ) async throws -> PassphraseEncryptedSecrets {
+        var params: [String: Any] = [
+            "encryptedSeed": encryptedSeed,
+            "encryptedEntropy": encryptedEntropy,
+            "encryptionKey": encryptionKey,
+            "newPassphrase": newPassphrase
+        ]
+        
+        if let walletId = walletId {
+            params["walletId"] = walletId
+        }
+        
+        let result = try await call(method: "changePassphrase", params: params)
+        
+        return try passphraseEncryptedSecrets(from: result, method: "changePassphrase")
+    }
+    
+    /// Re-encrypt seed and entropy under a new random encryption key
+    /// Store the returned key and blobs together: the old key no longer decrypts them
+    /// - Parameters:
+    ///   - encryptedSeed: Base64-encoded encrypted seed
+    ///   - encryptedEntropy: Base64-encoded encrypted entropy
+    ///   - encryptionKey: Current base64-encoded encryption key
+    ///   - walletId: Optional wallet the secrets must belong to (binds secrets that are not bound yet)
+    /// - Returns: New encryption key with the re-encrypted seed and entropy
+    public func rotateEncryptionKey(
+        encryptedSeed: String,
+        encryptedEntropy: String,
+        encryptionKey: String,
+        walletId: String? = nil
+    ) async throws -> SeedAndEntropyResult {
+        var params: [String: Any] = [
+            "encryptedSeed": encryptedSeed,
+            "encryptedEntropy": encryptedEntropy,
+            "encryptionKey": encryptionKey
+        ]
+        
+        if let walletId = walletId {
+            params["walletId"] = walletId
+        }
+        
+        let result = try await call(method: "rotateEncryptionKey", params: params)
+        
+        guard let newEncryptionKey = result["encryptionKey"] as? String,
+              let encryptedSeedBuffer = result["encryptedSeedBuffer"] as? String,
+              let encryptedEntropyBuffer = result["encryptedEntropyBuffer"] as? String else {
+            throw WDKError.invalidResponse("Invalid rotateEncryptionKey response")
+        }
+        
+        return SeedAndEntropyResult(
+            encryptionKey: newEncryptionKey,
+            encryptedSeedBuffer: encryptedSeedBuffer,
+            encryptedEntropyBuffer: encryptedEntropyBuffer
+        )
+    }
+    
+    /// Split the wallet's entropy into SLIP-39 share mnemonics
+    /// - Parameters:
+    ///   - encryptedEntropy: Base64-encoded encrypted entropy
+    ///   - encryptionKey: Base64-encoded encryption key
+    ///   - groupThreshold: Number of groups needed to recover (default: 1)
+    ///   - groups: Member threshold and share count of each group
+    ///   - slip39Passphrase: Optional SLIP-39 passphrase (printable ASCII) protecting the shares
+    ///   - iterationExponent: Optional PBKDF2 cost exponent of the shares (0-5, default: 1)
+    /// - Returns: Share mnemonics of each group, in the order of `groups`
+    public func splitSeedShares(
+        encryptedEntropy: String,
+        encryptionKey: String,
+        groupThreshold: Int = 1,
+        groups: [SeedShareGroup],
+        slip39Passphrase: String? = nil,
+        iterationExponent: Int? = nil
+    ) async throws -> [[String]] {
+        return try await splitSeedShares(params: [
+            "encryptedEntropy": encryptedEntropy,
+            "encryptionKey": encryptionKey
+        ], groupThreshold: groupThreshold, groups: groups, slip39Passphrase: slip39Passphrase, iterationExponent: iterationExponent)
+    }
+    
+    /// Split passphrase-encrypted entropy into SLIP-39 share mnemonics
+    /// - Parameters:
+    ///   - encryptedEntropy: Base64-encoded encrypted entropy
+    ///   - passphrase: Passphrase or PIN
+    ///   - groupThreshold: Number of groups needed to recover (default: 1)
+    ///   - groups: Member threshold and share count of each group
+    ///   - slip39Passphrase: Optional SLIP-39 passphrase (printable ASCII) protecting the shares
+    ///   - iterationExponent: Optional PBKDF2 cost exponent of the shares (0-5, default: 1)
+    /// - Returns: Share mnemonics of each group, in the order of `groups`
+    public func splitSeedShares(
+        encryptedEntropy: String,
+        passphrase: String,
+        groupThreshold: Int = 1,
+        groups: [SeedShareGroup],
+        slip39Passphrase: String? = nil,
+        iterationExponent: Int? = nil
+    ) async throws -> [[String]] {
+        return try await splitSeedShares(params: [
+            "encryptedEntropy": encryptedEntropy,
+            "passphrase": passphrase
+        ], groupThreshold: groupThreshold, groups: groups, slip39Passphrase: slip39Passphrase, iterationExponent: iterationExponent)
+    }
+    
+    private func splitSeedShares(
+        params: [String: Any],
+        groupThreshold: Int,
+        groups: [SeedShareGroup],
+        slip39Passphrase: String?,
+        iterationExponent: Int?
+    ) async throws -> [[String]] {
+        var params = params
+        params["groupThreshold"] = groupThreshold
+        params["groups"] = groups.map { ["threshold": $0.threshold, "count": $0.count] }
+        
+        if let slip39Passphrase = slip39Passphrase {
+            params["slip39Passphrase"] = slip39Passphrase
+        }
+        
+        if let iterationExponent = iterationExponent {
+            params["iterationExponent"] = iterationExponent
+        }
+        
+        let result = try await call(method: "splitSeedShares", params: params)
+        
+        guard let shares = result["groups"] as? [[String]] else {
+            throw WDKError.invalidResponse("Invalid splitSeedShares response")
+        }
+        
+        return shares
+    }
+    
+    /// Recover seed and entropy from SLIP-39 share mnemonics
+    /// - Parameters:
+    ///   - shares: Enough share mnemonics to meet the group and member thresholds
+    ///   - slip39Passphrase: Optional SLIP-39 passphrase the shares were created with
+    ///   - bip39Passphrase: Optional BIP39 passphrase the wallet was created with
+    ///   - language: Optional mnemonic wordlist language the wallet was created with (default: "english")
+    ///   - walletId: Optional wallet id to bind the secrets to
+    /// - Returns: Encrypted seed and entropy
+    public func combineSeedShares(
+        shares: [String],
+        slip39Passphrase: String? = nil,
+        bip39Passphrase: String? = nil,
+        language: String? = nil,
+        walletId: String? = nil
+    ) async throws -> SeedAndEntropyResult {
+        let result = try await call(method: "combineSeedShares", params: combineSeedSharesParams(
+            shares: shares,
+            slip39Passphrase: slip39Passphrase,
+            bip39Passphrase: bip39Passphrase,
+            language: language,
+            walletId: walletId
+        ))
+        
+        guard let encryptionKey = result["encryptionKey"] as? String,
+              let encryptedSeedBuffer = result["encryptedSeedBuffer"] as? String,
+              let encryptedEntropyBuffer = result["encryptedEntropyBuffer"] as? String else {
+            throw WDKError.invalidResponse("Invalid combineSeedShares response")
+        }
+        
+        return SeedAndEntropyResult(
+            encryptionKey: encryptionKey,
+            encryptedSeedBuffer: encryptedSeedBuffer,
+            encryptedEntropyBuffer: encryptedEntropyBuffer
+        )
+    }
+    
+    /// Recover seed and entropy from SLIP-39 share mnemonics, encrypted under a passphrase
+    /// - Parameters:
+    ///   - shares: Enough share mnemonics to meet the group and member thresholds
+    ///   - passphrase: Passphrase or PIN (at least 4 characters)
+    ///   - slip39Passphrase: Optional SLIP-39 passphrase the shares were created with
+    ///   - bip39Passphrase: Optional BIP39 passphrase the wallet was created with
+    ///   - language: Optional mnemonic wordlist language the wallet was created with (default: "english")
+    ///   - walletId: Optional wallet id to bind the secrets to
+    /// - Returns: Encrypted seed and entropy
+    public func combineSeedShares(
+        shares: [String],
+        passphrase: String,
+        slip39Passphrase: String? = nil,
+        bip39Passphrase: String? = nil,
+        language: String? = nil,
+        walletId: String? = nil
+    ) async throws -> PassphraseEncryptedSecrets {
+        var params = combineSeedSharesParams(
+            shares: shares,
+            slip39Passphrase: slip39Passphrase,
+            bip39Passphrase: bip39Passphrase,
+            language: language,
+            walletId: walletId
+        )
+        params["passphrase"] = passphrase
+        
+        let result = try await call(method: "combineSeedShares", params: params)
+        
+        return try passphraseEncryptedSecrets(from: result, method: "combineSeedShares")
+    }
+    
+    private func combineSeedSharesParams(
+        shares: [String],
+        slip39Passphrase: String?,
+        bip39Passphrase: String?,
+        language: String?,
+        walletId: String?
+    ) -> [String: Any] {
+        var params: [String: Any] = [
+            "shares": shares
+        ]
+        
+        if let slip39Passphrase = slip39Passphrase {
+            params["slip39Passphrase"] = slip39Passphrase
+        }
+        
+        if let bip39Passphrase = bip39Passphrase {
+            params["bip39Passphrase"] = bip39Passphrase
+        }
+        
+        if let language = language {
+            params["language"] = language
+        }
+        
+        if let walletId = walletId {
+            params["walletId"] = walletId
+        }
+        
+        return params
+    }
+    
+    /// Export a passphrase-encrypted backup of an initialized wallet
+    /// The backup holds the entropy, the wallet's config (with the networks and protocols
+    /// registered since initializeWDK) and the given account labels
+    /// - Parameters:
+    ///   - encryptedEntropy: Base64-encoded encrypted entropy
+    ///   - encryptionKey: Base64-encoded encryption key
+    ///   - backupPassphrase: Passphrase protecting the backup (at least 8 characters)
+    ///   - language: Optional mnemonic wordlist language the wallet was created with (default: "english")
+    ///   - accountLabels: Optional account labels to include
+    ///   - walletId: Optional wallet session id (default: "default")
+    /// - Returns: Backup document (JSON)
+    public func exportBackup(
+        encryptedEntropy: String,
+        encryptionKey: String,
+        backupPassphrase: String,
+        language: String? = nil,
+        accountLabels: [AccountLabel] = [],
+        walletId: String? = nil
+    ) async throws -> String {
+        return try await exportBackup(params: [
+            "encryptedEntropy": encryptedEntropy,
+            "encryptionKey": encryptionKey
+        ], backupPassphrase: backupPassphrase, language: language, accountLabels: accountLabels, walletId: walletId)
+    }
+    
+    /// Export a passphrase-encrypted backup of a wallet whose entropy is encrypted under a passphrase
+    /// - Parameters:
+    ///   - encryptedEntropy: Base64-encoded encrypted entropy
+    ///   - passphrase: Passphrase or PIN
+    ///   - backupPassphrase: Passphrase protecting the backup (at least 8 characters)
+    ///   - language: Optional mnemonic wordlist language the wallet was created with (default: "english")
+    ///   - accountLabels: Optional account labels to include
+    ///   - walletId: Optional wallet session id (default: "default")
+    /// - Returns: Backup document (JSON)
+    public func exportBackup(
+        encryptedEntropy: String,
+        passphrase: String,
+        backupPassphrase: String,
+        language: String? = nil,
+        accountLabels: [AccountLabel] = [],
+        walletId: String? = nil
+    ) async throws -> String {
+        return try await exportBackup(params: [
+            "encryptedEntropy": encryptedEntropy,
+            "passphrase": passphrase
+        ], backupPassphrase: backupPassphrase, language: language, accountLabels: accountLabels, walletId: walletId)
+    }
+    
+    private func exportBackup(
+        params: [String: Any],
+        backupPassphrase: String,
+        language: String?,
+        accountLabels: [AccountLabel],
+        walletId: String?
+    ) async throws -> String {
+        var params = params
+        params["backupPassphrase"] = backupPassphrase
+        params["accountLabels"] = accountLabels.map {
+            ["network": $0.network, "accountIndex": $0.accountIndex, "label": $0.label] as [String: Any]
+        }
+        
+        if let language = language {
+            params["language"] = language
+        }
+        
+        if let walletId = walletId {
+            params["walletId"] = walletId
+        }
+        
+        let result = try await call(method: "exportBackup", params: params)
+        
+        guard let backup = result["backup"] as? String else {
+            throw WDKError.invalidResponse("Invalid exportBackup response")
+        }
+        
+        return backup
+    }
+    
+    /// Restore a wallet from a backup
+    /// - Parameters:
+    ///   - backup: Backup document from exportBackup
+    ///   - backupPassphrase: Passphrase the backup was created with
+    ///   - bip39Passphrase: Optional BIP39 passphrase the wallet was created with
+    ///   - walletId: Optional wallet id to bind the secrets to
+    /// - Returns: Secrets encrypted with a new encryption key, config and account labels
+    public func importBackup(
+        backup: String,
+        backupPassphrase: String,
+        bip39Passphrase: String? = nil,
+        walletId: String? = nil
+    ) async throws -> RestoredBackup {
+        let params = importBackupParams(backup: backup, backupPassphrase: backupPassphrase, bip39Passphrase: bip39Passphrase, walletId: walletId)
+        
+        let result = try await call(method: "importBackup", params: params)
+        
+        guard result["encryptionKey"] is String else {
+            throw WDKError.invalidResponse("Invalid importBackup response")
+        }
+        
+        return try restoredBackup(from: result)
+    }
+    
+    /// Restore a wallet from a backup, encrypted under a passphrase
+    /// - Parameters:
+    ///   - backup: Backup document from exportBackup
+    ///   - backupPassphrase: Passphrase the backup was created with
+    ///   - passphrase: Passphrase or PIN (at least 4 characters)
+    ///   - bip39Passphrase: Optional BIP39 passphrase the wallet was created with
+    ///   - walletId: Optional wallet id to bind the secrets to
+    /// - Returns: Secrets encrypted under the passphrase (no encryption key), config and account labels
+    public func importBackup(
+        backup: String,
+        backupPassphrase: String,
+        passphrase: String,
+        bip39Passphrase: String? = nil,
+        walletId: String? = nil
+    ) async throws -> RestoredBackup {
+        var params = importBackupParams(backup: backup, backupPassphrase: backupPassphrase, bip39Passphrase: bip39Passphrase, walletId: walletId)
+        params["passphrase"] = passphrase
+        
+        let result = try await call(method: "importBackup", params: params)
+        
+        return try restoredBackup(from: result)
+    }
+    
+    private func importBackupParams(
+        backup: String,
+        backupPassphrase: String,
+        bip39Passphrase: String?,
+        walletId: String?
+    ) -> [String: Any] {
+        var params: [String: Any] = [
+            "backup": backup,
+            "backupPassphrase": backupPassphrase
+        ]
+        
+        if let bip39Passphrase = bip39Passphrase {
+            params["bip39Passphrase"] = bip39Passphrase
+        }
+        
+        if let walletId = walletId {
+            params["walletId"] = walletId
+        }
+        
+        return params
+    }
+    
+    /// Parse an importBackup result
+    private func restoredBackup(from result: [String: Any]) throws -> RestoredBackup {
+        guard let encryptedSeedBuffer = result["encryptedSeedBuffer"] as? String,
+              let encryptedEntropyBuffer = result["encryptedEntropyBuffer"] as? String,
+              let config = result["config"] as? String,
+              let labels = result["accountLabels"] as? [[String: Any]],
+              let language = result["language"] as? String,
+              let createdAt = result["createdAt"] as? String else {
+            throw WDKError.invalidResponse("Invalid importBackup response")
+        }
+        
+        let accountLabels = try labels.map { entry in
+            guard let network = entry["network"] as? String,
+                  let accountIndex = entry["accountIndex"] as? Int,
+                  let label = entry["label"] as? String else {
+                throw WDKError.invalidResponse("Invalid account label entry")
+            }
+            return AccountLabel(network: network, accountIndex: accountIndex, label: label)
+        }
+        
+        return RestoredBackup(
+            encryptionKey: result["encryptionKey"] as? String,
+            encryptedSeedBuffer: encryptedSeedBuffer,
+            encryptedEntropyBuffer: encryptedEntropyBuffer,
+            config: config,
+            accountLabels: accountLabels,
+            language: language,
+            createdAt: createdAt
+        )
+    }
+    
+    /// Parse a passphrase-mode secrets result
+    private func passphraseEncryptedSecrets(from result: [String: Any], method: String) throws -> PassphraseEncryptedSecrets {
+        guard let encryptedSeedBuffer = result["encryptedSeedBuffer"] as? String,
+              let encryptedEntropyBuffer = result["encryptedEntropyBuffer"] as? String else {
+            throw WDKError.invalidResponse("Invalid \(method) response")
+        }
+        
+        return PassphraseEncryptedSecrets(
+            encryptedSeedBuffer: encryptedSeedBuffer,
+            encryptedEntropyBuffer: encryptedEntropyBuffer
+        )
+    }
+    
+    /// Initialize a wallet session with encrypted seed
+    /// Re-initializing an existing walletId replaces only that session
     /// - Parameters:
     ///   - encryptionKey: Base64-encoded encryption key
     ///   - encryptedSeed: Base64-encoded encrypted seed
     ///   - config: WDK configuration JSON string
-    public func initializeWDK(encryptionKey: String, encryptedSeed: String, config: String) async throws {
-        _ = try await call(method: "initializeWDK", params: [
+    ///   - walletId: Optional wallet session id (default: "default")
+    /// - Returns: The wallet session id
+    @discardableResult
+    public func initializeWDK(
+        encryptionKey: String,
+        encryptedSeed: String,
+        config: String,
+        walletId: String? = nil
+    ) async throws -> String {
+        var params: [String: Any] = [
             "encryptionKey": encryptionKey,
             "encryptedSeed": encryptedSeed,
             "config": config
-        ])
+        ]
+        
+        if let walletId = walletId {
+            params["walletId"] = walletId
+        }
+        
+        let result = try await call(method: "initializeWDK", params: params)
+        
+        guard let initializedWalletId = result["walletId"] as? String else {
+            throw WDKError.invalidResponse("Invalid initializeWDK response")
+        }
+        
+        return initializedWalletId
+    }
+    
+    /// Initialize a wallet session with a seed encrypted under a passphrase
+    /// Re-initializing an existing walletId replaces only that session
+    /// - Parameters:
+    ///   - passphrase: Passphrase or PIN
+    ///   - encryptedSeed: Base64-encoded encrypted seed
+    ///   - config: WDK configuration JSON string
+    ///   - walletId: Optional wallet session id (default: "default")
+    /// - Returns: The wallet session id
+    @discardableResult
+    public func initializeWDK(
+        passphrase: String,
+        encryptedSeed: String,
+        config: String,
+        walletId: String? = nil
+    ) async throws -> String {
+        var params: [String: Any] = [
+            "passphrase": passphrase,
+            "encryptedSeed": encryptedSeed,
+            "config": config
+        ]
+        
+        if let walletId = walletId {
+            params["walletId"] = walletId
+        }
+        
+        let result = try await call(method: "initializeWDK", params: params)
+        
+        guard let initializedWalletId = result["walletId"] as? String else {
+            throw WDKError.invalidResponse("Invalid initializeWDK response")
+        }
+        
+        return initializedWalletId
+    }
+    
+    /// Lock a wallet session: its WDK instance is disposed and its seed wiped
+    /// Calls to the wallet fail with a `LOCKED` error until it is unlocked, and a
+    /// `locked` notification is sent to `notificationHandler`
+    /// - Parameter walletId: Optional wallet session id (default: "default")
+    public func lock(walletId: String? = nil) async throws {
+        var params: [String: Any] = [:]
+        
+        if let walletId = walletId {
+            params["walletId"] = walletId
+        }
+        
+        _ = try await call(method: "lock", params: params)
+    }
+    
+    /// Unlock a locked wallet session with the seed it was initialized with
+    /// - Parameters:
+    ///   - encryptionKey: Base64-encoded encryption key
+    ///   - encryptedSeed: Base64-encoded encrypted seed
+    ///   - walletId: Optional wallet session id (default: "default")
+    public func unlock(
+        encryptionKey: String,
+        encryptedSeed: String,
+        walletId: String? = nil
+    ) async throws {
+        try await unlock(
+            params: ["encryptionKey": encryptionKey, "encryptedSeed": encryptedSeed],
+            walletId: walletId
+        )
+    }
+    
+    /// Unlock a locked wallet session with a seed encrypted under a passphrase
+    /// - Parameters:
+    ///   - passphrase: Passphrase or PIN
+    ///   - encryptedSeed: Base64-encoded encrypted seed
+    ///   - walletId: Optional wallet session id (default: "default")
+    public func unlock(
+        passphrase: String,
+        encryptedSeed: String,
+        walletId: String? = nil
+    ) async throws {
+        try await unlock(
+            params: ["passphrase": passphrase, "encryptedSeed": encryptedSeed],
+            walletId: walletId
+        )
+    }
+    
+    private func unlock(params: [String: Any], walletId: String?) async throws {
+        var params = params
+        
+        if let walletId = walletId {
+            params["walletId"] = walletId
+        }
+        
+        _ = try await call(method: "unlock", params: params)
     }
     
     /// Call any method on a WDK account
@@ -232,15 +1227,22 @@ public class WDKClient {
     ///   - methodName: The method name to call (e.g., "getAddress", "getBalance")
     ///   - network: Network name (e.g., "ethereum", "polygon")
     ///   - accountIndex: Account index (default: 0)
-    ///   - args: Optional arguments as JSON string
+    ///   - args: Optional argument as JSON string, passed as the method's single argument
+    ///   - positional: Spread `args`, a JSON array, as positional arguments (default: false)
     ///   - options: Optional options as JSON string
-    /// - Returns: Result as Any (can be String, Number, Array, Dictionary, etc.)
+    ///   - timeoutMs: Optional deadline; the worklet fails the call with TIMEOUT when it passes
+    ///   - walletId: Optional wallet session id (default: "default")
+    /// - Returns: Result as Any (can be String, Number, Array, Dictionary, etc.);
+    ///   BigInt values are `WDKBigInt`, bytes are `Data` and dates are `Date`
     public func callMethod(
         methodName: String,
         network: String,
         accountIndex: Int = 0,
         args: String? = nil,
-        options: String? = nil
+        positional: Bool = false,
+        options: String? = nil,
+        timeoutMs: Int? = nil,
+        walletId: String? = nil
     ) async throws -> Any {
         var params: [String: Any] = [
             "methodName": methodName,
@@ -248,29 +1250,49 @@ public class WDKClient {
             "accountIndex": accountIndex
         ]
         
+        if let walletId = walletId {
+            params["walletId"] = walletId
+        }
+        
         if let args = args {
             params["args"] = args
         }
         
+        if positional {
+            params["positional"] = true
+        }
+        
         if let options = options {
             params["options"] = options
         }
         
+        if let timeoutMs = timeoutMs {
+            params["timeoutMs"] = timeoutMs
+        }
+        
         let result = try await call(method: "callMethod", params: params)
         
         guard let methodResult = result["result"] else {
             throw WDKError.invalidResponse("Invalid callMethod response")
         }
         
-        return methodResult
+        return try taggedResults ? WDKResultDecoder.decode(methodResult) : methodResult
     }
     
     /// Register additional wallet(s) to an already initialized WDK instance
-    /// - Parameter config: Wallet configuration JSON string
-    public func registerWallet(config: String) async throws -> [String] {
-        let result = try await call(method: "registerWallet", params: [
+    /// - Parameters:
+    ///   - config: Wallet configuration JSON string
+    ///   - walletId: Optional wallet session id (default: "default")
+    public func registerWallet(config: String, walletId: String? = nil) async throws -> [String] {
+        var params: [String: Any] = [
             "config": config
-        ])
+        ]
+        
+        if let walletId = walletId {
+            params["walletId"] = walletId
+        }
+        
+        let result = try await call(method: "registerWallet", params: params)
         
         guard let blockchainsString = result["blockchains"] as? String else {
             throw WDKError.invalidResponse("Invalid registerWallet response")
@@ -286,16 +1308,317 @@ public class WDKClient {
     }
     
     /// Register protocol to an already initialized WDK instance
-    /// - Parameter config: Protocol configuration JSON string
-    public func registerProtocol(config: String) async throws {
-        _ = try await call(method: "registerProtocol", params: [
+    /// - Parameters:
+    ///   - config: Protocol configuration JSON string
+    ///   - walletId: Optional wallet session id (default: "default")
+    public func registerProtocol(config: String, walletId: String? = nil) async throws {
+        var params: [String: Any] = [
             "config": config
+        ]
+        
+        if let walletId = walletId {
+            params["walletId"] = walletId
+        }
+        
+        _ = try await call(method: "registerProtocol", params: params)
+    }
+    
+    /// Subscribe to balance changes or a transaction confirmation
+    /// Updates arrive through `notificationHandler` as `subscription` notifications
+    /// - Parameters:
+    ///   - type: "balance" or "transaction"
+    ///   - network: Network name
+    ///   - accountIndex: Account index (default: 0)
+    ///   - hash: Transaction hash (required for "transaction")
+    ///   - token: Optional token address (for "balance")
+    ///   - intervalMs: Optional poll interval in milliseconds (min 1000)
+    ///   - walletId: Optional wallet session id (default: "default")
+    /// - Returns: Subscription id
+    public func subscribe(
+        type: String,
+        network: String,
+        accountIndex: Int = 0,
+        hash: String? = nil,
+        token: String? = nil,
+        intervalMs: Int? = nil,
+        walletId: String? = nil
+    ) async throws -> String {
+        var params: [String: Any] = [
+            "type": type,
+            "network": network,
+            "accountIndex": accountIndex
+        ]
+        
+        if let hash = hash {
+            params["hash"] = hash
+        }
+        
+        if let token = token {
+            params["token"] = token
+        }
+        
+        if let intervalMs = intervalMs {
+            params["intervalMs"] = intervalMs
+        }
+        
+        if let walletId = walletId {
+            params["walletId"] = walletId
+        }
+        
+        let result = try await call(method: "subscribe", params: params)
+        
+        guard let subscriptionId = result["subscriptionId"] as? String else {
+            throw WDKError.invalidResponse("Invalid subscribe response")
+        }
+        
+        return subscriptionId
+    }
+    
+    /// Cancel a subscription
+    /// - Parameter subscriptionId: Id returned by `subscribe`
+    /// - Returns: Whether the subscription existed
+    @discardableResult
+    public func unsubscribe(subscriptionId: String) async throws -> Bool {
+        let result = try await call(method: "unsubscribe", params: [
+            "subscriptionId": subscriptionId
         ])
+        
+        return result["unsubscribed"] as? Bool ?? false
+    }
+    
+    /// Report addresses, native balances and token balances across networks and accounts
+    /// Balances are fetched concurrently by the worklet; failures are listed per network
+    /// in `errors` (with nil values) instead of failing the call
+    /// - Parameters:
+    ///   - networks: Optional networks to cover (default: every registered network)
+    ///   - fromAccountIndex: First account index (default: 0)
+    ///   - accountCount: Consecutive accounts per network, 1-20 (default: 1)
+    ///   - tokens: Optional token symbols or addresses whose balances are fetched, keyed by network
+    ///     (default: the tokens registered in the config's `tokens` section)
+    ///   - concurrency: Optional maximum provider calls in flight, 1-16 (default: 4)
+    ///   - walletId: Optional wallet session id (default: "default")
+    /// - Returns: Portfolio report
+    public func getPortfolio(
+        networks: [String]? = nil,
+        fromAccountIndex: Int = 0,
+        accountCount: Int = 1,
+        tokens: [String: [String]]? = nil,
+        concurrency: Int? = nil,
+        walletId: String? = nil
+    ) async throws -> Portfolio {
+        var params: [String: Any] = [
+            "fromAccountIndex": fromAccountIndex,
+            "accountCount": accountCount
+        ]
+        
+        if let networks = networks {
+            params["networks"] = networks
+        }
+        
+        if let tokens = tokens {
+            params["tokens"] = tokens
+        }
+        
+        if let concurrency = concurrency {
+            params["concurrency"] = concurrency
+        }
+        
+        if let walletId = walletId {
+            params["walletId"] = walletId
+        }
+        
+        let response = try await call(method: "getPortfolio", params: params)
+        let result: Any = try taggedResults ? WDKResultDecoder.decode(response) : response
+        
+        guard let report = result as? [String: Any],
+              let reportWalletId = report["walletId"] as? String,
+              let reportNetworks = report["networks"] as? [[String: Any]] else {
+            throw WDKError.invalidResponse("Invalid getPortfolio response")
+        }
+        
+        return Portfolio(walletId: reportWalletId, networks: try reportNetworks.map(parsePortfolioNetwork))
+    }
+    
+    private func parsePortfolioNetwork(_ entry: [String: Any]) throws -> PortfolioNetwork {
+        guard let network = entry["network"] as? String,
+              let accounts = entry["accounts"] as? [[String: Any]],
+              let errors = entry["errors"] as? [[String: Any]] else {
+            throw WDKError.invalidResponse("Invalid portfolio network entry")
+        }
+        
+        return PortfolioNetwork(
+            network: network,
+            accounts: try accounts.map { account in
+                guard let accountIndex = account["accountIndex"] as? Int,
+                      let tokens = account["tokens"] as? [[String: Any]] else {
+                    throw WDKError.invalidResponse("Invalid portfolio account entry")
+                }
+                return PortfolioAccount(
+                    accountIndex: accountIndex,
+                    address: account["address"] as? String,
+                    balance: bigInt(from: account["balance"]),
+                    tokens: try tokens.map { token in
+                        guard let address = token["token"] as? String else {
+                            throw WDKError.invalidResponse("Invalid portfolio token entry")
+                        }
+                        return TokenBalance(
+                            token: address,
+                            symbol: token["symbol"] as? String,
+                            balance: bigInt(from: token["balance"]),
+                            formatted: token["formatted"] as? String
+                        )
+                    }
+                )
+            },
+            errors: try errors.map { error in
+                guard let code = error["code"] as? String,
+                      let message = error["message"] as? String else {
+                    throw WDKError.invalidResponse("Invalid portfolio error entry")
+                }
+                return PortfolioError(
+                    accountIndex: error["accountIndex"] as? Int,
+                    token: error["token"] as? String,
+                    code: code,
+                    message: message
+                )
+            }
+        )
+    }
+    
+    /// Get the balances of tokens registered in the config's `tokens` section
+    /// - Parameters:
+    ///   - network: Network name
+    ///   - accountIndex: Account index
+    ///   - tokens: Optional symbols or addresses (default: every token registered on the network)
+    ///   - walletId: Optional wallet session id (default: "default")
+    /// - Returns: Balances in base units and formatted with each token's decimals
+    public func getTokenBalances(
+        network: String,
+        accountIndex: Int = 0,
+        tokens: [String]? = nil,
+        walletId: String? = nil
+    ) async throws -> [RegisteredTokenBalance] {
+        var params: [String: Any] = [
+            "network": network,
+            "accountIndex": accountIndex
+        ]
+        
+        if let tokens = tokens {
+            params["tokens"] = tokens
+        }
+        
+        if let walletId = walletId {
+            params["walletId"] = walletId
+        }
+        
+        let response = try await call(method: "getTokenBalances", params: params)
+        let result: Any = try taggedResults ? WDKResultDecoder.decode(response) : response
+        
+        guard let balances = (result as? [String: Any])?["balances"] as? [[String: Any]] else {
+            throw WDKError.invalidResponse("Invalid getTokenBalances response")
+        }
+        
+        return try balances.map { entry in
+            guard let symbol = entry["symbol"] as? String,
+                  let address = entry["address"] as? String,
+                  let decimals = entry["decimals"] as? Int,
+                  let balance = tokenAmount(from: entry["balance"]) else {
+                throw WDKError.invalidResponse("Invalid token balance entry")
+            }
+            return RegisteredTokenBalance(symbol: symbol, address: address, decimals: decimals, balance: balance)
+        }
+    }
+    
+    /// Transfer a token registered in the config's `tokens` section
+    /// The amount is converted to base units by the worklet; amounts with more
+    /// decimal places than the token has are rejected instead of rounded
+    /// - Parameters:
+    ///   - network: Network name
+    ///   - accountIndex: Account index
+    ///   - token: Symbol or address of a registered token
+    ///   - recipient: Recipient address
+    ///   - amount: Amount in token units as a decimal string, e.g. "12.5"
+    ///   - walletId: Optional wallet session id (default: "default")
+    /// - Returns: Transaction hash, fee and the amount sent
+    public func transferToken(
+        network: String,
+        accountIndex: Int = 0,
+        token: String,
+        recipient: String,
+        amount: String,
+        walletId: String? = nil
+    ) async throws -> TokenTransferResult {
+        var params: [String: Any] = [
+            "network": network,
+            "accountIndex": accountIndex,
+            "token": token,
+            "recipient": recipient,
+            "amount": amount
+        ]
+        
+        if let walletId = walletId {
+            params["walletId"] = walletId
+        }
+        
+        let response = try await call(method: "transferToken", params: params)
+        let result: Any = try taggedResults ? WDKResultDecoder.decode(response) : response
+        
+        guard let transfer = result as? [String: Any],
+              let hash = transfer["hash"] as? String,
+              let symbol = transfer["symbol"] as? String,
+              let address = transfer["address"] as? String,
+              let decimals = transfer["decimals"] as? Int,
+              let sent = tokenAmount(from: transfer["amount"]) else {
+            throw WDKError.invalidResponse("Invalid transferToken response")
+        }
+        
+        return TokenTransferResult(
+            hash: hash,
+            fee: bigInt(from: transfer["fee"]),
+            symbol: symbol,
+            address: address,
+            decimals: decimals,
+            amount: sent
+        )
     }
     
-    /// Dispose the WDK instance and clean up resources
-    public func dispose() async throws {
-        _ = try await call(method: "dispose", params: [:])
+    /// List the initialized wallet sessions
+    /// - Returns: Wallet sessions with their registered networks and lock state
+    public func listWallets() async throws -> [WalletInfo] {
+        let result = try await call(method: "listWallets", params: [:])
+        
+        guard let wallets = result["wallets"] as? [[String: Any]] else {
+            throw WDKError.invalidResponse("Invalid listWallets response")
+        }
+        
+        return try wallets.map { wallet in
+            guard let walletId = wallet["walletId"] as? String,
+                  let networks = wallet["networks"] as? [String],
+                  let locked = wallet["locked"] as? Bool else {
+                throw WDKError.invalidResponse("Invalid wallet entry")
+            }
+            return WalletInfo(walletId: walletId, networks: networks, locked: locked)
+        }
+    }
+    
+    /// Dispose a wallet session and clean up its resources
+    /// - Parameter walletId: Wallet session to dispose; every session is disposed when nil
+    public func dispose(walletId: String? = nil) async throws {
+        var params: [String: Any] = [:]
+        
+        if let walletId = walletId {
+            params["walletId"] = walletId
+        }
+        
+        _ = try await call(method: "dispose", params: params)
+    }
+    
+    /// Get the worklet's OpenRPC document (`rpc.discover`)
+    /// Lists every method with its params and result schemas, e.g. to check
+    /// that this client matches the bundled worklet
+    /// - Returns: OpenRPC document
+    public func discover() async throws -> [String: Any] {
+        return try await call(method: "rpc.discover", params: [:])
     }
     
     // MARK: - Convenience Methods
@@ -323,18 +1646,37 @@ public class WDKClient {
     /// - Parameters:
     ///   - network: Network name
     ///   - accountIndex: Account index
-    /// - Returns: Balance as string
-    public func getBalance(network: String, accountIndex: Int = 0) async throws -> String {
+    /// - Returns: Balance in base units (e.g. wei)
+    public func getBalance(network: String, accountIndex: Int = 0) async throws -> WDKBigInt {
         let result = try await callMethod(
             methodName: "getBalance",
             network: network,
             accountIndex: accountIndex
         )
         
-        guard let balance = result as? String else {
+        guard let balance = bigInt(from: result) else {
             throw WDKError.invalidResponse("Invalid balance format")
         }
         
         return balance
     }
+    
+    /// Read a BigInt result value: `WDKBigInt` with tagged results,
+    /// a decimal string from worklets without them
+    private func bigInt(from value: Any?) -> WDKBigInt? {
+        if let value = value as? WDKBigInt {
+            return value
+        }
+        return (value as? String).flatMap { WDKBigInt($0) }
+    }
+    
+    /// Read a `{ raw, formatted }` token amount
+    private func tokenAmount(from value: Any?) -> TokenAmount? {
+        guard let amount = value as? [String: Any],
+              let raw = bigInt(from: amount["raw"]),
+              let formatted = amount["formatted"] as? String else {
+            return nil
+        }
+        return TokenAmount(raw: raw, formatted: formatted)
+    }
 }
@@ -0,0 +1,107 @@
+import Foundation
+
+/// Decodes results sent with the tagged result encoding
+/// `WDKClient` negotiates it in `workletStart` and decodes `callMethod` results
+/// and subscription updates with it:
+///
+/// - `{ "$bigint": "10" }` -> `WDKBigInt`
+/// - `{ "$hex": "0102" }` or `{ "$base64": "AQI=" }` -> `Data`
+/// - `{ "$date": "1970-01-01T00:00:00.000Z" }` -> `Date`
+/// - `{ "$object": { ... } }` -> the wrapped dictionary (its keys are not tags)
+///
+/// Other values are returned as decoded by `JSONSerialization`.
+public enum WDKResultDecoder {
+    private static let tags: Set<String> = ["$bigint", "$hex", "$base64", "$date", "$object"]
+    
+    private static let dateFormatter: ISO8601DateFormatter = {
+        let formatter = ISO8601DateFormatter()
+        formatter.formatOptions = [.withInternetDateTime, .withFractionalSeconds]
+        return formatter
+    }()
+    
+    /// Decode a tagged value
+    /// - Parameter value: Value decoded by `JSONSerialization`
+    /// - Returns: Value with `WDKBigInt`, `Data` and `Date` restored
+    public static func decode(_ value: Any) throws -> Any {
+        if let array = value as? [Any] {
+            return try array.map { try decode($0) }
+        }
+        
+        guard let dictionary = value as? [String: Any] else {
+            return value
+        }
+        
+        if dictionary.count == 1, let entry = dictionary.first, tags.contains(entry.key) {
+            return try decode(tag: entry.key, payload: entry.value)
+        }
+        
+        return try dictionary.mapValues { try decode($0) }
+    }
+    
+    private static func decode(tag: String, payload: Any) throws -> Any {
+        if tag == "$object" {
+            guard let object = payload as? [String: Any] else {
+                throw WDKError.invalidResponse("Invalid $object value")
+            }
+            return try object.mapValues { try decode($0) }
+        }
+        
+        guard let string = payload as? String else {
+            throw WDKError.invalidResponse("Invalid \(tag) value")
+        }
+        
+        switch tag {
+        case "$bigint":
+            guard let value = WDKBigInt(string) else {
+                throw WDKError.invalidResponse("Invalid $bigint value")
+            }
+            return value
+        case "$hex":
+            guard let data = dataFromHex(string) else {
+                throw WDKError.invalidResponse("Invalid $hex value")
+            }
+            return data
+        case "$base64":
+            guard let data = Data(base64Encoded: string) else {
+                throw WDKError.invalidResponse("Invalid $base64 value")
+            }
+            return data
+        default:
+            guard let date = dateFormatter.date(from: string) else {
+                throw WDKError.invalidResponse("Invalid $date value")
+            }
+            return date
+        }
+    }
+    
+    private static func dataFromHex(_ hex: String) -> Data? {
+        let digits = Array(hex.utf8)
+        guard digits.count % 2 == 0 else {
+            return nil
+        }
+        
+        var data = Data(capacity: digits.count / 2)
+        var index = 0
+        while index < digits.count {
+            guard let high = hexValue(digits[index]), let low = hexValue(digits[index + 1]) else {
+                return nil
+            }
+            data.append(high << 4 | low)
+            index += 2
+        }
+        return data
+    }
+    
+    private static func hexValue(_ digit: UInt8) -> UInt8? {
+        switch digit {
+        case UInt8(ascii: "0")...UInt8(ascii: "9"):
+            return digit - UInt8(ascii: "0")
+        case UInt8(ascii: "a")...UInt8(ascii: "f"):
+            return digit - UInt8(ascii: "a") + 10
+        case UInt8(ascii: "A")...UInt8(ascii: "F"):
+            return digit - UInt8(ascii: "A") + 10
+        default:
+            return nil
+        }
+    }
+}
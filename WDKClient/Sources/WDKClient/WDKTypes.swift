@@ -28,6 +28,244 @@ public struct SeedAndEntropyResult {
     }
 }
 
+/// Seed and entropy encrypted under a passphrase or PIN
+/// No encryption key is returned: the passphrase (with the salt and KDF
+/// parameters stored in each blob) is all that is needed to decrypt
+public struct PassphraseEncryptedSecrets {
+    public let encryptedSeedBuffer: String
+    public let encryptedEntropyBuffer: String
+    
+    public init(encryptedSeedBuffer: String, encryptedEntropyBuffer: String) {
+        self.encryptedSeedBuffer = encryptedSeedBuffer
+        self.encryptedEntropyBuffer = encryptedEntropyBuffer
+    }
+}
+
+/// Backup challenge returned by createBackupChallenge
+public struct BackupChallenge {
+    public let challengeId: String
+    /// Zero-based positions of the words to ask for
+    public let wordIndexes: [Int]
+    public let expiresAt: Date
+    
+    public init(challengeId: String, wordIndexes: [Int], expiresAt: Date) {
+        self.challengeId = challengeId
+        self.wordIndexes = wordIndexes
+        self.expiresAt = expiresAt
+    }
+}
+
+/// Outcome of verifyBackupChallenge
+public struct BackupChallengeResult {
+    public let verified: Bool
+    /// Zero-based positions of the words that didn't match
+    public let incorrectWordIndexes: [Int]
+    /// Attempts left before the challenge is discarded
+    public let attemptsLeft: Int
+    
+    public init(verified: Bool, incorrectWordIndexes: [Int], attemptsLeft: Int) {
+        self.verified = verified
+        self.incorrectWordIndexes = incorrectWordIndexes
+        self.attemptsLeft = attemptsLeft
+    }
+}
+
+/// SLIP-39 group for splitSeedShares: `threshold` of its `count` shares are needed
+/// A threshold of 1 requires a count of 1
+public struct SeedShareGroup {
+    public let threshold: Int
+    public let count: Int
+    
+    public init(threshold: Int, count: Int) {
+        self.threshold = threshold
+        self.count = count
+    }
+}
+
+/// Label the host app shows for an account, kept in wallet backups
+public struct AccountLabel {
+    public let network: String
+    public let accountIndex: Int
+    /// 1 to 64 characters
+    public let label: String
+    
+    public init(network: String, accountIndex: Int, label: String) {
+        self.network = network
+        self.accountIndex = accountIndex
+        self.label = label
+    }
+}
+
+/// Wallet restored by importBackup
+/// encryptionKey is nil when the secrets were encrypted under a passphrase
+public struct RestoredBackup {
+    public let encryptionKey: String?
+    public let encryptedSeedBuffer: String
+    public let encryptedEntropyBuffer: String
+    /// Config JSON string to pass to initializeWDK
+    public let config: String
+    public let accountLabels: [AccountLabel]
+    /// Mnemonic wordlist language the wallet was created with
+    public let language: String
+    /// When the backup was created (ISO 8601)
+    public let createdAt: String
+    
+    public init(
+        encryptionKey: String?,
+        encryptedSeedBuffer: String,
+        encryptedEntropyBuffer: String,
+        config: String,
+        accountLabels: [AccountLabel],
+        language: String,
+        createdAt: String
+    ) {
+        self.encryptionKey = encryptionKey
+        self.encryptedSeedBuffer = encryptedSeedBuffer
+        self.encryptedEntropyBuffer = encryptedEntropyBuffer
+        self.config = config
+        self.accountLabels = accountLabels
+        self.language = language
+        self.createdAt = createdAt
+    }
+}
+
+/// Wallet session returned by listWallets
+public struct WalletInfo {
+    public let walletId: String
+    public let networks: [String]
+    /// Whether the wallet is locked (see `lock` / `unlock`)
+    public let locked: Bool
+    
+    public init(walletId: String, networks: [String], locked: Bool) {
+        self.walletId = walletId
+        self.networks = networks
+        self.locked = locked
+    }
+}
+
+/// Report returned by getPortfolio
+public struct Portfolio {
+    public let walletId: String
+    public let networks: [PortfolioNetwork]
+    
+    public init(walletId: String, networks: [PortfolioNetwork]) {
+        self.walletId = walletId
+        self.networks = networks
+    }
+}
+
+/// Accounts of one network in a portfolio, with what failed to load
+public struct PortfolioNetwork {
+    public let network: String
+    public let accounts: [PortfolioAccount]
+    /// Failures in this network; the affected values are nil
+    public let errors: [PortfolioError]
+    
+    public init(network: String, accounts: [PortfolioAccount], errors: [PortfolioError]) {
+        self.network = network
+        self.accounts = accounts
+        self.errors = errors
+    }
+}
+
+/// Address and balances of one account (nil where fetching failed)
+public struct PortfolioAccount {
+    public let accountIndex: Int
+    public let address: String?
+    /// Native balance in base units
+    public let balance: WDKBigInt?
+    public let tokens: [TokenBalance]
+    
+    public init(accountIndex: Int, address: String?, balance: WDKBigInt?, tokens: [TokenBalance]) {
+        self.accountIndex = accountIndex
+        self.address = address
+        self.balance = balance
+        self.tokens = tokens
+    }
+}
+
+/// Balance of one token in base units (nil if fetching it failed)
+public struct TokenBalance {
+    public let token: String
+    /// Symbol of a registered token, nil for unregistered addresses
+    public let symbol: String?
+    public let balance: WDKBigInt?
+    /// Balance formatted with the registered token's decimals (e.g. "2.5")
+    public let formatted: String?
+    
+    public init(token: String, symbol: String? = nil, balance: WDKBigInt?, formatted: String? = nil) {
+        self.token = token
+        self.symbol = symbol
+        self.balance = balance
+        self.formatted = formatted
+    }
+}
+
+/// Failure entry of a portfolio network
+public struct PortfolioError {
+    /// Failed account, or nil when the failure concerns the whole network
+    public let accountIndex: Int?
+    /// Failed token balance, or nil for the account or its native balance
+    public let token: String?
+    public let code: String
+    public let message: String
+    
+    public init(accountIndex: Int?, token: String?, code: String, message: String) {
+        self.accountIndex = accountIndex
+        self.token = token
+        self.code = code
+        self.message = message
+    }
+}
+
+/// Token amount in base units and formatted with the token's decimals
+public struct TokenAmount {
+    public let raw: WDKBigInt
+    /// Decimal string without trailing zeros, e.g. "12.5"
+    public let formatted: String
+    
+    public init(raw: WDKBigInt, formatted: String) {
+        self.raw = raw
+        self.formatted = formatted
+    }
+}
+
+/// Balance of a registered token returned by getTokenBalances
+public struct RegisteredTokenBalance {
+    public let symbol: String
+    /// Contract address (EVM) or mint (Solana)
+    public let address: String
+    public let decimals: Int
+    public let balance: TokenAmount
+    
+    public init(symbol: String, address: String, decimals: Int, balance: TokenAmount) {
+        self.symbol = symbol
+        self.address = address
+        self.decimals = decimals
+        self.balance = balance
+    }
+}
+
+/// Result of transferToken
+public struct TokenTransferResult {
+    public let hash: String
+    /// Fee in the network's native base units, if reported
+    public let fee: WDKBigInt?
+    public let symbol: String
+    public let address: String
+    public let decimals: Int
+    public let amount: TokenAmount
+    
+    public init(hash: String, fee: WDKBigInt?, symbol: String, address: String, decimals: Int, amount: TokenAmount) {
+        self.hash = hash
+        self.fee = fee
+        self.symbol = symbol
+        self.address = address
+        self.decimals = decimals
+        self.amount = amount
+    }
+}
+
 /// Configuration for WDK initialization
 public struct WDKConfig: Codable {
     public let networks: [String: NetworkConfig]
@@ -76,6 +314,36 @@ public struct WDKConfig: Codable {
     }
 }
 
+/// Arbitrary-precision integer from a tagged result (`{ "$bigint": "..." }`)
+/// Kept as its decimal digits so no precision is lost, e.g. for balances in base units
+public struct WDKBigInt: Hashable, CustomStringConvertible {
+    /// Decimal digits, with a leading "-" for negative values
+    public let decimalString: String
+    
+    /// Create from decimal digits (no leading zeros, optional leading "-")
+    /// Returns nil if the string is not a decimal integer
+    public init?(_ decimalString: String) {
+        guard decimalString.range(of: "^-?(0|[1-9][0-9]*)$", options: .regularExpression) != nil else {
+            return nil
+        }
+        self.decimalString = decimalString
+    }
+    
+    public var description: String {
+        return decimalString
+    }
+    
+    /// Value as Decimal (exact up to 38 significant digits)
+    public var decimalValue: Decimal? {
+        return Decimal(string: decimalString)
+    }
+    
+    /// Value as UInt64, or nil if it is negative or does not fit
+    public var uint64Value: UInt64? {
+        return UInt64(decimalString)
+    }
+}
+
 /// Helper for encoding Any values in Codable types
 public struct AnyCodable: Codable {
     public let value: Any
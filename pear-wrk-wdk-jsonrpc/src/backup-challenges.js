@@ -0,0 +1,184 @@
+// External dependencies
+const crypto = require('bare-crypto')
+
+// Internal dependencies
+const ERROR_CODES = require('./exceptions/error-codes')
+const { createErrorWithCode } = require('./exceptions/rpc-exception')
+
+/**
+ * How long a backup challenge can be answered
+ */
+const CHALLENGE_TTL_MS = 10 * 60 * 1000
+
+/**
+ * Wrong answers allowed before a challenge is discarded
+ */
+const MAX_ATTEMPTS = 3
+
+/**
+ * Pending challenges allowed across all wallets
+ */
+const MAX_CHALLENGES = 20
+
+/**
+ * Normalize a mnemonic word for comparison
+ * @param {string} word - Word as typed by the user
+ * @returns {string} NFKD-normalized, trimmed, lower-case word
+ */
+const normalizeWord = (word) => word.normalize('NFKD').trim().toLowerCase()
+
+/**
+ * Digest a word with the challenge's random key
+ */
+const digestWord = (key, word) => crypto.createHash('sha256').update(key).update(normalizeWord(word)).digest()
+
+/**
+ * Compare two digests in constant time
+ */
+const digestsEqual = (a, b) => {
+  let diff = a.length ^ b.length
+  for (let i = 0; i < Math.min(a.length, b.length); i++) {
+    diff |= a[i] ^ b[i]
+  }
+  return diff === 0
+}
+
+/**
+ * Pick distinct random word indexes, in ascending order
+ * @param {number} wordCount - Number of words in the mnemonic
+ * @param {number} count - Number of indexes to pick
+ * @returns {number[]} Zero-based word indexes
+ */
+const pickWordIndexes = (wordCount, count) => {
+  const indexes = [...Array(wordCount).keys()]
+  // Partial Fisher-Yates shuffle
+  for (let i = 0; i < count; i++) {
+    const j = i + (crypto.randomBytes(4).readUInt32BE(0) % (wordCount - i))
+    ;[indexes[i], indexes[j]] = [indexes[j], indexes[i]]
+  }
+  return indexes.slice(0, count).sort((a, b) => a - b)
+}
+
+/**
+ * Create a store of "confirm words 3, 7 and 11" backup challenges
+ *
+ * Only keyed digests of the expected words are kept, never the words themselves.
+ * Challenges are single-use: they are discarded once verified, after MAX_ATTEMPTS
+ * wrong answers, or when they expire. Each belongs to a wallet id and can only be
+ * answered or cleared for that wallet.
+ *
+ * @returns {Object} Backup challenge store
+ */
+function createBackupChallengeStore () {
+  // walletId -> challengeId -> challenge
+  const wallets = new Map()
+  let size = 0
+
+  const remove = (walletId, challengeId) => {
+    const challenges = wallets.get(walletId)
+    if (challenges?.delete(challengeId)) {
+      size--
+      if (challenges.size === 0) {
+        wallets.delete(walletId)
+      }
+    }
+  }
+
+  const removeExpired = () => {
+    const now = Date.now()
+    for (const [walletId, challenges] of [...wallets]) {
+      for (const [challengeId, challenge] of [...challenges]) {
+        if (challenge.expiresAt <= now) {
+          remove(walletId, challengeId)
+        }
+      }
+    }
+  }
+
+  return {
+    /**
+     * Create a challenge for some words of a mnemonic
+     * @param {string} walletId - Wallet the challenge belongs to
+     * @param {string[]} words - Mnemonic words
+     * @param {number} count - Number of words to ask for
+     * @returns {{ challengeId: string, wordIndexes: number[], expiresAt: number }} Challenge
+     * @throws {Error} With BAD_REQUEST code if too many challenges are pending
+     */
+    create (walletId, words, count) {
+      removeExpired()
+      if (size >= MAX_CHALLENGES) {
+        throw createErrorWithCode(`Too many pending backup challenges (max ${MAX_CHALLENGES})`, ERROR_CODES.BAD_REQUEST)
+      }
+
+      const key = crypto.randomBytes(32)
+      const wordIndexes = pickWordIndexes(words.length, count)
+      const challenge = {
+        id: crypto.randomBytes(8).toString('hex'),
+        key,
+        wordIndexes,
+        digests: wordIndexes.map((index) => digestWord(key, words[index])),
+        attemptsLeft: MAX_ATTEMPTS,
+        expiresAt: Date.now() + CHALLENGE_TTL_MS
+      }
+      if (!wallets.has(walletId)) {
+        wallets.set(walletId, new Map())
+      }
+      wallets.get(walletId).set(challenge.id, challenge)
+      size++
+
+      return { challengeId: challenge.id, wordIndexes, expiresAt: challenge.expiresAt }
+    },
+
+    /**
+     * Check the answers to a challenge
+     * @param {string} walletId - Wallet the challenge belongs to
+     * @param {string} challengeId - Challenge id
+     * @param {string[]} words - Words at the challenge's wordIndexes, in the same order
+     * @returns {{ verified: boolean, incorrectWordIndexes: number[], attemptsLeft: number }} Outcome
+     * @throws {Error} With BAD_REQUEST code if the wallet has no such challenge (or it expired),
+     *   or for a wrong number of words
+     */
+    verify (walletId, challengeId, words) {
+      removeExpired()
+      const challenge = wallets.get(walletId)?.get(challengeId)
+      if (!challenge) {
+        throw createErrorWithCode('Backup challenge not found or expired', ERROR_CODES.BAD_REQUEST)
+      }
+      if (words.length !== challenge.wordIndexes.length) {
+        throw createErrorWithCode(`words must contain ${challenge.wordIndexes.length} entries`, ERROR_CODES.BAD_REQUEST)
+      }
+
+      const incorrectWordIndexes = challenge.wordIndexes.filter((wordIndex, i) =>
+        !digestsEqual(digestWord(challenge.key, words[i]), challenge.digests[i]))
+      const verified = incorrectWordIndexes.length === 0
+
+      challenge.attemptsLeft = verified ? 0 : challenge.attemptsLeft - 1
+      if (challenge.attemptsLeft === 0) {
+        remove(walletId, challengeId)
+      }
+
+      return { verified, incorrectWordIndexes, attemptsLeft: challenge.attemptsLeft }
+    },
+
+    /**
+     * Discard all challenges, or only those of one wallet
+     * @param {string} [walletId] - Wallet id
+     */
+    clear (walletId) {
+      for (const id of walletId === undefined ? [...wallets.keys()] : [walletId]) {
+        size -= wallets.get(id)?.size ?? 0
+        wallets.delete(id)
+      }
+    },
+
+    get size () {
+      return size
+    }
+  }
+}
+
+module.exports = {
+  CHALLENGE_TTL_MS,
+  MAX_ATTEMPTS,
+  createBackupChallengeStore
+}
@@ -5,9 +5,16 @@
  */
 const ERROR_CODES = {
   UNKNOWN: 'UNKNOWN',
+  PARSE_ERROR: 'PARSE_ERROR',
+  INVALID_REQUEST: 'INVALID_REQUEST',
+  METHOD_NOT_FOUND: 'METHOD_NOT_FOUND',
   ACCOUNT_BALANCES: 'ACCOUNT_BALANCES',
   WDK_MANAGER_INIT: 'WDK_MANAGER_INIT',
-  BAD_REQUEST: 'BAD_REQUEST'
+  BAD_REQUEST: 'BAD_REQUEST',
+  METHOD_NOT_ALLOWED: 'METHOD_NOT_ALLOWED',
+  TIMEOUT: 'TIMEOUT',
+  CANCELLED: 'CANCELLED',
+  LOCKED: 'LOCKED'
 }
 
 module.exports = ERROR_CODES
@@ -0,0 +1,53 @@
+const ERROR_CODES = require('./error-codes')
+
+/**
+ * Enumeration for JSON-RPC 2.0 error codes
+ * -32700 to -32600 are defined by the spec, -32000 to -32099 are reserved
+ * for implementation-defined server errors (wallet errors)
+ *
+ * @enum {number}
+ */
+const JSONRPC_ERROR_CODES = {
+  PARSE_ERROR: -32700,
+  INVALID_REQUEST: -32600,
+  METHOD_NOT_FOUND: -32601,
+  INVALID_PARAMS: -32602,
+  INTERNAL_ERROR: -32603,
+  WDK_MANAGER_INIT: -32001,
+  ACCOUNT_BALANCES: -32002,
+  METHOD_NOT_ALLOWED: -32003,
+  TIMEOUT: -32004,
+  CANCELLED: -32005,
+  LOCKED: -32006
+}
+
+/**
+ * Maps domain error codes (sent as error.data.code) to JSON-RPC error codes
+ */
+const JSONRPC_CODE_BY_ERROR_CODE = {
+  [ERROR_CODES.PARSE_ERROR]: JSONRPC_ERROR_CODES.PARSE_ERROR,
+  [ERROR_CODES.INVALID_REQUEST]: JSONRPC_ERROR_CODES.INVALID_REQUEST,
+  [ERROR_CODES.METHOD_NOT_FOUND]: JSONRPC_ERROR_CODES.METHOD_NOT_FOUND,
+  [ERROR_CODES.BAD_REQUEST]: JSONRPC_ERROR_CODES.INVALID_PARAMS,
+  [ERROR_CODES.UNKNOWN]: JSONRPC_ERROR_CODES.INTERNAL_ERROR,
+  [ERROR_CODES.WDK_MANAGER_INIT]: JSONRPC_ERROR_CODES.WDK_MANAGER_INIT,
+  [ERROR_CODES.ACCOUNT_BALANCES]: JSONRPC_ERROR_CODES.ACCOUNT_BALANCES,
+  [ERROR_CODES.METHOD_NOT_ALLOWED]: JSONRPC_ERROR_CODES.METHOD_NOT_ALLOWED,
+  [ERROR_CODES.TIMEOUT]: JSONRPC_ERROR_CODES.TIMEOUT,
+  [ERROR_CODES.CANCELLED]: JSONRPC_ERROR_CODES.CANCELLED,
+  [ERROR_CODES.LOCKED]: JSONRPC_ERROR_CODES.LOCKED
+}
+
+/**
+ * Get the JSON-RPC error code for a domain error code
+ * @param {ERROR_CODES} code - Domain error code
+ * @returns {JSONRPC_ERROR_CODES} JSON-RPC error code (internal error if unmapped)
+ */
+function toJsonRpcCode (code) {
+  return JSONRPC_CODE_BY_ERROR_CODE[code] ?? JSONRPC_ERROR_CODES.INTERNAL_ERROR
+}
+
+module.exports = {
+  JSONRPC_ERROR_CODES,
+  toJsonRpcCode
+}
@@ -1,4 +1,5 @@
 const ERROR_CODES = require('./error-codes')
+const { toJsonRpcCode } = require('./jsonrpc-error-codes')
 const { safeStringify } = require('../utils/safe-stringify')
 
 /**
@@ -13,8 +14,28 @@ const { safeStringify } = require('../utils/safe-stringify')
  * @property {ERROR_CODES} code - Error code
  * @property {string} message - Error message
  * @property {string} error - Original exception converted to string
+ * @property {Object} [data] - Additional structured details from the original error
  */
 
+/**
+ * @typedef {Object} jsonRpcError
+ * @property {number} code - JSON-RPC error code
+ * @property {string} message - Error message
+ * @property {Object} data - Details, with the domain error code in data.code
+ */
+
+/**
+ * Create an error with a specific error code
+ * @param {string} message - Error message
+ * @param {string} code - Error code
+ * @returns {Error} Error object with code property
+ */
+const createErrorWithCode = (message, code) => {
+  const error = new Error(message)
+  error.code = code
+  return error
+}
+
 /**
  * Check if we're in development mode
  * @returns {boolean} True if in development mode
@@ -77,7 +98,10 @@ function rpcException (payload) {
 function createStructuredError (error, code, message) {
   // Infer error code from error type if not provided
   if (!code) {
-    if (error instanceof TypeError) {
+    if (error && error.code && Object.values(ERROR_CODES).includes(error.code)) {
+      // Preserve codes set by handlers (e.g. via createErrorWithCode)
+      code = error.code
+    } else if (error instanceof TypeError) {
       code = ERROR_CODES.BAD_REQUEST
     } else if (error.message && error.message.includes('WDK')) {
       code = ERROR_CODES.WDK_MANAGER_INIT
@@ -88,16 +112,41 @@ function createStructuredError (error, code, message) {
     }
   }
 
-  return {
+  const structuredError = {
     code,
     message: message || (error instanceof Error ? error.message : String(error)),
     error: stringifyError(error)
   }
+  if (error && error.data && typeof error.data === 'object') {
+    structuredError.data = error.data
+  }
+  return structuredError
+}
+
+/**
+ * Create the `error` member of a JSON-RPC response
+ * The domain error code (e.g. BAD_REQUEST) is kept in data.code
+ * @param {Error|any} error - Error thrown while handling a request
+ *   (errors from withErrorHandling carry their structured error in error.structured)
+ * @returns {jsonRpcError} JSON-RPC error object
+ */
+function createJsonRpcError (error) {
+  const structuredError = error && error.structured
+    ? error.structured
+    : createStructuredError(error)
+
+  return {
+    code: toJsonRpcCode(structuredError.code),
+    message: structuredError.message,
+    data: { ...structuredError.data, code: structuredError.code }
+  }
 }
 
 module.exports = {
   rpcException,
   stringifyError,
   createStructuredError,
+  createJsonRpcError,
+  createErrorWithCode,
   isDevelopmentMode
 }
@@ -0,0 +1,221 @@
+/**
+ * Method policy - declarative allowlist for methods reachable through callMethod
+ *
+ * Every method the host can invoke on an account (or on a protocol attached to
+ * an account) must be listed with an access level. Anything not listed is rejected.
+ */
+
+/**
+ * Access levels for allowlisted methods
+ *
+ * @enum {string}
+ */
+const METHOD_ACCESS = {
+  READ: 'read',
+  SIGN: 'sign',
+  DENY: 'deny'
+}
+
+const { READ, SIGN, DENY } = METHOD_ACCESS
+
+/**
+ * Methods that can never be allowlisted, even through config
+ * They either tear down the account or expose internals
+ */
+const RESERVED_METHODS = new Set([
+  'constructor',
+  'dispose',
+  'toReadOnlyAccount',
+  'getSwapProtocol',
+  'getBridgeProtocol',
+  'getLendingProtocol',
+  'getFiatProtocol'
+])
+
+/**
+ * Default account methods, applied to every network unless overridden
+ */
+const DEFAULT_ACCOUNT_METHODS = {
+  getAddress: READ,
+  getBalance: READ,
+  getTokenBalance: READ,
+  getPaymasterTokenBalance: READ,
+  getTransactionReceipt: READ,
+  quoteSendTransaction: READ,
+  quoteTransfer: READ,
+  verify: READ,
+  sign: SIGN,
+  sendTransaction: SIGN,
+  transfer: SIGN,
+  approve: SIGN
+}
+
+/**
+ * Default protocol methods, keyed by protocol type
+ */
+const DEFAULT_PROTOCOL_METHODS = {
+  swap: {
+    quoteSwap: READ,
+    swap: SIGN
+  },
+  bridge: {
+    quoteBridge: READ,
+    bridge: SIGN
+  },
+  lending: {
+    quoteSupply: READ,
+    quoteWithdraw: READ,
+    quoteBorrow: READ,
+    quoteRepay: READ,
+    supply: SIGN,
+    withdraw: SIGN,
+    borrow: SIGN,
+    repay: SIGN
+  },
+  fiat: {
+    quoteBuy: READ,
+    quoteSell: READ,
+    getTransactionDetail: READ,
+    getSupportedCryptoAssets: READ,
+    getSupportedFiatCurrencies: READ,
+    getSupportedCountries: READ,
+    buy: SIGN,
+    sell: SIGN
+  }
+}
+
+/**
+ * Wildcard key for policy entries that apply to every network
+ */
+const ANY_NETWORK = '*'
+
+/**
+ * Validate a method -> access map from config
+ * @param {any} methods - Map to validate
+ * @param {string} fieldName - Name of the field for error messages
+ * @throws {Error} If validation fails
+ */
+function validateMethodMap (methods, fieldName) {
+  if (!methods || typeof methods !== 'object' || Array.isArray(methods)) {
+    throw new Error(`${fieldName} must be an object mapping method names to access levels`)
+  }
+
+  const accessLevels = Object.values(METHOD_ACCESS)
+  for (const [methodName, access] of Object.entries(methods)) {
+    if (!accessLevels.includes(access)) {
+      throw new Error(`${fieldName}.${methodName} must be one of: ${accessLevels.join(', ')}`)
+    }
+    if (access !== DENY && (RESERVED_METHODS.has(methodName) || methodName.startsWith('_'))) {
+      throw new Error(`${fieldName}.${methodName} is reserved and cannot be allowed`)
+    }
+  }
+}
+
+/**
+ * Merge a method -> access map over a base map, dropping denied methods
+ * @param {Object} base - Base map
+ * @param {Object} [overrides] - Overrides from config
+ * @returns {Object} Merged map
+ */
+function mergeMethods (base, overrides) {
+  const merged = { ...base, ...overrides }
+  for (const [methodName, access] of Object.entries(merged)) {
+    if (access === DENY) {
+      delete merged[methodName]
+    }
+  }
+  return merged
+}
+
+/**
+ * Build a method policy from the optional `policy` section of the worklet config
+ *
+ * Config shape (all sections optional, entries are merged over the defaults):
+ * {
+ *   "*": { "account": { "sign": "deny" } },
+ *   "ethereum": {
+ *     "account": { "getTokenBalance": "read" },
+ *     "protocols": { "swap": { "swap": "deny" } }
+ *   }
+ * }
+ *
+ * @param {Object} [policyConfig] - Policy section from the worklet config
+ * @returns {Object} Policy usable with getMethodAccess
+ * @throws {Error} If the config is malformed
+ */
+function createMethodPolicy (policyConfig) {
+  if (policyConfig === undefined || policyConfig === null) {
+    policyConfig = {}
+  }
+  if (typeof policyConfig !== 'object' || Array.isArray(policyConfig)) {
+    throw new Error('policy must be an object keyed by network name')
+  }
+
+  const networks = {}
+  for (const [networkName, entry] of Object.entries(policyConfig)) {
+    if (!entry || typeof entry !== 'object') {
+      throw new Error(`policy.${networkName} must be an object`)
+    }
+    if (entry.account !== undefined) {
+      validateMethodMap(entry.account, `policy.${networkName}.account`)
+    }
+    if (entry.protocols !== undefined) {
+      if (!entry.protocols || typeof entry.protocols !== 'object') {
+        throw new Error(`policy.${networkName}.protocols must be an object keyed by protocol type`)
+      }
+      for (const [protocolType, methods] of Object.entries(entry.protocols)) {
+        validateMethodMap(methods, `policy.${networkName}.protocols.${protocolType}`)
+      }
+    }
+    networks[networkName] = entry
+  }
+
+  return { networks }
+}
+
+/**
+ * Resolve the effective method map for a network and optional protocol type
+ * @param {Object} policy - Policy created by createMethodPolicy
+ * @param {string} network - Network name
+ * @param {string} [protocolType] - Protocol type (swap, bridge, lending, fiat)
+ * @returns {Object} Method -> access map
+ */
+function resolveMethods (policy, network, protocolType) {
+  const wildcard = policy.networks[ANY_NETWORK] || {}
+  const specific = policy.networks[network] || {}
+
+  if (!protocolType) {
+    return mergeMethods(mergeMethods(DEFAULT_ACCOUNT_METHODS, wildcard.account), specific.account)
+  }
+
+  const defaults = DEFAULT_PROTOCOL_METHODS[protocolType] || {}
+  return mergeMethods(
+    mergeMethods(defaults, wildcard.protocols?.[protocolType]),
+    specific.protocols?.[protocolType]
+  )
+}
+
+/**
+ * Get the access level of a method, or null if it is not allowed
+ * @param {Object} [policy] - Policy created by createMethodPolicy (defaults apply if omitted)
+ * @param {string} network - Network name
+ * @param {string} methodName - Method name
+ * @param {string} [protocolType] - Protocol type (swap, bridge, lending, fiat)
+ * @returns {METHOD_ACCESS|null} Access level, or null if not allowed
+ */
+function getMethodAccess (policy, network, methodName, protocolType) {
+  if (typeof methodName !== 'string' || RESERVED_METHODS.has(methodName) || methodName.startsWith('_')) {
+    return null
+  }
+
+  const methods = resolveMethods(policy || { networks: {} }, network, protocolType)
+  return Object.prototype.hasOwnProperty.call(methods, methodName) ? methods[methodName] : null
+}
+
+module.exports = {
+  METHOD_ACCESS,
+  DEFAULT_ACCOUNT_METHODS,
+  DEFAULT_PROTOCOL_METHODS,
+  createMethodPolicy,
+  getMethodAccess
+}
@@ -0,0 +1,942 @@
+/**
+ * Method registry - the single source of truth for the worklet's JSON-RPC methods
+ *
+ * Each method declares its params and result schema, how it is scheduled and
+ * its handler. Params validation, dispatch and the OpenRPC document returned
+ * by rpc.discover are all generated from this table.
+ *
+ * To add a method: add a handler to rpc-handlers.js and an entry here.
+ */
+
+const { version } = require('../package.json')
+
+// Internal dependencies - handlers
+const { handlers, withErrorHandling, createErrorWithCode, DEFAULT_WALLET_ID, LOG_LEVEL_NAMES } = require('./rpc-handlers')
+
+// Internal dependencies - utilities
+const { validateSchema } = require('./utils/schema')
+const { EXECUTION_MODES } = require('./utils/scheduler')
+const { MIN_FRAME_SIZE_LIMIT, MAX_FRAME_SIZE_LIMIT } = require('./utils/framing')
+const { RESULT_ENCODINGS, BYTES_ENCODINGS } = require('./utils/codec')
+const { MIN_PASSPHRASE_LENGTH } = require('./utils/crypto')
+const { MNEMONIC_WORD_COUNTS, MNEMONIC_LANGUAGES, DEFAULT_MNEMONIC_LANGUAGE } = require('./utils/mnemonic')
+const { MAX_SHARE_COUNT, DEFAULT_ITERATION_EXPONENT, MAX_ITERATION_EXPONENT } = require('./utils/slip39')
+const { MIN_BACKUP_PASSPHRASE_LENGTH, MAX_ACCOUNT_LABEL_LENGTH } = require('./utils/backup')
+
+// Internal dependencies - method policy and subscriptions
+const { METHOD_ACCESS, getMethodAccess } = require('./method-policy')
+const { SUBSCRIPTION_TYPES, MIN_INTERVAL_MS } = require('./subscriptions')
+const { MAX_PORTFOLIO_ACCOUNTS, MAX_PORTFOLIO_TOKENS, DEFAULT_CONCURRENCY, MAX_CONCURRENCY } = require('./portfolio')
+
+// Internal dependencies - exceptions
+const ERROR_CODES = require('./exceptions/error-codes')
+const { toJsonRpcCode } = require('./exceptions/jsonrpc-error-codes')
+
+/**
+ * OpenRPC specification version of the generated document
+ */
+const OPENRPC_VERSION = '1.2.6'
+
+// Reusable schemas
+const nonEmptyString = (description) => ({ type: 'string', minLength: 1, description })
+const tokenAmount = (description) => ({
+  type: 'object',
+  properties: {
+    raw: { description: 'Amount in base units, encoded like callMethod results' },
+    formatted: { type: 'string', description: 'Amount in token units, e.g. "12.5"' }
+  },
+  required: ['raw', 'formatted'],
+  description
+})
+const base64String = (description) => ({ type: 'string', minLength: 1, contentEncoding: 'base64', description })
+const jsonString = (description) => ({ type: 'string', minLength: 1, contentMediaType: 'application/json', description })
+const accountIndex = { type: 'integer', minimum: 0, description: 'Account index' }
+const walletId = {
+  type: 'string',
+  pattern: '^[A-Za-z0-9_-]{1,64}$',
+  description: `Wallet session (defaults to "${DEFAULT_WALLET_ID}")`
+}
+const boundWalletId = {
+  ...walletId,
+  description: 'Bind the encrypted secrets to this wallet; initializeWDK then refuses them for any other walletId'
+}
+const passphrase = (description) => ({ type: 'string', minLength: MIN_PASSPHRASE_LENGTH, description })
+const bip39Passphrase = {
+  type: 'string',
+  description: 'Optional BIP39 passphrase ("25th word") mixed into the seed; the entropy alone no longer reproduces the seed'
+}
+const slip39Passphrase = {
+  type: 'string',
+  pattern: '^[\\x20-\\x7E]*$',
+  description: 'Optional SLIP-39 passphrase (printable ASCII) protecting the shares; a wrong one recovers a different wallet'
+}
+const language = {
+  type: 'string',
+  enum: Object.keys(MNEMONIC_LANGUAGES),
+  description: `Mnemonic wordlist language (defaults to "${DEFAULT_MNEMONIC_LANGUAGE}")`
+}
+const backupPassphrase = {
+  type: 'string',
+  minLength: MIN_BACKUP_PASSPHRASE_LENGTH,
+  description: 'Passphrase protecting the backup'
+}
+const accountLabels = {
+  type: 'array',
+  items: {
+    type: 'object',
+    properties: {
+      network: nonEmptyString('Network name'),
+      accountIndex,
+      label: nonEmptyString(`Label shown for the account (up to ${MAX_ACCOUNT_LABEL_LENGTH} characters)`)
+    },
+    required: ['network', 'accountIndex', 'label']
+  },
+  description: 'Account labels kept by the host app'
+}
+const statusResult = (status) => ({
+  type: 'object',
+  properties: { status: { type: 'string', enum: [status] } },
+  required: ['status']
+})
+// encryptionKey is only returned in key mode (no passphrase)
+const encryptedSecretsResult = {
+  type: 'object',
+  properties: {
+    encryptionKey: base64String('Encryption key'),
+    encryptedSeedBuffer: base64String('Encrypted BIP39 seed'),
+    encryptedEntropyBuffer: base64String('Encrypted mnemonic entropy')
+  },
+  required: ['encryptedSeedBuffer', 'encryptedEntropyBuffer']
+}
+
+/**
+ * Params accepted by every method (handled by the worklet before dispatch)
+ */
+const COMMON_PARAMS = {
+  timeoutMs: { type: 'integer', minimum: 1, description: 'Fail the request with TIMEOUT after this many milliseconds' }
+}
+
+/**
+ * callMethod is serialized per wallet/network/account when the wallet's policy marks the method as sign
+ * @param {Object} params - callMethod params
+ * @param {Object} context - The context object with the wallet sessions
+ * @returns {{ mode: EXECUTION_MODES, key?: string }} Execution mode and serialization key
+ */
+function callMethodExecution (params, context) {
+  let protocolType
+  try {
+    protocolType = params.options ? JSON.parse(params.options)?.protocolType : undefined
+  } catch (e) {
+    // Malformed options are rejected by the handler itself
+  }
+
+  const sessionId = params.walletId ?? DEFAULT_WALLET_ID
+  const access = getMethodAccess(context.sessions?.get(sessionId)?.policy, params.network, params.methodName, protocolType)
+  if (access === METHOD_ACCESS.SIGN) {
+    return { mode: EXECUTION_MODES.SERIAL, key: `${sessionId}:${params.network}:${params.accountIndex}` }
+  }
+  return { mode: EXECUTION_MODES.SHARED }
+}
+
+/**
+ * transferToken is scheduled like callMethod's transfer
+ * @param {Object} params - transferToken params
+ * @param {Object} context - The context object with the wallet sessions
+ * @returns {{ mode: EXECUTION_MODES, key?: string }} Execution mode and serialization key
+ */
+function transferTokenExecution (params, context) {
+  return callMethodExecution({ walletId: params.walletId, network: params.network, accountIndex: params.accountIndex, methodName: 'transfer' }, context)
+}
+
+/**
+ * Registered methods
+ * - params: JSON Schema of the (by-name) params object
+ * - result: JSON Schema of the result
+ * - execution: EXECUTION_MODES value, or a function (params, context) => { mode, key }
+ * - handler: async (params, context, signal) => result
+ */
+const METHODS = {
+  workletStart: {
+    summary: 'Start the worklet, optionally set the maximum incoming frame size and negotiate the result encoding',
+    params: {
+      type: 'object',
+      properties: {
+        maxFrameSize: { type: 'integer', minimum: MIN_FRAME_SIZE_LIMIT, maximum: MAX_FRAME_SIZE_LIMIT, description: 'Maximum incoming frame size in bytes' },
+        resultEncoding: { type: 'string', enum: RESULT_ENCODINGS, description: 'plain (BigInt as decimal strings) or tagged ({ "$bigint": "..." }, bytes and dates); unchanged when omitted' },
+        bytesEncoding: { type: 'string', enum: BYTES_ENCODINGS, description: 'Encoding of tagged bytes: { "$hex": "..." } or { "$base64": "..." }; unchanged when omitted' }
+      }
+    },
+    result: {
+      type: 'object',
+      properties: {
+        status: { type: 'string', enum: ['started'] },
+        resultEncoding: { type: 'string', enum: RESULT_ENCODINGS },
+        bytesEncoding: { type: 'string', enum: BYTES_ENCODINGS }
+      },
+      required: ['status', 'resultEncoding', 'bytesEncoding']
+    },
+    execution: EXECUTION_MODES.SHARED,
+    handler: handlers.workletStart
+  },
+
+  setLogLevel: {
+    summary: 'Change the log level and start or stop forwarding log records as log notifications',
+    params: {
+      type: 'object',
+      properties: {
+        level: { type: 'string', enum: LOG_LEVEL_NAMES, description: 'Lowest level that is logged (none turns logging off)' },
+        forward: { type: 'boolean', description: 'Forward log records to the host (unchanged when omitted)' }
+      },
+      required: ['level']
+    },
+    result: {
+      type: 'object',
+      properties: {
+        level: { type: 'string', enum: LOG_LEVEL_NAMES },
+        forward: { type: 'boolean' }
+      },
+      required: ['level', 'forward']
+    },
+    execution: EXECUTION_MODES.SHARED,
+    handler: handlers.setLogLevel
+  },
+
+  generateEntropyAndEncrypt: {
+    summary: 'Generate a new mnemonic and return its seed and entropy encrypted',
+    params: {
+      type: 'object',
+      properties: {
+        wordCount: { type: 'integer', enum: MNEMONIC_WORD_COUNTS, description: 'Number of mnemonic words' },
+        language,
+        passphrase: passphrase('Encrypt under this passphrase or PIN instead of a new encryption key'),
+        bip39Passphrase,
+        walletId: boundWalletId
+      },
+      required: ['wordCount']
+    },
+    result: encryptedSecretsResult,
+    execution: EXECUTION_MODES.SHARED,
+    handler: handlers.generateEntropyAndEncrypt
+  },
+
+  getMnemonicFromEntropy: {
+    summary: 'Decrypt entropy and return the mnemonic phrase',
+    params: {
+      type: 'object',
+      properties: {
+        encryptedEntropy: base64String('Encrypted mnemonic entropy'),
+        encryptionKey: base64String('Encryption key (key mode)'),
+        passphrase: passphrase('Passphrase or PIN (passphrase mode)'),
+        language
+      },
+      required: ['encryptedEntropy']
+    },
+    result: {
+      type: 'object',
+      properties: { mnemonic: nonEmptyString('Mnemonic phrase') },
+      required: ['mnemonic']
+    },
+    execution: EXECUTION_MODES.SHARED,
+    handler: handlers.getMnemonicFromEntropy
+  },
+
+  suggestMnemonicWords: {
+    summary: 'Suggest wordlist words starting with a prefix',
+    params: {
+      type: 'object',
+      properties: {
+        prefix: nonEmptyString('Beginning of the word'),
+        language,
+        limit: { type: 'integer', minimum: 1, maximum: 2048, description: 'Maximum number of suggestions (default 10)' }
+      },
+      required: ['prefix']
+    },
+    result: {
+      type: 'object',
+      properties: { words: { type: 'array', items: { type: 'string' } } },
+      required: ['words']
+    },
+    execution: EXECUTION_MODES.SHARED,
+    handler: handlers.suggestMnemonicWords
+  },
+
+  createBackupChallenge: {
+    summary: 'Pick random words of the mnemonic for the user to confirm',
+    params: {
+      type: 'object',
+      properties: {
+        encryptedEntropy: base64String('Encrypted mnemonic entropy'),
+        encryptionKey: base64String('Encryption key (key mode)'),
+        passphrase: passphrase('Passphrase or PIN (passphrase mode)'),
+        language,
+        count: { type: 'integer', minimum: 1, maximum: 24, description: 'Number of words to ask for (default 3)' },
+        walletId: { ...walletId, description: `Wallet the challenge belongs to (defaults to "${DEFAULT_WALLET_ID}"); the entropy must not be bound to another` }
+      },
+      required: ['encryptedEntropy']
+    },
+    result: {
+      type: 'object',
+      properties: {
+        challengeId: nonEmptyString('Challenge id'),
+        wordIndexes: { type: 'array', items: { type: 'integer', minimum: 0 }, description: 'Zero-based positions of the words to ask for' },
+        expiresAt: { type: 'integer', description: 'Expiry time (ms since epoch)' }
+      },
+      required: ['challengeId', 'wordIndexes', 'expiresAt']
+    },
+    execution: EXECUTION_MODES.SHARED,
+    handler: handlers.createBackupChallenge
+  },
+
+  verifyBackupChallenge: {
+    summary: 'Check the words entered for a backup challenge',
+    params: {
+      type: 'object',
+      properties: {
+        challengeId: nonEmptyString('Challenge id'),
+        words: { type: 'array', items: { type: 'string' }, minItems: 1, maxItems: 24, description: 'Words at wordIndexes, in the same order' },
+        walletId: { ...walletId, description: `Wallet the challenge was created for (defaults to "${DEFAULT_WALLET_ID}")` }
+      },
+      required: ['challengeId', 'words']
+    },
+    result: {
+      type: 'object',
+      properties: {
+        verified: { type: 'boolean' },
+        incorrectWordIndexes: { type: 'array', items: { type: 'integer', minimum: 0 } },
+        attemptsLeft: { type: 'integer', minimum: 0, description: 'Attempts left before the challenge is discarded' }
+      },
+      required: ['verified', 'incorrectWordIndexes', 'attemptsLeft']
+    },
+    execution: EXECUTION_MODES.SHARED,
+    handler: handlers.verifyBackupChallenge
+  },
+
+  getSeedAndEntropyFromMnemonic: {
+    summary: 'Import a mnemonic and return its seed and entropy encrypted',
+    params: {
+      type: 'object',
+      properties: {
+        mnemonic: nonEmptyString('Mnemonic phrase'),
+        language,
+        passphrase: passphrase('Encrypt under this passphrase or PIN instead of a new encryption key'),
+        bip39Passphrase,
+        walletId: boundWalletId
+      },
+      required: ['mnemonic']
+    },
+    result: encryptedSecretsResult,
+    execution: EXECUTION_MODES.SHARED,
+    handler: handlers.getSeedAndEntropyFromMnemonic
+  },
+
+  changePassphrase: {
+    summary: 'Re-encrypt seed and entropy under a new passphrase',
+    params: {
+      type: 'object',
+      properties: {
+        encryptedSeed: base64String('Encrypted BIP39 seed'),
+        encryptedEntropy: base64String('Encrypted mnemonic entropy'),
+        encryptionKey: base64String('Current encryption key (migrating from key mode)'),
+        passphrase: passphrase('Current passphrase or PIN'),
+        newPassphrase: passphrase('New passphrase or PIN'),
+        walletId: { ...walletId, description: 'Wallet the secrets must belong to; binds secrets that are not bound yet' }
+      },
+      required: ['encryptedSeed', 'encryptedEntropy', 'newPassphrase']
+    },
+    result: encryptedSecretsResult,
+    execution: EXECUTION_MODES.SHARED,
+    handler: handlers.changePassphrase
+  },
+
+  rotateEncryptionKey: {
+    summary: 'Re-encrypt seed and entropy under a new encryption key',
+    params: {
+      type: 'object',
+      properties: {
+        encryptedSeed: base64String('Encrypted BIP39 seed'),
+        encryptedEntropy: base64String('Encrypted mnemonic entropy'),
+        encryptionKey: base64String('Current encryption key'),
+        walletId: { ...walletId, description: 'Wallet the secrets must belong to; binds secrets that are not bound yet' }
+      },
+      required: ['encryptedSeed', 'encryptedEntropy', 'encryptionKey']
+    },
+    result: { ...encryptedSecretsResult, required: ['encryptionKey', 'encryptedSeedBuffer', 'encryptedEntropyBuffer'] },
+    execution: EXECUTION_MODES.SHARED,
+    handler: handlers.rotateEncryptionKey
+  },
+
+  splitSeedShares: {
+    summary: 'Split the mnemonic entropy into SLIP-39 share mnemonics',
+    params: {
+      type: 'object',
+      properties: {
+        encryptedEntropy: base64String('Encrypted mnemonic entropy'),
+        encryptionKey: base64String('Encryption key (key mode)'),
+        passphrase: passphrase('Passphrase or PIN (passphrase mode)'),
+        groupThreshold: { type: 'integer', minimum: 1, maximum: MAX_SHARE_COUNT, description: 'Number of groups needed to recover (default 1)' },
+        groups: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              threshold: { type: 'integer', minimum: 1, maximum: MAX_SHARE_COUNT, description: 'Shares of this group needed' },
+              count: { type: 'integer', minimum: 1, maximum: MAX_SHARE_COUNT, description: 'Shares in this group' }
+            },
+            required: ['threshold', 'count']
+          },
+          description: `1 to ${MAX_SHARE_COUNT} groups; a threshold of 1 requires a count of 1`
+        },
+        slip39Passphrase,
+        iterationExponent: { type: 'integer', minimum: 0, maximum: MAX_ITERATION_EXPONENT, description: `PBKDF2 cost exponent of the shares (default ${DEFAULT_ITERATION_EXPONENT})` }
+      },
+      required: ['encryptedEntropy', 'groups']
+    },
+    result: {
+      type: 'object',
+      properties: {
+        groups: {
+          type: 'array',
+          items: { type: 'array', items: { type: 'string' } },
+          description: 'Share mnemonics of each group, in the order of the requested groups'
+        }
+      },
+      required: ['groups']
+    },
+    execution: EXECUTION_MODES.SHARED,
+    handler: handlers.splitSeedShares
+  },
+
+  combineSeedShares: {
+    summary: 'Recover seed and entropy from SLIP-39 share mnemonics and return them encrypted',
+    params: {
+      type: 'object',
+      properties: {
+        shares: { type: 'array', items: nonEmptyString('Share mnemonic'), description: 'Enough shares to meet the group and member thresholds' },
+        slip39Passphrase,
+        language,
+        passphrase: passphrase('Encrypt under this passphrase or PIN instead of a new encryption key'),
+        bip39Passphrase,
+        walletId: boundWalletId
+      },
+      required: ['shares']
+    },
+    result: encryptedSecretsResult,
+    execution: EXECUTION_MODES.SHARED,
+    handler: handlers.combineSeedShares
+  },
+
+  exportBackup: {
+    summary: 'Export a passphrase-encrypted backup of the entropy, config and account labels of a wallet',
+    params: {
+      type: 'object',
+      properties: {
+        encryptedEntropy: base64String('Encrypted mnemonic entropy'),
+        encryptionKey: base64String('Encryption key (key mode)'),
+        passphrase: passphrase('Passphrase or PIN (passphrase mode)'),
+        backupPassphrase,
+        language,
+        accountLabels,
+        walletId
+      },
+      required: ['encryptedEntropy', 'backupPassphrase']
+    },
+    result: {
+      type: 'object',
+      properties: { backup: jsonString('Backup document') },
+      required: ['backup']
+    },
+    execution: EXECUTION_MODES.SHARED,
+    handler: handlers.exportBackup
+  },
+
+  importBackup: {
+    summary: 'Restore encrypted seed and entropy, config and account labels from a backup',
+    params: {
+      type: 'object',
+      properties: {
+        backup: jsonString('Backup document from exportBackup'),
+        backupPassphrase,
+        passphrase: passphrase('Encrypt under this passphrase or PIN instead of a new encryption key'),
+        bip39Passphrase,
+        walletId: boundWalletId
+      },
+      required: ['backup', 'backupPassphrase']
+    },
+    result: {
+      type: 'object',
+      properties: {
+        ...encryptedSecretsResult.properties,
+        config: jsonString('Worklet config to pass to initializeWDK'),
+        accountLabels,
+        language,
+        createdAt: { type: 'string', description: 'When the backup was created (ISO 8601)' }
+      },
+      required: [...encryptedSecretsResult.required, 'config', 'accountLabels', 'language', 'createdAt']
+    },
+    execution: EXECUTION_MODES.SHARED,
+    handler: handlers.importBackup
+  },
+
+  initializeWDK: {
+    summary: 'Initialize WDK from an encrypted seed and register the configured wallets',
+    params: {
+      type: 'object',
+      properties: {
+        encryptionKey: base64String('Encryption key (key mode)'),
+        passphrase: passphrase('Passphrase or PIN (passphrase mode)'),
+        encryptedSeed: base64String('Encrypted BIP39 seed'),
+        config: jsonString('Worklet config (networks, protocols, policy, autoLock)'),
+        walletId
+      },
+      required: ['encryptedSeed', 'config']
+    },
+    result: {
+      type: 'object',
+      properties: {
+        status: { type: 'string', enum: ['initialized'] },
+        walletId
+      },
+      required: ['status', 'walletId']
+    },
+    execution: EXECUTION_MODES.EXCLUSIVE,
+    handler: handlers.initializeWDK
+  },
+
+  lock: {
+    summary: 'Lock a wallet: dispose its WDK instance and wipe its seed until unlock is called',
+    params: {
+      type: 'object',
+      properties: { walletId }
+    },
+    result: {
+      type: 'object',
+      properties: {
+        status: { type: 'string', enum: ['locked'] },
+        walletId
+      },
+      required: ['status', 'walletId']
+    },
+    execution: EXECUTION_MODES.EXCLUSIVE,
+    handler: handlers.lock
+  },
+
+  unlock: {
+    summary: 'Unlock a locked wallet with the encrypted seed it was initialized with',
+    params: {
+      type: 'object',
+      properties: {
+        encryptionKey: base64String('Encryption key (key mode)'),
+        passphrase: passphrase('Passphrase or PIN (passphrase mode)'),
+        encryptedSeed: base64String('Encrypted BIP39 seed'),
+        walletId
+      },
+      required: ['encryptedSeed']
+    },
+    result: {
+      type: 'object',
+      properties: {
+        status: { type: 'string', enum: ['unlocked'] },
+        walletId
+      },
+      required: ['status', 'walletId']
+    },
+    execution: EXECUTION_MODES.EXCLUSIVE,
+    handler: handlers.unlock
+  },
+
+  callMethod: {
+    summary: 'Call an allowlisted method on an account or protocol',
+    params: {
+      type: 'object',
+      properties: {
+        methodName: nonEmptyString('Account or protocol method name'),
+        network: nonEmptyString('Network name'),
+        accountIndex,
+        walletId,
+        // Empty or null args/options are treated as omitted
+        args: { type: ['string', 'null'], contentMediaType: 'application/json', description: 'Method argument (an array of arguments with positional); amounts as decimal strings' },
+        positional: { type: 'boolean', description: 'Spread args, a JSON array, as positional arguments (default false)' },
+        options: { type: ['string', 'null'], contentMediaType: 'application/json', description: 'Call options (protocolType, protocolName)' }
+      },
+      required: ['methodName', 'network', 'accountIndex']
+    },
+    result: {
+      type: 'object',
+      properties: { result: { description: 'Method result, encoded as negotiated by workletStart (plain: BigInt values as strings)' } }
+    },
+    execution: callMethodExecution,
+    handler: handlers.callMethod
+  },
+
+  registerWallet: {
+    summary: 'Register wallets on the initialized WDK instance',
+    params: {
+      type: 'object',
+      properties: {
+        config: jsonString('Config with a networks section and/or a tokens section'),
+        walletId
+      },
+      required: ['config']
+    },
+    result: {
+      type: 'object',
+      properties: {
+        status: { type: 'string', enum: ['registered'] },
+        blockchains: jsonString('JSON array of registered network names')
+      },
+      required: ['status', 'blockchains']
+    },
+    execution: EXECUTION_MODES.EXCLUSIVE,
+    handler: handlers.registerWallet
+  },
+
+  registerProtocol: {
+    summary: 'Register protocols on the initialized WDK instance',
+    params: {
+      type: 'object',
+      properties: {
+        config: jsonString('Config with a protocols section'),
+        walletId
+      },
+      required: ['config']
+    },
+    result: statusResult('registered'),
+    execution: EXECUTION_MODES.EXCLUSIVE,
+    handler: handlers.registerProtocol
+  },
+
+  subscribe: {
+    summary: 'Watch a balance or a transaction; updates are pushed as subscription notifications',
+    params: {
+      type: 'object',
+      properties: {
+        type: { type: 'string', enum: Object.values(SUBSCRIPTION_TYPES), description: 'Subscription type' },
+        network: nonEmptyString('Network name'),
+        accountIndex,
+        hash: nonEmptyString('Transaction hash (transaction subscriptions)'),
+        token: nonEmptyString('Token address (token balance subscriptions)'),
+        intervalMs: { type: 'integer', minimum: MIN_INTERVAL_MS, description: 'Polling interval in milliseconds' },
+        walletId
+      },
+      required: ['type', 'network', 'accountIndex']
+    },
+    result: {
+      type: 'object',
+      properties: { subscriptionId: nonEmptyString('Subscription id') },
+      required: ['subscriptionId']
+    },
+    execution: EXECUTION_MODES.SHARED,
+    handler: handlers.subscribe
+  },
+
+  unsubscribe: {
+    summary: 'Cancel a subscription',
+    params: {
+      type: 'object',
+      properties: {
+        subscriptionId: nonEmptyString('Subscription id')
+      },
+      required: ['subscriptionId']
+    },
+    result: {
+      type: 'object',
+      properties: { unsubscribed: { type: 'boolean' } },
+      required: ['unsubscribed']
+    },
+    execution: EXECUTION_MODES.SHARED,
+    handler: handlers.unsubscribe
+  },
+
+  getPortfolio: {
+    summary: 'Report addresses, native balances and token balances across networks and accounts, with failures per network',
+    params: {
+      type: 'object',
+      properties: {
+        walletId,
+        networks: { type: 'array', minItems: 1, items: nonEmptyString('Network name'), description: 'Networks to cover (defaults to every registered network)' },
+        fromAccountIndex: { ...accountIndex, description: 'First account index (defaults to 0)' },
+        accountCount: { type: 'integer', minimum: 1, maximum: MAX_PORTFOLIO_ACCOUNTS, description: 'Consecutive accounts per network (defaults to 1)' },
+        tokens: {
+          type: 'object',
+          additionalProperties: { type: 'array', maxItems: MAX_PORTFOLIO_TOKENS, items: nonEmptyString('Token address') },
+          description: 'Registered token symbols or token addresses whose balances are fetched, keyed by network (defaults to the registered tokens)'
+        },
+        concurrency: { type: 'integer', minimum: 1, maximum: MAX_CONCURRENCY, description: `Maximum provider calls in flight (defaults to ${DEFAULT_CONCURRENCY})` }
+      }
+    },
+    result: {
+      type: 'object',
+      properties: {
+        walletId,
+        networks: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              network: { type: 'string' },
+              accounts: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  properties: {
+                    accountIndex,
+                    address: { type: ['string', 'null'] },
+                    balance: { description: 'Native balance in base units, encoded like callMethod results (null if it failed)' },
+                    tokens: {
+                      type: 'array',
+                      items: {
+                        type: 'object',
+                        properties: {
+                          token: { type: 'string', description: 'Token address' },
+                          symbol: { type: ['string', 'null'], description: 'Symbol of a registered token' },
+                          balance: { description: 'Token balance in base units (null if it failed)' },
+                          formatted: { type: ['string', 'null'], description: 'Balance in token units (registered tokens only)' }
+                        },
+                        required: ['token', 'symbol', 'balance', 'formatted']
+                      }
+                    }
+                  },
+                  required: ['accountIndex', 'address', 'balance', 'tokens']
+                }
+              },
+              errors: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  properties: {
+                    accountIndex: { type: ['integer', 'null'], description: 'Failed account (null for the whole network)' },
+                    token: { type: ['string', 'null'], description: 'Failed token balance (null for the account or its native balance)' },
+                    code: { type: 'string' },
+                    message: { type: 'string' }
+                  },
+                  required: ['accountIndex', 'token', 'code', 'message']
+                }
+              }
+            },
+            required: ['network', 'accounts', 'errors']
+          }
+        }
+      },
+      required: ['walletId', 'networks']
+    },
+    execution: EXECUTION_MODES.SHARED,
+    handler: handlers.getPortfolio
+  },
+
+  getTokenBalances: {
+    summary: 'Get balances of tokens registered in the config, raw and formatted',
+    params: {
+      type: 'object',
+      properties: {
+        network: nonEmptyString('Network name'),
+        accountIndex,
+        tokens: { type: 'array', minItems: 1, items: nonEmptyString('Registered token symbol or address'), description: 'Tokens to fetch (defaults to every token registered on the network)' },
+        walletId
+      },
+      required: ['network', 'accountIndex']
+    },
+    result: {
+      type: 'object',
+      properties: {
+        network: { type: 'string' },
+        accountIndex,
+        balances: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              symbol: { type: 'string' },
+              address: { type: 'string', description: 'Contract address (EVM) or mint (Solana)' },
+              decimals: { type: 'integer' },
+              balance: tokenAmount('Token balance')
+            },
+            required: ['symbol', 'address', 'decimals', 'balance']
+          }
+        }
+      },
+      required: ['network', 'accountIndex', 'balances']
+    },
+    execution: EXECUTION_MODES.SHARED,
+    handler: handlers.getTokenBalances
+  },
+
+  transferToken: {
+    summary: 'Transfer a token registered in the config, with the amount in token units',
+    params: {
+      type: 'object',
+      properties: {
+        network: nonEmptyString('Network name'),
+        accountIndex,
+        token: nonEmptyString('Registered token symbol or address'),
+        recipient: nonEmptyString('Recipient address'),
+        amount: { type: 'string', description: 'Amount in token units as a decimal string, e.g. "12.5"' },
+        walletId
+      },
+      required: ['network', 'accountIndex', 'token', 'recipient', 'amount']
+    },
+    result: {
+      type: 'object',
+      properties: {
+        hash: { type: 'string' },
+        fee: { description: 'Fee in base units of the native coin, encoded like callMethod results' },
+        symbol: { type: 'string' },
+        address: { type: 'string' },
+        decimals: { type: 'integer' },
+        amount: tokenAmount('Transferred amount')
+      },
+      required: ['hash', 'symbol', 'address', 'decimals', 'amount']
+    },
+    execution: transferTokenExecution,
+    handler: handlers.transferToken
+  },
+
+  listWallets: {
+    summary: 'List the initialized wallet sessions',
+    params: { type: 'object' },
+    result: {
+      type: 'object',
+      properties: {
+        wallets: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              walletId,
+              networks: { type: 'array', items: { type: 'string' } },
+              locked: { type: 'boolean' }
+            },
+            required: ['walletId', 'networks', 'locked']
+          }
+        }
+      },
+      required: ['wallets']
+    },
+    execution: EXECUTION_MODES.SHARED,
+    handler: handlers.listWallets
+  },
+
+  dispose: {
+    summary: 'Dispose a wallet session and its subscriptions, or every session when walletId is omitted',
+    params: {
+      type: 'object',
+      properties: { walletId }
+    },
+    result: statusResult('disposed'),
+    execution: EXECUTION_MODES.EXCLUSIVE,
+    handler: (params, context) => handlers.dispose(context, params.walletId)
+  },
+
+  'rpc.discover': {
+    summary: 'Return the OpenRPC document describing this API',
+    params: { type: 'object' },
+    result: { type: 'object', description: 'OpenRPC document' },
+    execution: EXECUTION_MODES.SHARED,
+    handler: async () => createOpenRpcDocument()
+  }
+}
+
+/**
+ * Get a registered method
+ * @param {string} method - JSON-RPC method name
+ * @returns {Object|null} Registry entry, or null if the method is unknown
+ */
+function getMethod (method) {
+  return Object.prototype.hasOwnProperty.call(METHODS, method) ? METHODS[method] : null
+}
+
+/**
+ * Decide how a request is scheduled (see utils/scheduler.js)
+ * Unknown methods run shared and fail in dispatchMethod
+ * @param {string} method - JSON-RPC method name
+ * @param {any} params - JSON-RPC params
+ * @param {Object} context - The context object with wdk state
+ * @returns {{ mode: EXECUTION_MODES, key?: string }} Execution mode and serialization key
+ */
+function getExecutionMode (method, params, context) {
+  const entry = getMethod(method)
+  if (!entry) {
+    return { mode: EXECUTION_MODES.SHARED }
+  }
+  if (typeof entry.execution === 'function') {
+    return params && typeof params === 'object' ? entry.execution(params, context) : { mode: EXECUTION_MODES.SHARED }
+  }
+  return { mode: entry.execution }
+}
+
+/**
+ * Validate params against the method's schema and call its handler
+ * Omitted params are treated as an empty object
+ * @param {string} method - JSON-RPC method name
+ * @param {any} params - JSON-RPC params
+ * @param {Object} context - The context object with wdk state
+ * @param {AbortSignal} [signal] - Aborted on timeout or $/cancelRequest
+ * @returns {Promise<any>} Handler result
+ * @throws {Error} METHOD_NOT_FOUND for unknown methods, BAD_REQUEST for invalid params
+ */
+async function dispatchMethod (method, params, context, signal) {
+  const entry = getMethod(method)
+  if (!entry) {
+    throw createErrorWithCode(`Unknown method: ${method}`, ERROR_CODES.METHOD_NOT_FOUND)
+  }
+
+  return withErrorHandling(async () => {
+    const request = params === undefined ? {} : params
+    try {
+      validateSchema(request, entry.params, 'params')
+    } catch (error) {
+      throw createErrorWithCode(error.message, ERROR_CODES.BAD_REQUEST)
+    }
+    return entry.handler(request, context, signal)
+  })()
+}
+
+/**
+ * Convert a params object schema to OpenRPC content descriptors
+ * @param {Object} schema - Params schema
+ * @returns {Array<Object>} Content descriptors
+ */
+function toContentDescriptors (schema) {
+  const required = new Set(schema.required || [])
+  const properties = { ...schema.properties, ...COMMON_PARAMS }
+  return Object.entries(properties).map(([name, { description, ...propertySchema }]) => ({
+    name,
+    ...(description ? { description } : {}),
+    required: required.has(name),
+    schema: propertySchema
+  }))
+}
+
+/**
+ * Build the OpenRPC document for the registered methods
+ * @returns {Object} OpenRPC document
+ */
+function createOpenRpcDocument () {
+  const errors = {}
+  for (const code of Object.values(ERROR_CODES)) {
+    errors[code] = { code: toJsonRpcCode(code), message: code, data: { code } }
+  }
+
+  return {
+    openrpc: OPENRPC_VERSION,
+    info: {
+      title: 'WDK Worklet JSON-RPC API',
+      version
+    },
+    methods: Object.entries(METHODS).map(([name, entry]) => ({
+      name,
+      summary: entry.summary,
+      paramStructure: 'by-name',
+      params: toContentDescriptors(entry.params),
+      result: { name: `${name}Result`, schema: entry.result }
+    })),
+    components: { errors }
+  }
+}
+
+module.exports = {
+  METHODS,
+  getMethod,
+  getExecutionMode,
+  dispatchMethod,
+  createOpenRpcDocument
+}
@@ -0,0 +1,141 @@
+// Internal dependencies
+const { mapWithConcurrency } = require('./utils/concurrency')
+const { getMethodAccess } = require('./method-policy')
+const ERROR_CODES = require('./exceptions/error-codes')
+
+/**
+ * Most accounts per network a single getPortfolio call can cover
+ */
+const MAX_PORTFOLIO_ACCOUNTS = 20
+
+/**
+ * Most token balances per network a single getPortfolio call can fetch
+ */
+const MAX_PORTFOLIO_TOKENS = 50
+
+const DEFAULT_CONCURRENCY = 4
+const MAX_CONCURRENCY = 16
+
+/**
+ * Turn a failure into a report entry
+ * @param {number|null} accountIndex - Account the failure belongs to (null for the whole network)
+ * @param {string|null} token - Token address (null for the account or its native balance)
+ * @param {Error} error - What went wrong
+ * @returns {Object} Error entry { accountIndex, token, code, message }
+ */
+const toErrorEntry = (accountIndex, token, error) => ({
+  accountIndex,
+  token,
+  code: error.code || ERROR_CODES.ACCOUNT_BALANCES,
+  message: error.message
+})
+
+/**
+ * Collect addresses, native balances and token balances of a wallet session
+ *
+ * Every account is fetched first, then every balance; both steps run through the same
+ * concurrency limit. A failure (provider down, method not allowed, ...) is recorded as an
+ * entry in its network's errors and leaves the affected values null, so one bad network or
+ * token never fails the whole report.
+ *
+ * @param {Object} session - Wallet session with wdk and policy
+ * @param {Object} options - Report options
+ * @param {string[]} options.networks - Networks to cover (registered on the session)
+ * @param {number} options.fromAccountIndex - First account index
+ * @param {number} options.accountCount - Number of consecutive accounts per network
+ * @param {Object<string, string[]>} options.tokens - Token addresses to fetch, keyed by network
+ * @param {number} options.concurrency - Maximum number of provider calls in flight
+ * @param {AbortSignal} [options.signal] - Aborting stops starting new calls and rejects with the abort reason once the
+ *   running ones have settled
+ * @returns {Promise<Object>} Report { walletId, networks: [{ network, accounts, errors }] } with BigInt balances
+ */
+async function collectPortfolio (session, { networks, fromAccountIndex, accountCount, tokens, concurrency, signal }) {
+  const reports = networks.map((network) => ({ network, accounts: [], errors: [] }))
+  const accountTasks = []
+
+  for (const report of reports) {
+    const { network } = report
+    const networkTokens = tokens[network] || []
+
+    // Policy denials concern the whole network, so they are reported once
+    const denied = ['getAddress', 'getBalance', ...(networkTokens.length > 0 ? ['getTokenBalance'] : [])]
+      .filter((methodName) => !getMethodAccess(session.policy, network, methodName))
+    for (const methodName of denied) {
+      report.errors.push({
+        accountIndex: null,
+        token: null,
+        code: ERROR_CODES.METHOD_NOT_ALLOWED,
+        message: `Method "${methodName}" is not allowed on account for network "${network}"`
+      })
+    }
+
+    for (let i = 0; i < accountCount; i++) {
+      const entry = {
+        accountIndex: fromAccountIndex + i,
+        address: null,
+        balance: null,
+        tokens: networkTokens.map((token) => ({ token, balance: null }))
+      }
+      report.accounts.push(entry)
+      accountTasks.push({ report, entry, canRead: (methodName) => !denied.includes(methodName) })
+    }
+  }
+
+  // Step 1: accounts and their addresses
+  await mapWithConcurrency(accountTasks, concurrency, async (task) => {
+    const { report, entry, canRead } = task
+    try {
+      task.account = await session.wdk.getAccount(report.network, entry.accountIndex)
+      if (canRead('getAddress')) {
+        entry.address = await task.account.getAddress()
+      }
+    } catch (error) {
+      if (signal?.aborted) {
+        throw signal.reason
+      }
+      report.errors.push(toErrorEntry(entry.accountIndex, null, error))
+    }
+  }, signal)
+
+  // Step 2: native and token balances of every account that could be fetched
+  const balanceTasks = []
+  for (const task of accountTasks) {
+    if (!task.account) {
+      continue
+    }
+    if (task.canRead('getBalance')) {
+      balanceTasks.push({ task, target: task.entry, token: null })
+    }
+    if (task.canRead('getTokenBalance')) {
+      for (const target of task.entry.tokens) {
+        balanceTasks.push({ task, target, token: target.token })
+      }
+    }
+  }
+
+  await mapWithConcurrency(balanceTasks, concurrency, async ({ task, target, token }) => {
+    try {
+      target.balance = await (token ? task.account.getTokenBalance(token) : task.account.getBalance())
+    } catch (error) {
+      if (signal?.aborted) {
+        throw signal.reason
+      }
+      task.report.errors.push(toErrorEntry(task.entry.accountIndex, token, error))
+    }
+  }, signal)
+
+  // Errors are pushed as calls finish, so sort them for a stable report
+  for (const report of reports) {
+    report.errors.sort((a, b) => ((a.accountIndex ?? -1) - (b.accountIndex ?? -1)) || (a.token ?? '').localeCompare(b.token ?? ''))
+  }
+
+  return { walletId: session.walletId, networks: reports }
+}
+
+module.exports = {
+  MAX_PORTFOLIO_ACCOUNTS,
+  MAX_PORTFOLIO_TOKENS,
+  DEFAULT_CONCURRENCY,
+  MAX_CONCURRENCY,
+  collectPortfolio
+}
@@ -1,6 +1,6 @@
 // External dependencies
 const { entropyToMnemonic, mnemonicToSeedSync, mnemonicToEntropy } = require('@scure/bip39')
-const { wordlist } = require('@scure/bip39/wordlists/english')
+const { sha256 } = require('@noble/hashes/sha2')
 
 // WDK dependencies - Direct imports (no HRPC/code generation)
 const WDKModule = require('@tetherto/wdk')
@@ -14,27 +14,57 @@ const SolanaWallet = SolanaWalletModule.default || SolanaWalletModule
 
 // Internal dependencies - utilities
 const logger = require('./utils/logger')
-const { safeStringify } = require('./utils/safe-stringify')
-const { validateNonEmptyString, validateNonNegativeInteger, validateBase64, validateJSON, validateMnemonic, validateWordCount } = require('./utils/validation')
-const { memzero, decrypt, generateEntropy, encryptSecrets } = require('./utils/crypto')
+const { validateNonEmptyString, validateNonNegativeInteger, validateEnum, validateBase64, validateJSON, validateMnemonic, validateWordCount, validateWalletId, validatePassphrase, validateString } = require('./utils/validation')
+const { ENVELOPE_PURPOSES, MIN_PASSPHRASE_LENGTH, memzero, decryptSecret, readEnvelope, generateEntropy, encryptSecrets, encryptSecretsWithPassphrase } = require('./utils/crypto')
+const { throwIfAborted } = require('./utils/abort')
+const { MIN_FRAME_SIZE_LIMIT, MAX_FRAME_SIZE_LIMIT } = require('./utils/framing')
+const { EXECUTION_MODES } = require('./utils/scheduler')
+const { withSecrets } = require('./utils/secrets')
+const { decodeArgs } = require('./utils/args')
+const { RESULT_ENCODINGS, BYTES_ENCODINGS, DEFAULT_ENCODING, encodeResult } = require('./utils/codec')
+const { parseTokenRegistry, mergeTokenRegistry, tokenRegistryToConfig, findToken, resolveToken, parseTokenAmount, formatTokenAmount, toTokenAmount } = require('./utils/tokens')
+const { mapWithConcurrency } = require('./utils/concurrency')
+const { DEFAULT_MNEMONIC_LANGUAGE, getWordlist, splitMnemonic } = require('./utils/mnemonic')
+const { DEFAULT_ITERATION_EXPONENT, MAX_ITERATION_EXPONENT, validateSharingScheme, validateSlip39Passphrase, normalizeShares, splitSecret, combineShares } = require('./utils/slip39')
+const { MIN_BACKUP_PASSPHRASE_LENGTH, validateAccountLabels, createBackup, parseBackup, openBackup } = require('./utils/backup')
+
+// Internal dependencies - method policy
+const { createMethodPolicy, getMethodAccess } = require('./method-policy')
+
+// Internal dependencies - subscriptions and backup challenges
+const { SUBSCRIPTION_TYPES, MIN_INTERVAL_MS } = require('./subscriptions')
+const { createBackupChallengeStore } = require('./backup-challenges')
+const { MAX_PORTFOLIO_ACCOUNTS, MAX_PORTFOLIO_TOKENS, DEFAULT_CONCURRENCY, MAX_CONCURRENCY, collectPortfolio } = require('./portfolio')
 
 // Internal dependencies - exceptions
 const ERROR_CODES = require('./exceptions/error-codes')
 const rpcException = require('./exceptions/rpc-exception')
+const { createErrorWithCode } = rpcException
 
 /**
  * Wallet managers - statically defined (no code generation)
- * Maps network names to their wallet manager implementations
+ * Maps network families to their wallet manager implementations
+ * A network config entry selects its family with "type", under any network name
  */
 const walletManagers = {
-  ethereum: EVMWallet,
-  polygon: EVMWallet,
-  arbitrum: EVMWallet,
-  sepolia: EVMWallet,
-  'ethereum-erc4337': EVMERC4337Wallet,
+  evm: EVMWallet,
+  'evm-erc4337': EVMERC4337Wallet,
   solana: SolanaWallet
 }
 
+/**
+ * Built-in network names and their family
+ * Config entries under these names may omit "type" (backward compatibility)
+ */
+const networkAliases = {
+  ethereum: 'evm',
+  polygon: 'evm',
+  arbitrum: 'evm',
+  sepolia: 'evm',
+  'ethereum-erc4337': 'evm-erc4337',
+  solana: 'solana'
+}
+
 /**
  * Protocol managers - for future protocol support
  * Maps protocol names to their protocol manager implementations
@@ -46,15 +76,262 @@ const protocolManagers = {
 }
 
 /**
- * Create an error with a specific error code
- * @param {string} message - Error message
- * @param {string} code - Error code
- * @returns {Error} Error object with code property
+ * Resolve the wallet manager for a network config entry
+ * The entry's "type" selects the family; built-in network names may omit it
+ * @param {string} networkName - Network name chosen by the config
+ * @param {Object} config - Network config entry
+ * @returns {{ type: string, walletManager: Function, walletConfig: Object }} Family, manager and
+ *   the config to pass to the manager (without "type")
+ * @throws {Error} With BAD_REQUEST code if the family can't be resolved
+ */
+const resolveWalletManager = (networkName, config) => {
+  const { type, ...walletConfig } = config
+  const types = Object.keys(walletManagers)
+
+  if (networkName.trim().length === 0 || networkName === '*') {
+    throw createErrorWithCode(`Invalid network name: "${networkName}"`, ERROR_CODES.BAD_REQUEST)
+  }
+
+  if (type !== undefined && !types.includes(type)) {
+    throw createErrorWithCode(
+      `Unknown type "${type}" for network "${networkName}". Expected one of: ${types.join(', ')}`,
+      ERROR_CODES.BAD_REQUEST
+    )
+  }
+
+  const resolvedType = type ?? (Object.prototype.hasOwnProperty.call(networkAliases, networkName) ? networkAliases[networkName] : undefined)
+  if (!resolvedType) {
+    throw createErrorWithCode(
+      `No wallet manager found for network: ${networkName}. Set "type" to one of: ${types.join(', ')}`,
+      ERROR_CODES.BAD_REQUEST
+    )
+  }
+
+  return { type: resolvedType, walletManager: walletManagers[resolvedType], walletConfig }
+}
+
+/**
+ * Resolve every network config entry before anything is registered,
+ * so a bad entry doesn't leave WDK half-configured
+ * Entries that are not objects are skipped
+ * @param {Object} networks - Networks section of the config
+ * @returns {Array<Object>} Resolved entries with networkName, type, walletManager and walletConfig
+ */
+const resolveNetworks = (networks) => {
+  return Object.entries(networks)
+    .filter(([, config]) => config && typeof config === 'object')
+    .map(([networkName, config]) => ({ networkName, ...resolveWalletManager(networkName, config) }))
+}
+
+/**
+ * Check that every network of a token registry is registered
+ * @param {Object} tokens - Registry from parseTokenRegistry
+ * @param {string[]} networkNames - Names of the registered networks
+ * @throws {Error} With BAD_REQUEST code for tokens of a network that is not registered
+ */
+const validateTokenNetworks = (tokens, networkNames) => {
+  const unknown = Object.keys(tokens).find((network) => !networkNames.includes(network))
+  if (unknown !== undefined) {
+    throw createErrorWithCode(`config.tokens.${unknown}: network "${unknown}" is not registered`, ERROR_CODES.BAD_REQUEST)
+  }
+}
+
+/**
+ * Wallet id used when a request doesn't name one
+ * Keeps single-wallet hosts working unchanged
+ */
+const DEFAULT_WALLET_ID = 'default'
+
+/**
+ * JSON-RPC notification pushed to the host when a wallet locks
+ */
+const LOCK_NOTIFICATION = 'locked'
+
+/**
+ * Why a wallet was locked (reason of the locked notification)
+ *
+ * @enum {string}
+ */
+const LOCK_REASONS = {
+  IDLE: 'idle',
+  REQUEST: 'request'
+}
+
+/**
+ * Shortest idle timeout accepted in config.autoLock.idleTimeoutMs (0 disables auto-lock)
  */
-const createErrorWithCode = (message, code) => {
-  const error = new Error(message)
-  error.code = code
-  return error
+const MIN_IDLE_TIMEOUT_MS = 1000
+
+/**
+ * JSON-RPC notification carrying a log record, pushed to the host when setLogLevel enables forwarding
+ */
+const LOG_NOTIFICATION = 'log'
+
+/**
+ * Levels accepted by setLogLevel (none turns logging off)
+ */
+const LOG_LEVEL_NAMES = ['debug', 'info', 'warn', 'error', 'none']
+
+/**
+ * Find the session of an initialized wallet, locked or not
+ * @param {Object} context - Context object holding the sessions map
+ * @param {string} [walletId] - Wallet id (defaults to DEFAULT_WALLET_ID)
+ * @returns {Object} Session
+ * @throws {Error} With WDK_MANAGER_INIT code if the wallet is not initialized
+ */
+const findSession = (context, walletId = DEFAULT_WALLET_ID) => {
+  const session = context.sessions?.get(walletId)
+  if (!session) {
+    throw createErrorWithCode(`Wallet "${walletId}" is not initialized. Call initializeWDK first.`, ERROR_CODES.WDK_MANAGER_INIT)
+  }
+  return session
+}
+
+/**
+ * Get the session of an initialized, unlocked wallet
+ * Each session owns its WDK instance (and so its seed), method policy and registered networks
+ * config is the config passed to initializeWDK, with the networks and protocols registered since
+ * Every request that gets a session this way counts as activity and restarts its idle timer
+ * @param {Object} context - Context object holding the sessions map
+ * @param {string} [walletId] - Wallet id (defaults to DEFAULT_WALLET_ID)
+ * @returns {Object} Session with walletId, wdk, policy, networks and config
+ * @throws {Error} With WDK_MANAGER_INIT code if the wallet is not initialized, or LOCKED if it is locked
+ */
+const getSession = (context, walletId = DEFAULT_WALLET_ID) => {
+  const session = findSession(context, walletId)
+  if (session.locked) {
+    throw createErrorWithCode(`Wallet "${walletId}" is locked. Call unlock first.`, ERROR_CODES.LOCKED)
+  }
+  armIdleTimer(context, session)
+  return session
+}
+
+/**
+ * Fingerprint of a seed, so unlock can check it is given the seed the wallet was initialized with
+ * @param {Buffer} seed - Decrypted seed
+ * @returns {string} SHA-256 hex digest
+ */
+const seedFingerprint = (seed) => Buffer.from(sha256(seed)).toString('hex')
+
+/**
+ * Start a session's WDK instance and register its networks and protocols
+ * @param {Object} session - Session to start
+ * @param {Buffer} seed - Decrypted seed, kept by the session so lock and dispose can wipe it
+ * @param {Array<Object>} networks - Entries resolved by resolveNetworks
+ * @param {Object} [protocols] - Protocols section of the config
+ * @throws {Error} If a protocol can't be registered (the caller must stop the session)
+ */
+const startSession = (session, seed, networks, protocols) => {
+  // Owned by the session first, so stopSession wipes it even if WDK can't be created
+  session.seed = seed
+  session.networks = {}
+  session.wdk = new WDK(seed)
+
+  // Register wallets from config
+  for (const { networkName, type, walletManager, walletConfig } of networks) {
+    logger.info(`Registering ${networkName} wallet (${type})`)
+    session.wdk.registerWallet(networkName, walletManager, walletConfig)
+    session.networks[networkName] = type
+  }
+
+  // Register protocols if provided
+  for (const [protocolName, protocolConfig] of Object.entries(protocols || {})) {
+    const protocolManager = protocolManagers[protocolName]
+    if (!protocolManager) {
+      throw createErrorWithCode(`No protocol manager found for protocol: ${protocolName}`, ERROR_CODES.WDK_MANAGER_INIT)
+    }
+    if (!session.networks[protocolConfig.network]) {
+      throw createErrorWithCode(`Network "${protocolConfig.network}" is not registered`, ERROR_CODES.BAD_REQUEST)
+    }
+    logger.info(`Registering ${protocolName} protocol`)
+    session.wdk.registerProtocol(protocolConfig.network, protocolConfig.protocolLabel, protocolManager, protocolConfig.config)
+  }
+}
+
+/**
+ * Stop a session's WDK instance and wipe its seed
+ * @param {Object} session - Session to stop
+ */
+const stopSession = (session) => {
+  if (session.idleTimer) {
+    clearTimeout(session.idleTimer)
+    session.idleTimer = null
+  }
+  try {
+    session.wdk?.dispose()
+  } finally {
+    memzero(session.seed)
+    session.wdk = null
+    session.seed = null
+  }
+}
+
+/**
+ * Lock a session: stop its WDK instance (wiping the seed) but keep its config and policy,
+ * so unlock only needs the encrypted seed and its credential again
+ * Subscriptions of a locked wallet are paused, and the host is sent a locked notification
+ * @param {Object} context - Context object with notify(method, params)
+ * @param {Object} session - Session to lock
+ * @param {LOCK_REASONS} reason - Why the wallet is locked
+ */
+const lockSession = (context, session, reason) => {
+  if (session.locked) {
+    return
+  }
+  logger.info(`Locking wallet ${session.walletId} (${reason})`)
+  stopSession(session)
+  session.locked = true
+  context.notify?.(LOCK_NOTIFICATION, { walletId: session.walletId, reason })
+}
+
+/**
+ * (Re)start a session's idle timer, if config.autoLock.idleTimeoutMs enabled one
+ * When it fires the wallet is locked, as an exclusive task so no request is using it at the time
+ * @param {Object} context - Context object with the scheduler
+ * @param {Object} session - Session that was just used
+ */
+const armIdleTimer = (context, session) => {
+  if (session.idleTimer) {
+    clearTimeout(session.idleTimer)
+    session.idleTimer = null
+  }
+  if (!session.idleTimeoutMs) {
+    return
+  }
+
+  session.idleTimer = setTimeout(() => {
+    session.idleTimer = null
+    const lockIfIdle = () => {
+      // Skip if the session was replaced, or used (and so re-armed) while the lock was queued
+      if (context.sessions?.get(session.walletId) === session && !session.idleTimer) {
+        lockSession(context, session, LOCK_REASONS.IDLE)
+      }
+    }
+    if (context.scheduler) {
+      context.scheduler.run(EXECUTION_MODES.EXCLUSIVE, async () => lockIfIdle())
+        .catch((error) => logger.error(`Failed to lock wallet ${session.walletId}:`, error))
+    } else {
+      lockIfIdle()
+    }
+  }, session.idleTimeoutMs)
+}
+
+/**
+ * Dispose a session: stop its subscriptions, dispose its WDK instance and forget it
+ * @param {Object} context - Context object holding the sessions map
+ * @param {string} walletId - Wallet id
+ * @returns {boolean} True if the session existed
+ */
+const disposeSession = (context, walletId) => {
+  const session = context.sessions?.get(walletId)
+  if (!session) {
+    return false
+  }
+  logger.info(`Disposing WDK instance of wallet ${walletId}`)
+  context.subscriptions?.clear(walletId)
+  stopSession(session)
+  context.sessions.delete(walletId)
+  return true
 }
 
 /**
@@ -83,6 +360,88 @@ const validateRequest = (request, validationFn, fieldName = 'Request') => {
   }
 }
 
+/**
+ * Default number of suggestions returned by suggestMnemonicWords
+ */
+const DEFAULT_SUGGESTION_LIMIT = 10
+
+/**
+ * Options for the secret scopes of a request
+ * Tests set context.onSecretTracked to see every buffer a handler tracks
+ * @param {Object} [context] - Handler context
+ * @returns {Object} Options for withSecrets
+ */
+const secretOptions = (context) => ({ onTrack: context?.onSecretTracked })
+
+/**
+ * Default number of words asked for by createBackupChallenge
+ */
+const DEFAULT_CHALLENGE_WORDS = 3
+
+/**
+ * Most words a backup challenge can ask for (the longest mnemonic)
+ */
+const MAX_CHALLENGE_WORDS = 24
+
+/**
+ * Validate the credential that unlocks encrypted secrets
+ * Exactly one of encryptionKey (random key held by the host) or passphrase (user passphrase or PIN) must be given
+ * @param {Object} request - Request carrying the credential
+ * @throws {Error} If validation fails
+ */
+const validateCredential = ({ encryptionKey, passphrase }) => {
+  if ((encryptionKey === undefined) === (passphrase === undefined)) {
+    throw new Error('Exactly one of encryptionKey or passphrase must be provided')
+  }
+  if (passphrase !== undefined) {
+    validatePassphrase(passphrase, MIN_PASSPHRASE_LENGTH, 'passphrase')
+  } else {
+    validateBase64(encryptionKey, 'encryptionKey')
+  }
+}
+
+/**
+ * Encrypt seed and entropy under a passphrase when one is given, otherwise under a new random key
+ * @param {Uint8Array|Buffer} seed - Seed bytes to encrypt
+ * @param {Uint8Array|Buffer} entropy - Entropy bytes to encrypt
+ * @param {string} [passphrase] - User passphrase or PIN
+ * @param {string} [walletId] - Wallet id to bind the secrets to
+ * @returns {Promise<Object>} Encrypted secrets (with encryptionKey in key mode only)
+ */
+const encryptSecretsFor = (seed, entropy, passphrase, walletId) => {
+  if (passphrase !== undefined) {
+    return encryptSecretsWithPassphrase(seed, entropy, passphrase, walletId)
+  }
+  return encryptSecrets(seed, entropy, walletId)
+}
+
+/**
+ * Validate the optional walletId that new secrets are bound to
+ * @param {any} walletId - Wallet id, or undefined to leave the secrets unbound
+ * @throws {Error} If validation fails
+ */
+const validateBoundWalletId = (walletId) => {
+  if (walletId !== undefined) {
+    validateWalletId(walletId, 'walletId')
+  }
+}
+
+/**
+ * Validate the optional auto-lock idle timeout
+ * @param {any} value - Timeout in milliseconds, 0 or undefined to disable auto-lock
+ * @param {string} fieldName - Name of the field for error messages
+ * @throws {Error} If validation fails
+ */
+const validateIdleTimeout = (value, fieldName) => {
+  if (value === undefined) {
+    return
+  }
+  validateNonNegativeInteger(value, fieldName)
+  if (value > 0 && value < MIN_IDLE_TIMEOUT_MS) {
+    throw new Error(`${fieldName} must be 0 (disabled) or at least ${MIN_IDLE_TIMEOUT_MS}`)
+  }
+}
+
 /**
  * Wrapper for RPC handlers that provides structured error handling
  * Preserves error codes and metadata instead of converting to plain strings
@@ -98,9 +457,11 @@ const withErrorHandling = (handler, defaultErrorCode) => {
       // Create structured error response
       const structuredError = rpcException.createStructuredError(error, defaultErrorCode)
       // Throw as Error with structured data in message (for RPC transport)
-      // The RPC layer will handle serialization
+      // The RPC layer reads it from error.structured rather than parsing the message
       const errorMessage = JSON.stringify(structuredError)
-      throw new Error(errorMessage)
+      const wrapped = new Error(errorMessage)
+      wrapped.structured = structuredError
+      throw wrapped
     }
   }
 }
@@ -108,21 +469,24 @@ const withErrorHandling = (handler, defaultErrorCode) => {
 /**
  * Generalized function to call any WDK account method
  * This provides a dev-friendly way to call account methods without needing individual handlers
+ * Only methods allowlisted by the method policy (see method-policy.js) can be reached
  *
- * @param {Object} context - Context object containing wdk instance
+ * @param {Object} session - Wallet session containing the wdk instance and method policy
  * @param {string} methodName - The method name to call on the account (e.g., 'getAddress', 'getBalance')
  * @param {string} network - Network name (e.g., 'ethereum', 'solana')
  * @param {number} accountIndex - Account index
- * @param {any} args - Arguments to pass to the method
+ * @param {Array} [args] - Positional arguments, spread into the call (see utils/args.js)
  * @param {object} options - Optional configuration
  * @param {function} options.transformResult - Optional function to transform the result
  * @param {any} options.defaultValue - Default value to return if method doesn't exist
  * @param {string} options.protocolType - Protocol type (e.g., 'swap', 'bridge', 'lending', 'fiat')
  * @param {string} options.protocolName - Protocol name (e.g., 'USDT0')
+ * @param {AbortSignal} options.signal - Optional signal; the method isn't invoked if it aborted before, but it isn't
+ *   passed to the method (see below), so a running call is not interrupted
  * @returns {Promise<any>} The result from the account method
  */
-const callWdkMethod = async (context, methodName, network, accountIndex, args = null, options = {}) => {
-  const { wdk } = context
+const callWdkMethod = async (session, methodName, network, accountIndex, args = [], options = {}) => {
+  const { wdk } = session
 
   if (!wdk) {
     throw createErrorWithCode('WDK not initialized. Call initializeWDK first.', ERROR_CODES.WDK_MANAGER_INIT)
@@ -133,6 +497,16 @@ const callWdkMethod = async (context, methodName, network, accountIndex, args =
     throw createErrorWithCode('Network must be a non-empty string', ERROR_CODES.BAD_REQUEST)
   }
 
+  // Reject anything the policy doesn't allowlist before touching the account
+  const access = getMethodAccess(session.policy, network, methodName, options?.protocolType)
+  if (!access) {
+    const target = options?.protocolType ? `${options.protocolType} protocol` : 'account'
+    throw createErrorWithCode(
+      `Method "${methodName}" is not allowed on ${target} for network "${network}"`,
+      ERROR_CODES.METHOD_NOT_ALLOWED
+    )
+  }
+
   let account
   try {
     account = await wdk.getAccount(network, accountIndex)
@@ -143,6 +517,9 @@ const callWdkMethod = async (context, methodName, network, accountIndex, args =
     )
   }
 
+  // Don't invoke anything (especially signing methods) for an already aborted request
+  throwIfAborted(options?.signal)
+
   // Handle protocol access if specified
   switch (options?.protocolType) {
     case 'swap':
@@ -176,17 +553,23 @@ const callWdkMethod = async (context, methodName, network, accountIndex, args =
       logger.warn(`${methodName} not available for network: ${network}, returning default value`)
       return options.defaultValue
     }
-    const availableMethods = Object.keys(account)
-      .filter(key => typeof account[key] === 'function')
-      .join(', ')
     throw createErrorWithCode(
-      `Method "${methodName}" not found on account for network "${network}". ` +
-      `Available methods: ${availableMethods}`,
+      `Method "${methodName}" not found on account for network "${network}"`,
       ERROR_CODES.BAD_REQUEST
     )
   }
 
-  const result = await account[methodName](args)
+  // The signal is not passed on: no WDK wallet or protocol method accepts an AbortSignal, and an
+  // extra argument would be misread by most of them
+  // - getAddress, getBalance, getPaymasterTokenBalance: take no arguments
+  // - getTokenBalance(tokenAddress), getTransactionReceipt(hash), sign(message), verify(message, signature),
+  //   approve(options): take only their data
+  // - quoteSendTransaction(tx), sendTransaction(tx), quoteTransfer(options), transfer(options): on ERC-4337
+  //   wallets a second argument is read as the paymaster config of the user operation
+  // - protocol methods (quoteSwap, swap, quoteBridge, bridge, lending and fiat methods): take one options object
+  // So a running call can't be interrupted. It is awaited even if the request is aborted meanwhile: the
+  // request fails right away, but holds its scheduler slot until the call has settled
+  const result = await account[methodName](...args)
 
   if (options?.transformResult) {
     return options.transformResult(result)
@@ -201,93 +584,480 @@ const callWdkMethod = async (context, methodName, network, accountIndex, args =
 const handlers = {
   /**
    * Worklet start handler
+   * Optionally configures the maximum incoming frame size and negotiates the result encoding
+   * The encoding applies to callMethod results and subscription updates, and stays in effect
+   * until the next workletStart that sets it
    */
-  async workletStart () {
-    logger.info('Worklet started')
-    return { status: 'started' }
+  async workletStart (request, context) {
+    const { maxFrameSize, resultEncoding, bytesEncoding } = request || {}
+
+    validateRequest(request || {}, () => {
+      if (maxFrameSize !== undefined) {
+        validateNonNegativeInteger(maxFrameSize, 'maxFrameSize')
+        if (maxFrameSize < MIN_FRAME_SIZE_LIMIT || maxFrameSize > MAX_FRAME_SIZE_LIMIT) {
+          throw new Error(`maxFrameSize must be between ${MIN_FRAME_SIZE_LIMIT} and ${MAX_FRAME_SIZE_LIMIT}`)
+        }
+      }
+      if (resultEncoding !== undefined) {
+        validateEnum(resultEncoding, RESULT_ENCODINGS, 'resultEncoding')
+      }
+      if (bytesEncoding !== undefined) {
+        validateEnum(bytesEncoding, BYTES_ENCODINGS, 'bytesEncoding')
+      }
+    }, 'WorkletStartRequest')
+
+    if (maxFrameSize !== undefined && context?.frameDecoder) {
+      context.frameDecoder.maxFrameSize = maxFrameSize
+    }
+
+    const encoding = { ...DEFAULT_ENCODING, ...context?.encoding }
+    if (resultEncoding !== undefined) {
+      encoding.resultEncoding = resultEncoding
+    }
+    if (bytesEncoding !== undefined) {
+      encoding.bytesEncoding = bytesEncoding
+    }
+    if (context) {
+      context.encoding = encoding
+    }
+
+    logger.info(`Worklet started (${encoding.resultEncoding} results)`)
+    return { status: 'started', ...encoding }
+  },
+
+  /**
+   * Change the log level, and start or stop forwarding log records to the host
+   * Forwarded records are redacted like console output and sent as log notifications
+   */
+  async setLogLevel (request, context) {
+    const { level, forward } = request
+
+    validateRequest(request, () => {
+      validateEnum(level, LOG_LEVEL_NAMES, 'level')
+      if (forward !== undefined && typeof forward !== 'boolean') {
+        throw new Error('forward must be a boolean')
+      }
+    }, 'SetLogLevelRequest')
+
+    logger.setLevel(level)
+    if (forward !== undefined) {
+      logger.setForwarder(forward ? (record) => context.notify?.(LOG_NOTIFICATION, record) : null)
+    }
+    return { level: logger.getLevel(), forward: logger.isForwarding() }
   },
 
   /**
    * Generate entropy and encrypt seed buffer and entropy
+   * With a passphrase the secrets are encrypted under a scrypt-derived key and no encryptionKey is returned
+   * With a bip39Passphrase the seed is derived from the mnemonic and that passphrase
+   * The mnemonic's language changes the seed, so getMnemonicFromEntropy must be given the same language
+   * With a walletId the secrets are bound to that wallet and initializeWDK refuses them for any other
    */
-  async generateEntropyAndEncrypt (request) {
-    const { wordCount } = request
+  async generateEntropyAndEncrypt (request, context) {
+    const { wordCount, passphrase, bip39Passphrase, language, walletId } = request
 
-    // Validate request and word count
-    validateRequest(request, () => validateWordCount(wordCount, 'wordCount'))
+    // Validate request, word count, language and optional passphrases
+    let wordlist
+    validateRequest(request, () => {
+      validateWordCount(wordCount, 'wordCount')
+      wordlist = getWordlist(language)
+      validateBoundWalletId(walletId)
+      if (passphrase !== undefined) {
+        validatePassphrase(passphrase, MIN_PASSPHRASE_LENGTH, 'passphrase')
+      }
+      if (bip39Passphrase !== undefined) {
+        validateString(bip39Passphrase, 'bip39Passphrase')
+      }
+    })
+
+    return withSecrets((secrets) => {
+      // Generate entropy
+      const entropy = secrets.track(generateEntropy(wordCount))
+
+      // Generate mnemonic from entropy
+      const mnemonic = entropyToMnemonic(entropy, wordlist)
+
+      const seedBuffer = secrets.track(mnemonicToSeedSync(mnemonic, bip39Passphrase))
+
+      // Encrypt both secrets using the helper function
+      return encryptSecretsFor(seedBuffer, entropy, passphrase, walletId)
+    }, secretOptions(context))
+  },
+
+  /**
+   * Get mnemonic phrase from encrypted entropy
+   */
+  async getMnemonicFromEntropy (request, context) {
+    const { encryptedEntropy, language } = request
 
-    // Generate entropy
-    const entropy = generateEntropy(wordCount)
+    // Validate request and inputs
+    let wordlist
+    validateRequest(request, () => {
+      validateBase64(encryptedEntropy, 'encryptedEntropy')
+      validateCredential(request)
+      wordlist = getWordlist(language)
+    })
 
-    // Generate mnemonic from entropy
-    const mnemonic = entropyToMnemonic(entropy, wordlist)
+    return withSecrets(async (secrets) => {
+      // Decrypt entropy
+      const entropyBuffer = secrets.track(await decryptSecret(encryptedEntropy, request, { purpose: ENVELOPE_PURPOSES.ENTROPY }))
+      // Create a new Uint8Array and copy bytes explicitly for @scure/bip39 compatibility
+      const entropy = secrets.track(new Uint8Array(entropyBuffer.length))
+      entropy.set(entropyBuffer)
 
-    const seedBuffer = mnemonicToSeedSync(mnemonic)
-    const entropyBuffer = Buffer.from(entropy)
+      // Convert entropy to mnemonic
+      return { mnemonic: entropyToMnemonic(entropy, wordlist) }
+    }, secretOptions(context))
+  },
 
-    // Encrypt both secrets using the helper function
-    const { encryptionKey, encryptedSeedBuffer, encryptedEntropyBuffer } = encryptSecrets(seedBuffer, entropyBuffer)
+  /**
+   * Suggest wordlist words starting with a prefix (for restore screens)
+   */
+  async suggestMnemonicWords (request) {
+    const { prefix, language, limit = DEFAULT_SUGGESTION_LIMIT } = request
 
-    // Zero out sensitive buffers
-    memzero(entropy)
-    memzero(seedBuffer)
-    memzero(entropyBuffer)
+    let wordlist
+    validateRequest(request, () => {
+      validateNonEmptyString(prefix, 'prefix')
+      validateNonNegativeInteger(limit, 'limit')
+      wordlist = getWordlist(language)
+    })
 
-    return {
-      encryptionKey,
-      encryptedSeedBuffer,
-      encryptedEntropyBuffer
+    const normalizedPrefix = prefix.normalize('NFKD').trim().toLowerCase()
+    const words = []
+    for (const word of wordlist) {
+      if (words.length >= limit) {
+        break
+      }
+      if (word.normalize('NFKD').startsWith(normalizedPrefix)) {
+        words.push(word)
+      }
     }
+    return { words }
   },
 
   /**
-   * Get mnemonic phrase from encrypted entropy
+   * Ask the user to confirm some words of their backup
+   * The mnemonic is derived from the encrypted entropy inside the worklet and never returned
+   * The challenge belongs to walletId (default wallet if omitted) and is cleared when that wallet is disposed
+   */
+  async createBackupChallenge (request, context) {
+    const { encryptedEntropy, language, count = DEFAULT_CHALLENGE_WORDS, walletId } = request
+
+    let wordlist
+    validateRequest(request, () => {
+      validateBase64(encryptedEntropy, 'encryptedEntropy')
+      validateCredential(request)
+      validateNonNegativeInteger(count, 'count')
+      if (walletId !== undefined) {
+        validateWalletId(walletId, 'walletId')
+      }
+      wordlist = getWordlist(language)
+    })
+
+    const words = await withSecrets(async (secrets) => {
+      let entropyBuffer
+      try {
+        entropyBuffer = secrets.track(await decryptSecret(encryptedEntropy, request, { purpose: ENVELOPE_PURPOSES.ENTROPY, walletId }))
+      } catch (error) {
+        throw createErrorWithCode(`Failed to decrypt entropy: ${error.message}`, ERROR_CODES.BAD_REQUEST)
+      }
+      const entropy = secrets.track(new Uint8Array(entropyBuffer.length))
+      entropy.set(entropyBuffer)
+      return splitMnemonic(entropyToMnemonic(entropy, wordlist))
+    }, secretOptions(context))
+
+    if (count < 1 || count > words.length) {
+      throw createErrorWithCode(`count must be between 1 and ${words.length}`, ERROR_CODES.BAD_REQUEST)
+    }
+
+    if (!context.backupChallenges) {
+      context.backupChallenges = createBackupChallengeStore()
+    }
+    return context.backupChallenges.create(walletId ?? DEFAULT_WALLET_ID, words, count)
+  },
+
+  /**
+   * Check the words entered for a backup challenge of walletId (default wallet if omitted)
+   */
+  async verifyBackupChallenge (request, context) {
+    const { challengeId, words, walletId = DEFAULT_WALLET_ID } = request
+
+    validateRequest(request, () => {
+      validateWalletId(walletId, 'walletId')
+      validateNonEmptyString(challengeId, 'challengeId')
+      if (!Array.isArray(words) || words.some((word) => typeof word !== 'string')) {
+        throw new Error('words must be an array of strings')
+      }
+      if (words.length < 1 || words.length > MAX_CHALLENGE_WORDS) {
+        throw new Error(`words must contain between 1 and ${MAX_CHALLENGE_WORDS} entries`)
+      }
+    })
+
+    if (!context.backupChallenges) {
+      throw createErrorWithCode('Backup challenge not found or expired', ERROR_CODES.BAD_REQUEST)
+    }
+    return context.backupChallenges.verify(walletId, challengeId, words)
+  },
+
+  /**
+   * Convert mnemonic phrase to encrypted seed and entropy
+   */
+  async getSeedAndEntropyFromMnemonic (request, context) {
+    const { passphrase, bip39Passphrase, language, walletId } = request
+
+    // Validate request, mnemonic input (words and checksum in the given language), optional passphrases and wallet binding
+    validateRequest(request, () => {
+      validateMnemonic(request.mnemonic, 'mnemonic', getWordlist(language))
+      validateBoundWalletId(walletId)
+      if (passphrase !== undefined) {
+        validatePassphrase(passphrase, MIN_PASSPHRASE_LENGTH, 'passphrase')
+      }
+      if (bip39Passphrase !== undefined) {
+        validateString(bip39Passphrase, 'bip39Passphrase')
+      }
+    })
+
+    // Normalize whitespace so extra spaces don't change the seed
+    const mnemonic = splitMnemonic(request.mnemonic).join(' ')
+
+    return withSecrets((secrets) => {
+      // Derive seed from mnemonic and optional BIP39 passphrase (used by WDK for wallet operations)
+      const seed = secrets.track(mnemonicToSeedSync(mnemonic, bip39Passphrase))
+      // Extract entropy from mnemonic (original random bytes used to generate mnemonic)
+      const entropy = secrets.track(mnemonicToEntropy(mnemonic, getWordlist(language)))
+
+      // Encrypt both secrets and return with the encryption key (key mode) or under the passphrase
+      return encryptSecretsFor(seed, entropy, passphrase, walletId)
+    }, secretOptions(context))
+  },
+
+  /**
+   * Re-encrypt seed and entropy under a new passphrase
+   * The current credential may be the old passphrase or, to migrate a key-mode wallet, its encryptionKey
+   * The secrets stay bound to their wallet; a walletId binds secrets that weren't bound yet
    */
-  async getMnemonicFromEntropy (request) {
-    const { encryptedEntropy, encryptionKey } = request
+  async changePassphrase (request, context) {
+    const { encryptedSeed, encryptedEntropy, newPassphrase, walletId } = request
 
     // Validate request and inputs
+    let boundWalletId
     validateRequest(request, () => {
+      validateBase64(encryptedSeed, 'encryptedSeed')
+      validateBase64(encryptedEntropy, 'encryptedEntropy')
+      validateCredential(request)
+      validatePassphrase(newPassphrase, MIN_PASSPHRASE_LENGTH, 'newPassphrase')
+      validateBoundWalletId(walletId)
+      boundWalletId = walletId ?? readEnvelope(encryptedSeed)?.walletId
+    })
+
+    return withSecrets(async (secrets) => {
+      let seed, entropy
+      try {
+        seed = secrets.track(await decryptSecret(encryptedSeed, request, { purpose: ENVELOPE_PURPOSES.SEED, walletId }))
+        entropy = secrets.track(await decryptSecret(encryptedEntropy, request, { purpose: ENVELOPE_PURPOSES.ENTROPY, walletId }))
+      } catch (error) {
+        throw createErrorWithCode(`Failed to decrypt secrets: ${error.message}`, ERROR_CODES.BAD_REQUEST)
+      }
+
+      return encryptSecretsWithPassphrase(seed, entropy, newPassphrase, boundWalletId)
+    }, secretOptions(context))
+  },
+
+  /**
+   * Re-encrypt seed and entropy under a new random encryption key
+   * Both secrets are decrypted before anything is re-encrypted, so either both new blobs are returned or none
+   * The secrets stay bound to their wallet; a walletId binds secrets that weren't bound yet
+   */
+  async rotateEncryptionKey (request, context) {
+    const { encryptedSeed, encryptedEntropy, encryptionKey, walletId } = request
+
+    // Validate request and inputs
+    let boundWalletId
+    validateRequest(request, () => {
+      validateBase64(encryptedSeed, 'encryptedSeed')
       validateBase64(encryptedEntropy, 'encryptedEntropy')
       validateBase64(encryptionKey, 'encryptionKey')
+      validateBoundWalletId(walletId)
+      boundWalletId = walletId ?? readEnvelope(encryptedSeed)?.walletId
     })
 
-    // Decrypt entropy
-    const entropyBuffer = decrypt(encryptedEntropy, encryptionKey)
-    // Create a new Uint8Array and copy bytes explicitly for @scure/bip39 compatibility
-    const entropy = new Uint8Array(entropyBuffer.length)
-    entropy.set(entropyBuffer)
+    return withSecrets(async (secrets) => {
+      let seed, entropy
+      try {
+        seed = secrets.track(await decryptSecret(encryptedSeed, { encryptionKey }, { purpose: ENVELOPE_PURPOSES.SEED, walletId }))
+        entropy = secrets.track(await decryptSecret(encryptedEntropy, { encryptionKey }, { purpose: ENVELOPE_PURPOSES.ENTROPY, walletId }))
+      } catch (error) {
+        throw createErrorWithCode(`Failed to decrypt secrets: ${error.message}`, ERROR_CODES.BAD_REQUEST)
+      }
+
+      // encryptSecrets generates the new key
+      return encryptSecrets(seed, entropy, boundWalletId)
+    }, secretOptions(context))
+  },
 
-    // Convert entropy to mnemonic
-    const mnemonic = entropyToMnemonic(entropy, wordlist)
+  /**
+   * Split the wallet's entropy into SLIP-39 share mnemonics
+   * groupThreshold of the groups are needed to recover, each with its own member threshold
+   */
+  async splitSeedShares (request, context) {
+    const { encryptedEntropy, groupThreshold = 1, groups, slip39Passphrase = '', iterationExponent = DEFAULT_ITERATION_EXPONENT } = request
 
-    // Zero out sensitive buffers
-    memzero(entropyBuffer)
-    memzero(entropy)
+    validateRequest(request, () => {
+      validateBase64(encryptedEntropy, 'encryptedEntropy')
+      validateCredential(request)
+      validateSharingScheme(groupThreshold, groups)
+      validateSlip39Passphrase(slip39Passphrase, 'slip39Passphrase')
+      validateNonNegativeInteger(iterationExponent, 'iterationExponent')
+      if (iterationExponent > MAX_ITERATION_EXPONENT) {
+        throw new Error(`iterationExponent must be at most ${MAX_ITERATION_EXPONENT}`)
+      }
+    })
+
+    return withSecrets(async (secrets) => {
+      let entropy
+      try {
+        entropy = secrets.track(await decryptSecret(encryptedEntropy, request, { purpose: ENVELOPE_PURPOSES.ENTROPY }))
+      } catch (error) {
+        throw createErrorWithCode(`Failed to decrypt entropy: ${error.message}`, ERROR_CODES.BAD_REQUEST)
+      }
 
-    return { mnemonic }
+      return { groups: splitSecret(entropy, { groupThreshold, groups, passphrase: slip39Passphrase, iterationExponent }) }
+    }, secretOptions(context))
   },
 
   /**
-   * Convert mnemonic phrase to encrypted seed and entropy
+   * Recover encrypted seed and entropy from SLIP-39 share mnemonics
+   * The recovered secret is used as BIP39 entropy, so the result matches the wallet that was split
    */
-  async getSeedAndEntropyFromMnemonic (request) {
-    const { mnemonic } = request
+  async combineSeedShares (request, context) {
+    const { slip39Passphrase = '', passphrase, bip39Passphrase, language, walletId } = request
+
+    let shares, wordlist
+    validateRequest(request, () => {
+      shares = normalizeShares(request.shares, 'shares')
+      validateSlip39Passphrase(slip39Passphrase, 'slip39Passphrase')
+      wordlist = getWordlist(language)
+      validateBoundWalletId(walletId)
+      if (passphrase !== undefined) {
+        validatePassphrase(passphrase, MIN_PASSPHRASE_LENGTH, 'passphrase')
+      }
+      if (bip39Passphrase !== undefined) {
+        validateString(bip39Passphrase, 'bip39Passphrase')
+      }
+    })
 
-    // Validate request and mnemonic input
-    validateRequest(request, () => validateMnemonic(mnemonic, 'mnemonic'))
+    return withSecrets((secrets) => {
+      let entropy
+      try {
+        entropy = secrets.track(combineShares(shares, slip39Passphrase))
+      } catch (error) {
+        throw createErrorWithCode(`Failed to combine shares: ${error.message}`, ERROR_CODES.BAD_REQUEST)
+      }
 
-    // Derive seed from mnemonic (used by WDK for wallet operations)
-    const seed = mnemonicToSeedSync(mnemonic)
-    // Extract entropy from mnemonic (original random bytes used to generate mnemonic)
-    const entropy = mnemonicToEntropy(mnemonic, wordlist)
+      let mnemonic
+      try {
+        mnemonic = entropyToMnemonic(entropy, wordlist)
+      } catch (error) {
+        throw createErrorWithCode(`Recovered secret is not BIP39 entropy (${entropy.length} bytes)`, ERROR_CODES.BAD_REQUEST)
+      }
+      const seed = secrets.track(mnemonicToSeedSync(mnemonic, bip39Passphrase))
 
-    // Encrypt both secrets and return with the encryption key
-    return encryptSecrets(seed, entropy)
+      // Encrypt both secrets and return with the encryption key (key mode) or under the passphrase
+      return encryptSecretsFor(seed, entropy, passphrase, walletId)
+    }, secretOptions(context))
   },
 
   /**
-   * Initialize WDK with encrypted seed
+   * Export a passphrase-encrypted backup of an initialized wallet
+   * The backup holds the entropy, the wallet's config (as passed to initializeWDK, with the networks
+   * and protocols registered since) and the host's account labels
+   */
+  async exportBackup (request, context) {
+    const { encryptedEntropy, backupPassphrase, language = DEFAULT_MNEMONIC_LANGUAGE, accountLabels = [], walletId } = request
+
+    validateRequest(request, () => {
+      if (walletId !== undefined) {
+        validateWalletId(walletId, 'walletId')
+      }
+      validateBase64(encryptedEntropy, 'encryptedEntropy')
+      validateCredential(request)
+      validatePassphrase(backupPassphrase, MIN_BACKUP_PASSPHRASE_LENGTH, 'backupPassphrase')
+      getWordlist(language)
+      validateAccountLabels(accountLabels, 'accountLabels')
+    })
+
+    const session = getSession(context, walletId)
+
+    return withSecrets(async (secrets) => {
+      let entropy
+      try {
+        entropy = secrets.track(await decryptSecret(encryptedEntropy, request, { purpose: ENVELOPE_PURPOSES.ENTROPY, walletId: session.walletId }))
+      } catch (error) {
+        throw createErrorWithCode(`Failed to decrypt entropy: ${error.message}`, ERROR_CODES.BAD_REQUEST)
+      }
+
+      const backup = await createBackup(entropy, { language, config: session.config, accountLabels }, backupPassphrase)
+      return { backup }
+    }, secretOptions(context))
+  },
+
+  /**
+   * Restore encrypted seed and entropy, config and account labels from a backup
+   * Like getSeedAndEntropyFromMnemonic, the secrets are returned with a new encryption key or under a passphrase
+   */
+  async importBackup (request, context) {
+    const { backupPassphrase, passphrase, bip39Passphrase, walletId } = request
+
+    let backup
+    validateRequest(request, () => {
+      backup = parseBackup(request.backup, 'backup')
+      validatePassphrase(backupPassphrase, MIN_BACKUP_PASSPHRASE_LENGTH, 'backupPassphrase')
+      validateBoundWalletId(walletId)
+      if (passphrase !== undefined) {
+        validatePassphrase(passphrase, MIN_PASSPHRASE_LENGTH, 'passphrase')
+      }
+      if (bip39Passphrase !== undefined) {
+        validateString(bip39Passphrase, 'bip39Passphrase')
+      }
+    })
+
+    return withSecrets(async (secrets) => {
+      let contents
+      try {
+        contents = await openBackup(backup, backupPassphrase)
+      } catch (error) {
+        throw createErrorWithCode(`Failed to decrypt backup: ${error.message}`, ERROR_CODES.BAD_REQUEST)
+      }
+      const { metadata, createdAt } = contents
+      const entropy = secrets.track(contents.entropy)
+
+      let mnemonic
+      try {
+        if (!metadata || typeof metadata.config !== 'object' || metadata.config === null) {
+          throw new Error('config must be an object')
+        }
+        validateAccountLabels(metadata.accountLabels, 'accountLabels')
+        mnemonic = entropyToMnemonic(entropy, getWordlist(metadata.language))
+      } catch (error) {
+        throw createErrorWithCode(`Backup contents are invalid: ${error.message}`, ERROR_CODES.BAD_REQUEST)
+      }
+      const seed = secrets.track(mnemonicToSeedSync(mnemonic, bip39Passphrase))
+
+      // Encrypt both secrets and return with the encryption key (key mode) or under the passphrase
+      return {
+        ...await encryptSecretsFor(seed, entropy, passphrase, walletId),
+        config: JSON.stringify(metadata.config),
+        accountLabels: metadata.accountLabels,
+        language: metadata.language ?? DEFAULT_MNEMONIC_LANGUAGE,
+        createdAt
+      }
+    }, secretOptions(context))
+  },
+
+  /**
+   * Initialize a wallet session with an encrypted seed
+   * Re-initializing an existing walletId replaces (and disposes) that session only
    */
   async initializeWDK (init, context) {
     // Validate request object (validation of fields happens below)
@@ -295,154 +1065,236 @@ const handlers = {
       throw createErrorWithCode('Init must be an object', ERROR_CODES.BAD_REQUEST)
     }
 
-    if (context.wdk) {
-      logger.info('Disposing existing WDK instance...')
-      context.wdk.dispose()
-    }
-
     // Validate config
-    let workletConfig
+    let workletConfig, policy, tokens
+    const walletId = init.walletId ?? DEFAULT_WALLET_ID
     validateRequest(init, () => {
+      validateWalletId(walletId, 'walletId')
       validateNonEmptyString(init.config, 'config')
       workletConfig = validateJSON(init.config, 'config')
+      policy = createMethodPolicy(workletConfig?.policy)
+      tokens = parseTokenRegistry(workletConfig?.tokens, 'config.tokens')
+      validateIdleTimeout(workletConfig?.autoLock?.idleTimeoutMs, 'config.autoLock.idleTimeoutMs')
 
-      // Validate encrypted seed and encryption key
-      if (!init.encryptionKey || !init.encryptedSeed) {
-        throw createErrorWithCode('(encryptionKey + encryptedSeed) must be provided', ERROR_CODES.BAD_REQUEST)
+      // Validate encrypted seed and its credential (encryptionKey or passphrase)
+      if (!init.encryptedSeed) {
+        throw createErrorWithCode('encryptedSeed must be provided', ERROR_CODES.BAD_REQUEST)
       }
-      validateBase64(init.encryptionKey, 'encryptionKey')
       validateBase64(init.encryptedSeed, 'encryptedSeed')
+      validateCredential(init)
     }, 'Init')
 
     // Validate that at least one network configuration is provided
     if (!workletConfig || !workletConfig.networks || typeof workletConfig.networks !== 'object' || Object.keys(workletConfig.networks).length === 0) {
       throw createErrorWithCode('At least one network configuration must be provided', ERROR_CODES.BAD_REQUEST)
     }
+    const networks = resolveNetworks(workletConfig.networks)
+    validateTokenNetworks(tokens, networks.map(({ networkName }) => networkName))
 
     // Initialize from encrypted seed
-    logger.info('Initializing WDK with encrypted seed')
-    let decryptedSeedBuffer
-    try {
-      decryptedSeedBuffer = decrypt(init.encryptedSeed, init.encryptionKey)
-    } catch (error) {
-      throw createErrorWithCode(`Failed to decrypt seed: ${error.message}`, ERROR_CODES.BAD_REQUEST)
-    }
+    logger.info(`Initializing WDK for wallet ${walletId} with encrypted seed`)
+    return withSecrets(async (secrets) => {
+      let decryptedSeedBuffer
+      try {
+        decryptedSeedBuffer = secrets.track(await decryptSecret(init.encryptedSeed, init, { purpose: ENVELOPE_PURPOSES.SEED, walletId }))
+      } catch (error) {
+        throw createErrorWithCode(`Failed to decrypt seed: ${error.message}`, ERROR_CODES.BAD_REQUEST)
+      }
 
-    context.wdk = new WDK(decryptedSeedBuffer)
+      if (!context.sessions) {
+        context.sessions = new Map()
+      }
+      if (context.sessions.has(walletId)) {
+        logger.info(`Replacing existing WDK instance of wallet ${walletId}...`)
+        disposeSession(context, walletId)
+      }
 
-    // Register wallets from config
-    for (const [networkName, config] of Object.entries(workletConfig.networks)) {
-      if (config && typeof config === 'object') {
-        const walletManager = walletManagers[networkName]
-        if (!walletManager) {
-          throw createErrorWithCode(`No wallet manager found for network: ${networkName}`, ERROR_CODES.WDK_MANAGER_INIT)
-        }
+      const session = {
+        walletId,
+        wdk: null,
+        seed: null,
+        seedFingerprint: seedFingerprint(decryptedSeedBuffer),
+        policy,
+        networks: {},
+        tokens,
+        config: workletConfig,
+        locked: false,
+        idleTimeoutMs: workletConfig.autoLock?.idleTimeoutMs || 0,
+        idleTimer: null
+      }
+      context.sessions.set(walletId, session)
+
+      try {
+        // The session owns the seed from here on and wipes it when it is stopped
+        startSession(session, secrets.release(decryptedSeedBuffer), networks, workletConfig.protocols)
+      } catch (error) {
+        // Don't keep a half-configured session around
+        disposeSession(context, walletId)
+        throw error
+      }
+      armIdleTimer(context, session)
+
+      logger.info(`WDK initialization complete for wallet ${walletId}`)
+      return { status: 'initialized', walletId }
+    }, secretOptions(context))
+  },
 
-        logger.info(`Registering ${networkName} wallet`)
-        context.wdk.registerWallet(networkName, walletManager, config)
+  /**
+   * Lock a wallet: dispose its WDK instance and wipe its seed, keeping its config and policy
+   * Requests to the wallet fail with LOCKED until unlock is called
+   */
+  async lock (request, context) {
+    const { walletId } = request
+
+    validateRequest(request, () => {
+      if (walletId !== undefined) {
+        validateWalletId(walletId, 'walletId')
       }
-    }
+    }, 'LockRequest')
 
-    // Register protocols if provided
-    if (workletConfig.protocols && Object.keys(workletConfig.protocols).length > 0) {
-      for (const [protocolName, protocolConfig] of Object.entries(workletConfig.protocols)) {
-        const protocolManager = protocolManagers[protocolName]
-        if (!protocolManager) {
-          throw createErrorWithCode(`No protocol manager found for protocol: ${protocolName}`, ERROR_CODES.WDK_MANAGER_INIT)
-        }
-        if (!walletManagers[protocolConfig.network]) {
-          throw createErrorWithCode(`No wallet manager found for network: ${protocolConfig.network}`, ERROR_CODES.BAD_REQUEST)
+    const session = findSession(context, walletId)
+    lockSession(context, session, LOCK_REASONS.REQUEST)
+    return { status: 'locked', walletId: session.walletId }
+  },
+
+  /**
+   * Unlock a locked wallet with its encrypted seed and credential
+   * The networks and protocols it had are registered again; the seed must be the one the wallet was initialized with
+   */
+  async unlock (request, context) {
+    const { encryptedSeed, walletId } = request
+
+    validateRequest(request, () => {
+      if (walletId !== undefined) {
+        validateWalletId(walletId, 'walletId')
+      }
+      validateBase64(encryptedSeed, 'encryptedSeed')
+      validateCredential(request)
+    }, 'UnlockRequest')
+
+    const session = findSession(context, walletId)
+
+    return withSecrets(async (secrets) => {
+      let seed
+      try {
+        seed = secrets.track(await decryptSecret(encryptedSeed, request, { purpose: ENVELOPE_PURPOSES.SEED, walletId: session.walletId }))
+      } catch (error) {
+        throw createErrorWithCode(`Failed to decrypt seed: ${error.message}`, ERROR_CODES.BAD_REQUEST)
+      }
+      if (seedFingerprint(seed) !== session.seedFingerprint) {
+        throw createErrorWithCode(`encryptedSeed is not the seed of wallet "${session.walletId}"`, ERROR_CODES.BAD_REQUEST)
+      }
+
+      // An unlocked wallet keeps its own seed, and this copy is wiped with the scope
+      if (session.locked) {
+        const networks = resolveNetworks(session.config.networks)
+        try {
+          startSession(session, secrets.release(seed), networks, session.config.protocols)
+        } catch (error) {
+          stopSession(session)
+          throw error
         }
-        logger.info(`Registering ${protocolName} protocol`)
-        context.wdk.registerProtocol(protocolConfig.network, protocolConfig.protocolLabel, protocolManager, protocolConfig.config)
+        session.locked = false
+        logger.info(`Unlocked wallet ${session.walletId}`)
       }
-    }
 
-    logger.info('WDK initialization complete')
-    return { status: 'initialized' }
+      armIdleTimer(context, session)
+      return { status: 'unlocked', walletId: session.walletId }
+    }, secretOptions(context))
   },
 
   /**
    * Generic handler for all WDK account methods
+   * The optional signal is aborted by the worklet on timeout or $/cancelRequest
    */
-  async callMethod (payload, context) {
-    const { methodName, network, accountIndex, args: argsJson, options: optionsJson } = payload
+  async callMethod (payload, context, signal) {
+    const { methodName, network, accountIndex, walletId, args: argsJson, options: optionsJson, positional = false } = payload
 
     // Validate request and required fields
     let args, options
     validateRequest(payload, () => {
+      if (walletId !== undefined) {
+        validateWalletId(walletId, 'walletId')
+      }
       validateNonEmptyString(methodName, 'methodName')
       validateNonEmptyString(network, 'network')
       validateNonNegativeInteger(accountIndex, 'accountIndex')
+      if (typeof positional !== 'boolean') {
+        throw new Error('positional must be a boolean')
+      }
 
-      // Parse args if provided (JSON string)
-      args = argsJson ? validateJSON(argsJson, 'args') : null
+      // Parse args if provided (JSON string): an array is spread only with positional, amounts are decoded to BigInt
+      args = decodeArgs(argsJson ? validateJSON(argsJson, 'args') : null, 'args', { positional })
       options = optionsJson ? validateJSON(optionsJson, 'options') : null
     }, 'Payload')
 
     // Call the method directly - no special handling
     const result = await callWdkMethod(
-      context,
+      getSession(context, walletId),
       methodName,
       network,
       accountIndex,
       args,
-      options
+      { ...options, signal }
     )
 
-    // Return result directly - JSON-RPC handles serialization
-    // For objects/arrays with BigInt, use safeStringify, otherwise return as-is
-    if (typeof result === 'object' && result !== null) {
-      return { result: JSON.parse(safeStringify(result)) }
-    }
-    return { result }
+    // BigInt, bytes and dates are encoded as negotiated by workletStart (plain by default)
+    return { result: encodeResult(result, context?.encoding) }
   },
 
   /**
    * Register one or more wallets to an already initialized WDK instance
    */
   async registerWallet (request, context) {
-    const { config: configJson } = request
+    const { config: configJson, walletId } = request
 
     // Validate request and required fields
-    let workletConfig
+    let workletConfig, tokens
     validateRequest(request, () => {
+      if (walletId !== undefined) {
+        validateWalletId(walletId, 'walletId')
+      }
       validateNonEmptyString(configJson, 'config')
       workletConfig = validateJSON(configJson, 'config')
+      tokens = parseTokenRegistry(workletConfig?.tokens, 'config.tokens')
     }, 'RegisterWalletRequest')
 
-    if (!workletConfig || typeof workletConfig !== 'object' || !workletConfig.networks || typeof workletConfig.networks !== 'object') {
-      throw createErrorWithCode('config must be an object with network configurations', ERROR_CODES.BAD_REQUEST)
+    // Tokens can be added to already registered networks without registering a network
+    const hasNetworks = Boolean(workletConfig?.networks) && typeof workletConfig.networks === 'object'
+    if (!workletConfig || typeof workletConfig !== 'object' || (!hasNetworks && Object.keys(tokens).length === 0)) {
+      throw createErrorWithCode('config must be an object with network configurations or tokens', ERROR_CODES.BAD_REQUEST)
     }
 
-    const { networks } = workletConfig
+    const networks = hasNetworks ? workletConfig.networks : {}
 
-    // Check if WDK is initialized
-    if (!context.wdk) {
-      throw createErrorWithCode('WDK not initialized. Call initializeWDK first.', ERROR_CODES.WDK_MANAGER_INIT)
-    }
+    // Check if the wallet is initialized
+    const session = getSession(context, walletId)
+
+    // Resolve everything before registering, so bad tokens don't leave networks half-registered
+    const resolved = resolveNetworks(networks)
+    validateTokenNetworks(tokens, [...Object.keys(session.networks), ...resolved.map(({ networkName }) => networkName)])
 
     // Register each wallet from the config
     const registeredBlockchains = []
-    for (const [networkName, config] of Object.entries(networks)) {
-      if (config && typeof config === 'object') {
-        // Check if wallet manager exists for this blockchain
-        const walletManager = walletManagers[networkName]
-        if (!walletManager) {
-          throw createErrorWithCode(`No wallet manager found for blockchain: ${networkName}`, ERROR_CODES.BAD_REQUEST)
-        }
-
-        // Register the wallet
-        logger.info(`Registering ${networkName} wallet dynamically`)
-        context.wdk.registerWallet(networkName, walletManager, config)
-        registeredBlockchains.push(networkName)
-      }
+    for (const { networkName, type, walletManager, walletConfig } of resolved) {
+      logger.info(`Registering ${networkName} wallet dynamically (${type}) for wallet ${session.walletId}`)
+      session.wdk.registerWallet(networkName, walletManager, walletConfig)
+      session.networks[networkName] = type
+      session.config.networks[networkName] = networks[networkName]
+      registeredBlockchains.push(networkName)
     }
 
-    if (registeredBlockchains.length === 0) {
+    if (registeredBlockchains.length === 0 && Object.keys(tokens).length === 0) {
       throw createErrorWithCode('no valid network configurations provided', ERROR_CODES.BAD_REQUEST)
     }
 
+    // Tokens with the same symbol or address replace the registered ones
+    if (Object.keys(tokens).length > 0) {
+      session.tokens = mergeTokenRegistry(session.tokens || {}, tokens)
+      session.config.tokens = tokenRegistryToConfig(session.tokens)
+      logger.info(`Registered tokens on ${Object.keys(tokens).join(', ')} for wallet ${session.walletId}`)
+    }
+
     return { status: 'registered', blockchains: JSON.stringify(registeredBlockchains) }
   },
 
@@ -450,38 +1302,294 @@ const handlers = {
    * Register one or more protocols to an already initialized WDK instance
    */
   async registerProtocol (request, context) {
-    const { config: workletConfig } = request
+    const { config: workletConfig, walletId } = request
     const { protocols } = validateJSON(workletConfig, 'config')
 
-    // Validate that WDK is initialized
-    if (!context.wdk) {
-      throw createErrorWithCode('WDK not initialized. Call initializeWDK first.', ERROR_CODES.WDK_MANAGER_INIT)
+    if (walletId !== undefined) {
+      validateRequest(request, () => validateWalletId(walletId, 'walletId'), 'RegisterProtocolRequest')
     }
 
+    // Validate that the wallet is initialized
+    const session = getSession(context, walletId)
+
     for (const [protocolName, protocolConfig] of Object.entries(protocols)) {
       if (protocolConfig && typeof protocolConfig === 'object') {
         const protocolManager = protocolManagers[protocolName]
         if (!protocolManager) {
           throw createErrorWithCode(`No protocol manager found for protocol: ${protocolName}`, ERROR_CODES.BAD_REQUEST)
         }
-        if (!walletManagers[protocolConfig.network]) {
-          throw createErrorWithCode(`No wallet manager found for network: ${protocolConfig.network}`, ERROR_CODES.BAD_REQUEST)
+        if (!session.networks[protocolConfig.network]) {
+          throw createErrorWithCode(`Network "${protocolConfig.network}" is not registered`, ERROR_CODES.BAD_REQUEST)
         }
         logger.info(`Registering ${protocolName} protocol - with label: ${protocolConfig.protocolLabel}`)
-        context.wdk.registerProtocol(protocolConfig.network, protocolConfig.protocolLabel, protocolManager, protocolConfig.config)
+        session.wdk.registerProtocol(protocolConfig.network, protocolConfig.protocolLabel, protocolManager, protocolConfig.config)
+        session.config.protocols = { ...session.config.protocols, [protocolName]: protocolConfig }
       }
     }
     return { status: 'registered' }
   },
 
   /**
-   * Dispose WDK instance
+   * Subscribe to balance changes or a transaction confirmation
+   * Updates are pushed to the host as `subscription` notifications
+   */
+  async subscribe (request, context) {
+    const { type, network, accountIndex, hash, token, intervalMs, walletId } = request
+
+    // Validate request and required fields
+    validateRequest(request, () => {
+      if (walletId !== undefined) {
+        validateWalletId(walletId, 'walletId')
+      }
+      validateEnum(type, Object.values(SUBSCRIPTION_TYPES), 'type')
+      validateNonEmptyString(network, 'network')
+      validateNonNegativeInteger(accountIndex, 'accountIndex')
+      if (type === SUBSCRIPTION_TYPES.TRANSACTION) {
+        validateNonEmptyString(hash, 'hash')
+      }
+      if (token !== undefined) {
+        validateNonEmptyString(token, 'token')
+      }
+      if (intervalMs !== undefined) {
+        validateNonNegativeInteger(intervalMs, 'intervalMs')
+        if (intervalMs < MIN_INTERVAL_MS) {
+          throw new Error(`intervalMs must be at least ${MIN_INTERVAL_MS}`)
+        }
+      }
+    }, 'SubscribeRequest')
+
+    const session = getSession(context, walletId)
+    if (!context.subscriptions) {
+      throw createErrorWithCode('Subscriptions are not available in this context', ERROR_CODES.BAD_REQUEST)
+    }
+
+    // Polling goes through the same allowlist as callMethod
+    let methodName = 'getBalance'
+    if (type === SUBSCRIPTION_TYPES.TRANSACTION) {
+      methodName = 'getTransactionReceipt'
+    } else if (token) {
+      methodName = 'getTokenBalance'
+    }
+    if (!getMethodAccess(session.policy, network, methodName)) {
+      throw createErrorWithCode(
+        `Method "${methodName}" is not allowed on account for network "${network}"`,
+        ERROR_CODES.METHOD_NOT_ALLOWED
+      )
+    }
+
+    const subscriptionId = context.subscriptions.add({ walletId: session.walletId, type, network, accountIndex, hash, token, intervalMs })
+    logger.info(`Subscribed ${subscriptionId} (${type} on ${session.walletId}/${network}/${accountIndex})`)
+    return { subscriptionId }
+  },
+
+  /**
+   * Cancel a subscription created by subscribe
+   */
+  async unsubscribe (request, context) {
+    const { subscriptionId } = request
+
+    validateRequest(request, () => validateNonEmptyString(subscriptionId, 'subscriptionId'), 'UnsubscribeRequest')
+
+    const unsubscribed = context.subscriptions ? context.subscriptions.remove(subscriptionId) : false
+    return { unsubscribed }
+  },
+
+  /**
+   * Report addresses, native balances and token balances of a wallet across networks and accounts
+   * Balances are fetched concurrently (at most concurrency calls at a time) and failures are
+   * reported per network instead of failing the call
+   * Without tokens, the tokens registered in the config are fetched
+   */
+  async getPortfolio (request, context, signal) {
+    const { walletId, networks, fromAccountIndex = 0, accountCount = 1, tokens, concurrency = DEFAULT_CONCURRENCY } = request
+
+    validateRequest(request, () => {
+      if (walletId !== undefined) {
+        validateWalletId(walletId, 'walletId')
+      }
+      if (networks !== undefined) {
+        if (!Array.isArray(networks) || networks.length === 0) {
+          throw new Error('networks must be a non-empty array')
+        }
+        networks.forEach((network, i) => validateNonEmptyString(network, `networks[${i}]`))
+      }
+      validateNonNegativeInteger(fromAccountIndex, 'fromAccountIndex')
+      validateNonNegativeInteger(accountCount, 'accountCount')
+      if (accountCount === 0 || accountCount > MAX_PORTFOLIO_ACCOUNTS) {
+        throw new Error(`accountCount must be between 1 and ${MAX_PORTFOLIO_ACCOUNTS}`)
+      }
+      if (tokens !== undefined && (!tokens || typeof tokens !== 'object' || Array.isArray(tokens))) {
+        throw new Error('tokens must be an object of token lists keyed by network')
+      }
+      for (const [network, list] of Object.entries(tokens || {})) {
+        if (!Array.isArray(list) || list.length > MAX_PORTFOLIO_TOKENS) {
+          throw new Error(`tokens.${network} must be an array of at most ${MAX_PORTFOLIO_TOKENS} token symbols or addresses`)
+        }
+        list.forEach((token, i) => validateNonEmptyString(token, `tokens.${network}[${i}]`))
+      }
+      validateNonNegativeInteger(concurrency, 'concurrency')
+      if (concurrency === 0 || concurrency > MAX_CONCURRENCY) {
+        throw new Error(`concurrency must be between 1 and ${MAX_CONCURRENCY}`)
+      }
+    }, 'GetPortfolioRequest')
+
+    const session = getSession(context, walletId)
+    const selected = networks ? [...new Set(networks)] : Object.keys(session.networks)
+
+    // Unknown networks are a mistake in the request, not a partial failure
+    for (const network of [...selected, ...Object.keys(tokens || {})]) {
+      if (!session.networks[network]) {
+        throw createErrorWithCode(`Network "${network}" is not registered for wallet ${session.walletId}`, ERROR_CODES.BAD_REQUEST)
+      }
+    }
+    const unselected = Object.keys(tokens || {}).find((network) => !selected.includes(network))
+    if (unselected) {
+      throw createErrorWithCode(`tokens.${unselected} is not one of the requested networks`, ERROR_CODES.BAD_REQUEST)
+    }
+
+    // Registered symbols are resolved to their address; anything else is taken as an address
+    const registry = session.tokens || {}
+    const tokenAddresses = {}
+    for (const network of selected) {
+      const list = tokens ? tokens[network] || [] : (registry[network] || []).map(({ address }) => address)
+      tokenAddresses[network] = list.map((token) => findToken(registry, network, token)?.address ?? token)
+    }
+
+    const portfolio = await collectPortfolio(session, {
+      networks: selected,
+      fromAccountIndex,
+      accountCount,
+      tokens: tokenAddresses,
+      concurrency,
+      signal
+    })
+
+    // Registered tokens are reported with their symbol and formatted balance
+    for (const report of portfolio.networks) {
+      for (const account of report.accounts) {
+        for (const entry of account.tokens) {
+          const token = findToken(registry, report.network, entry.token)
+          entry.symbol = token?.symbol ?? null
+          entry.formatted = token && entry.balance !== null ? formatTokenAmount(entry.balance, token.decimals) : null
+        }
+      }
+    }
+
+    // Balances are encoded like callMethod results
+    return encodeResult(portfolio, context?.encoding)
+  },
+
+  /**
+   * Get the balances of registered tokens, raw (base units) and formatted with the token's decimals
+   * tokens names registered symbols or addresses; without it every token registered on the network is fetched
    */
-  async dispose (context) {
-    if (context.wdk) {
-      logger.info('Disposing WDK instance')
-      context.wdk.dispose()
-      context.wdk = null
+  async getTokenBalances (request, context, signal) {
+    const { network, accountIndex, tokens, walletId } = request
+
+    validateRequest(request, () => {
+      if (walletId !== undefined) {
+        validateWalletId(walletId, 'walletId')
+      }
+      validateNonEmptyString(network, 'network')
+      validateNonNegativeInteger(accountIndex, 'accountIndex')
+      if (tokens !== undefined) {
+        if (!Array.isArray(tokens) || tokens.length === 0) {
+          throw new Error('tokens must be a non-empty array of token symbols or addresses')
+        }
+        tokens.forEach((token, i) => validateNonEmptyString(token, `tokens[${i}]`))
+      }
+    }, 'GetTokenBalancesRequest')
+
+    const session = getSession(context, walletId)
+    const registry = session.tokens || {}
+
+    let selected
+    validateRequest(request, () => {
+      selected = tokens
+        ? tokens.map((token, i) => resolveToken(registry, network, token, `tokens[${i}]`))
+        : registry[network] || []
+      if (selected.length === 0) {
+        throw new Error(`No tokens are registered on ${network}. Add them to config.tokens.${network}`)
+      }
+    }, 'GetTokenBalancesRequest')
+
+    const balances = await mapWithConcurrency(selected, DEFAULT_CONCURRENCY, async ({ symbol, address, decimals }) => {
+      const balance = await callWdkMethod(session, 'getTokenBalance', network, accountIndex, [address], { signal })
+      return { symbol, address, decimals, balance: toTokenAmount(balance, decimals) }
+    }, signal)
+
+    // Raw amounts are encoded like callMethod results
+    return encodeResult({ network, accountIndex, balances }, context?.encoding)
+  },
+
+  /**
+   * Transfer a registered token, with the amount in human-readable units (e.g. "12.5")
+   * The amount is converted to base units with the token's decimals; it must not have more decimal places
+   */
+  async transferToken (request, context, signal) {
+    const { network, accountIndex, token, recipient, amount, walletId } = request
+
+    validateRequest(request, () => {
+      if (walletId !== undefined) {
+        validateWalletId(walletId, 'walletId')
+      }
+      validateNonEmptyString(network, 'network')
+      validateNonNegativeInteger(accountIndex, 'accountIndex')
+      validateNonEmptyString(token, 'token')
+      validateNonEmptyString(recipient, 'recipient')
+    }, 'TransferTokenRequest')
+
+    const session = getSession(context, walletId)
+
+    let entry, rawAmount
+    validateRequest(request, () => {
+      entry = resolveToken(session.tokens || {}, network, token, 'token')
+      rawAmount = parseTokenAmount(amount, entry.decimals, 'amount')
+      if (rawAmount === 0n) {
+        throw new Error('amount must be greater than 0')
+      }
+    }, 'TransferTokenRequest')
+
+    const { symbol, address, decimals } = entry
+    logger.info(`Transferring ${formatTokenAmount(rawAmount, decimals)} ${symbol} on ${network} from account ${accountIndex}`)
+    const result = await callWdkMethod(session, 'transfer', network, accountIndex, [{ token: address, recipient, amount: rawAmount }], { signal })
+
+    return encodeResult({
+      hash: result.hash,
+      fee: result.fee,
+      symbol,
+      address,
+      decimals,
+      amount: toTokenAmount(rawAmount, decimals)
+    }, context?.encoding)
+  },
+
+  /**
+   * List the initialized wallet sessions
+   */
+  async listWallets (request, context) {
+    const wallets = [...(context.sessions?.values() || [])].map((session) => ({
+      walletId: session.walletId,
+      networks: Object.keys(session.networks),
+      locked: session.locked
+    }))
+    return { wallets }
+  },
+
+  /**
+   * Dispose a wallet session, or every session when no walletId is given
+   */
+  async dispose (context, walletId) {
+    if (walletId !== undefined) {
+      validateRequest({ walletId }, () => validateWalletId(walletId, 'walletId'), 'DisposeRequest')
+      disposeSession(context, walletId)
+      context.backupChallenges?.clear(walletId)
+    } else {
+      for (const id of [...(context.sessions?.keys() || [])]) {
+        disposeSession(context, id)
+      }
+      context.subscriptions?.clear()
+      context.backupChallenges?.clear()
     }
     return { status: 'disposed' }
   }
@@ -490,6 +1598,14 @@ const handlers = {
 module.exports = {
   handlers,
   withErrorHandling,
+  createErrorWithCode,
+  DEFAULT_WALLET_ID,
+  LOCK_NOTIFICATION,
+  LOG_NOTIFICATION,
+  LOG_LEVEL_NAMES,
+  LOCK_REASONS,
+  MIN_IDLE_TIMEOUT_MS,
   walletManagers,
+  networkAliases,
   protocolManagers
 }
@@ -0,0 +1,219 @@
+// External dependencies
+const crypto = require('bare-crypto')
+
+// Internal dependencies
+const logger = require('./utils/logger')
+const { encodeResult } = require('./utils/codec')
+const { EXECUTION_MODES } = require('./utils/scheduler')
+
+/**
+ * Subscription types and the notification they produce
+ * - balance: pushes the account balance (or a token balance) whenever it changes
+ * - transaction: pushes the receipt once a transaction hash is confirmed, then ends
+ *
+ * @enum {string}
+ */
+const SUBSCRIPTION_TYPES = {
+  BALANCE: 'balance',
+  TRANSACTION: 'transaction'
+}
+
+/**
+ * JSON-RPC method used for subscription notifications
+ */
+const SUBSCRIPTION_NOTIFICATION = 'subscription'
+
+const DEFAULT_INTERVAL_MS = 15000
+const MIN_INTERVAL_MS = 1000
+const MAX_SUBSCRIPTIONS = 100
+
+/**
+ * Create a subscription manager that polls WDK accounts and pushes
+ * JSON-RPC notifications to the host
+ *
+ * Polls run as shared scheduler tasks, so lock, dispose and re-initialization (exclusive)
+ * never tear a wallet down while one of its polls is using it
+ *
+ * @param {Object} context - Context object with the wallet sessions map, the scheduler, the result encoding
+ *   and a notify(method, params) function
+ * @returns {Object} Subscription manager
+ */
+function createSubscriptionManager (context) {
+  const subscriptions = new Map()
+
+  /**
+   * Encode a poll result for the host, as negotiated by workletStart
+   */
+  const toJsonSafe = (value) => encodeResult(value, context.encoding)
+
+  /**
+   * Schedule the next poll for a subscription
+   * Polls are chained (not setInterval) so a slow provider never overlaps itself
+   */
+  const schedule = (subscription) => {
+    subscription.timer = setTimeout(() => poll(subscription), subscription.intervalMs)
+  }
+
+  const push = (subscription, result) => {
+    context.notify(SUBSCRIPTION_NOTIFICATION, {
+      subscriptionId: subscription.id,
+      walletId: subscription.walletId,
+      type: subscription.type,
+      network: subscription.network,
+      accountIndex: subscription.accountIndex,
+      result
+    })
+  }
+
+  /**
+   * Get the WDK instance a subscription polls, or null while its wallet is locked
+   * @throws {Error} If the wallet is not initialized
+   */
+  const activeWdk = (subscription) => {
+    const session = context.sessions?.get(subscription.walletId)
+    if (!session) {
+      throw new Error(`Wallet ${subscription.walletId} not initialized`)
+    }
+    return session.locked ? null : session.wdk
+  }
+
+  /**
+   * Read the subscribed value once and push it if needed
+   * The WDK instance is checked again after every await, so nothing is pushed from an
+   * instance that was locked, disposed or replaced meanwhile
+   */
+  const check = async (subscription) => {
+    // Polling is paused while the wallet is locked, and resumes once it is unlocked
+    const wdk = activeWdk(subscription)
+    if (!wdk) {
+      return
+    }
+    const isCurrent = () => subscriptions.has(subscription.id) && activeWdk(subscription) === wdk
+
+    const account = await wdk.getAccount(subscription.network, subscription.accountIndex)
+    if (!isCurrent()) {
+      return
+    }
+
+    if (subscription.type === SUBSCRIPTION_TYPES.BALANCE) {
+      const balance = subscription.token
+        ? await account.getTokenBalance(subscription.token)
+        : await account.getBalance()
+      if (!isCurrent()) {
+        return
+      }
+      const value = toJsonSafe(balance)
+
+      // Only push on change (the first successful poll always pushes)
+      const serialized = JSON.stringify(value)
+      if (serialized !== subscription.last) {
+        subscription.last = serialized
+        push(subscription, { token: subscription.token || null, balance: value })
+      }
+    } else {
+      const receipt = await account.getTransactionReceipt(subscription.hash)
+      if (receipt && isCurrent()) {
+        push(subscription, { hash: subscription.hash, receipt: toJsonSafe(receipt) })
+        remove(subscription.id)
+      }
+    }
+  }
+
+  const poll = async (subscription) => {
+    subscription.timer = null
+
+    try {
+      if (context.scheduler) {
+        await context.scheduler.run(EXECUTION_MODES.SHARED, () => check(subscription))
+      } else {
+        await check(subscription)
+      }
+    } catch (error) {
+      logger.warn(`Subscription ${subscription.id} poll failed: ${error.message}`)
+    }
+
+    // The subscription may have been removed while the poll was in flight
+    if (subscriptions.has(subscription.id)) {
+      schedule(subscription)
+    }
+  }
+
+  const remove = (subscriptionId) => {
+    const subscription = subscriptions.get(subscriptionId)
+    if (!subscription) {
+      return false
+    }
+    if (subscription.timer) {
+      clearTimeout(subscription.timer)
+    }
+    subscriptions.delete(subscriptionId)
+    return true
+  }
+
+  return {
+    /**
+     * Register a subscription and start polling right away
+     * @param {Object} options - Validated subscription options
+     * @param {string} options.walletId - Wallet session to poll
+     * @param {SUBSCRIPTION_TYPES} options.type - Subscription type
+     * @param {string} options.network - Network name
+     * @param {number} options.accountIndex - Account index
+     * @param {string} [options.hash] - Transaction hash (transaction subscriptions)
+     * @param {string} [options.token] - Token address (balance subscriptions)
+     * @param {number} [options.intervalMs] - Poll interval in milliseconds
+     * @returns {string} Subscription id
+     */
+    add ({ walletId, type, network, accountIndex, hash, token, intervalMs }) {
+      if (subscriptions.size >= MAX_SUBSCRIPTIONS) {
+        throw new Error(`Too many active subscriptions (max ${MAX_SUBSCRIPTIONS})`)
+      }
+
+      const subscription = {
+        id: crypto.randomBytes(8).toString('hex'),
+        walletId,
+        type,
+        network,
+        accountIndex,
+        hash,
+        token,
+        intervalMs: intervalMs || DEFAULT_INTERVAL_MS,
+        last: undefined,
+        timer: null
+      }
+      subscriptions.set(subscription.id, subscription)
+      // First poll on the next tick so the host gets the subscription id before any notification
+      subscription.timer = setTimeout(() => poll(subscription), 0)
+      return subscription.id
+    },
+
+    /**
+     * Stop and remove a subscription
+     * @param {string} subscriptionId - Subscription id
+     * @returns {boolean} True if the subscription existed
+     */
+    remove,
+
+    /**
+     * Stop and remove all subscriptions, or only those of one wallet
+     * @param {string} [walletId] - Wallet id
+     */
+    clear (walletId) {
+      for (const subscription of [...subscriptions.values()]) {
+        if (walletId === undefined || subscription.walletId === walletId) {
+          remove(subscription.id)
+        }
+      }
+    },
+
+    get size () {
+      return subscriptions.size
+    }
+  }
+}
+
+module.exports = {
+  SUBSCRIPTION_TYPES,
+  SUBSCRIPTION_NOTIFICATION,
+  MIN_INTERVAL_MS,
+  createSubscriptionManager
+}
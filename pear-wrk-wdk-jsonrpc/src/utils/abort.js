@@ -0,0 +1,87 @@
+/**
+ * Create an AbortController
+ * Uses the runtime's implementation when available, otherwise a minimal
+ * compatible fallback (signal.aborted, signal.reason, abort listeners)
+ * @returns {AbortController} Controller with a signal and abort(reason)
+ */
+function createAbortController () {
+  if (typeof AbortController === 'function') {
+    return new AbortController()
+  }
+
+  const listeners = new Set()
+  const signal = {
+    aborted: false,
+    reason: undefined,
+    addEventListener (type, listener) {
+      if (type === 'abort') listeners.add(listener)
+    },
+    removeEventListener (type, listener) {
+      if (type === 'abort') listeners.delete(listener)
+    },
+    throwIfAborted () {
+      if (signal.aborted) throw signal.reason
+    }
+  }
+
+  return {
+    signal,
+    abort (reason) {
+      if (signal.aborted) return
+      signal.aborted = true
+      signal.reason = reason
+      for (const listener of listeners) {
+        listener({ type: 'abort', target: signal })
+      }
+      listeners.clear()
+    }
+  }
+}
+
+/**
+ * Throw the abort reason if the signal has been aborted
+ * @param {AbortSignal} [signal] - Signal to check
+ * @throws {any} The signal's abort reason
+ */
+function throwIfAborted (signal) {
+  if (signal && signal.aborted) {
+    throw signal.reason
+  }
+}
+
+/**
+ * Settle with the promise, or reject with the abort reason as soon as the signal aborts
+ * The underlying operation is not interrupted - only the wait for it is
+ * @param {Promise<any>} promise - Promise to race
+ * @param {AbortSignal} [signal] - Signal to race against
+ * @returns {Promise<any>} Promise settling with whichever happens first
+ */
+function raceWithSignal (promise, signal) {
+  if (!signal) {
+    return promise
+  }
+  if (signal.aborted) {
+    // Still observe the promise so a later rejection isn't reported as unhandled
+    Promise.resolve(promise).catch(() => {})
+    return Promise.reject(signal.reason)
+  }
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(signal.reason)
+    signal.addEventListener('abort', onAbort)
+
+    Promise.resolve(promise).then((value) => {
+      signal.removeEventListener('abort', onAbort)
+      resolve(value)
+    }, (error) => {
+      signal.removeEventListener('abort', onAbort)
+      reject(error)
+    })
+  })
+}
+
+module.exports = {
+  createAbortController,
+  throwIfAborted,
+  raceWithSignal
+}
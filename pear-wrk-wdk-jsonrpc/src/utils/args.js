@@ -0,0 +1,158 @@
+/**
+ * Decoding of callMethod arguments
+ *
+ * args is JSON, passed as the single argument; omitted args call the method without arguments.
+ * With positional, args must be an array, spread as positional arguments:
+ *
+ *   { "to": "0x...", "value": "1000" }     -> sendTransaction({ to, value: 1000n })
+ *   ["0xtokenA", "0xtokenB"]               -> a single array argument
+ *   ["message", "0xsignature"] positional  -> verify("message", "0xsignature")
+ *
+ * JSON numbers can't hold amounts above 2^53, so amounts are decoded to BigInt explicitly:
+ * - fields named in BIGINT_FIELDS, at the top level of an object argument (a transaction,
+ *   transfer or swap); nested objects are left alone, since their fields mean something else
+ * - any value tagged as { "$bigint": "<decimal>" }, at any depth
+ * Both take a decimal string (fields also a 0x-prefixed hex string) or a safe integer. Anything
+ * else is rejected, so an amount never silently loses precision.
+ */
+
+/**
+ * Fields of object arguments that WDK wallets and protocols expect as BigInt (base units)
+ */
+const BIGINT_FIELDS = new Set([
+  'value',
+  'amount',
+  'fee',
+  'maxFee',
+  'gasLimit',
+  'gasPrice',
+  'maxFeePerGas',
+  'maxPriorityFeePerGas',
+  'tokenInAmount',
+  'tokenOutAmount',
+  'transferMaxFee',
+  'swapMaxFee',
+  'bridgeMaxFee'
+])
+
+/**
+ * Key of a tagged BigInt ({ "$bigint": "123" })
+ */
+const BIGINT_TAG = '$bigint'
+
+const DECIMAL_PATTERN = /^(0|[1-9][0-9]*)$/
+const HEX_PATTERN = /^0x[0-9a-fA-F]+$/
+
+/**
+ * Nested arguments deeper than this are rejected
+ */
+const MAX_DEPTH = 32
+
+/**
+ * Check whether a value is a tagged BigInt
+ * @param {any} value - Decoded JSON value
+ * @returns {boolean} True for { "$bigint": ... }
+ */
+function isTaggedBigInt (value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) &&
+    Object.keys(value).length === 1 && Object.prototype.hasOwnProperty.call(value, BIGINT_TAG)
+}
+
+/**
+ * Decode a non-negative integer amount to BigInt
+ * @param {any} value - Decimal string, hex string (allowHex) or safe integer
+ * @param {string} path - Path of the value for error messages
+ * @param {boolean} allowHex - Accept 0x-prefixed hex strings
+ * @returns {bigint} Decoded amount
+ * @throws {Error} If the value is not an integer, is negative or would lose precision
+ */
+function toBigInt (value, path, allowHex) {
+  if (typeof value === 'string' && (DECIMAL_PATTERN.test(value) || (allowHex && HEX_PATTERN.test(value)))) {
+    return BigInt(value)
+  }
+  if (typeof value === 'number' && Number.isInteger(value) && value >= 0) {
+    if (!Number.isSafeInteger(value)) {
+      throw new Error(`${path} is too large for a JSON number and would lose precision; pass it as a decimal string`)
+    }
+    return BigInt(value)
+  }
+  throw new Error(`${path} must be a non-negative integer, as a decimal string${allowHex ? ', a 0x hex string' : ''} or a safe integer`)
+}
+
+/**
+ * Decode the tagged BigInts of a value
+ * @param {any} value - Decoded JSON value
+ * @param {string} path - Path of the value for error messages
+ * @param {number} depth - Current nesting depth
+ * @returns {any} Value with tagged BigInts decoded
+ */
+function decodeValue (value, path, depth) {
+  if (value === null || typeof value !== 'object') {
+    return value
+  }
+  if (depth >= MAX_DEPTH) {
+    throw new Error(`${path} is nested too deeply`)
+  }
+  if (isTaggedBigInt(value)) {
+    return toBigInt(value[BIGINT_TAG], `${path}.${BIGINT_TAG}`, false)
+  }
+  if (Array.isArray(value)) {
+    return value.map((item, i) => decodeValue(item, `${path}[${i}]`, depth + 1))
+  }
+
+  const decoded = {}
+  for (const [key, item] of Object.entries(value)) {
+    decoded[key] = decodeValue(item, `${path}.${key}`, depth + 1)
+  }
+  return decoded
+}
+
+/**
+ * Decode one argument: the amount fields of an object argument, and tagged BigInts anywhere
+ * @param {any} value - Decoded JSON value
+ * @param {string} path - Path of the argument for error messages
+ * @returns {any} Argument with amounts as BigInt
+ */
+function decodeArgument (value, path) {
+  if (value === null || typeof value !== 'object' || Array.isArray(value) || isTaggedBigInt(value)) {
+    return decodeValue(value, path, 1)
+  }
+
+  const decoded = {}
+  for (const [key, item] of Object.entries(value)) {
+    const itemPath = `${path}.${key}`
+    // null and undefined mean "not set" (e.g. let the wallet estimate the fee)
+    decoded[key] = BIGINT_FIELDS.has(key) && item !== null && !isTaggedBigInt(item)
+      ? toBigInt(item, itemPath, true)
+      : decodeValue(item, itemPath, 2)
+  }
+  return decoded
+}
+
+/**
+ * Decode callMethod args into the arguments of the call
+ * @param {any} value - Parsed args JSON (null or undefined when omitted)
+ * @param {string} fieldName - Name of the field for error messages
+ * @param {Object} [options] - Decoding options
+ * @param {boolean} [options.positional=false] - Spread an array as positional arguments
+ * @returns {Array} Arguments to spread into the method call
+ * @throws {Error} If an amount can't be decoded, or positional args are not an array
+ */
+function decodeArgs (value, fieldName, { positional = false } = {}) {
+  if (value === null || value === undefined) {
+    return []
+  }
+  if (!positional) {
+    return [decodeArgument(value, fieldName)]
+  }
+  if (!Array.isArray(value)) {
+    throw new Error(`${fieldName} must be a JSON array when positional is true`)
+  }
+  return value.map((item, i) => decodeArgument(item, `${fieldName}[${i}]`))
+}
+
+module.exports = {
+  BIGINT_FIELDS,
+  BIGINT_TAG,
+  decodeArgs
+}
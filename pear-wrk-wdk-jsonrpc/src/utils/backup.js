@@ -0,0 +1,172 @@
+/**
+ * Wallet backup documents
+ *
+ * A backup is a JSON document that can be stored anywhere (e.g. in the cloud):
+ *
+ *   {
+ *     "format": "wdk-backup",
+ *     "version": 1,
+ *     "createdAt": "2025-01-01T00:00:00.000Z",
+ *     "data": "<base64 passphrase envelope>",
+ *     "checksum": "<sha256 hex>"
+ *   }
+ *
+ * data is a passphrase envelope (see utils/crypto.js) bound to the "backup" purpose, so the
+ * scrypt parameters and salt travel with it. Its plaintext is
+ * [entropy length (1)][entropy][metadata JSON (UTF-8)], with language, config and accountLabels
+ * in the metadata. The AES-GCM tag authenticates the payload; checksum covers the other fields
+ * so a damaged file is reported as such instead of as a wrong passphrase.
+ */
+
+// External dependencies
+const { sha256 } = require('@noble/hashes/sha2')
+
+// Internal dependencies
+const { ENVELOPE_PURPOSES, memzero, encryptWithPassphrase, decryptWithPassphrase } = require('./crypto')
+const { MNEMONIC_WORD_COUNTS, entropyLengthForWordCount } = require('./mnemonic')
+const { validateBase64, validateNonEmptyString, validateNonNegativeInteger } = require('./validation')
+
+const BACKUP_FORMAT = 'wdk-backup'
+const BACKUP_VERSION = 1
+
+/**
+ * Backups are meant to leave the device, so they need a stronger passphrase than a PIN
+ */
+const MIN_BACKUP_PASSPHRASE_LENGTH = 8
+
+const MAX_ACCOUNT_LABEL_LENGTH = 64
+
+const ENTROPY_LENGTHS = MNEMONIC_WORD_COUNTS.map(entropyLengthForWordCount)
+
+/**
+ * Validate account labels
+ * @param {any} value - Value to validate
+ * @param {string} fieldName - Name of the field for error messages
+ * @throws {Error} If validation fails
+ */
+function validateAccountLabels (value, fieldName) {
+  if (!Array.isArray(value)) {
+    throw new Error(`${fieldName} must be an array`)
+  }
+  value.forEach((entry, i) => {
+    const { network, accountIndex, label } = entry || {}
+    validateNonEmptyString(network, `${fieldName}[${i}].network`)
+    validateNonNegativeInteger(accountIndex, `${fieldName}[${i}].accountIndex`)
+    if (typeof label !== 'string' || label.length === 0 || label.length > MAX_ACCOUNT_LABEL_LENGTH) {
+      throw new Error(`${fieldName}[${i}].label must be a string of 1 to ${MAX_ACCOUNT_LABEL_LENGTH} characters`)
+    }
+  })
+}
+
+/**
+ * Checksum of a backup document's fields (everything but checksum itself)
+ * @param {Object} fields - format, version, createdAt and data
+ * @returns {string} SHA-256 hex digest
+ */
+function backupChecksum ({ format, version, createdAt, data }) {
+  const digest = sha256(Buffer.from(JSON.stringify([format, version, createdAt, data]), 'utf8'))
+  return Buffer.from(digest).toString('hex')
+}
+
+/**
+ * Create a backup document
+ * @param {Uint8Array|Buffer} entropy - BIP39 entropy
+ * @param {Object} metadata - language, config and accountLabels
+ * @param {string} passphrase - Backup passphrase
+ * @returns {Promise<string>} Backup document (JSON)
+ */
+async function createBackup (entropy, metadata, passphrase) {
+  const payload = Buffer.concat([
+    Buffer.from([entropy.length]),
+    entropy,
+    Buffer.from(JSON.stringify(metadata), 'utf8')
+  ])
+
+  let data
+  try {
+    data = await encryptWithPassphrase(payload, passphrase, { purpose: ENVELOPE_PURPOSES.BACKUP })
+  } finally {
+    memzero(payload)
+  }
+
+  const fields = { format: BACKUP_FORMAT, version: BACKUP_VERSION, createdAt: new Date().toISOString(), data }
+  return JSON.stringify({ ...fields, checksum: backupChecksum(fields) })
+}
+
+/**
+ * Parse a backup document and check its format, version and checksum
+ * Nothing is decrypted, so this is cheap enough to run while validating a request
+ * @param {any} value - Backup document (JSON string)
+ * @param {string} fieldName - Name of the field for error messages
+ * @returns {Object} format, version, createdAt and data
+ * @throws {Error} If the document is malformed, unsupported or damaged
+ */
+function parseBackup (value, fieldName) {
+  validateNonEmptyString(value, fieldName)
+
+  let document
+  try {
+    document = JSON.parse(value)
+  } catch (error) {
+    throw new Error(`${fieldName} must be valid JSON: ${error.message}`)
+  }
+  if (!document || typeof document !== 'object' || document.format !== BACKUP_FORMAT) {
+    throw new Error(`${fieldName} is not a WDK backup`)
+  }
+
+  const { format, version, createdAt, data, checksum } = document
+  if (version !== BACKUP_VERSION) {
+    throw new Error(`Unsupported backup version: ${version}`)
+  }
+  if (typeof createdAt !== 'string') {
+    throw new Error(`${fieldName}.createdAt must be a string`)
+  }
+  validateBase64(data, `${fieldName}.data`)
+  if (checksum !== backupChecksum({ format, version, createdAt, data })) {
+    throw new Error(`${fieldName} checksum does not match (the backup is damaged)`)
+  }
+
+  return { format, version, createdAt, data }
+}
+
+/**
+ * Decrypt a parsed backup document
+ * @param {Object} backup - Result of parseBackup
+ * @param {string} passphrase - Backup passphrase
+ * @returns {Promise<{ entropy: Uint8Array, metadata: Object, createdAt: string }>} Backup contents
+ * @throws {Error} If the passphrase is wrong or the payload is malformed
+ */
+async function openBackup ({ createdAt, data }, passphrase) {
+  const payload = await decryptWithPassphrase(data, passphrase, { purpose: ENVELOPE_PURPOSES.BACKUP })
+  try {
+    const entropyLength = payload[0]
+    if (!ENTROPY_LENGTHS.includes(entropyLength) || payload.length < 1 + entropyLength) {
+      throw new Error('Backup does not hold valid entropy')
+    }
+    // Create a new Uint8Array and copy bytes explicitly for @scure/bip39 compatibility
+    const entropy = new Uint8Array(entropyLength)
+    entropy.set(payload.subarray(1, 1 + entropyLength))
+
+    let metadata
+    try {
+      metadata = JSON.parse(payload.subarray(1 + entropyLength).toString('utf8'))
+    } catch (error) {
+      memzero(entropy)
+      throw new Error('Backup metadata is not valid JSON')
+    }
+    return { entropy, metadata, createdAt }
+  } finally {
+    memzero(payload)
+  }
+}
+
+module.exports = {
+  BACKUP_FORMAT,
+  BACKUP_VERSION,
+  MIN_BACKUP_PASSPHRASE_LENGTH,
+  MAX_ACCOUNT_LABEL_LENGTH,
+  validateAccountLabels,
+  createBackup,
+  parseBackup,
+  openBackup
+}
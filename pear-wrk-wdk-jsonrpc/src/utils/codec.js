@@ -0,0 +1,242 @@
+/**
+ * Encoding of RPC results
+ *
+ * JSON has no BigInt, bytes or dates, so results are encoded before they are sent. The host
+ * picks the encoding with workletStart:
+ *
+ * - plain (default): BigInt values become decimal strings and other values go through
+ *   JSON.stringify as-is (Uint8Array becomes an index-keyed object, Date an ISO string)
+ * - tagged: values keep their type as single-key objects that decodeResult turns back
+ *
+ *   10n                       -> { "$bigint": "10" }
+ *   Uint8Array [1, 2]         -> { "$hex": "0102" } or { "$base64": "AQI=" } (bytesEncoding)
+ *   new Date(0)               -> { "$date": "1970-01-01T00:00:00.000Z" }
+ *   { "$hex": "not bytes" }   -> { "$object": { "$hex": "not bytes" } }
+ *
+ * A plain object whose only key is a tag is wrapped in $object, so every tagged result
+ * decodes to exactly the value that was encoded.
+ */
+
+const { safeStringify } = require('./safe-stringify')
+const { BIGINT_TAG } = require('./args')
+
+const RESULT_ENCODINGS = ['plain', 'tagged']
+const BYTES_ENCODINGS = ['hex', 'base64']
+
+/**
+ * Encoding used until the host negotiates another one
+ */
+const DEFAULT_ENCODING = Object.freeze({ resultEncoding: 'plain', bytesEncoding: 'hex' })
+
+/**
+ * Keys of tagged values
+ */
+const TAGS = {
+  BIGINT: BIGINT_TAG,
+  HEX: '$hex',
+  BASE64: '$base64',
+  DATE: '$date',
+  OBJECT: '$object'
+}
+
+const TAG_KEYS = new Set(Object.values(TAGS))
+
+const BIGINT_PATTERN = /^-?(0|[1-9][0-9]*)$/
+const HEX_PATTERN = /^([0-9a-f]{2})*$/
+const BASE64_PATTERN = /^([A-Za-z0-9+/]{4})*([A-Za-z0-9+/]{2}==|[A-Za-z0-9+/]{3}=)?$/
+
+/**
+ * Nested results deeper than this are rejected
+ */
+const MAX_DEPTH = 64
+
+/**
+ * Get the single tag key of a value
+ * @param {any} value - Decoded JSON value
+ * @returns {string|null} The tag, or null if the value is not a single-key tagged object
+ */
+function getTag (value) {
+  if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+    return null
+  }
+  const keys = Object.keys(value)
+  return keys.length === 1 && TAG_KEYS.has(keys[0]) ? keys[0] : null
+}
+
+/**
+ * Encode a value with type tags
+ * @param {any} value - Value returned by a handler or the wallet library
+ * @param {string} bytesEncoding - hex or base64
+ * @param {number} depth - Current nesting depth
+ * @param {Set} seen - Objects on the current path (to detect cycles)
+ * @returns {any} JSON-safe value (undefined for values JSON omits)
+ */
+function encodeTagged (value, bytesEncoding, depth, seen) {
+  if (typeof value === 'bigint') {
+    return { [TAGS.BIGINT]: value.toString() }
+  }
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? value : null
+  }
+  if (typeof value === 'function' || typeof value === 'symbol' || value === undefined) {
+    return undefined
+  }
+  if (value === null || typeof value !== 'object') {
+    return value
+  }
+  if (value instanceof ArrayBuffer || ArrayBuffer.isView(value)) {
+    const bytes = value instanceof ArrayBuffer
+      ? Buffer.from(value)
+      : Buffer.from(value.buffer, value.byteOffset, value.byteLength)
+    return bytesEncoding === 'base64'
+      ? { [TAGS.BASE64]: bytes.toString('base64') }
+      : { [TAGS.HEX]: bytes.toString('hex') }
+  }
+  if (value instanceof Date) {
+    return Number.isNaN(value.getTime()) ? null : { [TAGS.DATE]: value.toISOString() }
+  }
+  if (depth >= MAX_DEPTH) {
+    throw new Error('Result is nested too deeply')
+  }
+  if (seen.has(value)) {
+    throw new Error('Result contains a circular reference')
+  }
+
+  seen.add(value)
+  try {
+    if (typeof value.toJSON === 'function') {
+      return encodeTagged(value.toJSON(), bytesEncoding, depth + 1, seen)
+    }
+    if (Array.isArray(value)) {
+      // Like JSON, values that can't be represented become null in arrays
+      return value.map((item) => encodeTagged(item, bytesEncoding, depth + 1, seen) ?? null)
+    }
+
+    const encoded = {}
+    for (const [key, item] of Object.entries(value)) {
+      const encodedItem = encodeTagged(item, bytesEncoding, depth + 1, seen)
+      if (encodedItem !== undefined) {
+        encoded[key] = encodedItem
+      }
+    }
+    return getTag(encoded) ? { [TAGS.OBJECT]: encoded } : encoded
+  } finally {
+    seen.delete(value)
+  }
+}
+
+/**
+ * Encode a result for the host
+ * @param {any} value - Result value
+ * @param {Object} [encoding] - Negotiated encoding (see DEFAULT_ENCODING)
+ * @param {string} [encoding.resultEncoding] - plain or tagged
+ * @param {string} [encoding.bytesEncoding] - hex or base64 (tagged only)
+ * @returns {any} JSON-safe value (undefined becomes null)
+ * @throws {Error} If the result is circular or nested too deeply
+ */
+function encodeResult (value, encoding = DEFAULT_ENCODING) {
+  if (value === undefined) {
+    return null
+  }
+  if (encoding.resultEncoding !== 'tagged') {
+    return JSON.parse(safeStringify(value) ?? 'null')
+  }
+  return encodeTagged(value, encoding.bytesEncoding || DEFAULT_ENCODING.bytesEncoding, 0, new Set()) ?? null
+}
+
+/**
+ * Decode one tagged value
+ * @param {string} tag - Tag key
+ * @param {any} payload - Value under the tag
+ * @param {string} path - Path of the value for error messages
+ * @param {number} depth - Current nesting depth
+ * @returns {any} Decoded value
+ */
+function decodeTag (tag, payload, path, depth) {
+  const tagPath = `${path}.${tag}`
+  switch (tag) {
+    case TAGS.BIGINT:
+      if (typeof payload !== 'string' || !BIGINT_PATTERN.test(payload)) {
+        throw new Error(`${tagPath} must be a decimal integer string`)
+      }
+      return BigInt(payload)
+    case TAGS.HEX:
+      if (typeof payload !== 'string' || !HEX_PATTERN.test(payload)) {
+        throw new Error(`${tagPath} must be a lowercase hex string`)
+      }
+      return new Uint8Array(Buffer.from(payload, 'hex'))
+    case TAGS.BASE64:
+      if (typeof payload !== 'string' || !BASE64_PATTERN.test(payload)) {
+        throw new Error(`${tagPath} must be a base64 string`)
+      }
+      return new Uint8Array(Buffer.from(payload, 'base64'))
+    case TAGS.DATE: {
+      const date = typeof payload === 'string' ? new Date(payload) : null
+      if (!date || Number.isNaN(date.getTime())) {
+        throw new Error(`${tagPath} must be an ISO 8601 date string`)
+      }
+      return date
+    }
+    default:
+      if (payload === null || typeof payload !== 'object' || Array.isArray(payload)) {
+        throw new Error(`${tagPath} must be an object`)
+      }
+      return decodeEntries(payload, tagPath, depth)
+  }
+}
+
+/**
+ * Decode the entries of a plain object
+ * @param {Object} value - Object to decode
+ * @param {string} path - Path of the value for error messages
+ * @param {number} depth - Current nesting depth
+ * @returns {Object} Decoded copy
+ */
+function decodeEntries (value, path, depth) {
+  const decoded = {}
+  for (const [key, item] of Object.entries(value)) {
+    decoded[key] = decodeValue(item, `${path}.${key}`, depth + 1)
+  }
+  return decoded
+}
+
+/**
+ * Decode a tagged value
+ * @param {any} value - Decoded JSON value
+ * @param {string} path - Path of the value for error messages
+ * @param {number} depth - Current nesting depth
+ * @returns {any} Value with BigInt, Uint8Array and Date restored
+ */
+function decodeValue (value, path, depth) {
+  if (value === null || typeof value !== 'object') {
+    return value
+  }
+  if (depth >= MAX_DEPTH) {
+    throw new Error(`${path} is nested too deeply`)
+  }
+  if (Array.isArray(value)) {
+    return value.map((item, i) => decodeValue(item, `${path}[${i}]`, depth + 1))
+  }
+  const tag = getTag(value)
+  return tag ? decodeTag(tag, value[tag], path, depth) : decodeEntries(value, path, depth)
+}
+
+/**
+ * Decode a result encoded with the tagged encoding
+ * Plain results need no decoding
+ * @param {any} value - Parsed result JSON
+ * @returns {any} Decoded result
+ * @throws {Error} If a tagged value is malformed
+ */
+function decodeResult (value) {
+  return decodeValue(value, 'result', 0)
+}
+
+module.exports = {
+  RESULT_ENCODINGS,
+  BYTES_ENCODINGS,
+  DEFAULT_ENCODING,
+  TAGS,
+  encodeResult,
+  decodeResult
+}
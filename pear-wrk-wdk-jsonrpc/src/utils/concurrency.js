@@ -0,0 +1,43 @@
+const { throwIfAborted } = require('./abort')
+
+/**
+ * Map items through an async function, running at most `limit` calls at a time
+ * Results keep the order of the items. The first rejection rejects the whole map, once the
+ * calls already running have settled (no new ones are started)
+ * @param {Array} items - Items to map
+ * @param {number} limit - Maximum number of concurrent calls (at least 1)
+ * @param {Function} fn - async (item, index) => result
+ * @param {AbortSignal} [signal] - Aborting stops starting new calls and rejects with the abort reason
+ * @returns {Promise<Array>} Results in item order
+ */
+async function mapWithConcurrency (items, limit, fn, signal) {
+  const results = new Array(items.length)
+  let next = 0
+  let failed = false
+
+  const worker = async () => {
+    while (!failed && next < items.length) {
+      throwIfAborted(signal)
+      const index = next++
+      try {
+        results[index] = await fn(items[index], index)
+      } catch (error) {
+        failed = true
+        throw error
+      }
+    }
+  }
+
+  const workers = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker)
+  const settled = await Promise.allSettled(workers)
+  throwIfAborted(signal)
+  const failure = settled.find((result) => result.status === 'rejected')
+  if (failure) {
+    throw failure.reason
+  }
+  return results
+}
+
+module.exports = {
+  mapWithConcurrency
+}
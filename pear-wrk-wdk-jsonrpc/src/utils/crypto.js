@@ -1,5 +1,9 @@
 // External dependencies
 const crypto = require('bare-crypto')
+const { scryptAsync } = require('@noble/hashes/scrypt')
+
+// Internal dependencies
+const { MNEMONIC_WORD_COUNTS, entropyLengthForWordCount } = require('./mnemonic')
 
 /**
  * Buffer Type Strategy:
@@ -42,77 +46,489 @@ const generateEncryptionKey = () => {
 }
 
 /**
- * Encrypt data using AES-256-GCM
+ * Encrypt data using AES-256-GCM with a raw key
  * @param {Uint8Array|Buffer} data - Data to encrypt
- * @param {string} keyBase64 - Base64-encoded encryption key
- * @returns {string} Base64-encoded encrypted data with IV and auth tag
+ * @param {Buffer} key - 32-byte key (not zeroed, owned by the caller)
+ * @param {Buffer} [aad] - Associated data to authenticate (not encrypted, not included in the result)
+ * @returns {Buffer} IV + encrypted data + auth tag
  */
-const encrypt = (data, keyBase64) => {
-  const key = Buffer.from(keyBase64, 'base64')
+const encryptWithKey = (data, key, aad) => {
   const iv = crypto.randomBytes(12) // 96-bit IV for GCM
 
-  // Convert data to Buffer if needed
+  // Convert data to Buffer if needed (a copy is zeroed below, the caller zeroes its own data)
   const dataBuffer = Buffer.isBuffer(data) ? data : Buffer.from(data)
 
   // Use AES-256-GCM for authenticated encryption
   const cipher = crypto.createCipheriv('aes-256-gcm', key, iv)
+  if (aad) {
+    cipher.setAAD(aad)
+  }
   const encrypted = Buffer.concat([cipher.update(dataBuffer), cipher.final()])
   const authTag = cipher.getAuthTag()
 
   // Combine IV + encrypted data + auth tag
   const result = Buffer.concat([iv, encrypted, authTag])
-  const resultBase64 = result.toString('base64')
 
-  // Zero out sensitive buffers (caller should zero input data buffer)
-  memzero(key)
+  // Zero out sensitive buffers (caller should zero input data buffer and key)
+  if (dataBuffer !== data) {
+    memzero(dataBuffer)
+  }
   memzero(iv)
   memzero(encrypted)
   memzero(authTag)
 
-  return resultBase64
+  return result
 }
 
 /**
- * Decrypt data using AES-256-GCM
- * @param {string} encryptedBase64 - Base64-encoded encrypted data with IV and auth tag
- * @param {string} keyBase64 - Base64-encoded encryption key
+ * Decrypt data using AES-256-GCM with a raw key
+ * @param {Buffer} encryptedBuffer - IV + encrypted data + auth tag
+ * @param {Buffer} key - 32-byte key (not zeroed, owned by the caller)
+ * @param {Buffer} [aad] - Associated data the data was encrypted with
  * @returns {Buffer} Decrypted data
  */
-const decrypt = (encryptedBase64, keyBase64) => {
-  const key = Buffer.from(keyBase64, 'base64')
-  const encryptedBuffer = Buffer.from(encryptedBase64, 'base64')
-
+const decryptWithKey = (encryptedBuffer, key, aad) => {
   // Extract IV (12 bytes), encrypted data, and auth tag (16 bytes)
   const iv = encryptedBuffer.subarray(0, 12)
   const authTag = encryptedBuffer.subarray(encryptedBuffer.length - 16)
   const encrypted = encryptedBuffer.subarray(12, encryptedBuffer.length - 16)
 
   const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv)
+  if (aad) {
+    decipher.setAAD(aad)
+  }
   decipher.setAuthTag(authTag)
 
-  const decrypted = Buffer.concat([decipher.update(encrypted), decipher.final()])
+  // update() returns the plaintext before the tag is checked, so it is zeroed even if final() throws
+  const decrypted = decipher.update(encrypted)
+  try {
+    return Buffer.concat([decrypted, decipher.final()])
+  } finally {
+    memzero(decrypted)
+  }
+}
+
+/**
+ * Ciphertext envelope
+ *
+ * Layout (base64):
+ * [magic "WDK" (3)][version (1)][algorithm (1)][purpose (1)][walletId length (1)][walletId]
+ * [algorithm params][IV (12)][encrypted data][auth tag (16)]
+ *
+ * Everything before the IV is authenticated as AES-GCM associated data, so the header
+ * can't be edited, and a blob encrypted for another purpose or wallet is rejected
+ * before anything is decrypted. Key-mode data without the magic is read in the legacy
+ * layout: IV + encrypted data + auth tag. A legacy IV is random, so 1 in 2^24 starts with
+ * the magic: key-mode data that doesn't open as an envelope is retried in the legacy layout.
+ * Passphrase-mode data has always been written as envelopes, so only envelopes are read.
+ *
+ * Legacy data carries no purpose or wallet id, so it is decrypted without those checks.
+ * changePassphrase and rotateEncryptionKey rewrite it as envelopes.
+ */
+const ENVELOPE_MAGIC = Buffer.from('WDK', 'ascii')
+const ENVELOPE_VERSION = 1
+
+/**
+ * Envelope algorithm ids
+ * AES_256_GCM_SCRYPT params: [logN (1)][r (1)][p (1)][salt (16)]
+ */
+const ALGORITHMS = {
+  AES_256_GCM: 1,
+  AES_256_GCM_SCRYPT: 2
+}
+
+/**
+ * What a blob holds; bound into the envelope so a seed can't be passed as entropy or vice versa
+ * BACKUP is the payload of a wallet backup document (see utils/backup.js)
+ */
+const ENVELOPE_PURPOSES = {
+  SEED: 'seed',
+  ENTROPY: 'entropy',
+  BACKUP: 'backup'
+}
+
+// Purpose ids in the header (0 = not bound to a purpose)
+const PURPOSE_IDS = {
+  [ENVELOPE_PURPOSES.SEED]: 1,
+  [ENVELOPE_PURPOSES.ENTROPY]: 2,
+  [ENVELOPE_PURPOSES.BACKUP]: 3
+}
+
+const MAX_BOUND_WALLET_ID_LENGTH = 64
 
-  // Zero out sensitive buffers (but not the decrypted result we're returning)
+/**
+ * Build an envelope header
+ * @param {number} algorithm - ALGORITHMS value
+ * @param {Object} binding - What the blob is bound to
+ * @param {string} [binding.purpose] - ENVELOPE_PURPOSES value
+ * @param {string} [binding.walletId] - Wallet id
+ * @param {Buffer} [params] - Algorithm params
+ * @returns {Buffer} Header (also the associated data)
+ */
+const buildEnvelopeHeader = (algorithm, { purpose, walletId } = {}, params = Buffer.alloc(0)) => {
+  if (purpose !== undefined && !PURPOSE_IDS[purpose]) {
+    throw new Error(`Unknown encryption purpose: ${purpose}`)
+  }
+  const walletIdBuffer = Buffer.from(walletId ?? '', 'utf8')
+  if (walletIdBuffer.length > MAX_BOUND_WALLET_ID_LENGTH) {
+    throw new Error(`walletId must be at most ${MAX_BOUND_WALLET_ID_LENGTH} bytes`)
+  }
+  const fields = Buffer.from([ENVELOPE_VERSION, algorithm, purpose ? PURPOSE_IDS[purpose] : 0, walletIdBuffer.length])
+  return Buffer.concat([ENVELOPE_MAGIC, fields, walletIdBuffer, params])
+}
+
+/**
+ * Check whether data starts with the envelope magic
+ * @param {Buffer} buffer - Encrypted data
+ * @returns {boolean} True if the data starts with the magic
+ */
+const hasEnvelopeMagic = (buffer) =>
+  buffer.length >= ENVELOPE_MAGIC.length && buffer.subarray(0, ENVELOPE_MAGIC.length).equals(ENVELOPE_MAGIC)
+
+/**
+ * Parse an envelope header
+ * @param {Buffer} buffer - Encrypted data
+ * @returns {Object|null} Header fields (version, algorithm, purpose, walletId, params, headerLength),
+ *   or null if the data is in a legacy format
+ * @throws {Error} If the envelope is truncated or uses an unsupported version or algorithm
+ */
+const parseEnvelope = (buffer) => {
+  if (!hasEnvelopeMagic(buffer)) {
+    return null
+  }
+  const fieldsOffset = ENVELOPE_MAGIC.length
+  if (buffer.length < fieldsOffset + 4) {
+    throw new Error('Encrypted data is truncated')
+  }
+
+  const version = buffer.readUInt8(fieldsOffset)
+  if (version !== ENVELOPE_VERSION) {
+    throw new Error(`Unsupported encrypted data version: ${version}`)
+  }
+  const algorithm = buffer.readUInt8(fieldsOffset + 1)
+  if (!Object.values(ALGORITHMS).includes(algorithm)) {
+    throw new Error(`Unsupported encryption algorithm: ${algorithm}`)
+  }
+  const purposeId = buffer.readUInt8(fieldsOffset + 2)
+  const purpose = Object.keys(PURPOSE_IDS).find((name) => PURPOSE_IDS[name] === purposeId)
+  if (purposeId !== 0 && !purpose) {
+    throw new Error(`Unknown encryption purpose: ${purposeId}`)
+  }
+
+  const walletIdOffset = fieldsOffset + 4
+  const walletIdLength = buffer.readUInt8(fieldsOffset + 3)
+  const paramsOffset = walletIdOffset + walletIdLength
+  const paramsLength = algorithm === ALGORITHMS.AES_256_GCM_SCRYPT ? 3 + PASSPHRASE_SALT_LENGTH : 0
+  const headerLength = paramsOffset + paramsLength
+  if (buffer.length < headerLength + 12 + 16) {
+    throw new Error('Encrypted data is truncated')
+  }
+
+  return {
+    version,
+    algorithm,
+    purpose,
+    walletId: walletIdLength > 0 ? buffer.subarray(walletIdOffset, paramsOffset).toString('utf8') : undefined,
+    params: buffer.subarray(paramsOffset, headerLength),
+    headerLength
+  }
+}
+
+/**
+ * Check an envelope against what the caller expects it to hold
+ * A blob bound to a wallet only decrypts for that wallet; an unbound blob decrypts for any
+ * @param {Object} envelope - Parsed envelope
+ * @param {Object} expected - Expected binding
+ * @param {string} [expected.purpose] - ENVELOPE_PURPOSES value
+ * @param {string} [expected.walletId] - Wallet id
+ * @throws {Error} If the binding doesn't match
+ */
+const checkEnvelopeBinding = (envelope, { purpose, walletId } = {}) => {
+  if (purpose !== undefined && envelope.purpose !== purpose) {
+    throw new Error(envelope.purpose
+      ? `Encrypted data holds the ${envelope.purpose}, not the ${purpose}`
+      : `Encrypted data is not bound to the ${purpose}`)
+  }
+  if (walletId !== undefined && envelope.walletId !== undefined && envelope.walletId !== walletId) {
+    throw new Error(`Encrypted data belongs to wallet "${envelope.walletId}", not "${walletId}"`)
+  }
+}
+
+/**
+ * Encrypt data using AES-256-GCM
+ * @param {Uint8Array|Buffer} data - Data to encrypt
+ * @param {string} keyBase64 - Base64-encoded encryption key
+ * @param {Object} [binding] - Purpose and wallet id to bind the data to
+ * @returns {string} Base64-encoded envelope
+ */
+const encrypt = (data, keyBase64, binding) => {
+  const key = Buffer.from(keyBase64, 'base64')
+  const header = buildEnvelopeHeader(ALGORITHMS.AES_256_GCM, binding)
+  const sealed = encryptWithKey(data, key, header)
+  const result = Buffer.concat([header, sealed])
+  const resultBase64 = result.toString('base64')
+
+  // Zero out sensitive buffers (caller should zero input data buffer)
   memzero(key)
-  memzero(encryptedBuffer)
-  memzero(iv)
-  memzero(authTag)
-  memzero(encrypted)
+  memzero(sealed)
+  memzero(result)
 
-  return decrypted
+  return resultBase64
+}
+
+/**
+ * Decrypt data using AES-256-GCM
+ * Reads envelopes and legacy (IV + encrypted data + auth tag) data
+ * Data with the envelope magic that doesn't open as an envelope is retried as legacy data
+ * (whose random IV may start with the magic); if that fails too, the envelope error is thrown
+ * @param {string} encryptedBase64 - Base64-encoded envelope or legacy data
+ * @param {string} keyBase64 - Base64-encoded encryption key
+ * @param {Object} [expected] - Purpose and wallet id the data must be bound to (envelopes only;
+ *   legacy data has neither)
+ * @returns {Buffer} Decrypted data
+ * @throws {Error} If the binding doesn't match, the data was encrypted under a passphrase, or authentication fails
+ */
+const decrypt = (encryptedBase64, keyBase64, expected) => {
+  const key = Buffer.from(keyBase64, 'base64')
+  const encryptedBuffer = Buffer.from(encryptedBase64, 'base64')
+
+  try {
+    if (!hasEnvelopeMagic(encryptedBuffer)) {
+      return decryptWithKey(encryptedBuffer, key)
+    }
+    try {
+      const envelope = parseEnvelope(encryptedBuffer)
+      if (envelope.algorithm !== ALGORITHMS.AES_256_GCM) {
+        throw new Error('Encrypted data was encrypted under a passphrase, not an encryption key')
+      }
+      checkEnvelopeBinding(envelope, expected)
+      const header = encryptedBuffer.subarray(0, envelope.headerLength)
+      return decryptWithKey(encryptedBuffer.subarray(envelope.headerLength), key, header)
+    } catch (error) {
+      try {
+        return decryptWithKey(encryptedBuffer, key)
+      } catch {
+        throw error
+      }
+    }
+  } finally {
+    // Zero out sensitive buffers (but not the decrypted result we're returning)
+    memzero(key)
+    memzero(encryptedBuffer)
+  }
+}
+
+/**
+ * Read the header of encrypted data without decrypting it
+ * @param {string} encryptedBase64 - Base64-encoded encrypted data
+ * @returns {{ version: number, passphrase: boolean, purpose?: string, walletId?: string } | null}
+ *   Envelope fields, or null for legacy data (including data with the magic but a header that
+ *   doesn't parse, which decrypt reads as legacy)
+ */
+const readEnvelope = (encryptedBase64) => {
+  let envelope
+  try {
+    envelope = parseEnvelope(Buffer.from(encryptedBase64, 'base64'))
+  } catch {
+    return null
+  }
+  if (!envelope) {
+    return null
+  }
+  const { version, algorithm, purpose, walletId } = envelope
+  return { version, passphrase: algorithm === ALGORITHMS.AES_256_GCM_SCRYPT, purpose, walletId }
+}
+
+/**
+ * Passphrase mode: the AES key is derived from a user passphrase or PIN with scrypt
+ *
+ * Data is written as an AES_256_GCM_SCRYPT envelope, with [logN (1)][r (1)][p (1)][salt (16)]
+ * as its algorithm params. The salt and KDF parameters travel with the data, so it can be
+ * decrypted with the passphrase alone, and the defaults can be raised later.
+ */
+
+/**
+ * Default scrypt parameters: N = 2^15, r = 8, p = 1 (32 MiB of memory)
+ */
+const SCRYPT_PARAMS = {
+  logN: 15,
+  r: 8,
+  p: 1
+}
+
+/**
+ * Upper bounds accepted when decrypting, so a crafted blob can't exhaust memory or CPU
+ * p multiplies the work without adding memory, so only p = 1 is read
+ */
+const SCRYPT_LIMITS = {
+  logN: 20,
+  r: 16,
+  p: 1
+}
+
+/**
+ * Most memory scrypt may use when decrypting (128 * N * r bytes): 64 MiB, twice the default
+ */
+const SCRYPT_MAX_MEMORY = 64 * 1024 * 1024
+
+const PASSPHRASE_SALT_LENGTH = 16
+
+/**
+ * Minimum passphrase length (characters), so a 4-digit PIN is the weakest accepted secret
+ */
+const MIN_PASSPHRASE_LENGTH = 4
+
+/**
+ * Derive a 32-byte AES key from a passphrase with scrypt
+ * The passphrase is NFKC-normalized so the same text always derives the same key
+ * @param {string} passphrase - User passphrase or PIN
+ * @param {Buffer} salt - Random salt
+ * @param {Object} params - scrypt parameters (logN, r, p)
+ * @returns {Promise<Buffer>} Derived key
+ */
+const derivePassphraseKey = async (passphrase, salt, { logN, r, p }) => {
+  const password = Buffer.from(passphrase.normalize('NFKC'), 'utf8')
+  try {
+    const key = await scryptAsync(password, salt, { N: 2 ** logN, r, p, dkLen: 32 })
+    return Buffer.from(key.buffer, key.byteOffset, key.byteLength)
+  } finally {
+    memzero(password)
+  }
+}
+
+/**
+ * Create a passphrase-derived key with a fresh salt
+ * @param {string} passphrase - User passphrase or PIN
+ * @returns {Promise<Object>} Key material with key, salt and params
+ */
+const createPassphraseKey = async (passphrase) => {
+  const salt = crypto.randomBytes(PASSPHRASE_SALT_LENGTH)
+  const key = await derivePassphraseKey(passphrase, salt, SCRYPT_PARAMS)
+  return { key, salt, params: SCRYPT_PARAMS }
+}
+
+/**
+ * Encrypt data with a key created by createPassphraseKey
+ * @param {Uint8Array|Buffer} data - Data to encrypt
+ * @param {Object} passphraseKey - Key material from createPassphraseKey
+ * @param {Object} [binding] - Purpose and wallet id to bind the data to
+ * @returns {string} Base64-encoded envelope
+ */
+const encryptWithPassphraseKey = (data, { key, salt, params }, binding) => {
+  const kdfParams = Buffer.concat([Buffer.from([params.logN, params.r, params.p]), salt])
+  const header = buildEnvelopeHeader(ALGORITHMS.AES_256_GCM_SCRYPT, binding, kdfParams)
+
+  const sealed = encryptWithKey(data, key, header)
+  const result = Buffer.concat([header, sealed]).toString('base64')
+  memzero(sealed)
+  return result
+}
+
+/**
+ * Encrypt data under a passphrase
+ * @param {Uint8Array|Buffer} data - Data to encrypt
+ * @param {string} passphrase - User passphrase or PIN
+ * @param {Object} [binding] - Purpose and wallet id to bind the data to
+ * @returns {Promise<string>} Base64-encoded envelope
+ */
+const encryptWithPassphrase = async (data, passphrase, binding) => {
+  const passphraseKey = await createPassphraseKey(passphrase)
+  try {
+    return encryptWithPassphraseKey(data, passphraseKey, binding)
+  } finally {
+    memzero(passphraseKey.key)
+  }
+}
+
+/**
+ * Locate the scrypt parameters, salt, sealed data and associated data of a passphrase envelope
+ * @param {Buffer} encryptedBuffer - Envelope
+ * @param {Object} [expected] - Purpose and wallet id the data must be bound to
+ * @returns {{ params: Object, salt: Buffer, sealed: Buffer, aad: Buffer }} Parts to decrypt
+ * @throws {Error} If the data is not a passphrase envelope, is bound to something else or uses unsupported parameters
+ */
+const parsePassphraseData = (encryptedBuffer, expected) => {
+  const envelope = parseEnvelope(encryptedBuffer)
+  if (!envelope) {
+    throw new Error('Encrypted data is not a passphrase envelope')
+  }
+  if (envelope.algorithm !== ALGORITHMS.AES_256_GCM_SCRYPT) {
+    throw new Error('Encrypted data was encrypted under an encryption key, not a passphrase')
+  }
+  checkEnvelopeBinding(envelope, expected)
+  const kdfHeader = envelope.params
+  const sealed = encryptedBuffer.subarray(envelope.headerLength)
+  const aad = encryptedBuffer.subarray(0, envelope.headerLength)
+
+  const params = {
+    logN: kdfHeader.readUInt8(0),
+    r: kdfHeader.readUInt8(1),
+    p: kdfHeader.readUInt8(2)
+  }
+  for (const [name, value] of Object.entries(params)) {
+    if (value < 1 || value > SCRYPT_LIMITS[name]) {
+      throw new Error(`Unsupported scrypt parameter ${name}: ${value}`)
+    }
+  }
+  if (128 * 2 ** params.logN * params.r > SCRYPT_MAX_MEMORY) {
+    throw new Error(`Unsupported scrypt parameters logN ${params.logN}, r ${params.r}: more than ${SCRYPT_MAX_MEMORY / 1024 / 1024} MiB of memory`)
+  }
+
+  return { params, salt: kdfHeader.subarray(3), sealed, aad }
+}
+
+/**
+ * Decrypt passphrase-encrypted data
+ * @param {string} encryptedBase64 - Base64-encoded envelope
+ * @param {string} passphrase - User passphrase or PIN
+ * @param {Object} [expected] - Purpose and wallet id the data must be bound to
+ * @returns {Promise<Buffer>} Decrypted data
+ * @throws {Error} If the data is malformed or bound to something else, or the passphrase is wrong
+ */
+const decryptWithPassphrase = async (encryptedBase64, passphrase, expected) => {
+  const encryptedBuffer = Buffer.from(encryptedBase64, 'base64')
+  try {
+    const { params, salt, sealed, aad } = parsePassphraseData(encryptedBuffer, expected)
+    const key = await derivePassphraseKey(passphrase, salt, params)
+    try {
+      return decryptWithKey(sealed, key, aad)
+    } catch (error) {
+      throw new Error('Invalid passphrase or corrupted data')
+    } finally {
+      memzero(key)
+    }
+  } finally {
+    memzero(encryptedBuffer)
+  }
+}
+
+/**
+ * Decrypt a secret with whichever credential the host provided
+ * @param {string} encryptedBase64 - Base64-encoded encrypted data
+ * @param {Object} credential - Exactly one of encryptionKey or passphrase
+ * @param {string} [credential.encryptionKey] - Base64-encoded encryption key
+ * @param {string} [credential.passphrase] - User passphrase or PIN
+ * @param {Object} [expected] - Purpose and wallet id the secret must be bound to
+ * @returns {Promise<Buffer>} Decrypted data
+ */
+const decryptSecret = async (encryptedBase64, { encryptionKey, passphrase }, expected) => {
+  if (passphrase !== undefined) {
+    return decryptWithPassphrase(encryptedBase64, passphrase, expected)
+  }
+  return decrypt(encryptedBase64, encryptionKey, expected)
 }
 
 /**
  * Generate entropy for a seed phrase
- * @param {number} wordCount - Number of words (12 or 24)
+ * @param {number} wordCount - Number of words (12, 15, 18, 21 or 24)
  * @returns {Uint8Array} Entropy bytes
  */
 const generateEntropy = (wordCount) => {
-  if (wordCount !== 12 && wordCount !== 24) {
-    throw new Error('Word count must be 12 or 24')
+  if (!MNEMONIC_WORD_COUNTS.includes(wordCount)) {
+    throw new Error(`Word count must be one of: ${MNEMONIC_WORD_COUNTS.join(', ')}`)
   }
-  // 12 words = 128 bits, 24 words = 256 bits
-  const entropyLength = wordCount === 12 ? 16 : 32
+  // 12 words = 128 bits ... 24 words = 256 bits
+  const entropyLength = entropyLengthForWordCount(wordCount)
   const entropyBuffer = crypto.randomBytes(entropyLength)
   // Create a new Uint8Array and copy bytes explicitly for @scure/bip39 compatibility
   const entropy = new Uint8Array(entropyLength)
@@ -122,13 +538,43 @@ const generateEntropy = (wordCount) => {
   return entropy
 }
 
+/**
+ * Encrypt seed and entropy under a passphrase
+ * Both blobs share one derived key (and salt) so the KDF runs once
+ * @param {Uint8Array|Buffer} seed - Seed bytes to encrypt
+ * @param {Uint8Array|Buffer} entropy - Entropy bytes to encrypt
+ * @param {string} passphrase - User passphrase or PIN
+ * @param {string} [walletId] - Wallet id to bind both secrets to
+ * @returns {Promise<Object>} Object containing encryptedSeedBuffer and encryptedEntropyBuffer
+ */
+const encryptSecretsWithPassphrase = async (seed, entropy, passphrase, walletId) => {
+  const passphraseKey = await createPassphraseKey(passphrase)
+
+  // Convert to buffers if needed
+  const seedBuffer = Buffer.isBuffer(seed) ? seed : Buffer.from(seed)
+  const entropyBuffer = Buffer.isBuffer(entropy) ? entropy : Buffer.from(entropy)
+
+  try {
+    return {
+      encryptedSeedBuffer: encryptWithPassphraseKey(seedBuffer, passphraseKey, { purpose: ENVELOPE_PURPOSES.SEED, walletId }),
+      encryptedEntropyBuffer: encryptWithPassphraseKey(entropyBuffer, passphraseKey, { purpose: ENVELOPE_PURPOSES.ENTROPY, walletId })
+    }
+  } finally {
+    // Zero out sensitive buffers
+    memzero(passphraseKey.key)
+    memzero(seedBuffer)
+    memzero(entropyBuffer)
+  }
+}
+
 /**
  * Encrypt seed and entropy with a new encryption key
  * @param {Uint8Array|Buffer} seed - Seed bytes to encrypt
  * @param {Uint8Array|Buffer} entropy - Entropy bytes to encrypt
+ * @param {string} [walletId] - Wallet id to bind both secrets to
  * @returns {Object} Object containing encryptionKey, encryptedSeedBuffer, and encryptedEntropyBuffer
  */
-const encryptSecrets = (seed, entropy) => {
+const encryptSecrets = (seed, entropy, walletId) => {
   // Generate encryption key
   const encryptionKey = generateEncryptionKey()
 
@@ -137,8 +583,8 @@ const encryptSecrets = (seed, entropy) => {
   const entropyBuffer = Buffer.isBuffer(entropy) ? entropy : Buffer.from(entropy)
 
   // Encrypt both secrets
-  const encryptedSeedBuffer = encrypt(seedBuffer, encryptionKey)
-  const encryptedEntropyBuffer = encrypt(entropyBuffer, encryptionKey)
+  const encryptedSeedBuffer = encrypt(seedBuffer, encryptionKey, { purpose: ENVELOPE_PURPOSES.SEED, walletId })
+  const encryptedEntropyBuffer = encrypt(entropyBuffer, encryptionKey, { purpose: ENVELOPE_PURPOSES.ENTROPY, walletId })
 
   // Zero out sensitive buffers
   memzero(seedBuffer)
@@ -152,10 +598,19 @@ const encryptSecrets = (seed, entropy) => {
 }
 
 module.exports = {
+  ENVELOPE_VERSION,
+  ENVELOPE_PURPOSES,
+  MIN_PASSPHRASE_LENGTH,
+  SCRYPT_PARAMS,
   memzero,
   generateEncryptionKey,
   encrypt,
   decrypt,
+  encryptWithPassphrase,
+  decryptWithPassphrase,
+  decryptSecret,
+  readEnvelope,
   generateEntropy,
-  encryptSecrets
+  encryptSecrets,
+  encryptSecretsWithPassphrase
 }
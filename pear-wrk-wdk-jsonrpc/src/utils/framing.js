@@ -0,0 +1,155 @@
+/**
+ * Length-prefixed framing: [4-byte UInt32BE length][message]
+ * Shared by the worklet and the framing tests (see FRAMING.md)
+ */
+
+/**
+ * Default maximum message size in bytes (matches WDKClient)
+ */
+const DEFAULT_MAX_FRAME_SIZE = 10000000
+
+/**
+ * Hard upper bound for a configured maximum message size
+ * Headers announcing more than this are garbage, whatever the configured maximum
+ */
+const MAX_FRAME_SIZE_LIMIT = 64 * 1024 * 1024
+
+/**
+ * Lower bound for a configured maximum message size, so a small value can't make
+ * every later request oversized (including the workletStart that would raise it again)
+ */
+const MIN_FRAME_SIZE_LIMIT = 64 * 1024
+
+const HEADER_SIZE = 4
+
+/**
+ * How the decoder recovers from a frame whose header exceeds the maximum size
+ * - reset: drop everything buffered and resynchronize on the next chunk
+ *   (safe against corrupt or hostile headers such as 0xFFFFFFFF)
+ * - skip: discard exactly the announced number of bytes and keep going
+ *   (keeps the stream in sync when the header is genuine, e.g. a large request split
+ *   across chunks); headers above MAX_FRAME_SIZE_LIMIT are garbage and still reset
+ *
+ * @enum {string}
+ */
+const OVERSIZE_STRATEGIES = {
+  RESET: 'reset',
+  SKIP: 'skip'
+}
+
+/**
+ * Encode a message as a frame
+ * @param {Buffer|Uint8Array} data - Message bytes
+ * @returns {Buffer} Framed message
+ */
+function encodeFrame (data) {
+  const length = Buffer.allocUnsafe(HEADER_SIZE)
+  length.writeUInt32BE(data.length, 0)
+  return Buffer.concat([length, data])
+}
+
+/**
+ * Create a streaming frame decoder
+ * Accumulates chunks and emits complete messages, never buffering more than
+ * one maximum-size frame
+ *
+ * @param {Object} options - Decoder options
+ * @param {Function} options.onFrame - Called with each complete message (Buffer)
+ * @param {Function} [options.onOversize] - Called with (length, maxFrameSize) when a frame is rejected
+ * @param {number} [options.maxFrameSize] - Maximum message size in bytes
+ * @param {OVERSIZE_STRATEGIES} [options.oversizeStrategy] - Recovery strategy for oversized frames
+ * @returns {Object} Decoder with push(chunk), reset() and a settable maxFrameSize
+ */
+function createFrameDecoder ({
+  onFrame,
+  onOversize = () => {},
+  maxFrameSize = DEFAULT_MAX_FRAME_SIZE,
+  oversizeStrategy = OVERSIZE_STRATEGIES.RESET
+}) {
+  if (!Object.values(OVERSIZE_STRATEGIES).includes(oversizeStrategy)) {
+    throw new Error(`oversizeStrategy must be one of: ${Object.values(OVERSIZE_STRATEGIES).join(', ')}`)
+  }
+
+  let readBuffer = Buffer.alloc(0)
+  // Bytes still to discard from an oversized frame (skip strategy)
+  let skipRemaining = 0
+
+  const decoder = {
+    maxFrameSize,
+
+    /**
+     * Feed a chunk of incoming data
+     * @param {Buffer|Uint8Array} chunk - Incoming data
+     */
+    push (chunk) {
+      let data = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk)
+
+      if (skipRemaining > 0) {
+        const skipped = Math.min(skipRemaining, data.length)
+        skipRemaining -= skipped
+        data = data.subarray(skipped)
+      }
+
+      readBuffer = readBuffer.length === 0 ? data : Buffer.concat([readBuffer, data])
+
+      // Try to extract complete messages
+      while (readBuffer.length >= HEADER_SIZE) {
+        const messageLength = readBuffer.readUInt32BE(0)
+
+        if (messageLength > decoder.maxFrameSize) {
+          onOversize(messageLength, decoder.maxFrameSize)
+
+          if (oversizeStrategy === OVERSIZE_STRATEGIES.SKIP && messageLength <= MAX_FRAME_SIZE_LIMIT) {
+            const available = readBuffer.length - HEADER_SIZE
+            const skipped = Math.min(messageLength, available)
+            skipRemaining = messageLength - skipped
+            readBuffer = readBuffer.subarray(HEADER_SIZE + skipped)
+            continue
+          }
+
+          readBuffer = Buffer.alloc(0)
+          break
+        }
+
+        // Check if we have the complete message
+        const totalLength = HEADER_SIZE + messageLength
+        if (readBuffer.length < totalLength) {
+          // Not enough data yet, wait for more
+          break
+        }
+
+        // Copy the message out so the buffer it came from can be released
+        const messageData = Buffer.from(readBuffer.subarray(HEADER_SIZE, totalLength))
+        readBuffer = readBuffer.subarray(totalLength)
+
+        onFrame(messageData)
+      }
+    },
+
+    /**
+     * Drop all buffered data
+     */
+    reset () {
+      readBuffer = Buffer.alloc(0)
+      skipRemaining = 0
+    },
+
+    /**
+     * Number of bytes currently buffered
+     */
+    get buffered () {
+      return readBuffer.length
+    }
+  }
+
+  return decoder
+}
+
+module.exports = {
+  DEFAULT_MAX_FRAME_SIZE,
+  MAX_FRAME_SIZE_LIMIT,
+  MIN_FRAME_SIZE_LIMIT,
+  OVERSIZE_STRATEGIES,
+  encodeFrame,
+  createFrameDecoder
+}
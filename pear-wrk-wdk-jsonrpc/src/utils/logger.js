@@ -1,7 +1,13 @@
 /**
- * Simple logger with log levels
+ * Structured logger with log levels and secret redaction
  * Supports: debug, info, warn, error
- * Can be configured via environment variables
+ *
+ * Every call produces a record { level, time, message, ...fields }. Fields named after
+ * secrets (mnemonics, keys, passphrases, encrypted blobs, ...) are redacted at any depth
+ * before the record is written to the console or forwarded to the host.
+ *
+ * The initial level comes from environment variables and can be changed at runtime
+ * (setLogLevel RPC). Child loggers add fields such as requestId to all their records.
  */
 
 const LOG_LEVELS = {
@@ -12,6 +18,49 @@ const LOG_LEVELS = {
   NONE: 4
 }
 
+const REDACTED = '[REDACTED]'
+
+/**
+ * Field names whose values are never logged
+ * Covers request params and results that hold secrets or share mnemonics
+ */
+const SECRET_FIELDS = new Set([
+  'mnemonic',
+  'seed',
+  'entropy',
+  'encryptionKey',
+  'passphrase',
+  'newPassphrase',
+  'bip39Passphrase',
+  'slip39Passphrase',
+  'backupPassphrase',
+  'encryptedSeed',
+  'encryptedEntropy',
+  'encryptedSeedBuffer',
+  'encryptedEntropyBuffer',
+  'backup',
+  'shares',
+  'groups',
+  'words',
+  'prefix',
+  'privateKey',
+  'keyPair'
+])
+
+/**
+ * Nested values deeper than this are not logged
+ */
+const MAX_DEPTH = 8
+
+/**
+ * Parse a log level name
+ * @param {string} name - Level name (case-insensitive)
+ * @returns {number|undefined} Log level, or undefined if the name is unknown
+ */
+function parseLogLevel (name) {
+  return typeof name === 'string' ? LOG_LEVELS[name.toUpperCase()] : undefined
+}
+
 /**
  * Get current log level from environment or default to INFO
  * @returns {number} Current log level
@@ -22,68 +71,211 @@ function getLogLevel () {
   }
 
   const level = process.env.LOG_LEVEL || (process.env.NODE_ENV === 'development' ? 'DEBUG' : 'INFO')
+  return parseLogLevel(level) ?? LOG_LEVELS.INFO
+}
+
+let currentLogLevel = getLogLevel()
+
+/**
+ * Receives every record that is logged (see setForwarder)
+ * @type {Function|null}
+ */
+let forwarder = null
+
+/**
+ * Copy a value for logging, redacting secret fields
+ * @param {any} value - Value to copy
+ * @param {number} [depth=0] - Current nesting depth
+ * @param {WeakSet} [seen] - Objects on the current path (to detect cycles)
+ * @returns {any} JSON-safe copy
+ */
+function redact (value, depth = 0, seen = new WeakSet()) {
+  if (typeof value === 'bigint') {
+    return value.toString()
+  }
+  if (typeof value === 'function' || typeof value === 'symbol') {
+    return undefined
+  }
+  if (value === null || typeof value !== 'object') {
+    return value
+  }
+  if (value instanceof Uint8Array || value instanceof ArrayBuffer) {
+    // Raw bytes are never logged
+    return `[${value.byteLength} bytes]`
+  }
+  if (value instanceof Error) {
+    const error = { name: value.name, message: value.message }
+    if (value.code !== undefined) {
+      error.code = value.code
+    }
+    return error
+  }
+  if (depth >= MAX_DEPTH) {
+    return '[Truncated]'
+  }
+  if (seen.has(value)) {
+    return '[Circular]'
+  }
+
+  seen.add(value)
+  try {
+    if (Array.isArray(value)) {
+      return value.map((item) => redact(item, depth + 1, seen))
+    }
+    const copy = {}
+    for (const [key, item] of Object.entries(value)) {
+      copy[key] = SECRET_FIELDS.has(key) ? REDACTED : redact(item, depth + 1, seen)
+    }
+    return copy
+  } finally {
+    seen.delete(value)
+  }
+}
 
-  switch (level.toUpperCase()) {
-    case 'DEBUG':
-      return LOG_LEVELS.DEBUG
-    case 'INFO':
-      return LOG_LEVELS.INFO
-    case 'WARN':
-      return LOG_LEVELS.WARN
-    case 'ERROR':
-      return LOG_LEVELS.ERROR
-    case 'NONE':
-      return LOG_LEVELS.NONE
-    default:
-      return LOG_LEVELS.INFO
+/**
+ * Build a log record from logger arguments
+ * Strings (and other primitives) form the message, an Error becomes the error field,
+ * and plain objects are merged into the record's fields
+ * @param {string} level - Level name
+ * @param {Object} bindings - Fields of the (child) logger
+ * @param {Array} args - Arguments passed to the logger
+ * @returns {Object} Redacted record
+ */
+function createRecord (level, bindings, args) {
+  const message = []
+  const fields = {}
+  for (const arg of args) {
+    if (arg instanceof Error) {
+      fields.error = arg
+    } else if (arg !== null && typeof arg === 'object' && !Array.isArray(arg) && !(arg instanceof Uint8Array)) {
+      Object.assign(fields, arg)
+    } else if (arg !== null && typeof arg === 'object') {
+      fields.data = arg
+    } else {
+      message.push(String(arg))
+    }
   }
+  return {
+    ...redact({ ...bindings, ...fields }),
+    level,
+    time: new Date().toISOString(),
+    message: message.join(' ')
+  }
+}
+
+const CONSOLE_METHODS = {
+  debug: 'debug',
+  info: 'log',
+  warn: 'warn',
+  error: 'error'
 }
 
-const currentLogLevel = getLogLevel()
+/**
+ * Log a record if its level is enabled
+ * @param {string} level - Level name (debug, info, warn or error)
+ * @param {Object} bindings - Fields of the (child) logger
+ * @param {Array} args - Arguments passed to the logger
+ */
+function write (level, bindings, args) {
+  if (currentLogLevel > LOG_LEVELS[level.toUpperCase()]) {
+    return
+  }
+
+  const record = createRecord(level, bindings, args)
+  const { level: _level, time, message, ...fields } = record
+  const line = Object.keys(fields).length > 0 ? [message, JSON.stringify(fields)] : [message]
+  console[CONSOLE_METHODS[level]](`[${level.toUpperCase()}]`, ...line)
+
+  if (forwarder) {
+    try {
+      forwarder(record)
+    } catch (error) {
+      // Forwarding must never break the code that logs
+      console.error('[ERROR]', 'Failed to forward log record:', error.message)
+    }
+  }
+}
+
+/**
+ * Create a logger whose records carry the given fields
+ * @param {Object} [bindings] - Fields added to every record (e.g. requestId)
+ * @returns {Object} Logger with debug, info, warn, error and child
+ */
+function createLogger (bindings = {}) {
+  return {
+    /**
+     * Log debug message
+     * @param {...any} args - Message and fields
+     */
+    debug: (...args) => write('debug', bindings, args),
+
+    /**
+     * Log info message
+     * @param {...any} args - Message and fields
+     */
+    info: (...args) => write('info', bindings, args),
+
+    /**
+     * Log warning message
+     * @param {...any} args - Message and fields
+     */
+    warn: (...args) => write('warn', bindings, args),
+
+    /**
+     * Log error message
+     * @param {...any} args - Message and fields
+     */
+    error: (...args) => write('error', bindings, args),
+
+    /**
+     * Create a logger that adds more fields to every record
+     * @param {Object} fields - Extra fields
+     * @returns {Object} Child logger
+     */
+    child: (fields) => createLogger({ ...bindings, ...fields })
+  }
+}
 
 /**
  * Logger implementation
  */
 const logger = {
+  ...createLogger(),
+
   /**
-   * Log debug message
-   * @param {...any} args - Arguments to log
+   * Change the log level at runtime
+   * @param {string} name - debug, info, warn, error or none (case-insensitive)
+   * @throws {Error} If the level is unknown
    */
-  debug: (...args) => {
-    if (currentLogLevel <= LOG_LEVELS.DEBUG) {
-      console.debug('[DEBUG]', ...args)
+  setLevel: (name) => {
+    const level = parseLogLevel(name)
+    if (level === undefined) {
+      throw new Error(`Unknown log level: ${name}`)
     }
+    currentLogLevel = level
   },
 
   /**
-   * Log info message
-   * @param {...any} args - Arguments to log
+   * Get the current log level
+   * @returns {string} Level name (lower case)
    */
-  info: (...args) => {
-    if (currentLogLevel <= LOG_LEVELS.INFO) {
-      console.log('[INFO]', ...args)
-    }
-  },
+  getLevel: () => Object.keys(LOG_LEVELS).find((name) => LOG_LEVELS[name] === currentLogLevel).toLowerCase(),
 
   /**
-   * Log warning message
-   * @param {...any} args - Arguments to log
+   * Forward every logged record (e.g. to the host), or stop forwarding
+   * @param {Function|null} fn - Called with each redacted record
    */
-  warn: (...args) => {
-    if (currentLogLevel <= LOG_LEVELS.WARN) {
-      console.warn('[WARN]', ...args)
-    }
+  setForwarder: (fn) => {
+    forwarder = fn
   },
 
   /**
-   * Log error message
-   * @param {...any} args - Arguments to log
+   * Check whether records are being forwarded
+   * @returns {boolean} True if a forwarder is set
    */
-  error: (...args) => {
-    if (currentLogLevel <= LOG_LEVELS.ERROR) {
-      console.error('[ERROR]', ...args)
-    }
-  }
+  isForwarding: () => forwarder !== null,
+
+  redact
 }
 
 module.exports = logger
@@ -0,0 +1,80 @@
+/**
+ * BIP39 mnemonic helpers: word counts, wordlists and normalization
+ */
+
+// External dependencies - wordlists (static requires so bare-pack bundles them)
+const { wordlist: english } = require('@scure/bip39/wordlists/english')
+const { wordlist: czech } = require('@scure/bip39/wordlists/czech')
+const { wordlist: french } = require('@scure/bip39/wordlists/french')
+const { wordlist: italian } = require('@scure/bip39/wordlists/italian')
+const { wordlist: japanese } = require('@scure/bip39/wordlists/japanese')
+const { wordlist: korean } = require('@scure/bip39/wordlists/korean')
+const { wordlist: portuguese } = require('@scure/bip39/wordlists/portuguese')
+const { wordlist: simplifiedChinese } = require('@scure/bip39/wordlists/simplified-chinese')
+const { wordlist: spanish } = require('@scure/bip39/wordlists/spanish')
+const { wordlist: traditionalChinese } = require('@scure/bip39/wordlists/traditional-chinese')
+
+/**
+ * Supported mnemonic lengths (words), 128 to 256 bits of entropy in 32-bit steps
+ */
+const MNEMONIC_WORD_COUNTS = [12, 15, 18, 21, 24]
+
+/**
+ * Wordlists by language name
+ */
+const MNEMONIC_LANGUAGES = {
+  english,
+  czech,
+  french,
+  italian,
+  japanese,
+  korean,
+  portuguese,
+  'simplified-chinese': simplifiedChinese,
+  spanish,
+  'traditional-chinese': traditionalChinese
+}
+
+const DEFAULT_MNEMONIC_LANGUAGE = 'english'
+
+/**
+ * Get the wordlist of a language
+ * @param {string} [language='english'] - Language name (a MNEMONIC_LANGUAGES key)
+ * @returns {string[]} Wordlist
+ * @throws {Error} If the language is not supported
+ */
+function getWordlist (language = DEFAULT_MNEMONIC_LANGUAGE) {
+  if (!Object.prototype.hasOwnProperty.call(MNEMONIC_LANGUAGES, language)) {
+    throw new Error(`language must be one of: ${Object.keys(MNEMONIC_LANGUAGES).join(', ')}`)
+  }
+  return MNEMONIC_LANGUAGES[language]
+}
+
+/**
+ * Split a mnemonic into NFKD-normalized words
+ * Any run of whitespace (including the ideographic space used by Japanese) separates words
+ * @param {string} mnemonic - Mnemonic phrase
+ * @returns {string[]} Words
+ */
+function splitMnemonic (mnemonic) {
+  return mnemonic.normalize('NFKD').trim().split(/\s+/)
+}
+
+/**
+ * Number of entropy bytes for a mnemonic length
+ * @param {number} wordCount - Number of words (one of MNEMONIC_WORD_COUNTS)
+ * @returns {number} Entropy length in bytes
+ */
+function entropyLengthForWordCount (wordCount) {
+  // Each word encodes 11 bits: entropy + entropy/32 checksum bits = wordCount * 11
+  return (wordCount * 11 * 32 / 33) / 8
+}
+
+module.exports = {
+  MNEMONIC_WORD_COUNTS,
+  MNEMONIC_LANGUAGES,
+  DEFAULT_MNEMONIC_LANGUAGE,
+  getWordlist,
+  splitMnemonic,
+  entropyLengthForWordCount
+}
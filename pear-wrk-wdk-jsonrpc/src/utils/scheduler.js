@@ -0,0 +1,148 @@
+const { raceWithSignal } = require('./abort')
+
+/**
+ * Execution modes for scheduled tasks
+ * - exclusive: runs alone (lifecycle methods that replace or tear down state)
+ * - shared: runs concurrently with other shared/serial tasks (read-only calls)
+ * - serial: shared, but serialized with other serial tasks using the same key
+ *   (signing calls on the same network/account, so EVM nonces don't collide)
+ *
+ * @enum {string}
+ */
+const EXECUTION_MODES = {
+  EXCLUSIVE: 'exclusive',
+  SHARED: 'shared',
+  SERIAL: 'serial'
+}
+
+/**
+ * Create a scheduler for RPC handlers
+ *
+ * Tasks are admitted in FIFO order: an exclusive task waits for every earlier
+ * task to finish, and tasks queued after it wait for it, so lifecycle methods
+ * are never starved by a stream of reads.
+ *
+ * A task keeps its slot until the promise it returned settles, even if its request
+ * timed out or was cancelled meanwhile: the wallet call it started is still running
+ * (and may still use an EVM nonce), so nothing that conflicts with it may start.
+ * Only the caller stops waiting for it, and can follow it through run(...).settled.
+ *
+ * @returns {Object} Scheduler with run(mode, fn, options)
+ */
+function createScheduler () {
+  const queue = []
+  const serialTails = new Map()
+  let runningShared = 0
+  let runningExclusive = false
+
+  const pump = () => {
+    while (queue.length > 0 && !runningExclusive) {
+      const next = queue[0]
+      if (next.exclusive) {
+        if (runningShared > 0) {
+          return
+        }
+        queue.shift()
+        runningExclusive = true
+        next.start()
+        return
+      }
+      queue.shift()
+      runningShared++
+      next.start()
+    }
+  }
+
+  /**
+   * Wait for the shared/exclusive lock, run fn, then release
+   */
+  const withLock = (exclusive, fn, signal) => {
+    return new Promise((resolve, reject) => {
+      const start = () => {
+        const release = () => {
+          if (exclusive) {
+            runningExclusive = false
+          } else {
+            runningShared--
+          }
+          pump()
+        }
+
+        // A request that timed out or was cancelled while queued never runs
+        if (signal && signal.aborted) {
+          release()
+          reject(signal.reason)
+          return
+        }
+
+        Promise.resolve()
+          .then(fn)
+          .then((value) => {
+            release()
+            resolve(value)
+          }, (error) => {
+            release()
+            reject(error)
+          })
+      }
+
+      queue.push({ exclusive, start })
+      pump()
+    })
+  }
+
+  /**
+   * Chain fn after the previous serial task with the same key
+   */
+  const withSerialKey = (key, fn) => {
+    // Without a previous task, fn is queued right away so it keeps its FIFO place
+    const previous = serialTails.get(key)
+    const current = previous ? previous.then(fn) : fn()
+    const tail = current.catch(() => {})
+    serialTails.set(key, tail)
+    tail.then(() => {
+      if (serialTails.get(key) === tail) {
+        serialTails.delete(key)
+      }
+    })
+    return current
+  }
+
+  return {
+    /**
+     * Run a task under the given execution mode
+     * @param {EXECUTION_MODES} mode - Execution mode
+     * @param {Function} fn - Task to run (may return a promise)
+     * @param {Object} [options] - Options
+     * @param {string} [options.key] - Serialization key (required for serial mode)
+     * @param {AbortSignal} [options.signal] - Reject right away when aborted; a task that hasn't started is skipped
+     * @returns {Promise<any>} Task result, with a settled property: the task itself, which keeps
+     *   its slot until it settles (it rejects with the abort reason if the task was skipped)
+     */
+    run (mode, fn, { key, signal } = {}) {
+      let settled
+      switch (mode) {
+        case EXECUTION_MODES.EXCLUSIVE:
+          settled = withLock(true, fn, signal)
+          break
+        case EXECUTION_MODES.SERIAL:
+          settled = withSerialKey(key, () => withLock(false, fn, signal))
+          break
+        case EXECUTION_MODES.SHARED:
+          settled = withLock(false, fn, signal)
+          break
+        default:
+          return Promise.reject(new Error(`Unknown execution mode: ${mode}`))
+      }
+
+      const result = raceWithSignal(settled, signal)
+      result.settled = settled
+      return result
+    }
+  }
+}
+
+module.exports = {
+  EXECUTION_MODES,
+  createScheduler
+}
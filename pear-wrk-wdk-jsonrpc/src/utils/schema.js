@@ -0,0 +1,103 @@
+/**
+ * Minimal JSON Schema validator for RPC params and results
+ *
+ * Supports the subset used by the method registry: type (single or list),
+ * enum, minimum, maximum, minLength, pattern, properties, required,
+ * additionalProperties (boolean or schema) and items.
+ * Keywords such as description are ignored.
+ */
+
+/**
+ * Get the JSON Schema type of a value
+ * @param {any} value - Value to inspect
+ * @returns {string} JSON Schema type name
+ */
+function typeOf (value) {
+  if (value === null) return 'null'
+  if (Array.isArray(value)) return 'array'
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number'
+  return typeof value
+}
+
+/**
+ * Check a value's type against a schema type name
+ * An integer also satisfies "number"
+ */
+function matchesType (value, type) {
+  const actual = typeOf(value)
+  return actual === type || (type === 'number' && actual === 'integer')
+}
+
+/**
+ * Validate a value against a schema
+ * @param {any} value - Value to validate
+ * @param {Object} schema - Schema to validate against
+ * @param {string} path - Name of the value for error messages (e.g. 'params.network')
+ * @throws {Error} If validation fails
+ */
+function validateSchema (value, schema, path) {
+  if (!schema) {
+    return
+  }
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type]
+    if (!types.some((type) => matchesType(value, type))) {
+      throw new Error(`${path} must be of type ${types.join(' or ')}`)
+    }
+  }
+
+  if (schema.enum !== undefined && !schema.enum.includes(value)) {
+    throw new Error(`${path} must be one of: ${schema.enum.join(', ')}`)
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      throw new Error(`${path} must be at least ${schema.minimum}`)
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      throw new Error(`${path} must be at most ${schema.maximum}`)
+    }
+  }
+
+  if (typeof value === 'string' && schema.minLength !== undefined && value.trim().length < schema.minLength) {
+    throw new Error(schema.minLength === 1
+      ? `${path} must be a non-empty string`
+      : `${path} must be at least ${schema.minLength} characters`)
+  }
+
+  if (typeof value === 'string' && schema.pattern !== undefined && !new RegExp(schema.pattern).test(value)) {
+    throw new Error(`${path} must match ${schema.pattern}`)
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => validateSchema(item, schema.items, `${path}[${index}]`))
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {}
+
+    for (const name of schema.required || []) {
+      if (value[name] === undefined) {
+        throw new Error(`${path}.${name} is required`)
+      }
+    }
+
+    for (const [name, propertyValue] of Object.entries(value)) {
+      if (propertyValue === undefined) {
+        continue
+      }
+      if (properties[name]) {
+        validateSchema(propertyValue, properties[name], `${path}.${name}`)
+      } else if (schema.additionalProperties === false) {
+        throw new Error(`${path}.${name} is not allowed`)
+      } else if (typeof schema.additionalProperties === 'object') {
+        validateSchema(propertyValue, schema.additionalProperties, `${path}.${name}`)
+      }
+    }
+  }
+}
+
+module.exports = {
+  validateSchema
+}
@@ -0,0 +1,79 @@
+/**
+ * Secret buffer tracking
+ *
+ * Every buffer a handler creates that holds key material (decrypted seeds and entropy, seeds
+ * derived from a mnemonic, recovered SLIP-39 secrets) is tracked by the handler's secret scope,
+ * and the scope wipes them all when the handler returns or throws. A decrypted seed handed to a
+ * wallet session is released from the scope; the session wipes it when it is locked, disposed
+ * or replaced.
+ *
+ * Mnemonics and passphrases are JavaScript strings and can't be wiped.
+ */
+
+// Internal dependencies
+const { memzero } = require('./crypto')
+
+/**
+ * Create a secret scope
+ * @param {Object} [options] - Scope options
+ * @param {Function} [options.onTrack] - Called with each tracked buffer (lets tests check that each one was wiped)
+ * @returns {Object} Scope with track(buffer), release(buffer) and wipe()
+ */
+function createSecretScope ({ onTrack } = {}) {
+  const buffers = new Set()
+
+  return {
+    /**
+     * Track a secret buffer so wipe() zeroes it
+     * @param {Buffer|Uint8Array} buffer - Secret buffer
+     * @returns {Buffer|Uint8Array} The same buffer
+     */
+    track (buffer) {
+      if (buffer) {
+        buffers.add(buffer)
+        onTrack?.(buffer)
+      }
+      return buffer
+    },
+
+    /**
+     * Stop tracking a buffer whose ownership moved elsewhere (e.g. to a wallet session)
+     * @param {Buffer|Uint8Array} buffer - Secret buffer
+     * @returns {Buffer|Uint8Array} The same buffer
+     */
+    release (buffer) {
+      buffers.delete(buffer)
+      return buffer
+    },
+
+    /**
+     * Zero and forget every tracked buffer
+     */
+    wipe () {
+      for (const buffer of buffers) {
+        memzero(buffer)
+      }
+      buffers.clear()
+    }
+  }
+}
+
+/**
+ * Run fn with a secret scope that is wiped when fn settles
+ * @param {Function} fn - Receives the scope (may return a promise)
+ * @param {Object} [options] - Scope options (see createSecretScope)
+ * @returns {Promise<any>} Result of fn
+ */
+async function withSecrets (fn, options) {
+  const secrets = createSecretScope(options)
+  try {
+    return await fn(secrets)
+  } finally {
+    secrets.wipe()
+  }
+}
+
+module.exports = {
+  createSecretScope,
+  withSecrets
+}
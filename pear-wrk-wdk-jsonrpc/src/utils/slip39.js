@@ -0,0 +1,151 @@
+/**
+ * SLIP-0039 helpers: Shamir's Secret-Sharing for Mnemonic Codes
+ *
+ * The shared master secret is the wallet's BIP39 entropy, so recovering a share set
+ * gives back the same BIP39 mnemonic (and seed) the wallet was created with.
+ */
+
+// External dependencies
+const Slip39 = require('slip39')
+const { WORD_LIST } = require('slip39/src/slip39_helper')
+
+// Internal dependencies
+const { splitMnemonic } = require('./mnemonic')
+
+/**
+ * Maximum number of groups, and of member shares per group (4-bit fields in each share)
+ */
+const MAX_SHARE_COUNT = 16
+
+/**
+ * PBKDF2 cost of the share encryption is 10000 * 2^iterationExponent iterations
+ * The spec allows up to 15; shares above MAX_ITERATION_EXPONENT are refused so a
+ * crafted share can't stall the worklet
+ */
+const DEFAULT_ITERATION_EXPONENT = 1
+const MAX_ITERATION_EXPONENT = 5
+
+const WORD_INDEXES = new Map(WORD_LIST.map((word, index) => [word, index]))
+
+/**
+ * Validate a sharing scheme
+ * @param {number} groupThreshold - Number of groups needed to recover
+ * @param {Array<{ threshold: number, count: number }>} groups - Member threshold and share count of each group
+ * @throws {Error} If the scheme is invalid
+ */
+function validateSharingScheme (groupThreshold, groups) {
+  if (!Array.isArray(groups) || groups.length === 0 || groups.length > MAX_SHARE_COUNT) {
+    throw new Error(`groups must be an array of 1 to ${MAX_SHARE_COUNT} entries`)
+  }
+  if (!Number.isInteger(groupThreshold) || groupThreshold < 1 || groupThreshold > groups.length) {
+    throw new Error(`groupThreshold must be between 1 and the number of groups (${groups.length})`)
+  }
+  groups.forEach((group, i) => {
+    const { threshold, count } = group || {}
+    if (!Number.isInteger(count) || count < 1 || count > MAX_SHARE_COUNT) {
+      throw new Error(`groups[${i}].count must be between 1 and ${MAX_SHARE_COUNT}`)
+    }
+    if (!Number.isInteger(threshold) || threshold < 1 || threshold > count) {
+      throw new Error(`groups[${i}].threshold must be between 1 and groups[${i}].count`)
+    }
+    // Required by the spec: a 1-of-n group would just be n copies of the same share
+    if (threshold === 1 && count > 1) {
+      throw new Error(`groups[${i}] must use 1-of-1 sharing when threshold is 1`)
+    }
+  })
+}
+
+/**
+ * Validate a SLIP-39 passphrase (printable ASCII only, as required by the spec)
+ * @param {any} value - Value to validate
+ * @param {string} fieldName - Name of the field for error messages
+ * @throws {Error} If validation fails
+ */
+function validateSlip39Passphrase (value, fieldName) {
+  if (typeof value !== 'string' || !/^[\x20-\x7E]*$/.test(value)) {
+    throw new Error(`${fieldName} must be a string of printable ASCII characters`)
+  }
+}
+
+/**
+ * Normalize share mnemonics and check their words and cost before decoding
+ * Errors name the share and word position, never the word itself
+ * @param {any} shares - Share mnemonics
+ * @param {string} fieldName - Name of the field for error messages
+ * @returns {string[]} Lower-case shares with single spaces
+ * @throws {Error} If validation fails
+ */
+function normalizeShares (shares, fieldName) {
+  if (!Array.isArray(shares) || shares.length === 0 || shares.length > MAX_SHARE_COUNT * MAX_SHARE_COUNT) {
+    throw new Error(`${fieldName} must be a non-empty array of share mnemonics`)
+  }
+  return shares.map((share, i) => {
+    if (typeof share !== 'string' || share.trim().length === 0) {
+      throw new Error(`${fieldName}[${i}] must be a non-empty string`)
+    }
+    const words = splitMnemonic(share.toLowerCase())
+    const wordIndex = words.findIndex((word) => !WORD_INDEXES.has(word))
+    if (wordIndex !== -1) {
+      throw new Error(`${fieldName}[${i}] has an unknown word at index ${wordIndex}`)
+    }
+    if (words.length >= 2) {
+      // The first two words hold the identifier, extendable flag and iteration exponent (low 4 bits)
+      const iterationExponent = WORD_INDEXES.get(words[1]) & 0xf
+      if (iterationExponent > MAX_ITERATION_EXPONENT) {
+        throw new Error(`${fieldName}[${i}] uses iteration exponent ${iterationExponent} (max ${MAX_ITERATION_EXPONENT})`)
+      }
+    }
+    return words.join(' ')
+  })
+}
+
+/**
+ * Split a secret into SLIP-39 share mnemonics
+ * @param {Uint8Array|Buffer} secret - Secret bytes (at least 16, even length)
+ * @param {Object} options - Sharing options
+ * @param {number} options.groupThreshold - Number of groups needed to recover
+ * @param {Array<{ threshold: number, count: number }>} options.groups - Member threshold and share count of each group
+ * @param {string} [options.passphrase=''] - SLIP-39 passphrase
+ * @param {number} [options.iterationExponent] - PBKDF2 cost exponent (0 to MAX_ITERATION_EXPONENT)
+ * @returns {string[][]} Share mnemonics of each group
+ */
+function splitSecret (secret, { groupThreshold, groups, passphrase = '', iterationExponent = DEFAULT_ITERATION_EXPONENT }) {
+  const masterSecret = Array.from(secret)
+  try {
+    const slip = Slip39.fromArray(masterSecret, {
+      passphrase,
+      threshold: groupThreshold,
+      groups: groups.map(({ threshold, count }) => [threshold, count]),
+      iterationExponent
+    })
+    return slip.root.children.map((group) => group.mnemonics)
+  } finally {
+    masterSecret.fill(0)
+  }
+}
+
+/**
+ * Recover a secret from SLIP-39 share mnemonics
+ * A wrong passphrase is not detected: it yields a different secret, as the spec intends
+ * @param {string[]} shares - Share mnemonics (normalized with normalizeShares)
+ * @param {string} [passphrase=''] - SLIP-39 passphrase
+ * @returns {Uint8Array} Recovered secret
+ * @throws {Error} If the shares are invalid, inconsistent or not enough to recover
+ */
+function combineShares (shares, passphrase = '') {
+  const masterSecret = Slip39.recoverSecret(shares, passphrase)
+  const secret = Uint8Array.from(masterSecret)
+  masterSecret.fill(0)
+  return secret
+}
+
+module.exports = {
+  MAX_SHARE_COUNT,
+  DEFAULT_ITERATION_EXPONENT,
+  MAX_ITERATION_EXPONENT,
+  validateSharingScheme,
+  validateSlip39Passphrase,
+  normalizeShares,
+  splitSecret,
+  combineShares
+}
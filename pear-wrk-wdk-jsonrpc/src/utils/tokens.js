@@ -0,0 +1,202 @@
+/**
+ * Token registry and amount conversion
+ *
+ * The registry comes from the "tokens" section of the initializeWDK / registerWallet config,
+ * keyed by network and symbol. EVM tokens name their contract address, Solana tokens their mint:
+ *
+ *   "tokens": {
+ *     "ethereum": { "USDT": { "address": "0xdAC17F958D2ee523a2206206994597C13D831ec7", "decimals": 6 } },
+ *     "solana": { "USDC": { "mint": "EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v", "decimals": 6 } }
+ *   }
+ *
+ * Tokens are looked up by symbol (case-insensitive) or by address. Amounts are converted
+ * between human-readable decimal strings ("12.5") and raw base units (12500000n) exactly.
+ */
+
+const { validateNonEmptyString, validateNonNegativeInteger } = require('./validation')
+
+/**
+ * Largest number of decimals a registered token can have
+ */
+const MAX_TOKEN_DECIMALS = 36
+
+const SYMBOL_PATTERN = /^[A-Za-z0-9._-]{1,32}$/
+const AMOUNT_PATTERN = /^(0|[1-9][0-9]*)(\.[0-9]+)?$/
+
+/**
+ * Key under which a symbol or address is looked up
+ * @param {string} value - Symbol or address
+ * @returns {string} Case-insensitive key
+ */
+const lookupKey = (value) => value.toLowerCase()
+
+/**
+ * Parse the "tokens" section of a config
+ * @param {any} tokensConfig - Tokens section (undefined when absent)
+ * @param {string} fieldName - Name of the field for error messages
+ * @returns {Object} Registry: { [network]: Array<{ symbol, address, decimals, config }> }, where config is the
+ *   entry as given (kept so the registry can be turned back into a config section)
+ * @throws {Error} If an entry is malformed or a symbol or address is registered twice on a network
+ */
+function parseTokenRegistry (tokensConfig, fieldName) {
+  if (tokensConfig === undefined) {
+    return {}
+  }
+  if (!tokensConfig || typeof tokensConfig !== 'object' || Array.isArray(tokensConfig)) {
+    throw new Error(`${fieldName} must be an object of tokens keyed by network`)
+  }
+
+  const registry = {}
+  for (const [network, tokens] of Object.entries(tokensConfig)) {
+    const networkField = `${fieldName}.${network}`
+    if (!tokens || typeof tokens !== 'object' || Array.isArray(tokens)) {
+      throw new Error(`${networkField} must be an object of tokens keyed by symbol`)
+    }
+
+    const seen = new Set()
+    registry[network] = Object.entries(tokens).map(([symbol, token]) => {
+      const tokenField = `${networkField}.${symbol}`
+      if (!SYMBOL_PATTERN.test(symbol)) {
+        throw new Error(`${tokenField}: symbols must be 1 to 32 letters, digits, ".", "_" or "-"`)
+      }
+      if (!token || typeof token !== 'object') {
+        throw new Error(`${tokenField} must be an object with an address (or mint) and decimals`)
+      }
+      const { address, mint, decimals } = token
+      if ((address === undefined) === (mint === undefined)) {
+        throw new Error(`${tokenField} must have either an address (EVM) or a mint (Solana)`)
+      }
+      validateNonEmptyString(address ?? mint, `${tokenField}.${address !== undefined ? 'address' : 'mint'}`)
+      validateNonNegativeInteger(decimals, `${tokenField}.decimals`)
+      if (decimals > MAX_TOKEN_DECIMALS) {
+        throw new Error(`${tokenField}.decimals must be at most ${MAX_TOKEN_DECIMALS}`)
+      }
+
+      for (const key of [lookupKey(symbol), lookupKey(address ?? mint)]) {
+        if (seen.has(key)) {
+          throw new Error(`${tokenField} is registered twice on ${network}`)
+        }
+        seen.add(key)
+      }
+      return { symbol, address: address ?? mint, decimals, config: token }
+    })
+  }
+  return registry
+}
+
+/**
+ * Merge tokens into a registry (tokens with the same symbol or address are replaced)
+ * @param {Object} registry - Registry from parseTokenRegistry
+ * @param {Object} additions - Registry with the tokens to add
+ * @returns {Object} New registry
+ */
+function mergeTokenRegistry (registry, additions) {
+  const merged = { ...registry }
+  for (const [network, tokens] of Object.entries(additions)) {
+    const replaced = new Set(tokens.flatMap((token) => [lookupKey(token.symbol), lookupKey(token.address)]))
+    const kept = (merged[network] || []).filter((token) => !replaced.has(lookupKey(token.symbol)) && !replaced.has(lookupKey(token.address)))
+    merged[network] = [...kept, ...tokens]
+  }
+  return merged
+}
+
+/**
+ * Turn a registry back into a config "tokens" section (e.g. to store it in a backup)
+ * @param {Object} registry - Registry from parseTokenRegistry
+ * @returns {Object} Tokens section
+ */
+function tokenRegistryToConfig (registry) {
+  const config = {}
+  for (const [network, tokens] of Object.entries(registry)) {
+    config[network] = Object.fromEntries(tokens.map((token) => [token.symbol, token.config]))
+  }
+  return config
+}
+
+/**
+ * Find a registered token by symbol or address
+ * @param {Object} registry - Registry from parseTokenRegistry
+ * @param {string} network - Network name
+ * @param {string} token - Symbol (case-insensitive) or address
+ * @returns {{ symbol: string, address: string, decimals: number }|null} Token, or null if it is not registered
+ */
+function findToken (registry, network, token) {
+  const key = lookupKey(token)
+  return (registry[network] || []).find((entry) => lookupKey(entry.symbol) === key || lookupKey(entry.address) === key) || null
+}
+
+/**
+ * Get a registered token by symbol or address
+ * @param {Object} registry - Registry from parseTokenRegistry
+ * @param {string} network - Network name
+ * @param {string} token - Symbol (case-insensitive) or address
+ * @param {string} fieldName - Name of the field for error messages
+ * @returns {{ symbol: string, address: string, decimals: number }} Token
+ * @throws {Error} If the token is not registered on the network
+ */
+function resolveToken (registry, network, token, fieldName) {
+  const entry = findToken(registry, network, token)
+  if (!entry) {
+    const symbols = (registry[network] || []).map((t) => t.symbol)
+    throw new Error(symbols.length > 0
+      ? `${fieldName}: unknown token "${token}" on ${network}. Registered tokens: ${symbols.join(', ')}`
+      : `${fieldName}: unknown token "${token}", no tokens are registered on ${network}`)
+  }
+  return entry
+}
+
+/**
+ * Convert a human-readable amount to base units
+ * @param {any} amount - Decimal string, e.g. "12.5"
+ * @param {number} decimals - Token decimals
+ * @param {string} fieldName - Name of the field for error messages
+ * @returns {bigint} Amount in base units
+ * @throws {Error} If the amount is not a non-negative decimal string or has more fraction digits than the token
+ */
+function parseTokenAmount (amount, decimals, fieldName) {
+  if (typeof amount !== 'string' || !AMOUNT_PATTERN.test(amount)) {
+    throw new Error(`${fieldName} must be a non-negative decimal string, e.g. "12.5"`)
+  }
+  const [whole, fraction = ''] = amount.split('.')
+  if (fraction.replace(/0+$/, '').length > decimals) {
+    throw new Error(`${fieldName} has more than ${decimals} decimal places`)
+  }
+  return BigInt(whole + fraction.padEnd(decimals, '0').slice(0, decimals))
+}
+
+/**
+ * Convert an amount in base units to a human-readable decimal string
+ * @param {bigint|number|string} raw - Amount in base units
+ * @param {number} decimals - Token decimals
+ * @returns {string} Decimal string without trailing zeros, e.g. "12.5"
+ */
+function formatTokenAmount (raw, decimals) {
+  const value = BigInt(raw)
+  const sign = value < 0n ? '-' : ''
+  const digits = (value < 0n ? -value : value).toString().padStart(decimals + 1, '0')
+  const whole = digits.slice(0, digits.length - decimals)
+  const fraction = digits.slice(digits.length - decimals).replace(/0+$/, '')
+  return `${sign}${whole}${fraction ? `.${fraction}` : ''}`
+}
+
+/**
+ * Describe an amount both ways
+ * @param {bigint|number|string} raw - Amount in base units
+ * @param {number} decimals - Token decimals
+ * @returns {{ raw: bigint, formatted: string }} Raw amount and its decimal string
+ */
+function toTokenAmount (raw, decimals) {
+  return { raw: BigInt(raw), formatted: formatTokenAmount(raw, decimals) }
+}
+
+module.exports = {
+  MAX_TOKEN_DECIMALS,
+  parseTokenRegistry,
+  mergeTokenRegistry,
+  tokenRegistryToConfig,
+  findToken,
+  resolveToken,
+  parseTokenAmount,
+  formatTokenAmount,
+  toTokenAmount
+}
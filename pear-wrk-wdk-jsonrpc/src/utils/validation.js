@@ -1,3 +1,9 @@
+// External dependencies
+const bip39 = require('@scure/bip39')
+
+// Internal dependencies
+const { MNEMONIC_WORD_COUNTS, MNEMONIC_LANGUAGES, splitMnemonic } = require('./mnemonic')
+
 /**
  * Validate that a value is a non-empty string
  * @param {any} value - Value to validate
@@ -10,6 +16,18 @@ function validateNonEmptyString (value, fieldName) {
   }
 }
 
+/**
+ * Validate that a value is a string (which may be empty)
+ * @param {any} value - Value to validate
+ * @param {string} fieldName - Name of the field for error messages
+ * @throws {Error} If validation fails
+ */
+function validateString (value, fieldName) {
+  if (typeof value !== 'string') {
+    throw new Error(`${fieldName} must be a string`)
+  }
+}
+
 /**
  * Validate that a value is a non-negative integer
  * @param {any} value - Value to validate
@@ -78,38 +96,110 @@ function validateJSON (value, fieldName) {
 }
 
 /**
- * Validate mnemonic phrase (12 or 24 words)
+ * Why a mnemonic was rejected (error.data.reason)
+ * @enum {string}
+ */
+const MNEMONIC_ERROR_REASONS = {
+  WORD_COUNT: 'WORD_COUNT',
+  UNKNOWN_WORD: 'UNKNOWN_WORD',
+  INVALID_CHECKSUM: 'INVALID_CHECKSUM'
+}
+
+/**
+ * Create a mnemonic validation error
+ * error.data carries the field, the reason and, for unknown words, the zero-based word index.
+ * The words themselves are never included, so errors can be logged safely.
+ */
+function mnemonicError (message, data) {
+  const error = new Error(message)
+  error.data = data
+  return error
+}
+
+/**
+ * Validate a BIP39 mnemonic phrase: word count, wordlist membership and checksum
  * @param {any} value - Value to validate
  * @param {string} fieldName - Name of the field for error messages
- * @throws {Error} If validation fails
+ * @param {string[]} [wordlist] - Wordlist of the mnemonic's language (default: English)
+ * @throws {Error} If validation fails (see MNEMONIC_ERROR_REASONS for error.data.reason)
  */
-function validateMnemonic (value, fieldName) {
+function validateMnemonic (value, fieldName, wordlist = MNEMONIC_LANGUAGES.english) {
   validateNonEmptyString(value, fieldName)
 
-  const words = value.trim().split(/\s+/)
-  if (words.length !== 12 && words.length !== 24) {
-    throw new Error(`${fieldName} must contain exactly 12 or 24 words`)
+  const words = splitMnemonic(value)
+  if (!MNEMONIC_WORD_COUNTS.includes(words.length)) {
+    throw mnemonicError(`${fieldName} must contain ${MNEMONIC_WORD_COUNTS.slice(0, -1).join(', ')} or ${MNEMONIC_WORD_COUNTS.at(-1)} words (got ${words.length})`, {
+      field: fieldName,
+      reason: MNEMONIC_ERROR_REASONS.WORD_COUNT,
+      wordCount: words.length
+    })
+  }
+
+  const wordIndex = words.findIndex((word) => !wordlist.includes(word.normalize('NFKD')))
+  if (wordIndex !== -1) {
+    throw mnemonicError(`${fieldName} word at index ${wordIndex} is not in the wordlist`, {
+      field: fieldName,
+      reason: MNEMONIC_ERROR_REASONS.UNKNOWN_WORD,
+      wordIndex
+    })
+  }
+
+  if (!bip39.validateMnemonic(words.join(' '), wordlist)) {
+    throw mnemonicError(`${fieldName} has an invalid checksum`, {
+      field: fieldName,
+      reason: MNEMONIC_ERROR_REASONS.INVALID_CHECKSUM
+    })
   }
 }
 
 /**
- * Validate word count (must be 12 or 24)
+ * Validate word count (one of MNEMONIC_WORD_COUNTS)
  * @param {any} value - Value to validate
  * @param {string} fieldName - Name of the field for error messages
  * @throws {Error} If validation fails
  */
 function validateWordCount (value, fieldName) {
-  if (value !== 12 && value !== 24) {
-    throw new Error(`${fieldName} must be 12 or 24`)
+  if (!MNEMONIC_WORD_COUNTS.includes(value)) {
+    throw new Error(`${fieldName} must be one of: ${MNEMONIC_WORD_COUNTS.join(', ')}`)
+  }
+}
+
+/**
+ * Validate a wallet id (1-64 letters, digits, "_" or "-")
+ * @param {any} value - Value to validate
+ * @param {string} fieldName - Name of the field for error messages
+ * @throws {Error} If validation fails
+ */
+function validateWalletId (value, fieldName) {
+  if (typeof value !== 'string' || !/^[A-Za-z0-9_-]{1,64}$/.test(value)) {
+    throw new Error(`${fieldName} must be 1-64 letters, digits, "_" or "-"`)
+  }
+}
+
+/**
+ * Validate a user passphrase or PIN
+ * The value itself is never included in error messages
+ * @param {any} value - Value to validate
+ * @param {number} minLength - Minimum number of characters
+ * @param {string} fieldName - Name of the field for error messages
+ * @throws {Error} If validation fails
+ */
+function validatePassphrase (value, minLength, fieldName) {
+  if (typeof value !== 'string' || value.length < minLength) {
+    throw new Error(`${fieldName} must be a string of at least ${minLength} characters`)
   }
 }
 
 module.exports = {
+  MNEMONIC_ERROR_REASONS,
   validateNonEmptyString,
+  validateString,
   validateNonNegativeInteger,
   validateEnum,
   validateBase64,
   validateJSON,
   validateMnemonic,
-  validateWordCount
+  validateWordCount,
+  validateWalletId,
+  validatePassphrase
 }
@@ -2,7 +2,17 @@ console.log('wdk-worklet.js - JSON-RPC only version')
 
 // Internal dependencies
 const logger = require('./utils/logger')
-const { handlers, withErrorHandling } = require('./rpc-handlers')
+const { createErrorWithCode } = require('./rpc-handlers')
+const { dispatchMethod, getExecutionMode } = require('./method-registry')
+const { createSubscriptionManager } = require('./subscriptions')
+const { createBackupChallengeStore } = require('./backup-challenges')
+const { createAbortController } = require('./utils/abort')
+const { createScheduler } = require('./utils/scheduler')
+const { OVERSIZE_STRATEGIES, encodeFrame, createFrameDecoder } = require('./utils/framing')
+const { DEFAULT_ENCODING } = require('./utils/codec')
+const ERROR_CODES = require('./exceptions/error-codes')
+const { toJsonRpcCode } = require('./exceptions/jsonrpc-error-codes')
+const { createJsonRpcError } = require('./exceptions/rpc-exception')
 
 // Handle unhandled promise rejections and exceptions
 if (typeof process !== 'undefined' && process.on) {
@@ -19,166 +29,314 @@ if (typeof process !== 'undefined' && process.on) {
 const { IPC: BareIPC } = BareKit
 logger.info('BareKit IPC initialized')
 
-// State - this will be managed by the RPC handlers
-let wdk = null
-
 // Create context object for RPC handlers
-// This allows handlers to read and update the wdk state
+// This allows handlers to read and update the wallet sessions
 const context = {
-  get wdk () {
-    return wdk
-  },
-  set wdk (value) {
-    wdk = value
+  // Wallet sessions keyed by walletId, managed by initializeWDK and dispose
+  // Each session holds its own wdk instance, method policy and registered networks
+  sessions: new Map(),
+  // Balance/transaction watchers, cleared on dispose and re-initialization
+  subscriptions: null,
+  // Pending backup-verification challenges, cleared on dispose
+  backupChallenges: createBackupChallengeStore(),
+  // Incoming frame decoder, its maxFrameSize can be changed by workletStart
+  frameDecoder: null,
+  // Encoding of callMethod results and subscription updates, negotiated by workletStart
+  encoding: DEFAULT_ENCODING,
+  // Serializes state-mutating RPCs (execution modes are declared in method-registry.js)
+  // Also used by auto-lock, so an idle wallet is never locked under a running request
+  scheduler: createScheduler(),
+
+  /**
+   * Push a JSON-RPC notification (no id) to the host
+   * @param {string} method - Notification method
+   * @param {Object} params - Notification params
+   */
+  notify (method, params) {
+    writeResponse({ jsonrpc: '2.0', method, params })
   }
 }
+context.subscriptions = createSubscriptionManager(context)
+
+// Abort controllers of in-flight requests, keyed by JSON-RPC id
+// Used by per-request timeouts and $/cancelRequest
+const inFlightRequests = new Map()
+
+/**
+ * JSON-RPC notification pushed to the host when a request that timed out or was cancelled
+ * while running has settled after all
+ */
+const LATE_RESULT_NOTIFICATION = 'lateResult'
 
 // === Length-Prefixed Framing ===
-// Buffer for accumulating incoming data
-let readBuffer = Buffer.alloc(0)
 
 /**
  * Write a framed message: [4-byte length][message]
  */
 function writeFramed (data) {
-  const length = Buffer.allocUnsafe(4)
-  length.writeUInt32BE(data.length, 0)
-  BareIPC.write(Buffer.concat([length, data]))
+  BareIPC.write(encodeFrame(data))
 }
 
 /**
- * Process incoming data with framing
- * Accumulates data in buffer and extracts complete messages
+ * Process a complete incoming message
+ * Replies with a JSON-RPC error (id null) when the message is not valid JSON
+ * @param {Buffer} messageData - Message bytes extracted by the frame decoder
  */
-function processFramedData (chunk) {
-  // Append new data to buffer
-  readBuffer = Buffer.concat([readBuffer, chunk])
-
-  // Try to extract complete messages
-  while (readBuffer.length >= 4) {
-    // Read message length from first 4 bytes
-    const messageLength = readBuffer.readUInt32BE(0)
-
-    // Check if we have the complete message
-    const totalLength = 4 + messageLength
-    if (readBuffer.length < totalLength) {
-      // Not enough data yet, wait for more
-      break
-    }
-
-    // Extract the message
-    const messageData = readBuffer.slice(4, totalLength)
-    readBuffer = readBuffer.slice(totalLength)
+function processMessage (messageData) {
+  let message
+  try {
+    message = JSON.parse(messageData.toString())
+  } catch (e) {
+    logger.error('Failed to parse framed message:', e)
+    writeResponse(protocolErrorResponse(ERROR_CODES.PARSE_ERROR, `Parse error: ${e.message}`))
+    return
+  }
 
-    // Process the complete message
-    try {
-      const message = JSON.parse(messageData.toString())
+  if (Array.isArray(message)) {
+    handleJsonRpcBatch(message, context)
+    return
+  }
 
-      // Only handle if it's a JSON-RPC message (has 'jsonrpc' field)
-      if (message.jsonrpc === '2.0') {
-        handleJsonRpcMessage(message, context)
-      }
-    } catch (e) {
-      logger.error('Failed to parse framed message:', e)
-    }
+  const invalid = validateJsonRpcRequest(message)
+  if (invalid) {
+    writeResponse(protocolErrorResponse(ERROR_CODES.INVALID_REQUEST, invalid))
+    return
   }
+
+  handleJsonRpcMessage(message, context).then(writeResponse)
 }
 
+// Oversized frames are skipped byte for byte, so the rest of a genuine frame that arrives
+// in later chunks is never mistaken for headers (garbage headers still reset the decoder)
+context.frameDecoder = createFrameDecoder({
+  oversizeStrategy: OVERSIZE_STRATEGIES.SKIP,
+  onFrame: processMessage,
+  onOversize: (length, maxFrameSize) => {
+    logger.error(`Dropping frame of ${length} bytes (max ${maxFrameSize})`)
+    writeResponse(protocolErrorResponse(
+      ERROR_CODES.INVALID_REQUEST,
+      `Frame of ${length} bytes exceeds the maximum of ${maxFrameSize} bytes`
+    ))
+  }
+})
+
 // Listen for incoming data chunks
 BareIPC.on('data', (data) => {
-  processFramedData(data)
+  context.frameDecoder.push(data)
 })
 
 /**
- * Handle incoming JSON-RPC 2.0 messages
- * @param {Object} message - The JSON-RPC message
+ * Write a JSON-RPC message (response, batch of responses or notification) with framing
+ * Nothing is written for a null response (incoming notifications have no response)
+ * @param {Object|Array|null} response - Message object, array of responses, or null
+ */
+function writeResponse (response) {
+  if (!response) {
+    return
+  }
+  writeFramed(Buffer.from(JSON.stringify(response)))
+}
+
+/**
+ * Handle an incoming JSON-RPC 2.0 batch
+ * Entries are processed concurrently and answered with a single framed array
+ * of responses; notifications in the batch produce no entry
+ * @param {Array} batch - The JSON-RPC batch array
  * @param {Object} context - The context object with wdk state
  */
-async function handleJsonRpcMessage (message, context) {
-  const { id, method, params } = message
+async function handleJsonRpcBatch (batch, context) {
+  if (batch.length === 0) {
+    writeResponse(protocolErrorResponse(ERROR_CODES.INVALID_REQUEST, 'Batch must not be empty'))
+    return
+  }
 
-  try {
-    let result
-    logger.info(`JSON-RPC request: ${method}`, params)
+  const responses = await Promise.all(batch.map((entry) => {
+    const invalid = validateJsonRpcRequest(entry)
+    if (invalid) {
+      return protocolErrorResponse(ERROR_CODES.INVALID_REQUEST, invalid)
+    }
+    return handleJsonRpcMessage(entry, context)
+  }))
+
+  // A batch made only of notifications gets no response at all
+  const answered = responses.filter(Boolean)
+  writeResponse(answered.length > 0 ? answered : null)
+}
+
+/**
+ * Check that a message is a valid JSON-RPC 2.0 request object
+ * @param {any} message - Parsed message
+ * @returns {string|null} Reason the request is invalid, or null if it is valid
+ */
+function validateJsonRpcRequest (message) {
+  if (!message || typeof message !== 'object' || Array.isArray(message)) {
+    return 'Invalid Request: expected a JSON-RPC 2.0 request object'
+  }
+  if (message.jsonrpc !== '2.0') {
+    return 'Invalid Request: jsonrpc must be "2.0"'
+  }
+  if (typeof message.method !== 'string') {
+    return 'Invalid Request: method must be a string'
+  }
+  if (message.params !== undefined && (message.params === null || typeof message.params !== 'object')) {
+    return 'Invalid Request: params must be an object or array'
+  }
+  if (message.id !== undefined && message.id !== null && typeof message.id !== 'string' && typeof message.id !== 'number') {
+    return 'Invalid Request: id must be a string, number or null'
+  }
+  return null
+}
 
-    // Map JSON-RPC methods to handler functions
-    switch (method) {
-      case 'workletStart':
-        result = await withErrorHandling(handlers.workletStart)()
-        break
+/**
+ * Build an error response for a message that could not be handled as a request
+ * (parse errors, invalid requests, oversized frames)
+ * @param {ERROR_CODES} code - Error code (PARSE_ERROR or INVALID_REQUEST)
+ * @param {string} message - Error message
+ * @returns {Object} JSON-RPC error response with a null id
+ */
+function protocolErrorResponse (code, message) {
+  return {
+    jsonrpc: '2.0',
+    id: null,
+    error: {
+      code: toJsonRpcCode(code),
+      message,
+      data: { code }
+    }
+  }
+}
 
-      case 'generateEntropyAndEncrypt':
-        result = await withErrorHandling(handlers.generateEntropyAndEncrypt)(params)
-        break
+/**
+ * Abort an in-flight request ($/cancelRequest)
+ * @param {Object} params - Notification params with the id of the request to cancel
+ * @returns {boolean} True if a matching in-flight request was found
+ */
+function cancelRequest (params) {
+  const controller = params ? inFlightRequests.get(params.id) : undefined
+  if (!controller) {
+    return false
+  }
+  logger.info(`Cancelling request ${params.id}`)
+  controller.abort(createErrorWithCode(`Request ${params.id} was cancelled`, ERROR_CODES.CANCELLED))
+  return true
+}
 
-      case 'getMnemonicFromEntropy':
-        result = await withErrorHandling(handlers.getMnemonicFromEntropy)(params)
-        break
+/**
+ * Report the outcome of a request that was aborted while its handler was running
+ * The handler (e.g. a transaction broadcast) keeps running after the TIMEOUT or CANCELLED
+ * response; once it settles, its result or error is logged and, for requests with an id,
+ * pushed to the host so it knows whether e.g. the transaction was sent after all
+ * Nothing is reported for a request that was skipped before it started
+ * @param {Promise<any>} settled - The scheduled task (see scheduler run(...).settled)
+ * @param {Object} request - Request details
+ * @param {string|number} [request.id] - Request id (absent for notifications)
+ * @param {string} request.method - Request method
+ * @param {any} request.reason - Abort reason the request failed with
+ * @param {Object} request.log - Logger of the request
+ */
+function reportLateResult (settled, { id, method, reason, log }) {
+  settled.then((result) => {
+    log.warn(`Late result of aborted request: ${method}`, { result })
+    if (id !== undefined) {
+      context.notify(LATE_RESULT_NOTIFICATION, { id, method, result })
+    }
+  }, (error) => {
+    if (error === reason) {
+      return
+    }
+    log.warn(`Late error of aborted request: ${method}`, error)
+    if (id !== undefined) {
+      context.notify(LATE_RESULT_NOTIFICATION, { id, method, error: createJsonRpcError(error) })
+    }
+  })
+}
 
-      case 'getSeedAndEntropyFromMnemonic':
-        result = await withErrorHandling(handlers.getSeedAndEntropyFromMnemonic)(params)
-        break
+/**
+ * Handle incoming JSON-RPC 2.0 messages
+ * @param {Object} message - The JSON-RPC message
+ * @param {Object} context - The context object with wdk state
+ * @returns {Promise<Object|null>} The JSON-RPC response, or null for notifications
+ */
+async function handleJsonRpcMessage (message, context) {
+  const { id, method, params } = message
+  // Requests without an id are notifications and must not be answered
+  const isNotification = !Object.prototype.hasOwnProperty.call(message, 'id')
 
-      case 'initializeWDK':
-        result = await withErrorHandling(handlers.initializeWDK)(params, context)
-        break
+  const controller = createAbortController()
+  let timeout = null
 
-      case 'callMethod':
-        result = await withErrorHandling(handlers.callMethod)(params, context)
-        break
+  // Records of this request are correlated by its id (params and results are redacted by the logger)
+  const log = isNotification ? logger.child({ method }) : logger.child({ requestId: id, method })
 
-      case 'registerWallet':
-        result = await withErrorHandling(handlers.registerWallet)(params, context)
-        break
+  try {
+    let result
+    log.info(`JSON-RPC request: ${method}`, { params })
 
-      case 'registerProtocol':
-        result = await withErrorHandling(handlers.registerProtocol)(params, context)
-        break
+    if (method === '$/cancelRequest') {
+      result = { cancelled: cancelRequest(params) }
+    } else {
+      // Optional per-request deadline
+      const timeoutMs = params?.timeoutMs
+      if (timeoutMs !== undefined) {
+        if (typeof timeoutMs !== 'number' || !Number.isInteger(timeoutMs) || timeoutMs <= 0) {
+          throw createErrorWithCode('timeoutMs must be a positive integer', ERROR_CODES.BAD_REQUEST)
+        }
+        timeout = setTimeout(() => {
+          controller.abort(createErrorWithCode(`${method} timed out after ${timeoutMs}ms`, ERROR_CODES.TIMEOUT))
+        }, timeoutMs)
+      }
 
-      case 'dispose':
-        result = await withErrorHandling(handlers.dispose)(context)
-        break
+      if (!isNotification) {
+        inFlightRequests.set(id, controller)
+      }
 
-      default:
-        throw new Error(`Unknown method: ${method}`)
+      // The request fails as soon as its signal aborts, but a handler that is already running
+      // keeps its scheduler slot until it (and any wallet call) has settled
+      const { mode, key } = getExecutionMode(method, params, context)
+      const task = context.scheduler.run(mode, () => dispatchMethod(method, params, context, controller.signal), {
+        key,
+        signal: controller.signal
+      })
+      try {
+        result = await task
+      } catch (error) {
+        if (controller.signal.aborted && error === controller.signal.reason) {
+          reportLateResult(task.settled, { id: isNotification ? undefined : id, method, reason: error, log })
+        }
+        throw error
+      }
     }
 
-    logger.info(`JSON-RPC response: ${method}`, result)
+    log.info(`JSON-RPC response: ${method}`, { result })
 
-    // Send success response with framing
-    const response = JSON.stringify({
+    if (isNotification) {
+      return null
+    }
+
+    return {
       jsonrpc: '2.0',
       id,
       result
-    })
-    writeFramed(Buffer.from(response))
+    }
   } catch (error) {
-    logger.error(`JSON-RPC error: ${method}`, error)
-
-    // Try to parse structured error if it exists (from withErrorHandling)
-    let errorResponse
-    try {
-      const structuredError = JSON.parse(error.message)
-      errorResponse = {
-        message: structuredError.message,
-        code: structuredError.code,
-        data: structuredError.data
-      }
-    } catch (e) {
-      // Not a structured error, use plain error
-      errorResponse = {
-        message: error.message || String(error),
-        code: error.code || 'INTERNAL_ERROR'
-      }
+    log.error(`JSON-RPC error: ${method}`, error)
+
+    if (isNotification) {
+      return null
     }
 
-    // Send error response with framing
-    const response = JSON.stringify({
+    return {
       jsonrpc: '2.0',
       id,
-      error: errorResponse
-    })
-    writeFramed(Buffer.from(response))
+      error: createJsonRpcError(error)
+    }
+  } finally {
+    if (timeout) {
+      clearTimeout(timeout)
+    }
+    if (inFlightRequests.get(id) === controller) {
+      inFlightRequests.delete(id)
+    }
   }
 }
 
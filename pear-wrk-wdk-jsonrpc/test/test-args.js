@@ -0,0 +1,123 @@
+/**
+ * Test callMethod argument decoding
+ * Checks single and positional arguments, BigInt amounts and precision errors
+ */
+
+const { decodeArgs } = require('../src/utils/args')
+const { handlers } = require('../src/rpc-handlers')
+
+console.log('🧪 Testing callMethod arguments\n')
+
+function assert (condition, message) {
+  if (!condition) {
+    console.log('  ❌ FAIL:', message)
+    process.exit(1)
+  }
+  console.log('  ✅ PASS:', message)
+}
+
+/**
+ * Run fn and return the error it throws (or null)
+ */
+async function captureError (fn) {
+  try {
+    await fn()
+    return null
+  } catch (error) {
+    return error
+  }
+}
+
+const networks = {
+  ethereum: {
+    chainId: 1,
+    blockchain: 'ethereum',
+    provider: 'https://rpc.mevblocker.io/fast',
+    transferMaxFee: 100000
+  }
+}
+
+async function runTests () {
+  // Test 1: Argument shapes
+  console.log('Test 1: Argument shapes')
+  assert(decodeArgs(null, 'args').length === 0 && decodeArgs(undefined, 'args').length === 0, 'omitted args call the method without arguments')
+
+  const single = decodeArgs({ to: '0xabc', value: '1' }, 'args')
+  assert(single.length === 1 && single[0].to === '0xabc', 'an object is passed as the single argument')
+
+  assert(decodeArgs('0xtoken', 'args')[0] === '0xtoken', 'a scalar is passed as the single argument')
+
+  const array = decodeArgs(['0xtokenA', '0xtokenB'], 'args')
+  assert(array.length === 1 && Array.isArray(array[0]) && array[0].length === 2, 'an array is passed as the single argument by default')
+
+  const positional = decodeArgs(['hello', '0xsignature'], 'args', { positional: true })
+  assert(positional.length === 2 && positional[0] === 'hello' && positional[1] === '0xsignature', 'with positional, an array is spread as positional arguments')
+
+  const nested = decodeArgs([[{ to: '0x1' }, { to: '0x2' }]], 'args', { positional: true })
+  assert(nested.length === 1 && Array.isArray(nested[0]) && nested[0].length === 2, 'an array argument is wrapped in the positional array')
+
+  assert(decodeArgs(null, 'args', { positional: true }).length === 0, 'omitted positional args call the method without arguments')
+  const notArray = await captureError(() => decodeArgs({ to: '0xabc' }, 'args', { positional: true }))
+  assert(notArray?.message === 'args must be a JSON array when positional is true', 'positional args must be an array')
+
+  // Test 2: BigInt decoding
+  console.log('\nTest 2: BigInt amounts')
+  const [tx] = decodeArgs({ to: '0xabc', value: '123456789012345678901234567890', gasLimit: 21000, maxFeePerGas: '0x3b9aca00' }, 'args')
+  assert(tx.value === 123456789012345678901234567890n, 'decimal string amounts keep every digit')
+  assert(tx.gasLimit === 21000n && tx.maxFeePerGas === 1000000000n, 'safe integers and hex strings become BigInt')
+
+  const [swap, config] = decodeArgs([{ tokenIn: '0x1', tokenInAmount: '5' }, { swapMaxFee: 7 }], 'args', { positional: true })
+  assert(swap.tokenInAmount === 5n && config.swapMaxFee === 7n, 'amounts are decoded in every positional argument')
+
+  const [quote] = decodeArgs({ route: { steps: [{ amount: '9' }] }, custom: { $bigint: '42' }, label: 'value' }, 'args')
+  assert(quote.route.steps[0].amount === '9', 'fields of nested objects are left alone')
+  assert(quote.custom === 42n && quote.label === 'value', 'tagged values become BigInt and other fields are untouched')
+
+  const [typed] = decodeArgs({ domain: { name: 'App' }, message: { value: 'hello', amount: '1.5', nested: { fee: { $bigint: '3' } } } }, 'args')
+  assert(typed.message.value === 'hello' && typed.message.amount === '1.5', 'nested fields named like amounts keep their values')
+  assert(typed.message.nested.fee === 3n, 'tagged values are decoded at any depth')
+
+  const [[listed]] = decodeArgs([{ value: '1' }], 'args')
+  assert(listed.value === '1', 'objects inside an array argument are not transactions')
+
+  const [unset] = decodeArgs({ to: '0xabc', value: '1', fee: null }, 'args')
+  assert(unset.fee === null, 'null amounts are left unset')
+
+  // Test 3: Rejected amounts
+  console.log('\nTest 3: Rejected amounts')
+  const lossy = await captureError(() => decodeArgs({ value: 10000000000000000000 }, 'args'))
+  assert(lossy?.message.includes('args.value') && lossy.message.includes('lose precision'), 'unsafe JSON numbers are rejected')
+
+  const fractional = await captureError(() => decodeArgs([{ amount: '1.5' }], 'args', { positional: true }))
+  assert(fractional?.message.includes('args[0].amount'), 'fractional amounts are rejected with their path')
+
+  const negative = await captureError(() => decodeArgs({ amount: -1 }, 'args'))
+  assert(negative !== null, 'negative amounts are rejected')
+
+  const taggedHex = await captureError(() => decodeArgs({ custom: { $bigint: '0x10' } }, 'args'))
+  assert(taggedHex?.message.includes('$bigint'), 'tagged values must be decimal strings')
+
+  // Test 4: callMethod
+  console.log('\nTest 4: callMethod')
+  const context = {}
+  const generated = await handlers.generateEntropyAndEncrypt({ wordCount: 12 })
+  await handlers.initializeWDK({ encryptedSeed: generated.encryptedSeedBuffer, encryptionKey: generated.encryptionKey, config: JSON.stringify({ networks }) }, context)
+  const call = (methodName, args, positional) => handlers.callMethod({ methodName, network: 'ethereum', accountIndex: 0, args: JSON.stringify(args), positional }, context)
+
+  const { result: signature } = await call('sign', 'hello')
+  const verified = await call('verify', ['hello', signature], true)
+  assert(verified.result === true, 'positional arguments reach the account method')
+  const rejected = await call('verify', ['goodbye', signature], true)
+  assert(rejected.result === false, 'each positional argument is passed in order')
+
+  const notBoolean = await captureError(() => call('verify', ['hello', signature], 'yes'))
+  assert(notBoolean?.code === 'BAD_REQUEST' && notBoolean.message.includes('positional'), 'positional must be a boolean')
+
+  const badAmount = await captureError(() => call('quoteSendTransaction', { to: '0x0000000000000000000000000000000000000000', value: 1e20 }))
+  assert(badAmount?.code === 'BAD_REQUEST', 'callMethod rejects amounts that would lose precision')
+
+  await handlers.dispose(context)
+  console.log('\n✨ All argument tests passed!\n')
+}
+
+runTests()
@@ -0,0 +1,142 @@
+/**
+ * Test wallet locking
+ * Checks explicit lock/unlock, the LOCKED error, the locked notification and the idle timeout
+ */
+
+const { handlers, LOCK_NOTIFICATION, LOCK_REASONS, MIN_IDLE_TIMEOUT_MS } = require('../src/rpc-handlers')
+const { createScheduler } = require('../src/utils/scheduler')
+
+console.log('🧪 Testing wallet locking\n')
+
+function assert (condition, message) {
+  if (!condition) {
+    console.log('  ❌ FAIL:', message)
+    process.exit(1)
+  }
+  console.log('  ✅ PASS:', message)
+}
+
+/**
+ * Run fn and return the error it throws (or null)
+ */
+async function captureError (fn) {
+  try {
+    await fn()
+    return null
+  } catch (error) {
+    return error
+  }
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+const networks = {
+  ethereum: {
+    chainId: 1,
+    blockchain: 'ethereum',
+    provider: 'https://rpc.mevblocker.io/fast',
+    transferMaxFee: 100000
+  }
+}
+
+/**
+ * Create a context that records the notifications sent to the host
+ */
+function createContext () {
+  const notifications = []
+  return {
+    notifications,
+    scheduler: createScheduler(),
+    notify: (method, params) => notifications.push({ method, params })
+  }
+}
+
+async function runTests () {
+  const generated = await handlers.generateEntropyAndEncrypt({ wordCount: 12, walletId: 'alice' })
+  const credential = { walletId: 'alice', encryptedSeed: generated.encryptedSeedBuffer, encryptionKey: generated.encryptionKey }
+  const getAddress = { walletId: 'alice', methodName: 'getAddress', network: 'ethereum', accountIndex: 0 }
+
+  // Test 1: Explicit lock
+  console.log('Test 1: Lock')
+  const context = createContext()
+  await handlers.initializeWDK({ ...credential, config: JSON.stringify({ networks }) }, context)
+  await handlers.registerWallet({ walletId: 'alice', config: JSON.stringify({ networks: { polygon: { chainId: 137, provider: 'https://polygon-rpc.com' } } }) }, context)
+  const { result: address } = await handlers.callMethod(getAddress, context)
+
+  const locked = await handlers.lock({ walletId: 'alice' }, context)
+  assert(locked.status === 'locked' && locked.walletId === 'alice', 'lock returns the wallet id')
+  assert(context.sessions.get('alice').wdk === null && context.sessions.get('alice').seed === null, 'WDK instance and seed are dropped')
+
+  const notification = context.notifications.find((n) => n.method === LOCK_NOTIFICATION)
+  assert(notification?.params.walletId === 'alice' && notification.params.reason === LOCK_REASONS.REQUEST, 'host is notified of the lock')
+
+  const call = await captureError(() => handlers.callMethod(getAddress, context))
+  assert(call?.code === 'LOCKED', 'calls to a locked wallet fail with LOCKED')
+
+  const register = await captureError(() => handlers.registerWallet({ walletId: 'alice', config: JSON.stringify({ networks }) }, context))
+  assert(register?.code === 'LOCKED', 'registering on a locked wallet fails with LOCKED')
+
+  const { wallets } = await handlers.listWallets({}, context)
+  assert(wallets[0].locked === true, 'listWallets reports the wallet as locked')
+
+  await handlers.lock({ walletId: 'alice' }, context)
+  assert(context.notifications.filter((n) => n.method === LOCK_NOTIFICATION).length === 1, 'locking twice sends one notification')
+
+  // Test 2: Unlock
+  console.log('\nTest 2: Unlock')
+  const other = await handlers.generateEntropyAndEncrypt({ wordCount: 12, walletId: 'alice' })
+  const wrongSeed = await captureError(() => handlers.unlock({ walletId: 'alice', encryptedSeed: other.encryptedSeedBuffer, encryptionKey: other.encryptionKey }, context))
+  assert(wrongSeed?.code === 'BAD_REQUEST' && context.sessions.get('alice').locked, 'a different seed does not unlock the wallet')
+
+  const wrongKey = await captureError(() => handlers.unlock({ ...credential, encryptionKey: other.encryptionKey }, context))
+  assert(wrongKey?.code === 'BAD_REQUEST', 'a wrong key does not unlock the wallet')
+
+  const unlocked = await handlers.unlock(credential, context)
+  assert(unlocked.status === 'unlocked' && unlocked.walletId === 'alice', 'unlock returns the wallet id')
+
+  const after = await handlers.callMethod(getAddress, context)
+  assert(after.result === address, 'the same accounts are available after unlocking')
+  const polygon = await captureError(() => handlers.callMethod({ ...getAddress, network: 'polygon' }, context))
+  assert(polygon === null, 'networks registered after initializeWDK are registered again')
+
+  const again = await handlers.unlock(credential, context)
+  assert(again.status === 'unlocked', 'unlocking an unlocked wallet is a no-op')
+
+  const unknown = await captureError(() => handlers.lock({ walletId: 'bob' }, context))
+  assert(unknown?.code === 'WDK_MANAGER_INIT', 'an uninitialized wallet cannot be locked')
+  await handlers.dispose(context)
+
+  // Test 3: Idle timeout
+  console.log('\nTest 3: Idle timeout')
+  const tooShort = await captureError(() => handlers.initializeWDK({ ...credential, config: JSON.stringify({ networks, autoLock: { idleTimeoutMs: 10 } }) }, createContext()))
+  assert(tooShort?.code === 'BAD_REQUEST', `idle timeouts under ${MIN_IDLE_TIMEOUT_MS}ms are rejected`)
+
+  const idle = createContext()
+  await handlers.initializeWDK({ ...credential, config: JSON.stringify({ networks, autoLock: { idleTimeoutMs: MIN_IDLE_TIMEOUT_MS } }) }, idle)
+
+  // Each request restarts the timer
+  await sleep(MIN_IDLE_TIMEOUT_MS * 0.6)
+  await handlers.callMethod(getAddress, idle)
+  await sleep(MIN_IDLE_TIMEOUT_MS * 0.6)
+  assert(!idle.sessions.get('alice').locked, 'a wallet in use is not locked')
+
+  await sleep(MIN_IDLE_TIMEOUT_MS * 0.6)
+  assert(idle.sessions.get('alice').locked, 'an idle wallet is locked')
+  const idleNotification = idle.notifications.find((n) => n.method === LOCK_NOTIFICATION)
+  assert(idleNotification?.params.reason === LOCK_REASONS.IDLE, 'host is notified of the idle lock')
+
+  await handlers.unlock(credential, idle)
+  assert(idle.sessions.get('alice').idleTimer !== null, 'unlocking restarts the timer')
+  await handlers.dispose(idle)
+  assert(idle.sessions.size === 0, 'dispose clears the sessions and their timers')
+
+  // Without autoLock the wallet never locks by itself
+  const manual = createContext()
+  await handlers.initializeWDK({ ...credential, config: JSON.stringify({ networks }) }, manual)
+  assert(manual.sessions.get('alice').idleTimer === null, 'auto-lock is off by default')
+  await handlers.dispose(manual)
+
+  console.log('\n✨ All locking tests passed!\n')
+}
+
+runTests()
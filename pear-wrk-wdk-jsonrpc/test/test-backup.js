@@ -0,0 +1,128 @@
+/**
+ * Test wallet backup export and import
+ * Checks the backup document, round trips in key and passphrase mode, and damaged or wrong input
+ */
+
+const { handlers, protocolManagers } = require('../src/rpc-handlers')
+const { BACKUP_FORMAT, BACKUP_VERSION } = require('../src/utils/backup')
+const { readEnvelope } = require('../src/utils/crypto')
+
+console.log('🧪 Testing wallet backups\n')
+
+function assert (condition, message) {
+  if (!condition) {
+    console.log('  ❌ FAIL:', message)
+    process.exit(1)
+  }
+  console.log('  ✅ PASS:', message)
+}
+
+/**
+ * Run fn and return the error it throws (or null)
+ */
+async function captureError (fn) {
+  try {
+    await fn()
+    return null
+  } catch (error) {
+    return error
+  }
+}
+
+const config = {
+  networks: {
+    ethereum: {
+      chainId: 1,
+      blockchain: 'ethereum',
+      provider: 'https://rpc.mevblocker.io/fast',
+      transferMaxFee: 100000
+    }
+  }
+}
+
+const BACKUP_PASSPHRASE = 'correct horse battery'
+
+async function runTests () {
+  const context = {}
+  const generated = await handlers.generateEntropyAndEncrypt({ wordCount: 24, language: 'spanish', bip39Passphrase: 'extra', walletId: 'alice' })
+  await handlers.initializeWDK({ walletId: 'alice', encryptedSeed: generated.encryptedSeedBuffer, encryptionKey: generated.encryptionKey, config: JSON.stringify(config) }, context)
+
+  // Networks and protocols registered after initializeWDK are part of the backup
+  await handlers.registerWallet({ walletId: 'alice', config: JSON.stringify({ networks: { polygon: { chainId: 137, provider: 'https://polygon-rpc.com' } } }) }, context)
+  protocolManagers.TestBridge = function TestBridge () {}
+  await handlers.registerProtocol({ walletId: 'alice', config: JSON.stringify({ protocols: { TestBridge: { network: 'polygon', protocolLabel: 'bridge', config: {} } } }) }, context)
+  delete protocolManagers.TestBridge
+
+  const accountLabels = [{ network: 'ethereum', accountIndex: 0, label: 'Savings' }, { network: 'polygon', accountIndex: 2, label: 'Travel' }]
+  const credential = { walletId: 'alice', encryptedEntropy: generated.encryptedEntropyBuffer, encryptionKey: generated.encryptionKey }
+
+  // Test 1: Backup document
+  console.log('Test 1: Backup document')
+  const { backup } = await handlers.exportBackup({ ...credential, backupPassphrase: BACKUP_PASSPHRASE, language: 'spanish', accountLabels }, context)
+  const document = JSON.parse(backup)
+  assert(document.format === BACKUP_FORMAT && document.version === BACKUP_VERSION, 'document names its format and version')
+  assert(!Number.isNaN(Date.parse(document.createdAt)), 'document records when it was created')
+  assert(readEnvelope(document.data)?.purpose === 'backup' && readEnvelope(document.data).passphrase, 'payload is a passphrase envelope bound to the backup purpose')
+  assert(/^[0-9a-f]{64}$/.test(document.checksum), 'document carries a SHA-256 checksum')
+  assert(!backup.includes('mevblocker') && !backup.includes('Savings'), 'config and labels are encrypted')
+
+  // Test 2: Import in key mode
+  console.log('\nTest 2: Import')
+  {
+    const restored = await handlers.importBackup({ backup, backupPassphrase: BACKUP_PASSPHRASE, bip39Passphrase: 'extra' })
+    const { mnemonic } = await handlers.getMnemonicFromEntropy({ encryptedEntropy: restored.encryptedEntropyBuffer, encryptionKey: restored.encryptionKey, language: 'spanish' })
+    const original = await handlers.getMnemonicFromEntropy({ encryptedEntropy: generated.encryptedEntropyBuffer, encryptionKey: generated.encryptionKey, language: 'spanish' })
+    assert(mnemonic === original.mnemonic, 'the same mnemonic is restored')
+    assert(restored.language === 'spanish' && restored.createdAt === document.createdAt, 'language and creation time are restored')
+    assert(JSON.stringify(restored.accountLabels) === JSON.stringify(accountLabels), 'account labels are restored')
+
+    const restoredConfig = JSON.parse(restored.config)
+    assert(restoredConfig.networks.ethereum.chainId === 1 && restoredConfig.networks.polygon.chainId === 137, 'initial and registered networks are restored')
+    assert(restoredConfig.protocols.TestBridge.protocolLabel === 'bridge', 'registered protocols are restored')
+
+    const other = {}
+    await handlers.initializeWDK({ walletId: 'restored', encryptedSeed: restored.encryptedSeedBuffer, encryptionKey: restored.encryptionKey, config: JSON.stringify({ networks: restoredConfig.networks }) }, other)
+    const address = await handlers.callMethod({ walletId: 'restored', methodName: 'getAddress', network: 'ethereum', accountIndex: 0 }, other)
+    const originalAddress = await handlers.callMethod({ walletId: 'alice', methodName: 'getAddress', network: 'ethereum', accountIndex: 0 }, context)
+    assert(address.result === originalAddress.result, 'the restored seed gives the same accounts')
+    await handlers.dispose(other)
+  }
+
+  // Test 3: Import in passphrase mode
+  console.log('\nTest 3: Import under a passphrase')
+  {
+    const restored = await handlers.importBackup({ backup, backupPassphrase: BACKUP_PASSPHRASE, passphrase: '2468', walletId: 'alice' })
+    assert(restored.encryptionKey === undefined, 'no encryption key is returned in passphrase mode')
+    assert(readEnvelope(restored.encryptedSeedBuffer).walletId === 'alice', 'restored secrets can be bound to a wallet')
+  }
+
+  // Test 4: Wrong or damaged input
+  console.log('\nTest 4: Invalid backups')
+  {
+    const wrong = await captureError(() => handlers.importBackup({ backup, backupPassphrase: 'not the passphrase' }))
+    assert(wrong?.code === 'BAD_REQUEST' && wrong.message.includes('Invalid passphrase'), 'wrong backup passphrase is rejected')
+
+    const damaged = await captureError(() => handlers.importBackup({ backup: JSON.stringify({ ...document, createdAt: '2000-01-01T00:00:00.000Z' }), backupPassphrase: BACKUP_PASSPHRASE }))
+    assert(damaged?.code === 'BAD_REQUEST' && damaged.message.includes('checksum'), 'edited document fails the checksum')
+
+    const future = await captureError(() => handlers.importBackup({ backup: JSON.stringify({ ...document, version: 99 }), backupPassphrase: BACKUP_PASSPHRASE }))
+    assert(future?.message.includes('Unsupported backup version: 99'), 'unknown version is rejected')
+
+    const notBackup = await captureError(() => handlers.importBackup({ backup: JSON.stringify({ hello: 'world' }), backupPassphrase: BACKUP_PASSPHRASE }))
+    assert(notBackup?.code === 'BAD_REQUEST', 'other JSON is rejected')
+
+    const weak = await captureError(() => handlers.exportBackup({ ...credential, backupPassphrase: '1234' }, context))
+    assert(weak?.code === 'BAD_REQUEST', 'short backup passphrase is rejected')
+
+    const label = await captureError(() => handlers.exportBackup({ ...credential, backupPassphrase: BACKUP_PASSPHRASE, accountLabels: [{ network: 'ethereum', accountIndex: -1, label: 'x' }] }, context))
+    assert(label?.code === 'BAD_REQUEST', 'invalid account label is rejected')
+
+    const noSession = await captureError(() => handlers.exportBackup({ ...credential, walletId: 'bob', backupPassphrase: BACKUP_PASSPHRASE }, context))
+    assert(noSession?.code === 'WDK_MANAGER_INIT', 'a wallet must be initialized to export it')
+  }
+
+  await handlers.dispose(context)
+  console.log('\n✨ All backup tests passed!\n')
+}
+
+runTests()
@@ -0,0 +1,91 @@
+/**
+ * Test BIP39 passphrase support
+ * Checks seed derivation against the reference BIP39 vectors and that the passphrase changes the addresses
+ */
+
+const { handlers } = require('../src/rpc-handlers')
+const { decrypt } = require('../src/utils/crypto')
+
+console.log('🧪 Testing BIP39 passphrase\n')
+
+function assert (condition, message) {
+  if (!condition) {
+    console.log('  ❌ FAIL:', message)
+    process.exit(1)
+  }
+  console.log('  ✅ PASS:', message)
+}
+
+// Reference vector from the BIP39 test vectors (entropy 0x00..00)
+const MNEMONIC = 'abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about'
+const SEED_WITHOUT_PASSPHRASE = '5eb00bbddcf069084889a8ab9155568165f5c453ccb85e70811aaed6f6da5fc19a5ac40b389cd370d086206dec8aa6c43daea6690f20ad3d8d48b2d2ce9e38e4'
+const SEED_WITH_TREZOR = 'c55257c360c07c72029aebc1b53c05ed0362ada38ead3e3e9efa3708e53495531f09a6987599d18264c1e1c92f2cf141630c7a3c4ab7c81b2f001698e7463b04'
+
+const config = JSON.stringify({
+  networks: {
+    ethereum: {
+      chainId: 1,
+      blockchain: 'ethereum',
+      provider: 'https://rpc.mevblocker.io/fast',
+      transferMaxFee: 100000
+    }
+  }
+})
+
+async function runTests () {
+  // Test 1: Seeds match the reference vectors
+  console.log('Test 1: Seed derivation')
+  const plain = await handlers.getSeedAndEntropyFromMnemonic({ mnemonic: MNEMONIC })
+  const protectedSecrets = await handlers.getSeedAndEntropyFromMnemonic({ mnemonic: MNEMONIC, bip39Passphrase: 'TREZOR' })
+  {
+    const plainSeed = decrypt(plain.encryptedSeedBuffer, plain.encryptionKey).toString('hex')
+    const protectedSeed = decrypt(protectedSecrets.encryptedSeedBuffer, protectedSecrets.encryptionKey).toString('hex')
+    assert(plainSeed === SEED_WITHOUT_PASSPHRASE, 'seed without passphrase matches the vector')
+    assert(protectedSeed === SEED_WITH_TREZOR, 'seed with passphrase "TREZOR" matches the vector')
+
+    const plainEntropy = decrypt(plain.encryptedEntropyBuffer, plain.encryptionKey)
+    const protectedEntropy = decrypt(protectedSecrets.encryptedEntropyBuffer, protectedSecrets.encryptionKey)
+    assert(plainEntropy.equals(protectedEntropy), 'entropy does not depend on the passphrase')
+  }
+
+  // Test 2: Addresses differ
+  console.log('\nTest 2: Addresses')
+  {
+    const context = {}
+    await handlers.initializeWDK({ encryptionKey: plain.encryptionKey, encryptedSeed: plain.encryptedSeedBuffer, config }, context)
+    await handlers.initializeWDK({ walletId: 'protected', encryptionKey: protectedSecrets.encryptionKey, encryptedSeed: protectedSecrets.encryptedSeedBuffer, config }, context)
+
+    const plainAddress = (await handlers.callMethod({ methodName: 'getAddress', network: 'ethereum', accountIndex: 0 }, context)).result
+    const protectedAddress = (await handlers.callMethod({ walletId: 'protected', methodName: 'getAddress', network: 'ethereum', accountIndex: 0 }, context)).result
+    console.log('     without passphrase:', plainAddress)
+    console.log('     with passphrase:   ', protectedAddress)
+    assert(plainAddress !== protectedAddress, 'the passphrase yields a different account')
+
+    await handlers.dispose(context)
+  }
+
+  // Test 3: Generated wallets
+  console.log('\nTest 3: generateEntropyAndEncrypt')
+  {
+    const generated = await handlers.generateEntropyAndEncrypt({ wordCount: 12, bip39Passphrase: 'TREZOR' })
+    const { mnemonic } = await handlers.getMnemonicFromEntropy({ encryptedEntropy: generated.encryptedEntropyBuffer, encryptionKey: generated.encryptionKey })
+    const reimported = await handlers.getSeedAndEntropyFromMnemonic({ mnemonic, bip39Passphrase: 'TREZOR' })
+    const withoutPassphrase = await handlers.getSeedAndEntropyFromMnemonic({ mnemonic })
+
+    const seed = decrypt(generated.encryptedSeedBuffer, generated.encryptionKey)
+    assert(seed.equals(decrypt(reimported.encryptedSeedBuffer, reimported.encryptionKey)), 'mnemonic plus passphrase reproduces the seed')
+    assert(!seed.equals(decrypt(withoutPassphrase.encryptedSeedBuffer, withoutPassphrase.encryptionKey)), 'mnemonic alone does not')
+
+    let rejected = false
+    try {
+      await handlers.getSeedAndEntropyFromMnemonic({ mnemonic, bip39Passphrase: 42 })
+    } catch (error) {
+      rejected = error.code === 'BAD_REQUEST'
+    }
+    assert(rejected, 'non-string passphrase is rejected')
+  }
+
+  console.log('\n✨ All BIP39 passphrase tests passed!\n')
+}
+
+runTests()
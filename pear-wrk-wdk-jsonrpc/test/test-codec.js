@@ -0,0 +1,207 @@
+/**
+ * Test result encoding
+ * Checks tagged BigInt, bytes and dates, their round trip through JSON and the
+ * encoding negotiated by workletStart
+ */
+
+const { TAGS, encodeResult, decodeResult } = require('../src/utils/codec')
+const { handlers } = require('../src/rpc-handlers')
+const { createSubscriptionManager, SUBSCRIPTION_NOTIFICATION } = require('../src/subscriptions')
+
+console.log('🧪 Testing result encoding\n')
+
+function assert (condition, message) {
+  if (!condition) {
+    console.log('  ❌ FAIL:', message)
+    process.exit(1)
+  }
+  console.log('  ✅ PASS:', message)
+}
+
+/**
+ * Run fn and return the error it throws (or null)
+ */
+async function captureError (fn) {
+  try {
+    await fn()
+    return null
+  } catch (error) {
+    return error
+  }
+}
+
+/**
+ * Encode a value, send it through JSON and decode it like a host would
+ */
+function roundTrip (value, bytesEncoding = 'hex') {
+  const wire = JSON.stringify(encodeResult(value, { resultEncoding: 'tagged', bytesEncoding }))
+  return { wire, decoded: decodeResult(JSON.parse(wire)) }
+}
+
+const bytesEqual = (a, b) => a instanceof Uint8Array && a.length === b.length && a.every((byte, i) => byte === b[i])
+
+const networks = {
+  ethereum: {
+    chainId: 1,
+    blockchain: 'ethereum',
+    provider: 'https://rpc.mevblocker.io/fast',
+    transferMaxFee: 100000
+  }
+}
+
+async function runTests () {
+  // Test 1: Plain encoding
+  console.log('Test 1: Plain encoding')
+  {
+    const plain = encodeResult({ balance: 1000n, label: '1000' })
+    assert(plain.balance === '1000' && plain.label === '1000', 'BigInt values become decimal strings by default')
+    assert(encodeResult(5n) === '5', 'top-level BigInt values are encoded too')
+    assert(encodeResult(undefined) === null, 'undefined results become null')
+    assert(encodeResult({ fee: 1n }, { resultEncoding: 'plain', bytesEncoding: 'base64' }).fee === '1', 'bytesEncoding does not change plain results')
+  }
+
+  // Test 2: Tagged round trips
+  console.log('\nTest 2: Tagged round trips')
+  {
+    const big = 123456789012345678901234567890n
+    const { wire, decoded } = roundTrip({ balance: big, label: '1000', count: 3, negative: -42n })
+    assert(wire.includes(`{"${TAGS.BIGINT}":"${big}"}`) && wire.includes('"label":"1000"'), 'BigInt values are tagged and strings are left alone')
+    assert(decoded.balance === big && decoded.negative === -42n && decoded.label === '1000' && decoded.count === 3, 'BigInt values keep every digit and their sign')
+
+    const bytes = new Uint8Array([0, 1, 254, 255])
+    const hex = roundTrip({ signature: bytes })
+    assert(hex.wire.includes('{"$hex":"0001feff"}') && bytesEqual(hex.decoded.signature, bytes), 'bytes round trip as hex')
+
+    const base64 = roundTrip([Buffer.from(bytes), bytes.buffer], 'base64')
+    assert(base64.wire === '[{"$base64":"AAH+/w=="},{"$base64":"AAH+/w=="}]', 'Buffers and ArrayBuffers are bytes, as base64 when negotiated')
+    assert(base64.decoded.every((item) => bytesEqual(item, bytes)), 'bytes round trip as base64')
+
+    const view = roundTrip(new Uint8Array([9, 8, 7, 6]).subarray(1, 3))
+    assert(view.wire === '{"$hex":"0807"}', 'only the bytes of a view are encoded')
+
+    const date = new Date('2024-05-01T12:00:00.000Z')
+    const dated = roundTrip({ confirmedAt: date, empty: new Uint8Array(0) })
+    assert(dated.decoded.confirmedAt instanceof Date && dated.decoded.confirmedAt.getTime() === date.getTime(), 'dates round trip')
+    assert(bytesEqual(dated.decoded.empty, new Uint8Array(0)), 'empty bytes round trip')
+
+    const nested = roundTrip({ txs: [{ fee: 21000n, data: new Uint8Array([1]) }], meta: { at: date } })
+    assert(nested.decoded.txs[0].fee === 21000n && bytesEqual(nested.decoded.txs[0].data, [1]) && nested.decoded.meta.at instanceof Date, 'values are tagged at any depth')
+  }
+
+  // Test 3: Objects that look like tags
+  console.log('\nTest 3: Tag collisions')
+  {
+    const lookalike = { $bigint: 'not a number' }
+    const { wire, decoded } = roundTrip({ value: lookalike, wrapped: { $object: 1 } })
+    assert(wire.includes('{"$object":{"$bigint":"not a number"}}'), 'plain objects with a single tag key are wrapped')
+    assert(decoded.value.$bigint === 'not a number' && decoded.wrapped.$object === 1, 'wrapped objects decode to the original object')
+
+    const twoKeys = roundTrip({ $hex: 'ab', other: true })
+    assert(twoKeys.decoded.$hex === 'ab' && twoKeys.decoded.other === true, 'objects with more keys are not tags')
+  }
+
+  // Test 4: JSON semantics
+  console.log('\nTest 4: JSON semantics')
+  {
+    const { decoded } = roundTrip({ skipped: undefined, fn: () => {}, list: [undefined, NaN, 1], bad: new Date('invalid') })
+    assert(!('skipped' in decoded) && !('fn' in decoded), 'undefined and functions are omitted from objects')
+    assert(decoded.list[0] === null && decoded.list[1] === null && decoded.list[2] === 1, 'unrepresentable array items and NaN become null')
+    assert(decoded.bad === null, 'invalid dates become null')
+
+    const custom = roundTrip({ toJSON: () => ({ amount: 7n }) })
+    assert(custom.decoded.amount === 7n, 'toJSON results are encoded')
+
+    const cycle = { name: 'cycle' }
+    cycle.self = cycle
+    const circular = await captureError(() => encodeResult(cycle, { resultEncoding: 'tagged', bytesEncoding: 'hex' }))
+    assert(circular?.message.includes('circular'), 'circular results are rejected')
+
+    const shared = { fee: 1n }
+    assert(roundTrip([shared, shared]).decoded[1].fee === 1n, 'repeated (non-circular) objects are encoded')
+  }
+
+  // Test 5: Malformed tags
+  console.log('\nTest 5: Malformed tags')
+  {
+    const badBigInt = await captureError(() => decodeResult({ fee: { $bigint: '1.5' } }))
+    assert(badBigInt?.message.includes('result.fee.$bigint'), 'non-integer BigInt tags are rejected with their path')
+
+    const badHex = await captureError(() => decodeResult([{ $hex: 'abc' }]))
+    assert(badHex?.message.includes('result[0].$hex'), 'odd-length hex is rejected')
+
+    const badBase64 = await captureError(() => decodeResult({ $base64: 'not base64!' }))
+    assert(badBase64 !== null, 'invalid base64 is rejected')
+
+    const badDate = await captureError(() => decodeResult({ $date: 'yesterday' }))
+    assert(badDate !== null, 'invalid dates are rejected')
+
+    const badObject = await captureError(() => decodeResult({ $object: [1] }))
+    assert(badObject !== null, '$object must wrap an object')
+  }
+
+  // Test 6: Negotiation
+  console.log('\nTest 6: Negotiation')
+  {
+    const context = {}
+    const started = await handlers.workletStart({}, context)
+    assert(started.resultEncoding === 'plain' && started.bytesEncoding === 'hex', 'results are plain until tagged is negotiated')
+
+    const tagged = await handlers.workletStart({ resultEncoding: 'tagged', bytesEncoding: 'base64' }, context)
+    assert(tagged.resultEncoding === 'tagged' && tagged.bytesEncoding === 'base64', 'workletStart negotiates the encoding')
+
+    const kept = await handlers.workletStart({ maxFrameSize: 65536 }, context)
+    assert(kept.resultEncoding === 'tagged' && kept.bytesEncoding === 'base64', 'the encoding is unchanged when omitted')
+
+    const unknown = await captureError(() => handlers.workletStart({ resultEncoding: 'cbor' }, context))
+    assert(unknown?.code === 'BAD_REQUEST', 'unknown result encodings are rejected')
+
+    const unknownBytes = await captureError(() => handlers.workletStart({ bytesEncoding: 'base32' }, context))
+    assert(unknownBytes?.code === 'BAD_REQUEST' && context.encoding.bytesEncoding === 'base64', 'unknown bytes encodings are rejected and change nothing')
+  }
+
+  // Test 7: callMethod and subscriptions
+  console.log('\nTest 7: callMethod and subscriptions')
+  {
+    const context = {}
+    const generated = await handlers.generateEntropyAndEncrypt({ wordCount: 12 })
+    await handlers.initializeWDK({ encryptedSeed: generated.encryptedSeedBuffer, encryptionKey: generated.encryptionKey, config: JSON.stringify({ networks }) }, context)
+    const call = (methodName) => handlers.callMethod({ methodName, network: 'ethereum', accountIndex: 0 }, context)
+
+    // The account is a fake, so no provider is reached
+    const session = context.sessions.get('default')
+    session.wdk.dispose()
+    session.wdk = {
+      getAccount: async () => ({
+        getAddress: async () => '0x0000000000000000000000000000000000000001',
+        getBalance: async () => 1000000000000000000000n
+      }),
+      dispose () {}
+    }
+
+    const plain = await call('getBalance')
+    assert(plain.result === '1000000000000000000000', 'plain balances are decimal strings')
+
+    await handlers.workletStart({ resultEncoding: 'tagged' }, context)
+    const tagged = await call('getBalance')
+    const balance = decodeResult(JSON.parse(JSON.stringify(tagged.result)))
+    assert(typeof balance === 'bigint' && balance.toString() === plain.result, 'tagged balances decode to the same BigInt')
+
+    const address = await call('getAddress')
+    assert(typeof address.result === 'string', 'strings are not tagged')
+
+    const notifications = []
+    context.notify = (method, params) => notifications.push({ method, params })
+    const subscriptions = createSubscriptionManager(context)
+    subscriptions.add({ walletId: 'default', type: 'balance', network: 'ethereum', accountIndex: 0, intervalMs: 60000 })
+    await new Promise((resolve) => setTimeout(resolve, 50))
+    subscriptions.clear()
+    const pushed = notifications.find((n) => n.method === SUBSCRIPTION_NOTIFICATION)?.params
+    assert(decodeResult(pushed?.result.balance) === balance, 'subscription updates use the negotiated encoding')
+
+    await handlers.dispose(context)
+  }
+
+  console.log('\n✨ All result encoding tests passed!\n')
+}
+
+runTests()
@@ -0,0 +1,262 @@
+/**
+ * Test passphrase-based encryption
+ * Tests the scrypt envelope, wrong passphrases, parameter bounds, the passphrase RPC flow,
+ * purpose and wallet binding, and reading data written before the envelope format
+ */
+
+const { ENVELOPE_VERSION, SCRYPT_PARAMS, encrypt, decrypt, encryptWithPassphrase, decryptWithPassphrase, readEnvelope } = require('../src/utils/crypto')
+const { handlers } = require('../src/rpc-handlers')
+
+console.log('🧪 Testing passphrase encryption\n')
+
+function assert (condition, message) {
+  if (!condition) {
+    console.log('  ❌ FAIL:', message)
+    process.exit(1)
+  }
+  console.log('  ✅ PASS:', message)
+}
+
+/**
+ * Run fn and return the error it throws (or null)
+ * Errors from withErrorHandling carry the structured error as JSON in their message
+ */
+async function captureError (fn) {
+  try {
+    await fn()
+    return null
+  } catch (error) {
+    try {
+      return JSON.parse(error.message)
+    } catch (e) {
+      return { code: error.code, message: error.message }
+    }
+  }
+}
+
+const config = JSON.stringify({
+  networks: {
+    ethereum: {
+      chainId: 1,
+      blockchain: 'ethereum',
+      provider: 'https://rpc.mevblocker.io/fast',
+      transferMaxFee: 100000
+    }
+  }
+})
+
+// 0x000102..0f encrypted by the previous formats: key mode (IV + data + tag) and the scrypt blob
+const LEGACY_KEY = 'BwcHBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwcHBwc='
+const LEGACY_KEY_BLOB = 'Z5R9alco27LFyHnymxzkIkkgF5cpk3A4Oo7WIUlg5JmDoJLg3o/TXK6fWDc='
+// Passphrase data in a headerless scrypt layout, which was never written by a release
+const HEADERLESS_PASSPHRASE_BLOB = 'AQ8IARdZgVA4Zu4ewR2iftcHzZ0BHSuLYM2XvQsTMLjPJuHzydumGRI43CSH5ZOmqLjqpQXXyJYxQvJub1JIpQ=='
+// Key-mode blobs whose random IV starts with "WDK": then version 2 (no valid header), and a valid seed header
+const LEGACY_MAGIC_BLOB = 'V0RLAgkIBwYFBAMCmDQDcVo2ebo/JvaN9ud/lnts4CMQBnlRSKoaFulgzeE='
+const LEGACY_HEADER_BLOB = 'V0RLAQEBAAUEAwIBn7ul4NVcsnPyTRJ7yRqDEUuMQ4QLwS6/6RxcJvpz/Ps='
+
+async function runTests () {
+  const secret = Buffer.from('000102030405060708090a0b0c0d0e0f', 'hex')
+
+  // Test 1: Round trip
+  console.log('Test 1: Encrypt and decrypt with a passphrase')
+  {
+    const blob = await encryptWithPassphrase(Buffer.from(secret), 'correct horse')
+    const decrypted = await decryptWithPassphrase(blob, 'correct horse')
+    assert(decrypted.equals(secret), 'decrypted data matches the original')
+
+    const error = await captureError(() => decryptWithPassphrase(blob, 'wrong horse'))
+    assert(error?.message === 'Invalid passphrase or corrupted data', 'wrong passphrase is rejected')
+  }
+
+  // Test 2: Salt and parameters travel with the blob
+  console.log('\nTest 2: Envelope header')
+  {
+    // Unbound envelope: magic (3), version, algorithm, purpose, walletId length (0), then logN, r, p and the salt
+    const first = Buffer.from(await encryptWithPassphrase(Buffer.from(secret), '1234'), 'base64')
+    const second = Buffer.from(await encryptWithPassphrase(Buffer.from(secret), '1234'), 'base64')
+    assert(first.subarray(0, 3).toString() === 'WDK' && first[3] === ENVELOPE_VERSION && first[4] === 2, 'envelope header names the scrypt algorithm')
+    assert(first[7] === SCRYPT_PARAMS.logN && first[8] === SCRYPT_PARAMS.r && first[9] === SCRYPT_PARAMS.p, 'scrypt parameters are stored')
+    assert(!first.subarray(10, 26).equals(second.subarray(10, 26)), 'every encryption uses a fresh salt')
+
+    const composed = await encryptWithPassphrase(Buffer.from(secret), 'caf\u00e9')
+    const decrypted = await decryptWithPassphrase(composed, 'cafe\u0301')
+    assert(decrypted.equals(secret), 'passphrases are Unicode-normalized')
+  }
+
+  // Test 3: Parameters from the blob are bounded
+  console.log('\nTest 3: Parameter bounds')
+  {
+    const blob = Buffer.from(await encryptWithPassphrase(Buffer.from(secret), '1234'), 'base64')
+    blob[7] = 30
+    const error = await captureError(() => decryptWithPassphrase(blob.toString('base64'), '1234'))
+    assert(error?.message === 'Unsupported scrypt parameter logN: 30', 'excessive cost parameter is rejected')
+
+    // Each parameter is within its bound, but together they need 128 MiB
+    blob[7] = 17
+    let started = Date.now()
+    const memory = await captureError(() => decryptWithPassphrase(blob.toString('base64'), '1234'))
+    assert(memory?.message === 'Unsupported scrypt parameters logN 17, r 8: more than 64 MiB of memory', 'parameters needing more than 64 MiB are rejected')
+    assert(Date.now() - started < 500, 'they are rejected before any key is derived')
+
+    blob[7] = 16
+    blob[8] = 16
+    started = Date.now()
+    const wide = await captureError(() => decryptWithPassphrase(blob.toString('base64'), '1234'))
+    assert(wide?.message.includes('more than 64 MiB') && Date.now() - started < 500, 'a larger r counts towards the memory cap')
+
+    blob[7] = SCRYPT_PARAMS.logN
+    blob[8] = SCRYPT_PARAMS.r
+    blob[9] = 2
+    const parallel = await captureError(() => decryptWithPassphrase(blob.toString('base64'), '1234'))
+    assert(parallel?.message === 'Unsupported scrypt parameter p: 2', 'p above 1 is rejected')
+
+    const truncated = await captureError(() => decryptWithPassphrase(blob.subarray(0, 20).toString('base64'), '1234'))
+    assert(truncated?.message === 'Encrypted data is truncated', 'truncated blob is rejected')
+  }
+
+  // Test 4: RPC handlers in passphrase mode
+  console.log('\nTest 4: Passphrase RPC flow')
+  {
+    const secrets = await handlers.generateEntropyAndEncrypt({ wordCount: 12, passphrase: '2468' })
+    assert(secrets.encryptionKey === undefined, 'no encryption key is returned in passphrase mode')
+
+    const { mnemonic } = await handlers.getMnemonicFromEntropy({ encryptedEntropy: secrets.encryptedEntropyBuffer, passphrase: '2468' })
+    assert(mnemonic.split(' ').length === 12, 'mnemonic is recovered with the passphrase')
+
+    const changed = await handlers.changePassphrase({
+      encryptedSeed: secrets.encryptedSeedBuffer,
+      encryptedEntropy: secrets.encryptedEntropyBuffer,
+      passphrase: '2468',
+      newPassphrase: 'new passphrase'
+    })
+    const after = await handlers.getMnemonicFromEntropy({ encryptedEntropy: changed.encryptedEntropyBuffer, passphrase: 'new passphrase' })
+    assert(after.mnemonic === mnemonic, 'changePassphrase keeps the same mnemonic')
+
+    const oldPassphrase = await captureError(() => handlers.getMnemonicFromEntropy({ encryptedEntropy: changed.encryptedEntropyBuffer, passphrase: '2468' }))
+    assert(oldPassphrase !== null, 'old passphrase no longer works')
+
+    const keyMode = await handlers.getSeedAndEntropyFromMnemonic({ mnemonic })
+    const migrated = await handlers.changePassphrase({
+      encryptedSeed: keyMode.encryptedSeedBuffer,
+      encryptedEntropy: keyMode.encryptedEntropyBuffer,
+      encryptionKey: keyMode.encryptionKey,
+      newPassphrase: '1357'
+    })
+    const recovered = await handlers.getMnemonicFromEntropy({ encryptedEntropy: migrated.encryptedEntropyBuffer, passphrase: '1357' })
+    assert(recovered.mnemonic === mnemonic, 'key-mode secrets can be migrated to a passphrase')
+
+    const both = await captureError(() => handlers.getMnemonicFromEntropy({
+      encryptedEntropy: keyMode.encryptedEntropyBuffer,
+      encryptionKey: keyMode.encryptionKey,
+      passphrase: '1357'
+    }))
+    assert(both?.code === 'BAD_REQUEST', 'giving both encryptionKey and passphrase is rejected')
+
+    const short = await captureError(() => handlers.generateEntropyAndEncrypt({ wordCount: 12, passphrase: '12' }))
+    assert(short?.code === 'BAD_REQUEST' && short.message === 'passphrase must be a string of at least 4 characters', 'short passphrase is rejected')
+  }
+
+  // Test 5: Purpose and wallet binding
+  console.log('\nTest 5: Envelope binding')
+  {
+    const secrets = await handlers.generateEntropyAndEncrypt({ wordCount: 12 })
+    assert(readEnvelope(secrets.encryptedSeedBuffer).purpose === 'seed' && readEnvelope(secrets.encryptedEntropyBuffer).purpose === 'entropy', 'secrets are bound to their purpose')
+
+    const swapped = await captureError(() => handlers.getMnemonicFromEntropy({ encryptedEntropy: secrets.encryptedSeedBuffer, encryptionKey: secrets.encryptionKey }))
+    assert(swapped?.message === 'Encrypted data holds the seed, not the entropy', 'seed passed as entropy is rejected')
+
+    const context = {}
+    const asSeed = await captureError(() => handlers.initializeWDK({ encryptedSeed: secrets.encryptedEntropyBuffer, encryptionKey: secrets.encryptionKey, config }, context))
+    assert(asSeed?.code === 'BAD_REQUEST' && asSeed.message.includes('holds the entropy'), 'entropy passed as seed is rejected')
+
+    const bound = await handlers.generateEntropyAndEncrypt({ wordCount: 12, passphrase: '2468', walletId: 'alice' })
+    assert(readEnvelope(bound.encryptedSeedBuffer).walletId === 'alice', 'secrets can be bound to a wallet')
+    const other = await captureError(() => handlers.initializeWDK({ walletId: 'bob', encryptedSeed: bound.encryptedSeedBuffer, passphrase: '2468', config }, context))
+    assert(other?.message.includes('belongs to wallet "alice"'), 'bound seed is rejected for another wallet')
+    const own = await handlers.initializeWDK({ walletId: 'alice', encryptedSeed: bound.encryptedSeedBuffer, passphrase: '2468', config }, context)
+    assert(own.walletId === 'alice', 'bound seed initializes its own wallet')
+
+    const changed = await handlers.changePassphrase({ encryptedSeed: bound.encryptedSeedBuffer, encryptedEntropy: bound.encryptedEntropyBuffer, passphrase: '2468', newPassphrase: '1357' })
+    assert(readEnvelope(changed.encryptedSeedBuffer).walletId === 'alice', 'changePassphrase keeps the wallet binding')
+
+    const tampered = Buffer.from(secrets.encryptedSeedBuffer, 'base64')
+    tampered[5] = 0 // Clear the purpose
+    const relabelled = await captureError(() => decrypt(tampered.toString('base64'), secrets.encryptionKey))
+    assert(relabelled !== null, 'an edited header fails authentication')
+
+    const generic = encrypt(Buffer.from(secret), secrets.encryptionKey)
+    const unbound = await captureError(() => decrypt(generic, secrets.encryptionKey, { purpose: 'seed' }))
+    assert(unbound?.message === 'Encrypted data is not bound to the seed', 'data without a purpose is rejected where one is expected')
+
+    const wrongKind = await captureError(() => handlers.getMnemonicFromEntropy({ encryptedEntropy: bound.encryptedEntropyBuffer, encryptionKey: secrets.encryptionKey }))
+    assert(wrongKind?.message.includes('under a passphrase'), 'passphrase data given an encryption key is rejected clearly')
+
+    await handlers.dispose(context)
+  }
+
+  // Test 6: Data written before the envelope format
+  console.log('\nTest 6: Legacy data')
+  {
+    assert(readEnvelope(LEGACY_KEY_BLOB) === null, 'legacy data has no envelope')
+    assert(decrypt(LEGACY_KEY_BLOB, LEGACY_KEY, { purpose: 'seed' }).equals(secret), 'legacy key-mode data is readable')
+    const headerless = await captureError(() => decryptWithPassphrase(HEADERLESS_PASSPHRASE_BLOB, '1234', { purpose: 'entropy' }))
+    assert(headerless?.message === 'Encrypted data is not a passphrase envelope', 'passphrase data is only read from envelopes')
+
+    const { mnemonic } = await handlers.getMnemonicFromEntropy({ encryptedEntropy: LEGACY_KEY_BLOB, encryptionKey: LEGACY_KEY })
+    assert(mnemonic.startsWith('abandon amount liar'), 'legacy entropy still gives the mnemonic')
+
+    const migrated = await handlers.changePassphrase({ encryptedSeed: LEGACY_KEY_BLOB, encryptedEntropy: LEGACY_KEY_BLOB, encryptionKey: LEGACY_KEY, newPassphrase: '5678' })
+    assert(readEnvelope(migrated.encryptedSeedBuffer)?.purpose === 'seed', 'changePassphrase rewrites legacy data as envelopes')
+    assert((await decryptWithPassphrase(migrated.encryptedEntropyBuffer, '5678', { purpose: 'entropy' })).equals(secret), 'the migrated data opens with the new passphrase')
+
+    // Legacy IVs starting with the envelope magic
+    assert(decrypt(LEGACY_MAGIC_BLOB, LEGACY_KEY, { purpose: 'seed' }).equals(secret), 'legacy data whose header doesn\'t parse is read as legacy')
+    assert(readEnvelope(LEGACY_MAGIC_BLOB) === null, 'it is reported as legacy')
+    assert(decrypt(LEGACY_HEADER_BLOB, LEGACY_KEY, { purpose: 'seed' }).equals(secret), 'legacy data whose header parses but doesn\'t authenticate is read as legacy')
+    assert(decrypt(LEGACY_HEADER_BLOB, LEGACY_KEY, { purpose: 'entropy' }).equals(secret), 'the header\'s purpose is not trusted for legacy data')
+    const rotatedMagic = await handlers.rotateEncryptionKey({ encryptedSeed: LEGACY_MAGIC_BLOB, encryptedEntropy: LEGACY_HEADER_BLOB, encryptionKey: LEGACY_KEY })
+    assert(readEnvelope(rotatedMagic.encryptedSeedBuffer)?.purpose === 'seed' && readEnvelope(rotatedMagic.encryptedEntropyBuffer)?.purpose === 'entropy', 'rotation rewrites them as envelopes')
+
+    const wrongKey = await captureError(() => decrypt(LEGACY_MAGIC_BLOB, Buffer.alloc(32, 9).toString('base64')))
+    assert(wrongKey?.message === 'Unsupported encrypted data version: 2', 'the envelope error is kept when neither layout decrypts')
+  }
+
+  // Test 7: Encryption key rotation
+  console.log('\nTest 7: Key rotation')
+  {
+    const secrets = await handlers.generateEntropyAndEncrypt({ wordCount: 12, walletId: 'alice' })
+    const { mnemonic } = await handlers.getMnemonicFromEntropy({ encryptedEntropy: secrets.encryptedEntropyBuffer, encryptionKey: secrets.encryptionKey })
+
+    const rotated = await handlers.rotateEncryptionKey({
+      encryptedSeed: secrets.encryptedSeedBuffer,
+      encryptedEntropy: secrets.encryptedEntropyBuffer,
+      encryptionKey: secrets.encryptionKey
+    })
+    assert(rotated.encryptionKey !== secrets.encryptionKey, 'a new encryption key is returned')
+    const after = await handlers.getMnemonicFromEntropy({ encryptedEntropy: rotated.encryptedEntropyBuffer, encryptionKey: rotated.encryptionKey })
+    assert(after.mnemonic === mnemonic, 'rotation keeps the same mnemonic')
+    assert(decrypt(rotated.encryptedSeedBuffer, rotated.encryptionKey, { purpose: 'seed' }).equals(decrypt(secrets.encryptedSeedBuffer, secrets.encryptionKey)), 'rotation keeps the same seed')
+    assert(readEnvelope(rotated.encryptedSeedBuffer).walletId === 'alice' && readEnvelope(rotated.encryptedEntropyBuffer).walletId === 'alice', 'rotation keeps the wallet binding')
+
+    const oldKey = await captureError(() => decrypt(rotated.encryptedSeedBuffer, secrets.encryptionKey))
+    assert(oldKey !== null, 'old key no longer works')
+
+    const mixed = await captureError(() => handlers.rotateEncryptionKey({
+      encryptedSeed: rotated.encryptedSeedBuffer,
+      encryptedEntropy: secrets.encryptedEntropyBuffer,
+      encryptionKey: rotated.encryptionKey
+    }))
+    assert(mixed?.code === 'BAD_REQUEST' && mixed.message.startsWith('Failed to decrypt secrets'), 'nothing is returned unless both secrets decrypt')
+
+    const passphraseMode = await handlers.generateEntropyAndEncrypt({ wordCount: 12, passphrase: '2468' })
+    const noKey = await captureError(() => handlers.rotateEncryptionKey({ encryptedSeed: passphraseMode.encryptedSeedBuffer, encryptedEntropy: passphraseMode.encryptedEntropyBuffer, passphrase: '2468' }))
+    assert(noKey?.code === 'BAD_REQUEST', 'passphrase-mode secrets are rejected (use changePassphrase)')
+
+    const legacy = await handlers.rotateEncryptionKey({ encryptedSeed: LEGACY_KEY_BLOB, encryptedEntropy: LEGACY_KEY_BLOB, encryptionKey: LEGACY_KEY, walletId: 'bob' })
+    assert(readEnvelope(legacy.encryptedSeedBuffer)?.walletId === 'bob', 'legacy data is rewritten as bound envelopes')
+  }
+
+  console.log('\n✨ All passphrase encryption tests passed!\n')
+}
+
+runTests()
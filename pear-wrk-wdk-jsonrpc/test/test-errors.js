@@ -0,0 +1,96 @@
+/**
+ * Test JSON-RPC error mapping
+ * Checks the integer code for every domain error code and how thrown errors become JSON-RPC errors
+ */
+
+const ERROR_CODES = require('../src/exceptions/error-codes')
+const { JSONRPC_ERROR_CODES, toJsonRpcCode } = require('../src/exceptions/jsonrpc-error-codes')
+const { createJsonRpcError } = require('../src/exceptions/rpc-exception')
+const { withErrorHandling, createErrorWithCode } = require('../src/rpc-handlers')
+
+console.log('🧪 Testing JSON-RPC error mapping\n')
+
+function assert (condition, message) {
+  if (!condition) {
+    console.log('  ❌ FAIL:', message)
+    process.exit(1)
+  }
+  console.log('  ✅ PASS:', message)
+}
+
+/**
+ * Run fn and return the error it throws (or null)
+ */
+async function captureError (fn) {
+  try {
+    await fn()
+    return null
+  } catch (error) {
+    return error
+  }
+}
+
+const EXPECTED = {
+  [ERROR_CODES.PARSE_ERROR]: -32700,
+  [ERROR_CODES.INVALID_REQUEST]: -32600,
+  [ERROR_CODES.METHOD_NOT_FOUND]: -32601,
+  [ERROR_CODES.BAD_REQUEST]: -32602,
+  [ERROR_CODES.UNKNOWN]: -32603,
+  [ERROR_CODES.WDK_MANAGER_INIT]: -32001,
+  [ERROR_CODES.ACCOUNT_BALANCES]: -32002,
+  [ERROR_CODES.METHOD_NOT_ALLOWED]: -32003,
+  [ERROR_CODES.TIMEOUT]: -32004,
+  [ERROR_CODES.CANCELLED]: -32005,
+  [ERROR_CODES.LOCKED]: -32006
+}
+
+async function runTests () {
+  // Test 1: Integer codes
+  console.log('Test 1: Integer codes')
+  {
+    const codes = Object.values(ERROR_CODES)
+    assert(codes.every((code) => code in EXPECTED), 'every domain code has an expected mapping')
+    for (const code of codes) {
+      assert(toJsonRpcCode(code) === EXPECTED[code], `${code} maps to ${EXPECTED[code]}`)
+    }
+    assert(toJsonRpcCode('NOT_A_CODE') === JSONRPC_ERROR_CODES.INTERNAL_ERROR, 'unmapped codes are internal errors')
+  }
+
+  // Test 2: Errors thrown by handlers
+  console.log('\nTest 2: Errors thrown by handlers')
+  {
+    for (const code of Object.values(ERROR_CODES)) {
+      const thrown = await captureError(withErrorHandling(async () => {
+        throw createErrorWithCode(`failed with ${code}`, code)
+      }))
+      const error = createJsonRpcError(thrown)
+      assert(error.code === EXPECTED[code] && error.data.code === code && error.message === `failed with ${code}`, `a handler's ${code} keeps its code in data.code`)
+    }
+
+    const withData = createErrorWithCode('Too late', ERROR_CODES.TIMEOUT)
+    withData.data = { result: 1 }
+    const detailed = createJsonRpcError(await captureError(withErrorHandling(async () => { throw withData })))
+    assert(detailed.data.result === 1 && detailed.data.code === 'TIMEOUT', 'error data is kept next to data.code')
+
+    const defaulted = createJsonRpcError(await captureError(withErrorHandling(async () => { throw new Error('nope') }, ERROR_CODES.ACCOUNT_BALANCES)))
+    assert(defaulted.code === -32002 && defaulted.data.code === 'ACCOUNT_BALANCES', 'the handler\'s default code is used for plain errors')
+
+    const direct = createJsonRpcError(createErrorWithCode('Locked', ERROR_CODES.LOCKED))
+    assert(direct.code === -32006 && direct.data.code === 'LOCKED', 'coded errors thrown outside handlers are mapped too')
+  }
+
+  // Test 3: Messages are not parsed
+  console.log('\nTest 3: Messages are not parsed')
+  {
+    const lookalike = createJsonRpcError(new Error('{"code":"LOCKED","message":"spoofed","data":{"x":1}}'))
+    assert(lookalike.code === -32603 && lookalike.data.code === 'UNKNOWN', 'a JSON message with a code is not taken for a structured error')
+    assert(lookalike.message === '{"code":"LOCKED","message":"spoofed","data":{"x":1}}' && lookalike.data.x === undefined, 'its message is passed through as is')
+
+    const text = createJsonRpcError('plain failure')
+    assert(text.code === -32603 && text.message === 'plain failure', 'non-Error values are internal errors')
+  }
+
+  console.log('\n✨ All error mapping tests passed!\n')
+}
+
+runTests()
@@ -54,7 +54,8 @@ async function runTests() {
     }, context)
     
     console.log('   ✅ WDK initialized:', initResult.status)
-    console.log('   ✅ WDK instance exists:', !!context.wdk)
+    console.log('   ✅ Wallet id:', initResult.walletId)
+    console.log('   ✅ WDK instance exists:', !!context.sessions.get(initResult.walletId).wdk)
     
     // Test 5: Get address
     console.log('\n5. Testing callMethod (getAddress)...')
@@ -68,8 +69,77 @@ async function runTests() {
     const address = addressResult.result
     console.log('   ✅ Ethereum address:', address)
     
-    // Test 6: Dispose
-    console.log('\n6. Testing dispose...')
+    // Test 6: Second wallet session
+    console.log('\n6. Testing a second wallet session...')
+    const otherSeed = await handlers.generateEntropyAndEncrypt({ wordCount: 12 })
+    await handlers.initializeWDK({
+      walletId: 'business',
+      encryptionKey: otherSeed.encryptionKey,
+      encryptedSeed: otherSeed.encryptedSeedBuffer,
+      config: config
+    }, context)
+    const otherAddress = (await handlers.callMethod({
+      walletId: 'business',
+      methodName: 'getAddress',
+      network: 'ethereum',
+      accountIndex: 0
+    }, context)).result
+    if (otherAddress === address) {
+      throw new Error('Wallet sessions share the same seed')
+    }
+    console.log('   ✅ Business address:', otherAddress)
+
+    const { wallets } = await handlers.listWallets({}, context)
+    console.log('   ✅ Wallets:', wallets.map((wallet) => wallet.walletId).join(', '))
+
+    await handlers.dispose(context, 'business')
+    if (context.sessions.has('business') || !context.sessions.has(initResult.walletId)) {
+      throw new Error('Disposing one wallet affected another')
+    }
+    console.log('   ✅ Business wallet disposed, default wallet kept')
+
+    // Test 7: Network types
+    console.log('\n7. Testing network types...')
+    const session = context.sessions.get(initResult.walletId)
+    await handlers.registerWallet({
+      config: JSON.stringify({
+        networks: {
+          mainnet: { type: 'evm', chainId: 1, provider: 'https://rpc.mevblocker.io/fast' },
+          polygon: { chainId: 137, provider: 'https://polygon-rpc.com' }
+        }
+      })
+    }, context)
+    if (session.networks.mainnet !== 'evm' || session.networks.polygon !== 'evm') {
+      throw new Error(`Unexpected network types: ${JSON.stringify(session.networks)}`)
+    }
+    const mainnetAddress = (await handlers.callMethod({ methodName: 'getAddress', network: 'mainnet', accountIndex: 0 }, context)).result
+    console.log('   ✅ Custom network with type registered:', session.networks.mainnet, mainnetAddress)
+    console.log('   ✅ Built-in network name without type inferred:', session.networks.polygon)
+
+    const rejected = [
+      [{ base: { type: 'bitcoin', provider: 'https://example.com' } }, 'Unknown type "bitcoin"'],
+      [{ base: { chainId: 8453, provider: 'https://mainnet.base.org' } }, 'Set "type"'],
+      [{ arbitrum: { chainId: 42161, provider: 'https://arb1.arbitrum.io/rpc' }, base: { type: 'cosmos' } }, 'Unknown type "cosmos"']
+    ]
+    for (const [networks, expected] of rejected) {
+      let failure = null
+      try {
+        await handlers.registerWallet({ config: JSON.stringify({ networks }) }, context)
+      } catch (error) {
+        failure = error
+      }
+      if (!failure || failure.code !== 'BAD_REQUEST' || !failure.message.includes(expected)) {
+        throw new Error(`Expected BAD_REQUEST "${expected}", got: ${failure && failure.message}`)
+      }
+      console.log('   ✅ Rejected:', failure.message)
+    }
+    if ('base' in session.networks || 'arbitrum' in session.networks) {
+      throw new Error('A rejected config left networks registered')
+    }
+    console.log('   ✅ Rejected configs register nothing')
+
+    // Test 8: Dispose
+    console.log('\n8. Testing dispose...')
     await handlers.dispose(context)
     console.log('   ✅ WDK disposed')
     
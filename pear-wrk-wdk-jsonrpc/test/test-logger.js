@@ -0,0 +1,148 @@
+/**
+ * Test the structured logger
+ * Checks secret redaction, request correlation, runtime levels and forwarding to the host
+ */
+
+const logger = require('../src/utils/logger')
+const { handlers, LOG_NOTIFICATION } = require('../src/rpc-handlers')
+
+console.log('🧪 Testing logger\n')
+
+function assert (condition, message) {
+  if (!condition) {
+    console.log('  ❌ FAIL:', message)
+    process.exit(1)
+  }
+  console.log('  ✅ PASS:', message)
+}
+
+/**
+ * Run fn and return the error it throws (or null)
+ */
+async function captureError (fn) {
+  try {
+    await fn()
+    return null
+  } catch (error) {
+    return error
+  }
+}
+
+/**
+ * Run fn with the console captured
+ * @returns {Promise<string>} Everything written to the console
+ */
+async function captureConsole (fn) {
+  const lines = []
+  const original = { debug: console.debug, log: console.log, warn: console.warn, error: console.error }
+  for (const method of Object.keys(original)) {
+    console[method] = (...args) => lines.push(args.join(' '))
+  }
+  try {
+    await fn()
+  } finally {
+    Object.assign(console, original)
+  }
+  return lines.join('\n')
+}
+
+const MNEMONIC = 'abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about'
+
+async function runTests () {
+  const initialLevel = logger.getLevel()
+
+  // Test 1: Redaction
+  console.log('Test 1: Redaction')
+  {
+    const params = {
+      mnemonic: MNEMONIC,
+      passphrase: '2468',
+      walletId: 'alice',
+      nested: { encryptionKey: 'c2VjcmV0', list: [{ encryptedSeed: 'c2VlZA==' }] }
+    }
+    const output = await captureConsole(() => logger.info('JSON-RPC request: getSeedAndEntropyFromMnemonic', { params }))
+    assert(!output.includes('abandon') && !output.includes('2468'), 'mnemonic and passphrase are not written')
+    assert(!output.includes('c2VjcmV0') && !output.includes('c2VlZA=='), 'nested keys and encrypted blobs are not written')
+    assert(output.includes('"walletId":"alice"') && output.includes('[REDACTED]'), 'other fields are kept and secrets marked as redacted')
+
+    const redacted = logger.redact({ seed: Buffer.alloc(64, 1), amount: 10n, bytes: new Uint8Array(4), groups: [['share words']] })
+    assert(redacted.seed === '[REDACTED]' && redacted.groups === '[REDACTED]', 'seed and share fields are redacted')
+    assert(redacted.amount === '10' && redacted.bytes === '[4 bytes]', 'BigInts become strings and raw bytes are not written')
+
+    const cycle = { name: 'cycle' }
+    cycle.self = cycle
+    assert(logger.redact(cycle).self === '[Circular]', 'cycles are cut')
+
+    const error = Object.assign(new Error('Boom'), { code: 'BAD_REQUEST' })
+    const errorOutput = await captureConsole(() => logger.error('JSON-RPC error: callMethod', error))
+    assert(errorOutput.includes('"code":"BAD_REQUEST"') && errorOutput.includes('Boom'), 'errors are logged with their message and code')
+  }
+
+  // Test 2: Request correlation
+  console.log('\nTest 2: Correlation')
+  {
+    const log = logger.child({ requestId: 42, method: 'callMethod' })
+    const output = await captureConsole(() => {
+      log.info('JSON-RPC response: callMethod', { result: '0x123' })
+      log.child({ walletId: 'alice' }).warn('Nested')
+    })
+    assert(output.includes('"requestId":42') && output.includes('"result":"0x123"'), 'child records carry the request id')
+    assert(output.includes('"walletId":"alice"') && output.split('"requestId":42').length === 3, 'grandchildren keep the parent fields')
+  }
+
+  // Test 3: Levels
+  console.log('\nTest 3: Levels')
+  {
+    const context = {}
+    const result = await handlers.setLogLevel({ level: 'warn' }, context)
+    assert(result.level === 'warn' && result.forward === false, 'setLogLevel returns the level and forwarding state')
+
+    const output = await captureConsole(() => {
+      logger.info('hidden info')
+      logger.warn('visible warning')
+    })
+    assert(!output.includes('hidden info') && output.includes('visible warning'), 'records below the level are dropped')
+
+    await handlers.setLogLevel({ level: 'none' }, context)
+    const silent = await captureConsole(() => logger.error('hidden error'))
+    assert(silent === '', 'none turns logging off')
+
+    const unknown = await captureError(() => handlers.setLogLevel({ level: 'verbose' }, context))
+    assert(unknown?.code === 'BAD_REQUEST', 'unknown levels are rejected')
+
+    const forward = await captureError(() => handlers.setLogLevel({ level: 'info', forward: 'yes' }, context))
+    assert(forward?.code === 'BAD_REQUEST', 'forward must be a boolean')
+  }
+
+  // Test 4: Forwarding
+  console.log('\nTest 4: Forwarding')
+  {
+    const notifications = []
+    const context = { notify: (method, params) => notifications.push({ method, params }) }
+
+    const result = await handlers.setLogLevel({ level: 'info', forward: true }, context)
+    assert(result.forward === true, 'forwarding is enabled')
+
+    await captureConsole(() => logger.child({ requestId: 7 }).info('Forwarded', { params: { encryptionKey: 'c2VjcmV0' } }))
+    const record = notifications.find((n) => n.method === LOG_NOTIFICATION)?.params
+    assert(record?.level === 'info' && record.message === 'Forwarded' && record.requestId === 7, 'records are sent as log notifications')
+    assert(record.params.encryptionKey === '[REDACTED]', 'forwarded records are redacted')
+    assert(!Number.isNaN(Date.parse(record.time)), 'records are timestamped')
+
+    await captureConsole(() => logger.debug('Below the level'))
+    assert(notifications.length === 1, 'records below the level are not forwarded')
+
+    const broken = await handlers.setLogLevel({ level: 'info', forward: true }, { notify: () => { throw new Error('IPC closed') } })
+    const brokenOutput = await captureConsole(() => logger.info('Still logged'))
+    assert(broken.forward && brokenOutput.includes('Still logged') && brokenOutput.includes('Failed to forward'), 'a failing forwarder does not break logging')
+
+    const stopped = await handlers.setLogLevel({ level: 'info', forward: false }, context)
+    await captureConsole(() => logger.info('Not forwarded'))
+    assert(stopped.forward === false && notifications.length === 1, 'forwarding can be turned off')
+  }
+
+  logger.setLevel(initialLevel)
+  console.log('\n✨ All logger tests passed!\n')
+}
+
+runTests()
@@ -0,0 +1,62 @@
+/**
+ * Test method policy (callMethod allowlist)
+ */
+
+const { createMethodPolicy, getMethodAccess } = require('../src/method-policy')
+
+console.log('🧪 Testing method policy...\n')
+
+function assert (condition, message) {
+  if (!condition) {
+    console.log('  ❌ FAIL:', message)
+    process.exit(1)
+  }
+  console.log('  ✅ PASS:', message)
+}
+
+// Test 1: Defaults
+console.log('Test 1: Default policy')
+{
+  const policy = createMethodPolicy()
+  assert(getMethodAccess(policy, 'ethereum', 'getAddress') === 'read', 'getAddress is read-only')
+  assert(getMethodAccess(policy, 'ethereum', 'sendTransaction') === 'sign', 'sendTransaction needs signing')
+  assert(getMethodAccess(policy, 'ethereum', 'dispose') === null, 'dispose is rejected')
+  assert(getMethodAccess(policy, 'ethereum', 'toReadOnlyAccount') === null, 'toReadOnlyAccount is rejected')
+  assert(getMethodAccess(policy, 'ethereum', '_internalHelper') === null, 'private helpers are rejected')
+  assert(getMethodAccess(policy, 'ethereum', 'quoteSwap', 'swap') === 'read', 'quoteSwap is read-only on swap protocol')
+  assert(getMethodAccess(policy, 'ethereum', 'quoteSwap') === null, 'quoteSwap is not an account method')
+}
+
+// Test 2: Overrides from config
+console.log('\nTest 2: Config overrides')
+{
+  const policy = createMethodPolicy({
+    '*': { account: { sendTransaction: 'deny' } },
+    solana: { account: { sendTransaction: 'sign', getFeeRates: 'read' } }
+  })
+  assert(getMethodAccess(policy, 'ethereum', 'sendTransaction') === null, 'wildcard deny applies to every network')
+  assert(getMethodAccess(policy, 'solana', 'sendTransaction') === 'sign', 'network entry overrides wildcard')
+  assert(getMethodAccess(policy, 'solana', 'getFeeRates') === 'read', 'network entry adds methods')
+  assert(getMethodAccess(policy, 'ethereum', 'getFeeRates') === null, 'added methods stay scoped to their network')
+}
+
+// Test 3: Invalid config
+console.log('\nTest 3: Invalid config')
+{
+  const invalid = [
+    { ethereum: { account: { dispose: 'read' } } },
+    { ethereum: { account: { getAddress: 'write' } } },
+    { ethereum: { protocols: { swap: ['swap'] } } }
+  ]
+  for (const config of invalid) {
+    let threw = false
+    try {
+      createMethodPolicy(config)
+    } catch (error) {
+      threw = true
+    }
+    assert(threw, `rejects ${JSON.stringify(config)}`)
+  }
+}
+
+console.log('\n✨ All method policy tests passed!\n')
@@ -0,0 +1,151 @@
+/**
+ * Test the method registry
+ * Tests schema validation, generated dispatch, execution modes and the OpenRPC document
+ */
+
+const { METHODS, getExecutionMode, dispatchMethod, createOpenRpcDocument } = require('../src/method-registry')
+const { validateSchema } = require('../src/utils/schema')
+const { EXECUTION_MODES } = require('../src/utils/scheduler')
+const { createMethodPolicy } = require('../src/method-policy')
+
+console.log('🧪 Testing method registry\n')
+
+function assert (condition, message) {
+  if (!condition) {
+    console.log('  ❌ FAIL:', message)
+    process.exit(1)
+  }
+  console.log('  ✅ PASS:', message)
+}
+
+/**
+ * Run fn and return the error it throws (or null)
+ * Errors from withErrorHandling carry the structured error as JSON in their message
+ */
+async function captureError (fn) {
+  try {
+    await fn()
+    return null
+  } catch (error) {
+    try {
+      return JSON.parse(error.message)
+    } catch (e) {
+      return { code: error.code, message: error.message }
+    }
+  }
+}
+
+/**
+ * Check a value against a schema, logging the reason when it doesn't match
+ */
+function matches (value, schema) {
+  try {
+    validateSchema(value, schema, 'result')
+    return true
+  } catch (error) {
+    console.log('    ', error.message)
+    return false
+  }
+}
+
+async function runTests () {
+  // Test 1: Schema validator
+  console.log('Test 1: Schema validator')
+  {
+    const schema = {
+      type: 'object',
+      properties: {
+        name: { type: 'string', minLength: 1 },
+        count: { type: 'integer', minimum: 0, maximum: 10 },
+        kind: { type: 'string', enum: ['a', 'b'] },
+        tags: { type: 'array', items: { type: 'string' } }
+      },
+      required: ['name']
+    }
+    const check = (value) => {
+      try {
+        validateSchema(value, schema, 'params')
+        return null
+      } catch (error) {
+        return error.message
+      }
+    }
+    assert(check({ name: 'x', count: 3, kind: 'a', tags: ['t'] }) === null, 'valid value passes')
+    assert(check({}) === 'params.name is required', 'missing required property is rejected')
+    assert(check({ name: ' ' }) === 'params.name must be a non-empty string', 'blank string is rejected')
+    assert(check({ name: 'x', count: 1.5 }) === 'params.count must be of type integer', 'non-integer is rejected')
+    assert(check({ name: 'x', count: 11 }) === 'params.count must be at most 10', 'maximum is enforced')
+    assert(check({ name: 'x', kind: 'c' }) === 'params.kind must be one of: a, b', 'enum is enforced')
+    assert(check({ name: 'x', tags: [1] }) === 'params.tags[0] must be of type string', 'array items are validated')
+    assert(check([]) === 'params must be of type object', 'by-position params are rejected')
+  }
+
+  // Test 2: Dispatch validates params before calling the handler
+  console.log('\nTest 2: Dispatch')
+  {
+    const unknown = await captureError(() => dispatchMethod('nope', {}, {}))
+    assert(unknown.code === 'METHOD_NOT_FOUND', 'unknown method fails with METHOD_NOT_FOUND')
+
+    const inherited = await captureError(() => dispatchMethod('constructor', {}, {}))
+    assert(inherited.code === 'METHOD_NOT_FOUND', 'inherited object properties are not methods')
+
+    const invalid = await captureError(() => dispatchMethod('generateEntropyAndEncrypt', { wordCount: 13 }, {}))
+    assert(invalid.code === 'BAD_REQUEST', 'invalid params fail with BAD_REQUEST')
+    assert(invalid.message === 'params.wordCount must be one of: 12, 15, 18, 21, 24', 'error names the offending field')
+
+    const result = await dispatchMethod('workletStart', undefined, {})
+    assert(result.status === 'started', 'omitted params are treated as an empty object')
+  }
+
+  // Test 3: Handler results match their declared schema
+  console.log('\nTest 3: Results match the declared schema')
+  {
+    const entropy = await dispatchMethod('generateEntropyAndEncrypt', { wordCount: 12 }, {})
+    assert(matches(entropy, METHODS.generateEntropyAndEncrypt.result), 'generateEntropyAndEncrypt result matches')
+
+    const mnemonic = await dispatchMethod('getMnemonicFromEntropy', {
+      encryptedEntropy: entropy.encryptedEntropyBuffer,
+      encryptionKey: entropy.encryptionKey
+    }, {})
+    assert(matches(mnemonic, METHODS.getMnemonicFromEntropy.result), 'getMnemonicFromEntropy result matches')
+
+    const disposed = await dispatchMethod('dispose', {}, { wdk: null })
+    assert(matches(disposed, METHODS.dispose.result), 'dispose result matches')
+  }
+
+  // Test 4: Execution modes come from the registry
+  console.log('\nTest 4: Execution modes')
+  {
+    const context = { policy: createMethodPolicy() }
+    assert(getExecutionMode('initializeWDK', {}, context).mode === EXECUTION_MODES.EXCLUSIVE, 'initializeWDK is exclusive')
+    assert(getExecutionMode('subscribe', {}, context).mode === EXECUTION_MODES.SHARED, 'subscribe is shared')
+    assert(getExecutionMode('nope', {}, context).mode === EXECUTION_MODES.SHARED, 'unknown methods are shared')
+
+    const signing = getExecutionMode('callMethod', { methodName: 'transfer', network: 'ethereum', accountIndex: 1 }, context)
+    assert(signing.mode === EXECUTION_MODES.SERIAL && signing.key === 'default:ethereum:1', 'signing callMethod is serial per account')
+
+    const otherWallet = getExecutionMode('callMethod', { walletId: 'business', methodName: 'transfer', network: 'ethereum', accountIndex: 1 }, context)
+    assert(otherWallet.key === 'business:ethereum:1', 'signing calls of different wallets use different keys')
+
+    const reading = getExecutionMode('callMethod', { methodName: 'getBalance', network: 'ethereum', accountIndex: 1 }, context)
+    assert(reading.mode === EXECUTION_MODES.SHARED, 'read-only callMethod is shared')
+  }
+
+  // Test 5: OpenRPC document
+  console.log('\nTest 5: OpenRPC document')
+  {
+    const doc = await dispatchMethod('rpc.discover', {}, {})
+    assert(doc.openrpc === createOpenRpcDocument().openrpc, 'rpc.discover returns the OpenRPC document')
+    assert(doc.methods.length === Object.keys(METHODS).length, 'every registered method is documented')
+
+    const callMethod = doc.methods.find((method) => method.name === 'callMethod')
+    const names = callMethod.params.map((param) => param.name)
+    assert(names.includes('methodName') && names.includes('timeoutMs'), 'params include method and common params')
+    assert(callMethod.params.find((param) => param.name === 'network').required, 'required params are flagged')
+    assert(doc.components.errors.METHOD_NOT_FOUND.code === -32601, 'error codes are documented')
+  }
+
+  console.log('\n✨ All method registry tests passed!\n')
+}
+
+runTests()
@@ -0,0 +1,190 @@
+/**
+ * Test mnemonic validation, word counts, languages, word suggestions and backup challenges
+ */
+
+const { handlers } = require('../src/rpc-handlers')
+const { decrypt } = require('../src/utils/crypto')
+const { MNEMONIC_WORD_COUNTS, MNEMONIC_LANGUAGES } = require('../src/utils/mnemonic')
+const { MNEMONIC_ERROR_REASONS } = require('../src/utils/validation')
+
+console.log('🧪 Testing mnemonics\n')
+
+function assert (condition, message) {
+  if (!condition) {
+    console.log('  ❌ FAIL:', message)
+    process.exit(1)
+  }
+  console.log('  ✅ PASS:', message)
+}
+
+/**
+ * Run fn and return the error it throws (or null)
+ */
+async function captureError (fn) {
+  try {
+    await fn()
+    return null
+  } catch (error) {
+    return error
+  }
+}
+
+const seedOf = (secrets) => decrypt(secrets.encryptedSeedBuffer, secrets.encryptionKey)
+
+// BIP39 reference vector (entropy 0x7f..7f)
+const VALID = 'legal winner thank year wave sausage worth useful legal winner thank yellow'
+
+// Japanese reference vector (entropy 0x00..00) with its passphrase and seed prefix
+const JAPANESE = 'あいこくしん　あいこくしん　あいこくしん　あいこくしん　あいこくしん　あいこくしん　あいこくしん　あいこくしん　あいこくしん　あいこくしん　あいこくしん　あおぞら'
+const JAPANESE_PASSPHRASE = '㍍ガバヴァぱばぐゞちぢ十人十色'
+const JAPANESE_SEED_PREFIX = 'a262d6fb6122ecf45be09c50492b31f9'
+
+async function runTests () {
+  // Test 1: Every word count round-trips
+  console.log('Test 1: Word counts')
+  for (const wordCount of MNEMONIC_WORD_COUNTS) {
+    const generated = await handlers.generateEntropyAndEncrypt({ wordCount })
+    const { mnemonic } = await handlers.getMnemonicFromEntropy({ encryptedEntropy: generated.encryptedEntropyBuffer, encryptionKey: generated.encryptionKey })
+    const imported = await handlers.getSeedAndEntropyFromMnemonic({ mnemonic })
+    assert(mnemonic.split(' ').length === wordCount && seedOf(imported).equals(seedOf(generated)), `${wordCount} words round-trip`)
+  }
+
+  // Test 2: Structured errors
+  console.log('\nTest 2: Invalid mnemonics')
+  {
+    const words = VALID.split(' ')
+
+    const short = await captureError(() => handlers.getSeedAndEntropyFromMnemonic({ mnemonic: words.slice(0, 11).join(' ') }))
+    assert(short.code === 'BAD_REQUEST' && short.data.reason === MNEMONIC_ERROR_REASONS.WORD_COUNT && short.data.wordCount === 11, 'wrong word count is reported')
+
+    const typo = [...words]
+    typo[4] = 'wavy'
+    const unknown = await captureError(() => handlers.getSeedAndEntropyFromMnemonic({ mnemonic: typo.join(' ') }))
+    assert(unknown.data.reason === MNEMONIC_ERROR_REASONS.UNKNOWN_WORD && unknown.data.wordIndex === 4, 'unknown word is reported with its index')
+    assert(!unknown.message.includes('wavy') && !JSON.stringify(unknown.data).includes('wavy'), 'error does not echo the word')
+
+    const swapped = [...words]
+    swapped[11] = 'winner'
+    const checksum = await captureError(() => handlers.getSeedAndEntropyFromMnemonic({ mnemonic: swapped.join(' ') }))
+    assert(checksum.data.reason === MNEMONIC_ERROR_REASONS.INVALID_CHECKSUM, 'bad checksum is reported')
+
+    const spaced = await handlers.getSeedAndEntropyFromMnemonic({ mnemonic: `  ${words.join('   ')}\n` })
+    const canonical = await handlers.getSeedAndEntropyFromMnemonic({ mnemonic: VALID })
+    assert(seedOf(spaced).equals(seedOf(canonical)), 'extra whitespace does not change the seed')
+  }
+
+  // Test 3: Languages
+  console.log('\nTest 3: Languages')
+  {
+    const japanese = await handlers.getSeedAndEntropyFromMnemonic({ mnemonic: JAPANESE, language: 'japanese', bip39Passphrase: JAPANESE_PASSPHRASE })
+    assert(seedOf(japanese).toString('hex').startsWith(JAPANESE_SEED_PREFIX), 'Japanese vector matches')
+
+    const english = await captureError(() => handlers.getSeedAndEntropyFromMnemonic({ mnemonic: JAPANESE }))
+    assert(english.data.reason === MNEMONIC_ERROR_REASONS.UNKNOWN_WORD && english.data.wordIndex === 0, 'mnemonic in another language is rejected')
+
+    for (const language of Object.keys(MNEMONIC_LANGUAGES)) {
+      const generated = await handlers.generateEntropyAndEncrypt({ wordCount: 12, language })
+      const { mnemonic } = await handlers.getMnemonicFromEntropy({ encryptedEntropy: generated.encryptedEntropyBuffer, encryptionKey: generated.encryptionKey, language })
+      const imported = await handlers.getSeedAndEntropyFromMnemonic({ mnemonic, language })
+      assert(seedOf(imported).equals(seedOf(generated)), `${language} round-trips`)
+    }
+
+    const unsupported = await captureError(() => handlers.generateEntropyAndEncrypt({ wordCount: 12, language: 'klingon' }))
+    assert(unsupported.code === 'BAD_REQUEST', 'unsupported language is rejected')
+  }
+
+  // Test 4: Word suggestions
+  console.log('\nTest 4: Word suggestions')
+  {
+    const { words } = await handlers.suggestMnemonicWords({ prefix: 'aba' })
+    assert(words.join(' ') === 'abandon', 'prefix matches the wordlist')
+
+    const limited = await handlers.suggestMnemonicWords({ prefix: 'a', limit: 5 })
+    assert(limited.words.length === 5 && limited.words.every((word) => word.startsWith('a')), 'limit is applied')
+
+    const spanish = await handlers.suggestMnemonicWords({ prefix: 'abe', language: 'spanish' })
+    assert(spanish.words.includes('abeja'), 'other languages are supported')
+  }
+
+  // Test 5: Backup challenges
+  console.log('\nTest 5: Backup challenges')
+  {
+    const context = {}
+    const secrets = await handlers.getSeedAndEntropyFromMnemonic({ mnemonic: VALID })
+    const credential = { encryptedEntropy: secrets.encryptedEntropyBuffer, encryptionKey: secrets.encryptionKey }
+    const words = VALID.split(' ')
+
+    const challenge = await handlers.createBackupChallenge({ ...credential, count: 3 }, context)
+    assert(challenge.wordIndexes.length === 3 && new Set(challenge.wordIndexes).size === 3, 'three distinct words are asked for')
+    assert(!JSON.stringify(challenge).includes('legal'), 'challenge does not reveal the words')
+
+    const answers = challenge.wordIndexes.map((index) => words[index])
+    const wrong = [...answers]
+    wrong[1] = 'zoo'
+    const failed = await handlers.verifyBackupChallenge({ challengeId: challenge.challengeId, words: wrong }, context)
+    assert(!failed.verified && failed.incorrectWordIndexes.join() === String(challenge.wordIndexes[1]) && failed.attemptsLeft === 2, 'wrong word is reported by index')
+
+    const passed = await handlers.verifyBackupChallenge({ challengeId: challenge.challengeId, words: answers.map((word) => ` ${word.toUpperCase()}`) }, context)
+    assert(passed.verified, 'correct words verify (case and whitespace insensitive)')
+
+    const reused = await captureError(() => handlers.verifyBackupChallenge({ challengeId: challenge.challengeId, words: answers }, context))
+    assert(reused.code === 'BAD_REQUEST', 'challenge is single-use')
+
+    const exhausted = await handlers.createBackupChallenge({ ...credential, count: 1 }, context)
+    for (let i = 0; i < 3; i++) {
+      await handlers.verifyBackupChallenge({ challengeId: exhausted.challengeId, words: ['zoo'] }, context)
+    }
+    const locked = await captureError(() => handlers.verifyBackupChallenge({ challengeId: exhausted.challengeId, words: [words[exhausted.wordIndexes[0]]] }, context))
+    assert(locked.code === 'BAD_REQUEST', 'challenge is discarded after too many wrong answers')
+
+    const tooMany = await captureError(() => handlers.createBackupChallenge({ ...credential, count: 13 }, context))
+    assert(tooMany.code === 'BAD_REQUEST', 'count cannot exceed the number of words')
+
+    const counted = await handlers.createBackupChallenge({ ...credential, count: 2 }, context)
+    const short = await captureError(() => handlers.verifyBackupChallenge({ challengeId: counted.challengeId, words: ['zoo'] }, context))
+    assert(short.code === 'BAD_REQUEST' && short.message === 'words must contain 2 entries', 'a wrong number of words is a bad request')
+    const empty = await captureError(() => handlers.verifyBackupChallenge({ challengeId: counted.challengeId, words: [] }, context))
+    assert(empty.code === 'BAD_REQUEST' && empty.message.includes('between 1 and 24'), 'an empty answer is rejected before the challenge is looked up')
+    const retried = await handlers.verifyBackupChallenge({ challengeId: counted.challengeId, words: counted.wordIndexes.map((index) => words[index]) }, context)
+    assert(retried.verified, 'malformed answers don\'t use up attempts')
+  }
+
+  // Test 6: Backup challenges per wallet
+  console.log('\nTest 6: Backup challenges per wallet')
+  {
+    const context = {}
+    const secrets = await handlers.getSeedAndEntropyFromMnemonic({ mnemonic: VALID })
+    const credential = { encryptedEntropy: secrets.encryptedEntropyBuffer, encryptionKey: secrets.encryptionKey }
+    const words = VALID.split(' ')
+    const answer = (challenge) => challenge.wordIndexes.map((index) => words[index])
+
+    const alice = await handlers.createBackupChallenge({ ...credential, walletId: 'alice' }, context)
+    const bob = await handlers.createBackupChallenge({ ...credential, walletId: 'bob' }, context)
+    const fallback = await handlers.createBackupChallenge(credential, context)
+
+    const elsewhere = await captureError(() => handlers.verifyBackupChallenge({ challengeId: alice.challengeId, words: answer(alice), walletId: 'bob' }, context))
+    assert(elsewhere.code === 'BAD_REQUEST', 'a challenge can\'t be answered for another wallet')
+    const unnamed = await captureError(() => handlers.verifyBackupChallenge({ challengeId: alice.challengeId, words: answer(alice) }, context))
+    assert(unnamed.code === 'BAD_REQUEST', 'a wallet\'s challenge is not answered for the default wallet')
+
+    await handlers.dispose(context, 'alice')
+    const disposed = await captureError(() => handlers.verifyBackupChallenge({ challengeId: alice.challengeId, words: answer(alice), walletId: 'alice' }, context))
+    assert(disposed.code === 'BAD_REQUEST', 'disposing a wallet discards its challenges')
+    const kept = await handlers.verifyBackupChallenge({ challengeId: bob.challengeId, words: answer(bob), walletId: 'bob' }, context)
+    const defaultKept = await handlers.verifyBackupChallenge({ challengeId: fallback.challengeId, words: answer(fallback) }, context)
+    assert(kept.verified && defaultKept.verified, 'other wallets keep their challenges')
+
+    const pending = await handlers.createBackupChallenge({ ...credential, walletId: 'bob' }, context)
+    await handlers.dispose(context)
+    const cleared = await captureError(() => handlers.verifyBackupChallenge({ challengeId: pending.challengeId, words: answer(pending), walletId: 'bob' }, context))
+    assert(cleared.code === 'BAD_REQUEST' && context.backupChallenges.size === 0, 'disposing every wallet discards every challenge')
+
+    const bound = await handlers.getSeedAndEntropyFromMnemonic({ mnemonic: VALID, walletId: 'alice' })
+    const mismatch = await captureError(() => handlers.createBackupChallenge({ encryptedEntropy: bound.encryptedEntropyBuffer, encryptionKey: bound.encryptionKey, walletId: 'bob' }, context))
+    assert(mismatch.code === 'BAD_REQUEST' && mismatch.message.includes('belongs to wallet "alice"'), 'entropy bound to another wallet is refused')
+  }
+
+  console.log('\n✨ All mnemonic tests passed!\n')
+}
+
+runTests()
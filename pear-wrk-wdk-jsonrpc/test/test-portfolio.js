@@ -0,0 +1,267 @@
+/**
+ * Test getPortfolio
+ * Checks the report shape, partial failures per network, the concurrency limit and params validation
+ */
+
+const { handlers } = require('../src/rpc-handlers')
+const { METHODS } = require('../src/method-registry')
+const { mapWithConcurrency } = require('../src/utils/concurrency')
+const { createAbortController } = require('../src/utils/abort')
+const { validateSchema } = require('../src/utils/schema')
+const { decodeResult } = require('../src/utils/codec')
+
+console.log('🧪 Testing getPortfolio\n')
+
+function assert (condition, message) {
+  if (!condition) {
+    console.log('  ❌ FAIL:', message)
+    process.exit(1)
+  }
+  console.log('  ✅ PASS:', message)
+}
+
+/**
+ * Run fn and return the error it throws (or null)
+ */
+async function captureError (fn) {
+  try {
+    await fn()
+    return null
+  } catch (error) {
+    return error
+  }
+}
+
+/**
+ * Check a value against a schema, logging the mismatch
+ */
+function matches (value, schema) {
+  try {
+    validateSchema(value, schema, 'result')
+    return true
+  } catch (error) {
+    console.log('    ', error.message)
+    return false
+  }
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+const networks = {
+  ethereum: {
+    chainId: 1,
+    blockchain: 'ethereum',
+    provider: 'https://rpc.mevblocker.io/fast',
+    transferMaxFee: 100000
+  },
+  polygon: {
+    chainId: 137,
+    blockchain: 'polygon',
+    provider: 'https://polygon-rpc.com'
+  }
+}
+
+const BALANCE = 1000000000000000000000n
+const TOKEN_BALANCE = 2500000n
+
+/**
+ * Fake WDK instance whose accounts answer from memory, so no provider is ever reached
+ * Every account has the same native and token balances; the token 'bad' fails
+ */
+function fakeWdk () {
+  return {
+    async getAccount (network, index) {
+      return {
+        getAddress: async () => `0x${Buffer.from(`${network}:${index}`).toString('hex').padStart(40, '0')}`,
+        getBalance: async () => BALANCE,
+        getTokenBalance: async (token) => {
+          if (token === 'bad') {
+            throw new Error('boom')
+          }
+          return TOKEN_BALANCE
+        }
+      }
+    },
+    dispose () {}
+  }
+}
+
+/**
+ * Initialize a wallet whose accounts are fakes and return its context and session
+ */
+async function setup (config = {}) {
+  const context = {}
+  const generated = await handlers.generateEntropyAndEncrypt({ wordCount: 12 })
+  await handlers.initializeWDK({
+    encryptedSeed: generated.encryptedSeedBuffer,
+    encryptionKey: generated.encryptionKey,
+    config: JSON.stringify({ networks, ...config })
+  }, context)
+  const session = context.sessions.get('default')
+  session.wdk.dispose()
+  session.wdk = fakeWdk()
+  return { context, session }
+}
+
+async function runTests () {
+  // Test 1: Bounded concurrency
+  console.log('Test 1: Bounded concurrency')
+  {
+    let running = 0
+    let peak = 0
+    const results = await mapWithConcurrency([5, 1, 4, 2, 3, 1], 2, async (ms, i) => {
+      running++
+      peak = Math.max(peak, running)
+      await sleep(ms)
+      running--
+      return i
+    })
+    assert(peak === 2, 'no more than the limit run at once')
+    assert(results.join(',') === '0,1,2,3,4,5', 'results keep the item order')
+
+    const controller = createAbortController()
+    let started = 0
+    const aborted = await captureError(() => mapWithConcurrency([1, 2, 3, 4], 1, async () => {
+      started++
+      controller.abort(new Error('stop'))
+    }, controller.signal))
+    assert(aborted?.message === 'stop' && started === 1, 'aborting stops starting new calls')
+  }
+
+  // Test 2: Report
+  console.log('\nTest 2: Report')
+  {
+    const { context } = await setup()
+    const portfolio = await handlers.getPortfolio({
+      accountCount: 2,
+      tokens: { ethereum: ['0xusdt', 'bad'] }
+    }, context)
+
+    assert(matches(portfolio, METHODS.getPortfolio.result), 'the report matches the declared schema')
+    assert(portfolio.walletId === 'default' && portfolio.networks.map((n) => n.network).join(',') === 'ethereum,polygon', 'every registered network is covered by default')
+
+    const ethereum = portfolio.networks[0]
+    assert(ethereum.accounts.map((a) => a.accountIndex).join(',') === '0,1', 'consecutive accounts are reported')
+    assert(ethereum.accounts[0].address.startsWith('0x') && ethereum.accounts[0].address !== ethereum.accounts[1].address, 'each account has its address')
+    assert(ethereum.accounts[0].balance === '1000000000000000000000', 'native balances keep every digit')
+    assert(ethereum.accounts[1].tokens[0].token === '0xusdt' && ethereum.accounts[1].tokens[0].balance === '2500000', 'token balances are reported per account')
+
+    assert(ethereum.accounts[0].tokens[1].balance === null, 'a failed token balance is null')
+    assert(ethereum.errors.length === 2 && ethereum.errors.every((e) => e.token === 'bad' && e.code === 'ACCOUNT_BALANCES' && e.message === 'boom'), 'token failures are listed in the network errors')
+    assert(ethereum.errors[0].accountIndex === 0 && ethereum.errors[1].accountIndex === 1, 'errors are sorted by account')
+
+    const polygon = portfolio.networks[1]
+    assert(polygon.errors.length === 0 && polygon.accounts[0].tokens.length === 0, 'networks without tokens only report native balances')
+
+    const offset = await handlers.getPortfolio({ networks: ['polygon'], fromAccountIndex: 5 }, context)
+    assert(offset.networks.length === 1 && offset.networks[0].accounts[0].accountIndex === 5, 'networks and the first account index can be chosen')
+
+    await handlers.workletStart({ resultEncoding: 'tagged' }, context)
+    const tagged = await handlers.getPortfolio({ networks: ['ethereum'] }, context)
+    assert(decodeResult(tagged.networks[0].accounts[0].balance) === 1000000000000000000000n, 'balances use the negotiated result encoding')
+
+    await handlers.dispose(context)
+  }
+
+  // Test 3: Partial failures
+  console.log('\nTest 3: Partial failures')
+  {
+    const { context, session } = await setup({ policy: { polygon: { account: { getTokenBalance: 'deny' } } } })
+
+    // The ethereum provider is down
+    const getAccount = session.wdk.getAccount.bind(session.wdk)
+    session.wdk.getAccount = async (network, index) => {
+      const account = await getAccount(network, index)
+      if (network === 'ethereum') {
+        account.getBalance = async () => { throw new Error('Provider unreachable') }
+      }
+      return account
+    }
+
+    const portfolio = await handlers.getPortfolio({ accountCount: 2, tokens: { polygon: ['0xusdt'] } }, context)
+    const [ethereum, polygon] = portfolio.networks
+    assert(ethereum.accounts.every((a) => a.address && a.balance === null), 'a failing network keeps its addresses and reports null balances')
+    assert(ethereum.errors.length === 2 && ethereum.errors[0].message === 'Provider unreachable', 'each failed balance is listed')
+
+    assert(polygon.accounts.every((a) => a.balance === '1000000000000000000000'), 'other networks are unaffected')
+    assert(polygon.errors.length === 1 && polygon.errors[0].code === 'METHOD_NOT_ALLOWED' && polygon.errors[0].accountIndex === null, 'a policy denial is reported once for the network')
+    assert(polygon.accounts[0].tokens[0].balance === null, 'denied balances are not fetched')
+
+    // Accounts that can't be derived are reported without anything fetched from them
+    session.wdk.getAccount = async (network, index) => {
+      if (index === 1) {
+        throw new Error('Derivation failed')
+      }
+      return getAccount(network, index)
+    }
+    const missing = await handlers.getPortfolio({ networks: ['polygon'], accountCount: 2 }, context)
+    const [first, second] = missing.networks[0].accounts
+    assert(first.balance !== null && second.address === null && second.balance === null, 'a failed account is reported with null values')
+    assert(missing.networks[0].errors.length === 1 && missing.networks[0].errors[0].accountIndex === 1, 'a failed account is one error entry')
+
+    await handlers.dispose(context)
+  }
+
+  // Test 4: Concurrency and cancellation
+  console.log('\nTest 4: Concurrency and cancellation')
+  {
+    const { context, session } = await setup()
+    let running = 0
+    let peak = 0
+    const getAccount = session.wdk.getAccount.bind(session.wdk)
+    session.wdk.getAccount = async (network, index) => {
+      const account = await getAccount(network, index)
+      const getBalance = account.getBalance.bind(account)
+      account.getBalance = async () => {
+        running++
+        peak = Math.max(peak, running)
+        await sleep(5)
+        running--
+        return getBalance()
+      }
+      return account
+    }
+
+    await handlers.getPortfolio({ accountCount: 5, concurrency: 3 }, context)
+    assert(peak === 3, 'balances are fetched in parallel up to the concurrency limit')
+
+    const controller = createAbortController()
+    const pending = handlers.getPortfolio({ accountCount: 10, concurrency: 1 }, context, controller.signal)
+    setTimeout(() => controller.abort(Object.assign(new Error('Request 1 was cancelled'), { code: 'CANCELLED' })), 10)
+    const cancelled = await captureError(() => pending)
+    assert(cancelled?.code === 'CANCELLED', 'a cancelled request rejects instead of reporting partial results')
+
+    await handlers.dispose(context)
+  }
+
+  // Test 5: Validation
+  console.log('\nTest 5: Validation')
+  {
+    const { context } = await setup()
+    const invalid = [
+      [{ accountCount: 0 }, 'accountCount'],
+      [{ accountCount: 21 }, 'accountCount'],
+      [{ concurrency: 17 }, 'concurrency'],
+      [{ networks: [] }, 'networks'],
+      [{ tokens: { ethereum: 'usdt' } }, 'tokens.ethereum'],
+      [{ networks: ['bitcoin'] }, 'bitcoin'],
+      [{ networks: ['ethereum'], tokens: { polygon: ['0xusdt'] } }, 'tokens.polygon']
+    ]
+    for (const [request, field] of invalid) {
+      const error = await captureError(() => handlers.getPortfolio(request, context))
+      assert(error?.code === 'BAD_REQUEST' && error.message.includes(field), `${JSON.stringify(request)} is rejected`)
+    }
+
+    await handlers.lock({}, context)
+    const locked = await captureError(() => handlers.getPortfolio({}, context))
+    assert(locked?.code === 'LOCKED', 'locked wallets are rejected')
+
+    await handlers.dispose(context)
+    const missing = await captureError(() => handlers.getPortfolio({}, context))
+    assert(missing?.code === 'WDK_MANAGER_INIT', 'uninitialized wallets are rejected')
+  }
+
+  console.log('\n✨ All getPortfolio tests passed!\n')
+}
+
+runTests()
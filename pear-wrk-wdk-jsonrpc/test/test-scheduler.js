@@ -0,0 +1,153 @@
+/**
+ * Test the RPC execution scheduler
+ * Tests exclusive, shared and per-key serial execution
+ */
+
+const { EXECUTION_MODES, createScheduler } = require('../src/utils/scheduler')
+const { createAbortController } = require('../src/utils/abort')
+
+console.log('🧪 Testing execution scheduler\n')
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+function assert (condition, message) {
+  if (!condition) {
+    console.log('  ❌ FAIL:', message)
+    process.exit(1)
+  }
+  console.log('  ✅ PASS:', message)
+}
+
+/**
+ * Build a task that records how many tasks overlap with it
+ */
+function tracker () {
+  const state = { running: 0, maxRunning: 0, order: [] }
+  const task = (name, ms) => async () => {
+    state.running++
+    state.maxRunning = Math.max(state.maxRunning, state.running)
+    state.order.push(`start:${name}`)
+    await sleep(ms)
+    state.order.push(`end:${name}`)
+    state.running--
+    return name
+  }
+  return { state, task }
+}
+
+async function runTests () {
+  // Test 1: Shared tasks run concurrently
+  console.log('Test 1: Shared tasks run concurrently')
+  {
+    const scheduler = createScheduler()
+    const { state, task } = tracker()
+    await Promise.all([
+      scheduler.run(EXECUTION_MODES.SHARED, task('a', 20)),
+      scheduler.run(EXECUTION_MODES.SHARED, task('b', 20)),
+      scheduler.run(EXECUTION_MODES.SHARED, task('c', 20))
+    ])
+    assert(state.maxRunning === 3, 'three shared tasks overlapped')
+  }
+
+  // Test 2: Exclusive tasks run alone
+  console.log('\nTest 2: Exclusive tasks run alone')
+  {
+    const scheduler = createScheduler()
+    const { state, task } = tracker()
+    await Promise.all([
+      scheduler.run(EXECUTION_MODES.SHARED, task('read1', 20)),
+      scheduler.run(EXECUTION_MODES.EXCLUSIVE, task('init', 10)),
+      scheduler.run(EXECUTION_MODES.SHARED, task('read2', 10))
+    ])
+    const initStart = state.order.indexOf('start:init')
+    const initEnd = state.order.indexOf('end:init')
+    assert(state.order.indexOf('end:read1') < initStart, 'exclusive task waited for the earlier read')
+    assert(initEnd === initStart + 1, 'nothing ran while the exclusive task was running')
+    assert(state.order.indexOf('start:read2') > initEnd, 'later read waited for the exclusive task')
+  }
+
+  // Test 3: Serial tasks with the same key don't overlap
+  console.log('\nTest 3: Serial tasks are serialized per key')
+  {
+    const scheduler = createScheduler()
+    const { state, task } = tracker()
+    await Promise.all([
+      scheduler.run(EXECUTION_MODES.SERIAL, task('eth-1', 20), { key: 'ethereum:0' }),
+      scheduler.run(EXECUTION_MODES.SERIAL, task('eth-2', 10), { key: 'ethereum:0' }),
+      scheduler.run(EXECUTION_MODES.SERIAL, task('sol-1', 10), { key: 'solana:0' })
+    ])
+    assert(state.order.indexOf('start:eth-2') > state.order.indexOf('end:eth-1'), 'same key ran one after another')
+    assert(state.order.indexOf('start:sol-1') < state.order.indexOf('end:eth-1'), 'different keys ran concurrently')
+  }
+
+  // Test 4: Failures release the lock
+  console.log('\nTest 4: Failures release the lock')
+  {
+    const scheduler = createScheduler()
+    const failing = scheduler.run(EXECUTION_MODES.EXCLUSIVE, async () => { throw new Error('boom') })
+    const next = scheduler.run(EXECUTION_MODES.SHARED, async () => 'ok')
+    let failed = false
+    try {
+      await failing
+    } catch (error) {
+      failed = error.message === 'boom'
+    }
+    assert(failed, 'task error is propagated')
+    assert(await next === 'ok', 'next task still runs')
+  }
+
+  // Test 5: A timed-out task rejects right away but keeps its slot until it settles
+  console.log('\nTest 5: Timed-out tasks keep their slot')
+  {
+    const scheduler = createScheduler()
+    const { state, task } = tracker()
+    const controller = createAbortController()
+    const timer = setTimeout(() => controller.abort(new Error('timed out')), 10)
+
+    // The first transfer outlives its deadline; its abort must not let the next one start
+    const startedAt = Date.now()
+    const first = scheduler.run(EXECUTION_MODES.SERIAL, task('send-1', 40), { key: 'default:ethereum:0', signal: controller.signal })
+    const second = scheduler.run(EXECUTION_MODES.SERIAL, task('send-2', 5), { key: 'default:ethereum:0' })
+    const dispose = scheduler.run(EXECUTION_MODES.EXCLUSIVE, task('dispose', 5))
+
+    const [timedOut] = await Promise.allSettled([first])
+    assert(timedOut.status === 'rejected' && timedOut.reason.message === 'timed out' && Date.now() - startedAt < 35, 'a running task rejects as soon as it times out')
+    assert(state.order.join(',') === 'start:send-1', 'its slot is still held')
+
+    assert(await first.settled === 'send-1', 'settled follows the task until it finishes')
+    const results = await Promise.allSettled([second, dispose])
+    clearTimeout(timer)
+
+    assert(results.every((r) => r.status === 'fulfilled'), 'the tasks behind it run afterwards')
+    assert(state.order.indexOf('start:send-2') > state.order.indexOf('end:send-1'), 'the next task on the same key waited for the timed-out one')
+    assert(state.order.indexOf('start:dispose') > state.order.indexOf('end:send-1'), 'an exclusive task waited for the timed-out one')
+  }
+
+  // Test 6: A task aborted while queued rejects right away and never runs
+  console.log('\nTest 6: Tasks aborted while queued')
+  {
+    const scheduler = createScheduler()
+    const { state, task } = tracker()
+    const controller = createAbortController()
+
+    const running = scheduler.run(EXECUTION_MODES.EXCLUSIVE, task('init', 40))
+    const queued = scheduler.run(EXECUTION_MODES.SHARED, task('read', 5), { signal: controller.signal })
+    const serial = scheduler.run(EXECUTION_MODES.SERIAL, task('send', 5), { key: 'k', signal: controller.signal })
+    const abortedAt = Date.now()
+    setTimeout(() => controller.abort(new Error('cancelled')), 5)
+
+    const [read, send] = await Promise.allSettled([queued, serial])
+    assert(read.status === 'rejected' && read.reason.message === 'cancelled' && send.status === 'rejected', 'queued tasks reject with the abort reason')
+    assert(Date.now() - abortedAt < 35, 'they reject without waiting for the running task')
+
+    const skipped = await Promise.allSettled([queued.settled, serial.settled])
+    assert(skipped.every((r) => r.status === 'rejected' && r.reason.message === 'cancelled'), 'their settled promises reject once they are skipped')
+    await running
+    await scheduler.run(EXECUTION_MODES.SHARED, async () => {})
+    assert(state.order.join(',') === 'start:init,end:init', 'aborted tasks never run')
+  }
+
+  console.log('\n✨ All scheduler tests passed!\n')
+}
+
+runTests()
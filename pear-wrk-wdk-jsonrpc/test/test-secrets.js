@@ -0,0 +1,173 @@
+/**
+ * Test that secret buffers are wiped
+ * Records every buffer the handlers track and checks that it is zeroed once the handler
+ * returns or throws, and that session seeds are zeroed on lock, dispose and re-initialization
+ */
+
+const { handlers, protocolManagers } = require('../src/rpc-handlers')
+const { withSecrets } = require('../src/utils/secrets')
+
+console.log('🧪 Testing secret wiping\n')
+
+function assert (condition, message) {
+  if (!condition) {
+    console.log('  ❌ FAIL:', message)
+    process.exit(1)
+  }
+  console.log('  ✅ PASS:', message)
+}
+
+/**
+ * Run fn and return the error it throws (or null)
+ */
+async function captureError (fn) {
+  try {
+    await fn()
+    return null
+  } catch (error) {
+    return error
+  }
+}
+
+const isZeroed = (buffer) => buffer.every((byte) => byte === 0)
+
+// Every buffer tracked by handlers given `observed` (or a context made by observe) since the last call to takeTracked
+let tracked = []
+const observe = (context = {}) => Object.assign(context, { onSecretTracked: (buffer) => tracked.push(buffer) })
+const observed = observe()
+const takeTracked = () => {
+  const buffers = tracked
+  tracked = []
+  return buffers
+}
+
+/**
+ * Run a handler and check the secrets it tracked
+ * @param {string} name - Description for the assertions
+ * @param {Function} fn - Calls the handler
+ * @param {Object} [options] - expectError: the handler must throw
+ * @returns {Promise<any>} Handler result
+ */
+async function checkWiped (name, fn, { expectError = false } = {}) {
+  takeTracked()
+  let result, error
+  try {
+    result = await fn()
+  } catch (e) {
+    error = e
+  }
+  if (expectError !== !!error) {
+    console.log('  ❌ FAIL:', name, error ? `threw ${error.message}` : 'did not throw')
+    process.exit(1)
+  }
+  const buffers = takeTracked()
+  assert(buffers.length > 0 && buffers.every(isZeroed), `${name}: ${buffers.length} secret buffer(s) zeroed`)
+  return result
+}
+
+const networks = {
+  ethereum: {
+    chainId: 1,
+    blockchain: 'ethereum',
+    provider: 'https://rpc.mevblocker.io/fast',
+    transferMaxFee: 100000
+  }
+}
+const MNEMONIC = 'abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about'
+
+async function runTests () {
+  // Test 1: Stateless handlers
+  console.log('Test 1: Handlers')
+  const generated = await checkWiped('generateEntropyAndEncrypt', () => handlers.generateEntropyAndEncrypt({ wordCount: 12, walletId: 'alice' }, observed))
+  const credential = { walletId: 'alice', encryptionKey: generated.encryptionKey }
+  const entropy = { encryptedEntropy: generated.encryptedEntropyBuffer, encryptionKey: generated.encryptionKey }
+
+  await checkWiped('generateEntropyAndEncrypt (passphrase)', () => handlers.generateEntropyAndEncrypt({ wordCount: 12, passphrase: '1234' }, observed))
+  await checkWiped('getMnemonicFromEntropy', () => handlers.getMnemonicFromEntropy(entropy, observed))
+  await checkWiped('getSeedAndEntropyFromMnemonic', () => handlers.getSeedAndEntropyFromMnemonic({ mnemonic: MNEMONIC }, observed))
+  await checkWiped('createBackupChallenge', () => handlers.createBackupChallenge(entropy, observe()))
+  await checkWiped('changePassphrase', () => handlers.changePassphrase({ ...credential, encryptedSeed: generated.encryptedSeedBuffer, encryptedEntropy: generated.encryptedEntropyBuffer, newPassphrase: '5678' }, observed))
+  await checkWiped('rotateEncryptionKey', () => handlers.rotateEncryptionKey({ ...credential, encryptedSeed: generated.encryptedSeedBuffer, encryptedEntropy: generated.encryptedEntropyBuffer }, observed))
+  const { groups } = await checkWiped('splitSeedShares', () => handlers.splitSeedShares({ ...entropy, groups: [{ threshold: 2, count: 3 }] }, observed))
+  await checkWiped('combineSeedShares', () => handlers.combineSeedShares({ shares: groups[0].slice(0, 2) }, observed))
+
+  // Test 2: Error paths
+  console.log('\nTest 2: Error paths')
+  const other = await handlers.generateEntropyAndEncrypt({ wordCount: 12, walletId: 'alice' })
+  await checkWiped('changePassphrase with a mismatched entropy', () => handlers.changePassphrase({
+    ...credential,
+    encryptedSeed: generated.encryptedSeedBuffer,
+    encryptedEntropy: other.encryptedEntropyBuffer,
+    newPassphrase: '5678'
+  }, observed), { expectError: true })
+  await checkWiped('rotateEncryptionKey with a mismatched entropy', () => handlers.rotateEncryptionKey({
+    ...credential,
+    encryptedSeed: generated.encryptedSeedBuffer,
+    encryptedEntropy: other.encryptedEntropyBuffer
+  }, observed), { expectError: true })
+  await checkWiped('createBackupChallenge with too many words', () => handlers.createBackupChallenge({ ...entropy, count: 13 }, observe()), { expectError: true })
+
+  // Test 3: Session seeds
+  console.log('\nTest 3: Sessions')
+  const context = observe()
+  const init = { ...credential, encryptedSeed: generated.encryptedSeedBuffer, config: JSON.stringify({ networks }) }
+  await handlers.initializeWDK(init, context)
+  let seed = context.sessions.get('alice').seed
+  assert(seed && !isZeroed(seed), 'the session holds the decrypted seed')
+
+  const { backup } = await checkWiped('exportBackup', () => handlers.exportBackup({ ...entropy, walletId: 'alice', backupPassphrase: 'correct horse battery' }, context))
+  await checkWiped('importBackup', () => handlers.importBackup({ backup, backupPassphrase: 'correct horse battery' }, observed))
+
+  await handlers.lock({ walletId: 'alice' }, context)
+  assert(isZeroed(seed), 'the seed is zeroed when the wallet is locked')
+
+  await checkWiped('unlock with another seed', () => handlers.unlock({ walletId: 'alice', encryptionKey: other.encryptionKey, encryptedSeed: other.encryptedSeedBuffer }, context), { expectError: true })
+  await handlers.unlock({ ...credential, encryptedSeed: generated.encryptedSeedBuffer }, context)
+  seed = context.sessions.get('alice').seed
+  assert(!isZeroed(seed), 'unlock hands the seed to the session')
+
+  await checkWiped('unlock of an unlocked wallet', () => handlers.unlock({ ...credential, encryptedSeed: generated.encryptedSeedBuffer }, context))
+  assert(!isZeroed(context.sessions.get('alice').seed), 'the session keeps its own seed')
+
+  await handlers.initializeWDK(init, context)
+  assert(isZeroed(seed), 'the replaced session\'s seed is zeroed on re-initialization')
+  seed = context.sessions.get('alice').seed
+
+  await handlers.dispose(context, 'alice')
+  assert(isZeroed(seed), 'the seed is zeroed on dispose')
+
+  // A protocol that fails to register leaves no session and no seed behind
+  takeTracked()
+  protocolManagers.Failing = function Failing () {}
+  const failing = await captureError(() => handlers.initializeWDK({
+    ...init,
+    config: JSON.stringify({ networks, protocols: { Failing: { network: 'polygon', protocolLabel: 'x', config: {} } } })
+  }, context))
+  delete protocolManagers.Failing
+  const failedSeeds = takeTracked()
+  assert(failing && !context.sessions.has('alice'), 'a failed initialization keeps no session')
+  assert(failedSeeds.length === 1 && isZeroed(failedSeeds[0]), 'the seed of a failed initialization is zeroed')
+
+  await handlers.dispose(context)
+
+  // Test 4: Secret scopes
+  console.log('\nTest 4: Scopes')
+  const seen = []
+  let kept, wiped
+  await withSecrets(async (secrets) => {
+    wiped = secrets.track(Buffer.from('secret'))
+    kept = secrets.release(secrets.track(Buffer.from('handed over')))
+    // Another scope running at the same time is not observed
+    await withSecrets((inner) => inner.track(Buffer.from('inner')))
+  }, { onTrack: (buffer) => seen.push(buffer) })
+  assert(seen.length === 2 && seen[0] === wiped && seen[1] === kept, 'onTrack sees only its own scope\'s buffers')
+  assert(isZeroed(wiped) && kept.toString() === 'handed over', 'tracked buffers are zeroed, released ones are not')
+
+  takeTracked()
+  await handlers.generateEntropyAndEncrypt({ wordCount: 12 }, {})
+  assert(takeTracked().length === 0, 'handlers without onSecretTracked in their context are not observed')
+
+  console.log('\n✨ All secret wiping tests passed!\n')
+}
+
+runTests()
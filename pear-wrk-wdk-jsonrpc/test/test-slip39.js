@@ -0,0 +1,130 @@
+/**
+ * Test SLIP-39 share splitting and recovery
+ * Checks combineSeedShares against the official SLIP-39 vectors and split/combine round trips
+ */
+
+const { handlers } = require('../src/rpc-handlers')
+const { decrypt } = require('../src/utils/crypto')
+const vectors = require('./fixtures/slip39-vectors.json')
+
+console.log('🧪 Testing SLIP-39 shares\n')
+
+function assert (condition, message) {
+  if (!condition) {
+    console.log('  ❌ FAIL:', message)
+    process.exit(1)
+  }
+  console.log('  ✅ PASS:', message)
+}
+
+/**
+ * Run fn and return the error it throws (or null)
+ */
+async function captureError (fn) {
+  try {
+    await fn()
+    return null
+  } catch (error) {
+    return error
+  }
+}
+
+const entropyOf = (secrets) => decrypt(secrets.encryptedEntropyBuffer, secrets.encryptionKey)
+const seedOf = (secrets) => decrypt(secrets.encryptedSeedBuffer, secrets.encryptionKey)
+
+// Passphrase used by every official vector
+const VECTOR_PASSPHRASE = 'TREZOR'
+
+async function runTests () {
+  // Test 1: Official vectors
+  console.log('Test 1: Official SLIP-39 vectors')
+  for (const [description, shares, masterSecret] of vectors) {
+    if (masterSecret) {
+      const secrets = await handlers.combineSeedShares({ shares, slip39Passphrase: VECTOR_PASSPHRASE })
+      assert(entropyOf(secrets).toString('hex') === masterSecret, description)
+    } else {
+      const error = await captureError(() => handlers.combineSeedShares({ shares, slip39Passphrase: VECTOR_PASSPHRASE }))
+      assert(error?.code === 'BAD_REQUEST', `${description} is rejected`)
+    }
+  }
+
+  // Test 2: Split and combine round trip
+  console.log('\nTest 2: Round trip')
+  {
+    const generated = await handlers.generateEntropyAndEncrypt({ wordCount: 24 })
+    const { groups } = await handlers.splitSeedShares({
+      encryptedEntropy: generated.encryptedEntropyBuffer,
+      encryptionKey: generated.encryptionKey,
+      groupThreshold: 2,
+      groups: [{ threshold: 1, count: 1 }, { threshold: 2, count: 3 }, { threshold: 3, count: 5 }],
+      slip39Passphrase: 'shares',
+      iterationExponent: 0
+    })
+    assert(groups.length === 3 && groups[1].length === 3 && groups[2].length === 5, 'shares are returned per group')
+    assert(groups.flat().every((share) => share.split(' ').length === 33), '256-bit shares have 33 words')
+
+    const shares = [groups[0][0], groups[2][4], groups[2][0], groups[2][2]]
+    const recovered = await handlers.combineSeedShares({ shares, slip39Passphrase: 'shares' })
+    assert(entropyOf(recovered).equals(entropyOf(generated)), 'entropy is recovered')
+    assert(seedOf(recovered).equals(seedOf(generated)), 'seed is recovered')
+
+    const mnemonic = await handlers.getMnemonicFromEntropy({ encryptedEntropy: recovered.encryptedEntropyBuffer, encryptionKey: recovered.encryptionKey })
+    const original = await handlers.getMnemonicFromEntropy({ encryptedEntropy: generated.encryptedEntropyBuffer, encryptionKey: generated.encryptionKey })
+    assert(mnemonic.mnemonic === original.mnemonic, 'the same BIP39 mnemonic is recovered')
+
+    const wrongPassphrase = await handlers.combineSeedShares({ shares, slip39Passphrase: 'other' })
+    assert(!entropyOf(wrongPassphrase).equals(entropyOf(generated)), 'a wrong SLIP-39 passphrase recovers a different wallet')
+
+    const notEnough = await captureError(() => handlers.combineSeedShares({ shares: [groups[0][0], groups[2][0], groups[2][1]], slip39Passphrase: 'shares' }))
+    assert(notEnough?.code === 'BAD_REQUEST', 'too few shares in a group are rejected')
+  }
+
+  // Test 3: Passphrase-encrypted secrets
+  console.log('\nTest 3: Passphrase mode')
+  {
+    const generated = await handlers.generateEntropyAndEncrypt({ wordCount: 12, passphrase: '2468', bip39Passphrase: 'extra' })
+    const { groups } = await handlers.splitSeedShares({
+      encryptedEntropy: generated.encryptedEntropyBuffer,
+      passphrase: '2468',
+      groups: [{ threshold: 2, count: 3 }],
+      iterationExponent: 0
+    })
+    assert(groups[0].every((share) => share.split(' ').length === 20), '128-bit shares have 20 words')
+
+    const recovered = await handlers.combineSeedShares({ shares: [`  ${groups[0][2].toUpperCase()} `, groups[0][0]], passphrase: '1357', bip39Passphrase: 'extra' })
+    assert(recovered.encryptionKey === undefined, 'recovered secrets are encrypted under the new passphrase')
+
+    const { mnemonic } = await handlers.getMnemonicFromEntropy({ encryptedEntropy: recovered.encryptedEntropyBuffer, passphrase: '1357' })
+    const original = await handlers.getMnemonicFromEntropy({ encryptedEntropy: generated.encryptedEntropyBuffer, passphrase: '2468' })
+    assert(mnemonic === original.mnemonic, 'shares are case and whitespace insensitive')
+  }
+
+  // Test 4: Invalid requests
+  console.log('\nTest 4: Invalid requests')
+  {
+    const generated = await handlers.generateEntropyAndEncrypt({ wordCount: 12 })
+    const credential = { encryptedEntropy: generated.encryptedEntropyBuffer, encryptionKey: generated.encryptionKey }
+
+    const oneOfMany = await captureError(() => handlers.splitSeedShares({ ...credential, groups: [{ threshold: 1, count: 3 }] }))
+    assert(oneOfMany?.code === 'BAD_REQUEST', '1-of-n group is rejected')
+
+    const threshold = await captureError(() => handlers.splitSeedShares({ ...credential, groupThreshold: 3, groups: [{ threshold: 2, count: 3 }, { threshold: 1, count: 1 }] }))
+    assert(threshold?.code === 'BAD_REQUEST', 'group threshold above the number of groups is rejected')
+
+    const unicode = await captureError(() => handlers.splitSeedShares({ ...credential, groups: [{ threshold: 1, count: 1 }], slip39Passphrase: 'café' }))
+    assert(unicode?.code === 'BAD_REQUEST', 'non-ASCII SLIP-39 passphrase is rejected')
+
+    const costly = await captureError(() => handlers.splitSeedShares({ ...credential, groups: [{ threshold: 1, count: 1 }], iterationExponent: 15 }))
+    assert(costly?.code === 'BAD_REQUEST', 'excessive iteration exponent is rejected')
+
+    const [share] = vectors[0][1]
+    const typo = share.split(' ')
+    typo[5] = 'resultt'
+    const unknown = await captureError(() => handlers.combineSeedShares({ shares: [typo.join(' ')] }))
+    assert(unknown?.code === 'BAD_REQUEST' && unknown.message.includes('index 5') && !unknown.message.includes('resultt'), 'unknown word is reported by position only')
+  }
+
+  console.log('\n✨ All SLIP-39 tests passed!\n')
+}
+
+runTests()
@@ -0,0 +1,223 @@
+/**
+ * Test subscribe / unsubscribe
+ * Checks pushed balance and transaction updates, cleanup, pausing while locked and lifecycle races
+ */
+
+const { handlers } = require('../src/rpc-handlers')
+const { createSubscriptionManager, SUBSCRIPTION_NOTIFICATION } = require('../src/subscriptions')
+const { EXECUTION_MODES, createScheduler } = require('../src/utils/scheduler')
+
+console.log('🧪 Testing subscriptions\n')
+
+function assert (condition, message) {
+  if (!condition) {
+    console.log('  ❌ FAIL:', message)
+    process.exit(1)
+  }
+  console.log('  ✅ PASS:', message)
+}
+
+/**
+ * Run fn and return the error it throws (or null)
+ */
+async function captureError (fn) {
+  try {
+    await fn()
+    return null
+  } catch (error) {
+    return error
+  }
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+const BALANCE = 1000000000000000000000n
+
+const networks = {
+  ethereum: {
+    chainId: 1,
+    blockchain: 'ethereum',
+    provider: 'https://rpc.mevblocker.io/fast',
+    transferMaxFee: 100000
+  }
+}
+
+/**
+ * Initialize a wallet in a context that records notifications
+ * @returns {Promise<Object>} { context, session, updates, credentials }
+ */
+async function setup ({ scheduler = true } = {}) {
+  const updates = []
+  const context = {
+    notify (method, params) {
+      if (method === SUBSCRIPTION_NOTIFICATION) {
+        updates.push(params)
+      }
+    }
+  }
+  if (scheduler) {
+    context.scheduler = createScheduler()
+  }
+  context.subscriptions = createSubscriptionManager(context)
+
+  const generated = await handlers.generateEntropyAndEncrypt({ wordCount: 12 })
+  const credentials = { encryptedSeed: generated.encryptedSeedBuffer, encryptionKey: generated.encryptionKey }
+  await handlers.initializeWDK({ ...credentials, config: JSON.stringify({ networks }) }, context)
+  const session = context.sessions.get('default')
+  stubAccounts(session)
+  return { context, session, updates, credentials }
+}
+
+/**
+ * Replace the session's WDK instance with fake accounts, so no provider is ever reached
+ * getBalance returns the given balances in turn (the last one repeats), and only the
+ * transaction 'done' has a receipt
+ * @returns {Object} Counter of getBalance calls
+ */
+function stubAccounts (session, balances = [BALANCE], delayMs = 0) {
+  const calls = { count: 0 }
+  const account = {
+    async getBalance () {
+      const balance = balances[Math.min(calls.count++, balances.length - 1)]
+      await sleep(delayMs)
+      return balance
+    },
+    async getTransactionReceipt (hash) {
+      return hash === 'done' ? { status: 1 } : null
+    }
+  }
+  session.wdk.dispose()
+  session.wdk = {
+    getAccount: async () => account,
+    dispose () {}
+  }
+  return calls
+}
+
+async function runTests () {
+  // Test 1: subscribe and unsubscribe
+  console.log('Test 1: subscribe and unsubscribe')
+  {
+    const { context, updates } = await setup()
+    const { subscriptionId } = await handlers.subscribe({ type: 'balance', network: 'ethereum', accountIndex: 0 }, context)
+    assert(typeof subscriptionId === 'string' && updates.length === 0, 'the id is returned before any update')
+
+    await sleep(20)
+    assert(updates.length === 1 && updates[0].subscriptionId === subscriptionId, 'the current balance is pushed first')
+    assert(updates[0].type === 'balance' && updates[0].walletId === 'default' && updates[0].result.balance === '1000000000000000000000', 'updates carry the subscription and the balance')
+
+    assert((await handlers.unsubscribe({ subscriptionId }, context)).unsubscribed === true, 'unsubscribe stops the subscription')
+    assert((await handlers.unsubscribe({ subscriptionId }, context)).unsubscribed === false, 'unknown subscriptions report false')
+    assert(context.subscriptions.size === 0, 'nothing is left polling')
+
+    const invalid = [
+      [{ type: 'price', network: 'ethereum', accountIndex: 0 }, 'type'],
+      [{ type: 'transaction', network: 'ethereum', accountIndex: 0 }, 'hash'],
+      [{ type: 'balance', network: 'ethereum', accountIndex: 0, intervalMs: 10 }, 'intervalMs']
+    ]
+    for (const [request, field] of invalid) {
+      const error = await captureError(() => handlers.subscribe(request, context))
+      assert(error?.code === 'BAD_REQUEST' && error.message.includes(field), `${JSON.stringify(request)} is rejected`)
+    }
+
+    await handlers.dispose(context)
+  }
+
+  // Test 2: Only changes are pushed
+  console.log('\nTest 2: Only changes are pushed')
+  {
+    const { context, session, updates } = await setup()
+    const calls = stubAccounts(session, [1n, 1n, 2n, 2n])
+    context.subscriptions.add({ walletId: 'default', type: 'balance', network: 'ethereum', accountIndex: 0, intervalMs: 5 })
+
+    while (calls.count < 5) {
+      await sleep(5)
+    }
+    assert(updates.map((u) => u.result.balance).join(',') === '1,2', 'unchanged balances are not pushed again')
+
+    const hash = context.subscriptions.add({ walletId: 'default', type: 'transaction', network: 'ethereum', accountIndex: 0, hash: 'done', intervalMs: 5 })
+    await sleep(30)
+    const receipts = updates.filter((u) => u.subscriptionId === hash)
+    assert(receipts.length === 1 && receipts[0].result.receipt.status === 1, 'a confirmed transaction is pushed once')
+    assert(context.subscriptions.size === 1, 'a transaction subscription ends after its receipt')
+
+    await handlers.dispose(context)
+  }
+
+  // Test 3: Cleanup on dispose
+  console.log('\nTest 3: Cleanup on dispose')
+  {
+    const { context, updates } = await setup()
+    await handlers.subscribe({ type: 'balance', network: 'ethereum', accountIndex: 0 }, context)
+    await handlers.subscribe({ type: 'transaction', network: 'ethereum', accountIndex: 0, hash: '0xpending' }, context)
+    await sleep(20)
+    const pushed = updates.length
+
+    await handlers.dispose(context)
+    assert(context.subscriptions.size === 0, 'dispose removes the wallet\'s subscriptions')
+    await sleep(30)
+    assert(updates.length === pushed, 'nothing is pushed after dispose')
+  }
+
+  // Test 4: Paused while locked
+  console.log('\nTest 4: Paused while locked')
+  {
+    const { context, session, updates, credentials } = await setup()
+    const calls = stubAccounts(session, [1n, 2n])
+    context.subscriptions.add({ walletId: 'default', type: 'balance', network: 'ethereum', accountIndex: 0, intervalMs: 5 })
+    await sleep(20)
+
+    await handlers.lock({}, context)
+    const pushed = updates.length
+    const polled = calls.count
+    await sleep(40)
+    assert(context.subscriptions.size === 1, 'subscriptions are kept while locked')
+    assert(updates.length === pushed && calls.count === polled, 'nothing is polled or pushed while locked')
+
+    // unlock starts a new WDK instance, which gets fake accounts too
+    await handlers.unlock(credentials, context)
+    stubAccounts(session, [3n])
+    await sleep(30)
+    assert(updates.length > pushed, 'polling resumes after unlock')
+
+    await handlers.dispose(context)
+  }
+
+  // Test 5: Lifecycle changes during a poll
+  console.log('\nTest 5: Lifecycle changes during a poll')
+  {
+    const { context, session, updates } = await setup()
+    const calls = stubAccounts(session, [1n], 40)
+    context.subscriptions.add({ walletId: 'default', type: 'balance', network: 'ethereum', accountIndex: 0, intervalMs: 5 })
+    while (calls.count === 0) {
+      await sleep(1)
+    }
+
+    // The poll is in flight: an exclusive dispose waits for it instead of wiping the wallet under it
+    const order = []
+    const disposed = context.scheduler.run(EXECUTION_MODES.EXCLUSIVE, async () => {
+      order.push(`dispose after ${updates.length} update(s)`)
+      return handlers.dispose(context)
+    })
+    await disposed
+    assert(order[0] === 'dispose after 1 update(s)', 'dispose waited for the running poll')
+
+    // Without a scheduler, a lock during the poll is noticed when the call returns
+    const unscheduled = await setup({ scheduler: false })
+    const slow = stubAccounts(unscheduled.session, [1n], 40)
+    unscheduled.context.subscriptions.add({ walletId: 'default', type: 'balance', network: 'ethereum', accountIndex: 0, intervalMs: 5 })
+    while (slow.count === 0) {
+      await sleep(1)
+    }
+    await handlers.lock({}, unscheduled.context)
+    await sleep(60)
+    assert(unscheduled.updates.length === 0, 'a balance read before the lock is not pushed')
+    assert(unscheduled.context.subscriptions.size === 1, 'the subscription survives a lock during its poll')
+
+    await handlers.dispose(unscheduled.context)
+  }
+
+  console.log('\n✨ All subscription tests passed!\n')
+}
+
+runTests()
@@ -0,0 +1,259 @@
+/**
+ * Test the token registry
+ * Checks config parsing, amount conversion, getTokenBalances, transferToken and token errors
+ */
+
+const { parseTokenRegistry, mergeTokenRegistry, tokenRegistryToConfig, resolveToken, parseTokenAmount, formatTokenAmount } = require('../src/utils/tokens')
+const { handlers } = require('../src/rpc-handlers')
+const { METHODS, dispatchMethod } = require('../src/method-registry')
+const { validateSchema } = require('../src/utils/schema')
+const { decodeResult } = require('../src/utils/codec')
+
+console.log('🧪 Testing token registry\n')
+
+function assert (condition, message) {
+  if (!condition) {
+    console.log('  ❌ FAIL:', message)
+    process.exit(1)
+  }
+  console.log('  ✅ PASS:', message)
+}
+
+/**
+ * Run fn and return the error it throws (or null)
+ */
+async function captureError (fn) {
+  try {
+    await fn()
+    return null
+  } catch (error) {
+    return error
+  }
+}
+
+/**
+ * Check a value against a schema, logging the mismatch
+ */
+function matches (value, schema) {
+  try {
+    validateSchema(value, schema, 'result')
+    return true
+  } catch (error) {
+    console.log('    ', error.message)
+    return false
+  }
+}
+
+const USDT = '0xdAC17F958D2ee523a2206206994597C13D831ec7'
+const USDC_MINT = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v'
+
+const networks = {
+  ethereum: {
+    chainId: 1,
+    blockchain: 'ethereum',
+    provider: 'https://rpc.mevblocker.io/fast',
+    transferMaxFee: 100000
+  },
+  solana: {
+    rpcUrl: 'https://api.mainnet-beta.solana.com',
+    commitment: 'confirmed'
+  }
+}
+
+const tokens = {
+  ethereum: {
+    USDT: { address: USDT, decimals: 6 },
+    WETH: { address: '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2', decimals: 18 }
+  },
+  solana: {
+    USDC: { mint: USDC_MINT, decimals: 6 }
+  }
+}
+
+const TOKEN_BALANCE = 2500000n
+
+/**
+ * Fake WDK instance whose accounts answer from memory, so no provider is reached and nothing is broadcast
+ * Every token balance is TOKEN_BALANCE; transfers are recorded in transfers
+ */
+function fakeWdk (transfers) {
+  return {
+    registerWallet () {
+      return this
+    },
+    async getAccount (network, index) {
+      return {
+        getAddress: async () => `0x${Buffer.from(`${network}:${index}`).toString('hex').padStart(40, '0')}`,
+        getBalance: async () => 0n,
+        getTokenBalance: async () => TOKEN_BALANCE,
+        transfer: async (options) => {
+          transfers.push({ network, index, ...options })
+          return { hash: '0xdef', fee: 5n }
+        }
+      }
+    },
+    dispose () {}
+  }
+}
+
+async function runTests () {
+  // Test 1: Amount conversion
+  console.log('Test 1: Amount conversion')
+  {
+    assert(parseTokenAmount('12.5', 6, 'amount') === 12500000n, 'decimal amounts become base units')
+    assert(parseTokenAmount('0.000001', 6, 'amount') === 1n && parseTokenAmount('7', 0, 'amount') === 7n, 'the smallest unit and whole-unit tokens convert exactly')
+    assert(parseTokenAmount('123456789012345678.123456789012345678', 18, 'amount') === 123456789012345678123456789012345678n, 'large amounts keep every digit')
+    assert(parseTokenAmount('1.500000', 2, 'amount') === 150n, 'trailing zeros beyond the decimals are accepted')
+
+    assert(formatTokenAmount(12500000n, 6) === '12.5' && formatTokenAmount(1n, 6) === '0.000001', 'base units are formatted without trailing zeros')
+    assert(formatTokenAmount(0n, 6) === '0' && formatTokenAmount(7n, 0) === '7' && formatTokenAmount('1000000', 6) === '1', 'whole amounts have no fraction')
+
+    const rejected = ['1.2345678', '-1', '1e6', '.5', '01', ' 1', '']
+    for (const amount of rejected) {
+      const error = await captureError(() => parseTokenAmount(amount, 6, 'amount'))
+      assert(error?.message.startsWith('amount'), `"${amount}" is rejected`)
+    }
+    const number = await captureError(() => parseTokenAmount(12.5, 6, 'amount'))
+    assert(number?.message.includes('decimal string'), 'numbers are rejected')
+  }
+
+  // Test 2: Registry
+  console.log('\nTest 2: Registry')
+  {
+    const registry = parseTokenRegistry(tokens, 'config.tokens')
+    assert(registry.solana[0].address === USDC_MINT && registry.ethereum.length === 2, 'mints and addresses are registered per network')
+    assert(resolveToken(registry, 'ethereum', 'usdt', 'token').symbol === 'USDT', 'symbols are looked up case-insensitively')
+    assert(resolveToken(registry, 'ethereum', USDT.toLowerCase(), 'token').decimals === 6, 'tokens are looked up by address')
+
+    const unknown = await captureError(() => resolveToken(registry, 'ethereum', 'DAI', 'token'))
+    assert(unknown?.message === 'token: unknown token "DAI" on ethereum. Registered tokens: USDT, WETH', 'unknown tokens name the registered ones')
+    const none = await captureError(() => resolveToken(registry, 'polygon', 'USDT', 'token'))
+    assert(none?.message.includes('no tokens are registered on polygon'), 'networks without tokens are named')
+
+    const invalid = [
+      [{ ethereum: { USDT: { decimals: 6 } } }, 'address'],
+      [{ ethereum: { USDT: { address: USDT, mint: USDC_MINT, decimals: 6 } } }, 'either'],
+      [{ ethereum: { USDT: { address: USDT, decimals: 6.5 } } }, 'decimals'],
+      [{ ethereum: { USDT: { address: USDT, decimals: 40 } } }, 'decimals'],
+      [{ ethereum: { 'US DT': { address: USDT, decimals: 6 } } }, 'symbols'],
+      [{ ethereum: { USDT: { address: USDT, decimals: 6 }, usdt: { address: '0x1', decimals: 6 } } }, 'twice'],
+      [{ ethereum: [] }, 'keyed by symbol']
+    ]
+    for (const [config, text] of invalid) {
+      const error = await captureError(() => parseTokenRegistry(config, 'config.tokens'))
+      assert(error?.message.includes('config.tokens') && error.message.includes(text), `${JSON.stringify(config)} is rejected`)
+    }
+
+    const merged = mergeTokenRegistry(registry, parseTokenRegistry({ ethereum: { USDT: { address: '0x2', decimals: 6 }, DAI: { address: '0x3', decimals: 18 } } }, 'config.tokens'))
+    assert(merged.ethereum.map((t) => t.symbol).join(',') === 'WETH,USDT,DAI' && resolveToken(merged, 'ethereum', 'USDT', 'token').address === '0x2', 'merging replaces tokens with the same symbol')
+    assert(tokenRegistryToConfig(merged).solana.USDC.mint === USDC_MINT, 'the registry turns back into a config section')
+  }
+
+  // Test 3: Config
+  console.log('\nTest 3: Config')
+  const context = {}
+  const generated = await handlers.generateEntropyAndEncrypt({ wordCount: 12 })
+  const init = (config) => handlers.initializeWDK({ encryptedSeed: generated.encryptedSeedBuffer, encryptionKey: generated.encryptionKey, config: JSON.stringify(config) }, context)
+  {
+    const badTokens = await captureError(() => init({ networks, tokens: { ethereum: { USDT: { address: USDT } } } }))
+    assert(badTokens?.code === 'BAD_REQUEST' && badTokens.message.includes('config.tokens.ethereum.USDT.decimals'), 'initializeWDK rejects malformed tokens')
+
+    const unregistered = await captureError(() => init({ networks, tokens: { polygon: { USDT: { address: USDT, decimals: 6 } } } }))
+    assert(unregistered?.code === 'BAD_REQUEST' && unregistered.message.includes('network "polygon" is not registered'), 'tokens need a registered network')
+
+    await init({ networks, tokens })
+    assert(context.sessions.get('default').tokens.ethereum.length === 2, 'initializeWDK registers the tokens')
+
+    await handlers.registerWallet({ config: JSON.stringify({ tokens: { ethereum: { DAI: { address: '0x6B175474E89094C44Da98b954EedeAC495271d0F', decimals: 18 } } } }) }, context)
+    const session = context.sessions.get('default')
+    assert(session.tokens.ethereum.length === 3 && session.config.tokens.ethereum.DAI.decimals === 18, 'registerWallet adds tokens to registered networks')
+
+    await handlers.registerWallet({
+      config: JSON.stringify({
+        networks: { polygon: { chainId: 137, blockchain: 'polygon', provider: 'https://polygon-rpc.com' } },
+        tokens: { polygon: { USDT: { address: '0xc2132D05D31c914a87C6611C10748AEb04B58e8F', decimals: 6 } } }
+      })
+    }, context)
+    assert(session.tokens.polygon[0].symbol === 'USDT', 'registerWallet registers tokens of the networks it adds')
+
+    const stray = await captureError(() => handlers.registerWallet({ config: JSON.stringify({ tokens: { arbitrum: { USDT: { address: USDT, decimals: 6 } } } }) }, context))
+    assert(stray?.code === 'BAD_REQUEST' && stray.message.includes('arbitrum'), 'registerWallet rejects tokens of unregistered networks')
+  }
+
+  // Balances and transfers go to fake accounts from here on
+  const transfers = []
+  const session = context.sessions.get('default')
+  session.wdk.dispose()
+  session.wdk = fakeWdk(transfers)
+
+  // Test 4: getTokenBalances
+  console.log('\nTest 4: getTokenBalances')
+  {
+    const result = await handlers.getTokenBalances({ network: 'ethereum', accountIndex: 0 }, context)
+    assert(matches(result, METHODS.getTokenBalances.result), 'the result matches the declared schema')
+    assert(result.balances.map((b) => b.symbol).join(',') === 'USDT,WETH,DAI', 'every registered token is fetched by default')
+    const usdt = result.balances[0]
+    assert(usdt.address === USDT && usdt.decimals === 6 && usdt.balance.raw === '2500000' && usdt.balance.formatted === '2.5', 'balances are returned raw and formatted')
+    assert(result.balances[1].balance.formatted === '0.0000000000025', 'formatting uses each token\'s decimals')
+
+    const solana = await handlers.getTokenBalances({ network: 'solana', accountIndex: 1, tokens: ['usdc'] }, context)
+    assert(solana.balances.length === 1 && solana.balances[0].address === USDC_MINT, 'tokens can be chosen by symbol')
+
+    const unknown = await captureError(() => handlers.getTokenBalances({ network: 'ethereum', accountIndex: 0, tokens: ['USDT', 'DOGE'] }, context))
+    assert(unknown?.code === 'BAD_REQUEST' && unknown.message.includes('tokens[1]: unknown token "DOGE" on ethereum'), 'unknown tokens are rejected with their position')
+
+    await handlers.registerWallet({ config: JSON.stringify({ networks: { arbitrum: { chainId: 42161, blockchain: 'arbitrum', provider: 'https://arb1.arbitrum.io/rpc' } } }) }, context)
+    const empty = await captureError(() => handlers.getTokenBalances({ network: 'arbitrum', accountIndex: 0 }, context))
+    assert(empty?.code === 'BAD_REQUEST' && empty.message.includes('No tokens are registered on arbitrum'), 'networks without tokens are rejected')
+
+    await handlers.workletStart({ resultEncoding: 'tagged' }, context)
+    const tagged = await handlers.getTokenBalances({ network: 'ethereum', accountIndex: 0, tokens: ['USDT'] }, context)
+    assert(decodeResult(tagged.balances[0].balance.raw) === 2500000n && tagged.balances[0].balance.formatted === '2.5', 'raw amounts use the negotiated result encoding')
+    await handlers.workletStart({ resultEncoding: 'plain' }, context)
+  }
+
+  // Test 5: transferToken
+  console.log('\nTest 5: transferToken')
+  {
+    const recipient = '0x0000000000000000000000000000000000000001'
+    const result = await handlers.transferToken({ network: 'ethereum', accountIndex: 0, token: 'USDT', recipient, amount: '12.5' }, context)
+    assert(matches(result, METHODS.transferToken.result), 'the result matches the declared schema')
+    assert(result.hash === '0xdef' && result.fee === '5', 'the transfer hash and fee are returned')
+    assert(transfers.length === 1 && transfers[0].token === USDT && transfers[0].recipient === recipient && transfers[0].amount === 12500000n, 'the account is asked to transfer the token in base units')
+    assert(result.amount.raw === '12500000' && result.amount.formatted === '12.5' && result.symbol === 'USDT', 'the amount is returned raw and formatted')
+
+    const invalid = [
+      [{ token: 'DOGE', amount: '1' }, 'token: unknown token "DOGE" on ethereum'],
+      [{ token: 'USDT', amount: '1.0000001' }, 'amount has more than 6 decimal places'],
+      [{ token: 'USDT', amount: '0' }, 'amount must be greater than 0'],
+      [{ token: 'USDT', amount: '-1' }, 'amount must be a non-negative decimal string']
+    ]
+    for (const [params, text] of invalid) {
+      const error = await captureError(() => handlers.transferToken({ network: 'ethereum', accountIndex: 0, recipient, ...params }, context))
+      assert(error?.code === 'BAD_REQUEST' && error.message.includes(text), `${JSON.stringify(params)} is rejected`)
+    }
+    assert(transfers.length === 1, 'rejected transfers never reach the account')
+
+    const noRecipient = await captureError(() => dispatchMethod('transferToken', { network: 'ethereum', accountIndex: 0, token: 'USDT', amount: '1' }, context))
+    assert(JSON.parse(noRecipient.message).message === 'params.recipient is required', 'recipient is required')
+  }
+
+  // Test 6: Portfolio
+  console.log('\nTest 6: Portfolio')
+  {
+    const portfolio = await handlers.getPortfolio({ networks: ['ethereum', 'solana'] }, context)
+    const ethereum = portfolio.networks[0].accounts[0].tokens
+    assert(ethereum.map((t) => t.symbol).join(',') === 'USDT,WETH,DAI' && ethereum[0].token === USDT, 'registered tokens are fetched by default')
+    assert(ethereum[0].formatted === '2.5', 'registered token balances are formatted')
+
+    const chosen = await handlers.getPortfolio({ networks: ['ethereum'], tokens: { ethereum: ['usdt', '0xunregistered'] } }, context)
+    const [usdt, other] = chosen.networks[0].accounts[0].tokens
+    assert(usdt.token === USDT && usdt.symbol === 'USDT', 'symbols are resolved to addresses')
+    assert(other.symbol === null && other.formatted === null && other.balance === '2500000', 'unregistered addresses are reported raw')
+  }
+
+  await handlers.dispose(context)
+  console.log('\n✨ All token registry tests passed!\n')
+}
+
+runTests()
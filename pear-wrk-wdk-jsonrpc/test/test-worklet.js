@@ -0,0 +1,294 @@
+/**
+ * Test the worklet's JSON-RPC transport
+ * Runs wdk-worklet.js against a fake BareKit IPC and checks batch requests, timeouts, cancellation
+ * and oversized frames
+ */
+
+const { encodeFrame, createFrameDecoder } = require('../src/utils/framing')
+const WDKModule = require('@tetherto/wdk')
+const WDK = WDKModule.default || WDKModule
+
+console.log('🧪 Testing worklet JSON-RPC transport\n')
+
+function assert (condition, message) {
+  if (!condition) {
+    console.log('  ❌ FAIL:', message)
+    process.exit(1)
+  }
+  console.log('  ✅ PASS:', message)
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+// Fake host side of the IPC: frames written by the worklet are decoded into messages
+const received = []
+const dataListeners = []
+const hostDecoder = createFrameDecoder({
+  onFrame: (frame) => received.push(JSON.parse(frame.toString()))
+})
+
+global.BareKit = {
+  IPC: {
+    on (event, listener) {
+      if (event === 'data') {
+        dataListeners.push(listener)
+      }
+    },
+    write (data) {
+      hostDecoder.push(data)
+    }
+  }
+}
+
+// Accounts are fakes, so no provider is reached: getBalance answers BALANCE right away, or
+// hangs on the call returned by holdBalance until the test settles it
+const BALANCE = 1000000000000000000000n
+let heldBalance = null
+WDK.prototype.getAccount = async function () {
+  return {
+    getBalance: async () => {
+      if (!heldBalance) {
+        return BALANCE
+      }
+      heldBalance.started = true
+      return heldBalance.promise
+    }
+  }
+}
+
+/**
+ * Make the next getBalance calls hang until the returned call is resolved or rejected
+ */
+function holdBalance () {
+  const call = { started: false }
+  call.promise = new Promise((resolve, reject) => {
+    call.resolve = (value) => {
+      heldBalance = null
+      resolve(value)
+    }
+    call.reject = (error) => {
+      heldBalance = null
+      reject(error)
+    }
+  })
+  heldBalance = call
+  return call
+}
+
+require('../src/wdk-worklet')
+
+/**
+ * Send raw bytes to the worklet
+ */
+function sendRaw (data) {
+  for (const listener of dataListeners) {
+    listener(data)
+  }
+}
+
+/**
+ * Send a framed message (object, array or raw JSON text) to the worklet
+ */
+function send (message) {
+  sendRaw(encodeFrame(Buffer.from(typeof message === 'string' ? message : JSON.stringify(message))))
+}
+
+/**
+ * Wait until the worklet has written at least `count` messages since `from`
+ * @returns {Promise<Array>} The messages written after `from`
+ */
+async function waitForMessages (from, count, timeoutMs = 2000) {
+  const deadline = Date.now() + timeoutMs
+  while (received.length - from < count) {
+    if (Date.now() > deadline) {
+      throw new Error(`Timed out waiting for ${count} message(s), got ${received.length - from}`)
+    }
+    await sleep(5)
+  }
+  return received.slice(from)
+}
+
+/**
+ * Send a request and wait for the response with its id
+ */
+async function request (message, timeoutMs) {
+  const from = received.length
+  send(message)
+  const deadline = Date.now() + (timeoutMs || 2000)
+  for (;;) {
+    const response = received.slice(from).find((m) => !Array.isArray(m) && m.id === message.id)
+    if (response) {
+      return response
+    }
+    if (Date.now() > deadline) {
+      throw new Error(`No response to request ${message.id}`)
+    }
+    await sleep(5)
+  }
+}
+
+async function runTests () {
+  // Test 1: Batch requests
+  console.log('Test 1: Batch requests')
+  {
+    let from = received.length
+    send([])
+    const [empty] = await waitForMessages(from, 1)
+    assert(!Array.isArray(empty) && empty.id === null && empty.error.code === -32600, 'an empty batch is one Invalid Request error')
+
+    from = received.length
+    send([
+      { jsonrpc: '2.0', id: 'b', method: 'listWallets' },
+      { jsonrpc: '2.0', id: 7, method: 'workletStart' },
+      { jsonrpc: '2.0', id: 'missing', method: 'noSuchMethod' }
+    ])
+    const [responses] = await waitForMessages(from, 1)
+    assert(Array.isArray(responses) && responses.length === 3, 'a batch is answered with one array')
+    const byId = new Map(responses.map((r) => [r.id, r]))
+    assert(Array.isArray(byId.get('b').result.wallets) && byId.get(7).result.status === 'started', 'responses are matched to their request ids')
+    assert(byId.get('missing').error.code === -32601, 'a failing entry doesn\'t fail the others')
+
+    from = received.length
+    send([
+      1,
+      { jsonrpc: '2.0', id: 1, method: 'listWallets' },
+      { jsonrpc: '1.0', id: 2, method: 'listWallets' },
+      { jsonrpc: '2.0', method: 'listWallets' }
+    ])
+    const [mixed] = await waitForMessages(from, 1)
+    assert(mixed.length === 3, 'notifications in a batch get no entry')
+    assert(mixed.filter((r) => r.id === null && r.error.code === -32600).length === 2, 'invalid entries get Invalid Request errors with a null id')
+    assert(mixed.some((r) => r.id === 1 && r.result), 'valid entries among invalid ones are answered')
+
+    from = received.length
+    send([
+      { jsonrpc: '2.0', method: 'listWallets' },
+      { jsonrpc: '2.0', method: 'workletStart' }
+    ])
+    // Give the batch time to be answered, then send a request whose response shows it got none
+    await sleep(20)
+    const marker = await request({ jsonrpc: '2.0', id: 'marker', method: 'listWallets' })
+    const afterBatch = received.slice(from)
+    assert(marker.result && afterBatch.length === 1 && afterBatch[0].id === 'marker', 'a batch of notifications gets no response')
+  }
+
+  // Test 2: Timeouts and cancellation
+  console.log('\nTest 2: Timeouts and cancellation')
+  {
+    const invalid = await request({ jsonrpc: '2.0', id: 't0', method: 'listWallets', params: { timeoutMs: 0 } })
+    assert(invalid.error?.code === -32602 && invalid.error.data.code === 'BAD_REQUEST' && invalid.error.message.includes('timeoutMs'), 'a timeoutMs of 0 is rejected')
+    const text = await request({ jsonrpc: '2.0', id: 't1', method: 'listWallets', params: { timeoutMs: '100' } })
+    assert(text.error?.data.code === 'BAD_REQUEST', 'a non-integer timeoutMs is rejected')
+
+    const generated = await request({ jsonrpc: '2.0', id: 'g', method: 'generateEntropyAndEncrypt', params: { wordCount: 12 } })
+    const initialized = await request({
+      jsonrpc: '2.0',
+      id: 'i',
+      method: 'initializeWDK',
+      params: {
+        encryptedSeed: generated.result.encryptedSeedBuffer,
+        encryptionKey: generated.result.encryptionKey,
+        config: JSON.stringify({ networks: { ethereum: { chainId: 1, blockchain: 'ethereum', provider: 'https://rpc.mevblocker.io/fast' } } })
+      }
+    })
+    assert(initialized.result?.status === 'initialized', 'the wallet is initialized')
+
+    const getBalance = { methodName: 'getBalance', network: 'ethereum', accountIndex: 0 }
+    const quick = await request({ jsonrpc: '2.0', id: 't2', method: 'callMethod', params: { ...getBalance, timeoutMs: 1000 } })
+    assert(quick.result?.result === '1000000000000000000000', 'a request within its deadline succeeds')
+
+    // The provider hangs: TIMEOUT is answered while the call is still pending
+    let hung = holdBalance()
+    let from = received.length
+    const late = await request({ jsonrpc: '2.0', id: 't3', method: 'callMethod', params: { ...getBalance, timeoutMs: 20 } })
+    assert(late.error?.code === -32004 && late.error.data.code === 'TIMEOUT', 'a request past its deadline fails with TIMEOUT')
+    assert(hung.started && heldBalance === hung, 'the TIMEOUT is sent while the call is still pending')
+
+    // The timed-out call keeps its slot: an exclusive request waits for it, a queued one times out
+    const exclusive = request({ jsonrpc: '2.0', id: 't4', method: 'lock', params: {} })
+    const queued = await request({ jsonrpc: '2.0', id: 't5', method: 'listWallets', params: { timeoutMs: 10 } })
+    assert(queued.error?.data.code === 'TIMEOUT', 'a request queued behind it times out without waiting for its turn')
+    assert(!received.slice(from).some((m) => m.id === 't4'), 'a conflicting request waits while the call is pending')
+
+    hung.resolve(5n)
+    assert((await exclusive).result?.status === 'locked', 'it runs once the call has settled')
+    const [lateResult] = received.slice(from).filter((m) => m.method === 'lateResult')
+    assert(lateResult?.params.id === 't3' && lateResult.params.method === 'callMethod' && lateResult.params.result.result === '5', 'the late result is pushed in a lateResult notification')
+
+    const unlocked = await request({
+      jsonrpc: '2.0',
+      id: 'u',
+      method: 'unlock',
+      params: { encryptedSeed: generated.result.encryptedSeedBuffer, encryptionKey: generated.result.encryptionKey }
+    })
+    assert(unlocked.result, 'the wallet is unlocked')
+
+    // $/cancelRequest aborts a running request while its call is still pending
+    hung = holdBalance()
+    from = received.length
+    const cancelled = request({ jsonrpc: '2.0', id: 'c1', method: 'callMethod', params: getBalance })
+    while (!hung.started) {
+      await sleep(1)
+    }
+    send({ jsonrpc: '2.0', method: '$/cancelRequest', params: { id: 'c1' } })
+    const response = await cancelled
+    assert(response.error?.code === -32005 && response.error.data.code === 'CANCELLED', 'a cancelled request fails with CANCELLED')
+    assert(heldBalance === hung, 'the CANCELLED error is sent while the call is still pending')
+
+    hung.reject(new Error('Provider unreachable'))
+    await waitForMessages(from, 2)
+    const lateError = received.slice(from).find((m) => m.method === 'lateResult')
+    assert(lateError?.params.id === 'c1' && lateError.params.error.message === 'Provider unreachable', 'a late failure is pushed as well')
+
+    // A request skipped while queued never ran, so it has no late result
+    hung = holdBalance()
+    from = received.length
+    const running = request({ jsonrpc: '2.0', id: 'c3', method: 'callMethod', params: getBalance })
+    while (!hung.started) {
+      await sleep(1)
+    }
+    const blocked = request({ jsonrpc: '2.0', id: 'c4', method: 'lock', params: {} })
+    await sleep(10)
+    send({ jsonrpc: '2.0', method: '$/cancelRequest', params: { id: 'c4' } })
+    assert((await blocked).error?.data.code === 'CANCELLED', 'a queued request is cancelled')
+    hung.resolve(1n)
+    assert((await running).result?.result === '1', 'the request ahead of it is unaffected')
+    await sleep(10)
+    assert(!received.slice(from).some((m) => m.method === 'lateResult'), 'no lateResult is sent for the skipped request')
+
+    const unknown = await request({ jsonrpc: '2.0', id: 'c2', method: '$/cancelRequest', params: { id: 'nope' } })
+    assert(unknown.result?.cancelled === false, 'cancelling an unknown request reports false')
+  }
+
+  // Test 3: Oversized frames
+  console.log('\nTest 3: Oversized frames')
+  {
+    const tiny = await request({ jsonrpc: '2.0', id: 'f1', method: 'workletStart', params: { maxFrameSize: 1 } })
+    assert(tiny.error?.data.code === 'BAD_REQUEST' && tiny.error.message.includes('maxFrameSize'), 'a maxFrameSize below the minimum is rejected')
+
+    const started = await request({ jsonrpc: '2.0', id: 'f2', method: 'workletStart', params: { maxFrameSize: 65536 } })
+    assert(started.result?.status === 'started', 'maxFrameSize is lowered')
+
+    // A 100KB request arrives in several chunks; a valid request shares the last one
+    const large = encodeFrame(Buffer.from(JSON.stringify({ jsonrpc: '2.0', id: 'big', method: 'importBackup', params: { backup: 'x'.repeat(100000) } })))
+    const valid = encodeFrame(Buffer.from(JSON.stringify({ jsonrpc: '2.0', id: 'after', method: 'listWallets' })))
+    const stream = Buffer.concat([large, valid])
+    const from = received.length
+    for (let offset = 0; offset < stream.length; offset += 16384) {
+      sendRaw(stream.subarray(offset, offset + 16384))
+    }
+
+    const messages = await waitForMessages(from, 2)
+    await sleep(20)
+    const errors = received.slice(from).filter((m) => m.id === null)
+    assert(errors.length === 1 && errors[0].error.code === -32600 && errors[0].error.message.includes('exceeds the maximum of 65536 bytes'), 'the oversized request gets exactly one error')
+    assert(messages.some((m) => m.id === 'after' && m.result), 'the request after it is still answered')
+  }
+
+  console.log('\n✨ All worklet transport tests passed!\n')
+}
+
+runTests().catch((error) => {
+  console.log('  ❌ FAIL:', error.message)
+  process.exit(1)
+})